@@ -6,6 +6,7 @@ import AppNavigator from "./src/navigation/AppNavigator";
 import { GlobalStoreProvider, useGlobalStore } from "./src/utils/GlobalStore";
 import WhatsNewManager from "./src/utils/whatsNew";
 import AutoBackupManager from "./src/utils/autoBackupManager";
+import { I18nProvider } from "./src/utils/I18nProvider";
 
 export default function App() {
   const [whatsNewVisible, setWhatsNewVisible] = useState(false);
@@ -164,30 +165,31 @@ export default function App() {
   return (
     <GlobalStoreProvider>
       <AutoBackupComponent />
-      <View style={{ flex: 1, backgroundColor: '#f5f5f5' }}>
-        <StatusBar barStyle="dark-content" backgroundColor="#f5f5f5" />
-        <PaperProvider>
-          <AppNavigator />
+      <I18nProvider>
+        <View style={{ flex: 1, backgroundColor: '#f5f5f5' }}>
+          <StatusBar barStyle="dark-content" backgroundColor="#f5f5f5" />
+          <PaperProvider>
+            <AppNavigator />
           
-          <WhatsNewDialog
-            visible={whatsNewVisible}
-            data={whatsNewData}
-            onDismissThisVersion={handleDismissThisVersion}
-            onRemindLater={handleRemindLater}
-          />
-        </PaperProvider>
-      </View>
+            <WhatsNewDialog
+              visible={whatsNewVisible}
+              data={whatsNewData}
+              onDismissThisVersion={handleDismissThisVersion}
+              onRemindLater={handleRemindLater}
+            />
+          </PaperProvider>
+        </View>
+      </I18nProvider>
     </GlobalStoreProvider>
   );
 }
 
 // Auto-backup component that runs inside GlobalStoreProvider
 function AutoBackupComponent() {
-  const { state } = useGlobalStore();
+  const { state, dispatch } = useGlobalStore();
   
   useEffect(() => {
-    // GitHub token is now loaded from environment variable (.env file)
-    // No manual token setting needed
+    // Backup target (GitHub, WebDAV or a local folder) is set up in Settings and kept in SecureStore
     
     let autoBackupInterval;
     
@@ -208,6 +210,7 @@ function AutoBackupComponent() {
             
             if (result.success) {
               console.log('✅ Auto-backup successful:', result.message);
+              dispatch({ type: 'TRIM_AUDIT_LOG', payload: { at: result.timestamp } });
             } else {
               console.log('❌ Auto-backup failed:', result.message);
             }
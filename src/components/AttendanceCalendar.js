@@ -0,0 +1,276 @@
+import React, { useMemo } from 'react';
+import { View, StyleSheet, TouchableOpacity } from 'react-native';
+import { Text, IconButton, Surface } from 'react-native-paper';
+import {
+  format,
+  startOfMonth,
+  endOfMonth,
+  eachDayOfInterval,
+  getDay,
+  addMonths,
+  subMonths,
+  isAfter,
+  startOfDay
+} from 'date-fns';
+import { buildWorkerLedger, getDayStatus, isPieceLine } from '../utils/ledger';
+import { formatBalance } from '../utils/balance';
+import { lightTheme } from '../utils/themes';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const STATUS_COLORS = {
+  P: lightTheme.colors.present,
+  H: lightTheme.colors.halfDay,
+  A: lightTheme.colors.absent,
+};
+
+/**
+ * Month grid of a worker's attendance.
+ * Tap a marked day to open its entry, long-press an empty day to add one.
+ */
+export default function AttendanceCalendar({
+  workerId,
+  state,
+  month,
+  onMonthChange,
+  onSelectEntry,
+  onAddEntry
+}) {
+  const monthStart = startOfMonth(month);
+  const monthEnd = endOfMonth(month);
+  const today = startOfDay(new Date());
+
+  const { days, ledger } = useMemo(() => {
+    const monthLedger = buildWorkerLedger(workerId, state, { fromDate: monthStart, toDate: monthEnd });
+    const byDate = {};
+    monthLedger.transactions.forEach(trans => {
+      if (!byDate[trans.date]) byDate[trans.date] = { entries: [], paid: 0 };
+      if (trans.type === 'entry') byDate[trans.date].entries.push(trans.record);
+      else byDate[trans.date].paid -= trans.change;
+    });
+
+    // Leading blanks so the 1st lands under its weekday
+    const cells = Array.from({ length: getDay(monthStart) }, () => null);
+    eachDayOfInterval({ start: monthStart, end: monthEnd }).forEach(day => {
+      const key = format(day, 'yyyy-MM-dd');
+      cells.push({ day, key, ...(byDate[key] || { entries: [], paid: 0 }) });
+    });
+    return { days: cells, ledger: monthLedger };
+  }, [workerId, state.entries, state.payments, state.workers, monthStart.getTime()]);
+
+  const renderDay = (cell, index) => {
+    if (!cell) return <View key={`blank-${index}`} style={styles.dayCell} />;
+
+    // Tapping opens the attendance line; a day with only piece work opens its first line
+    const entry = cell.entries.find(e => !isPieceLine(e)) || cell.entries[0];
+    const status = getDayStatus(cell.entries);
+    const pieceLines = cell.entries.filter(isPieceLine).length;
+    const isFuture = isAfter(cell.day, today);
+    const color = status ? STATUS_COLORS[status] : null;
+
+    return (
+      <TouchableOpacity
+        key={cell.key}
+        style={styles.dayCell}
+        disabled={isFuture}
+        onPress={() => entry && onSelectEntry(entry)}
+        onLongPress={() => !entry && onAddEntry(cell.key)}
+        delayLongPress={400}
+      >
+        <View style={[
+          styles.dayInner,
+          color && { backgroundColor: color },
+          isFuture && styles.dayFuture
+        ]}>
+          <Text style={[styles.dayText, color && styles.dayTextMarked]}>
+            {format(cell.day, 'd')}
+          </Text>
+          {entry && <Text style={styles.dayStatus}>{status}{pieceLines > 0 ? `+${pieceLines}` : ''}</Text>}
+          {cell.paid > 0 && <View style={styles.paymentDot} />}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Surface style={styles.container} elevation={1}>
+      <View style={styles.monthHeader}>
+        <IconButton icon="chevron-left" onPress={() => onMonthChange(subMonths(month, 1))} />
+        <Text style={styles.monthTitle}>{format(month, 'MMMM yyyy')}</Text>
+        <IconButton
+          icon="chevron-right"
+          onPress={() => onMonthChange(addMonths(month, 1))}
+          disabled={isAfter(addMonths(monthStart, 1), today)}
+        />
+      </View>
+
+      <View style={styles.weekRow}>
+        {WEEKDAYS.map(d => (
+          <Text key={d} style={styles.weekday}>{d}</Text>
+        ))}
+      </View>
+      <View style={styles.grid}>
+        {days.map(renderDay)}
+      </View>
+
+      <View style={styles.legendRow}>
+        {[['P', 'Present'], ['H', 'Half day'], ['A', 'Absent']].map(([key, label]) => (
+          <View key={key} style={styles.legendItem}>
+            <View style={[styles.legendSwatch, { backgroundColor: STATUS_COLORS[key] }]} />
+            <Text style={styles.legendText}>{label}</Text>
+          </View>
+        ))}
+        <View style={styles.legendItem}>
+          <View style={[styles.paymentDot, styles.legendDot]} />
+          <Text style={styles.legendText}>Paid</Text>
+        </View>
+      </View>
+
+      <View style={styles.totalsRow}>
+        <View style={styles.totalItem}>
+          <Text style={[styles.totalValue, { color: STATUS_COLORS.P }]}>{ledger.attendance.present}</Text>
+          <Text style={styles.totalLabel}>P</Text>
+        </View>
+        <View style={styles.totalItem}>
+          <Text style={[styles.totalValue, { color: STATUS_COLORS.H }]}>{ledger.attendance.halfDay}</Text>
+          <Text style={styles.totalLabel}>H</Text>
+        </View>
+        <View style={styles.totalItem}>
+          <Text style={[styles.totalValue, { color: STATUS_COLORS.A }]}>{ledger.attendance.absent}</Text>
+          <Text style={styles.totalLabel}>A</Text>
+        </View>
+        <View style={styles.totalItem}>
+          <Text style={styles.totalValue}>{formatBalance(ledger.totalEarnings)}</Text>
+          <Text style={styles.totalLabel}>Earned</Text>
+        </View>
+        <View style={styles.totalItem}>
+          <Text style={styles.totalValue}>{formatBalance(ledger.totalPayments)}</Text>
+          <Text style={styles.totalLabel}>Paid</Text>
+        </View>
+      </View>
+      <Text style={styles.hint}>Tap a day to edit · Long-press an empty day to add</Text>
+    </Surface>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    margin: 16,
+    borderRadius: 12,
+    padding: 8,
+    backgroundColor: '#fff',
+  },
+  monthHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  monthTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2c3e50',
+  },
+  weekRow: {
+    flexDirection: 'row',
+  },
+  weekday: {
+    width: `${100 / 7}%`,
+    textAlign: 'center',
+    fontSize: 12,
+    color: '#7f8c8d',
+    marginBottom: 4,
+  },
+  grid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  dayCell: {
+    width: `${100 / 7}%`,
+    aspectRatio: 1,
+    padding: 2,
+  },
+  dayInner: {
+    flex: 1,
+    borderRadius: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#f5f6f7',
+  },
+  dayFuture: {
+    opacity: 0.4,
+  },
+  dayText: {
+    fontSize: 14,
+    color: '#2c3e50',
+  },
+  dayTextMarked: {
+    color: '#fff',
+    fontWeight: '700',
+  },
+  dayStatus: {
+    fontSize: 10,
+    color: '#fff',
+  },
+  paymentDot: {
+    position: 'absolute',
+    top: 4,
+    right: 4,
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#2c3e50',
+  },
+  legendRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 6,
+  },
+  legendSwatch: {
+    width: 12,
+    height: 12,
+    borderRadius: 3,
+    marginRight: 4,
+  },
+  legendDot: {
+    position: 'relative',
+    top: 0,
+    right: 0,
+    marginRight: 4,
+  },
+  legendText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  totalsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    marginTop: 12,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  totalItem: {
+    alignItems: 'center',
+  },
+  totalValue: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#2c3e50',
+  },
+  totalLabel: {
+    fontSize: 11,
+    color: '#7f8c8d',
+  },
+  hint: {
+    fontSize: 11,
+    color: '#95a5a6',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+});
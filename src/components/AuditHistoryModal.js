@@ -0,0 +1,101 @@
+import React from 'react';
+import { View, StyleSheet, ScrollView } from 'react-native';
+import { Text, Button, Portal, Dialog, Surface } from 'react-native-paper';
+import { format, parseISO } from 'date-fns';
+import { describeAuditRecord, getChangedFields, canUndo } from '../utils/audit';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '-';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Audit history list (latest first) with an Undo button on changes that can still be reverted.
+ * Used for a worker's history and for a single transaction's history.
+ */
+export default function AuditHistoryModal({ visible, title, records, state, onDismiss, onUndo }) {
+  return (
+    <Portal>
+      <Dialog visible={visible} onDismiss={onDismiss} style={styles.dialog}>
+        <Dialog.Title>{title}</Dialog.Title>
+        <Dialog.ScrollArea style={styles.scrollArea}>
+          <ScrollView contentContainerStyle={styles.scrollContent}>
+            {records.length === 0 ? (
+              <Text style={styles.emptyText}>No changes recorded yet</Text>
+            ) : (
+              records.map(record => {
+                const fields = getChangedFields(record);
+                const undoable = onUndo && record.action !== 'UNDO' && canUndo(state, record.txId).valid;
+                return (
+                  <Surface key={record.id} style={styles.recordCard} elevation={1}>
+                    <View style={styles.recordHeader}>
+                      <Text style={styles.recordTime}>
+                        {format(parseISO(record.at), 'dd/MM/yyyy HH:mm')} · {record.actor}
+                      </Text>
+                      {undoable && (
+                        <Button compact onPress={() => onUndo(record.txId)}>Undo</Button>
+                      )}
+                    </View>
+                    <Text style={styles.recordText}>{describeAuditRecord(record)}</Text>
+                    {fields.map(({ field, before, after }) => (
+                      <Text key={field} style={styles.fieldText}>
+                        {field}: {formatValue(before)} → {formatValue(after)}
+                      </Text>
+                    ))}
+                  </Surface>
+                );
+              })
+            )}
+          </ScrollView>
+        </Dialog.ScrollArea>
+        <Dialog.Actions>
+          <Button onPress={onDismiss}>Close</Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+}
+
+const styles = StyleSheet.create({
+  dialog: {
+    maxHeight: '90%',
+  },
+  scrollArea: {
+    maxHeight: 500,
+  },
+  scrollContent: {
+    paddingVertical: 8,
+  },
+  emptyText: {
+    textAlign: 'center',
+    color: '#7f8c8d',
+    paddingVertical: 24,
+  },
+  recordCard: {
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 8,
+    backgroundColor: '#fff',
+  },
+  recordHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  recordTime: {
+    fontSize: 12,
+    color: '#7f8c8d',
+  },
+  recordText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2c3e50',
+    marginTop: 2,
+  },
+  fieldText: {
+    fontSize: 12,
+    color: '#495057',
+    marginTop: 2,
+  },
+});
@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { KeyboardAwareScrollView } from 'react-native-keyboard-aware-scroll-view';
+import {
+  Text,
+  Button,
+  TextInput,
+  Portal,
+  Dialog,
+  Chip,
+  Surface
+} from 'react-native-paper';
+import AutoBackupManager from '../utils/autoBackupManager';
+import {
+  BACKUP_TARGETS,
+  DEFAULT_RETENTION,
+  getBackupTarget,
+  validateTargetSettings,
+  loadTargetSettings,
+  saveTargetSettings,
+  clearTargetSettings,
+} from '../utils/backupTargets';
+
+export default function BackupTargetDialog({ visible, onDismiss, onSaved }) {
+  const [type, setType] = useState('github');
+  const [config, setConfig] = useState({});
+  const [retention, setRetention] = useState(String(DEFAULT_RETENTION));
+  const [hasSaved, setHasSaved] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null); // { error: boolean, text }
+
+  useEffect(() => {
+    if (!visible) return;
+    setMessage(null);
+    loadTargetSettings().then(saved => {
+      setHasSaved(!!saved);
+      setType(saved?.type || 'github');
+      setConfig(saved?.config || {});
+      setRetention(String(saved?.retention || DEFAULT_RETENTION));
+    });
+  }, [visible]);
+
+  const target = getBackupTarget(type);
+  const settings = { type, config, retention };
+
+  const changeType = (nextType) => {
+    setType(nextType);
+    setConfig({});
+    setMessage(null);
+  };
+
+  const chooseFolder = async () => {
+    const directoryUri = await target.pickFolder();
+    if (directoryUri) setConfig(c => ({ ...c, directoryUri }));
+  };
+
+  const handleTest = async () => {
+    const validation = validateTargetSettings(settings);
+    if (!validation.valid) {
+      setMessage({ error: true, text: validation.error });
+      return;
+    }
+    setBusy(true);
+    const result = await AutoBackupManager.testConnection(settings);
+    setBusy(false);
+    setMessage(result.success
+      ? { error: false, text: `✅ ${result.message}` }
+      : { error: true, text: result.error });
+  };
+
+  const handleSave = async () => {
+    setBusy(true);
+    const result = await saveTargetSettings(settings);
+    setBusy(false);
+    if (!result.success) {
+      setMessage({ error: true, text: result.error });
+      return;
+    }
+    onSaved(`Auto-backup will go to: ${target.label}`);
+  };
+
+  const handleRemove = async () => {
+    setBusy(true);
+    await clearTargetSettings();
+    setBusy(false);
+    onSaved('Auto-backup target removed');
+  };
+
+  return (
+    <Portal>
+      <Dialog visible={visible} onDismiss={onDismiss} style={styles.dialog}>
+        <Dialog.Title>Auto-Backup Target</Dialog.Title>
+        <Dialog.ScrollArea style={styles.scrollArea}>
+          <KeyboardAwareScrollView contentContainerStyle={styles.scrollContent} extraScrollHeight={60} enableOnAndroid={true} keyboardShouldPersistTaps="handled">
+            <View style={styles.chipRow}>
+              {Object.entries(BACKUP_TARGETS).map(([key, value]) => (
+                <Chip
+                  key={key}
+                  selected={type === key}
+                  onPress={() => changeType(key)}
+                  style={styles.chip}
+                >
+                  {value.label}
+                </Chip>
+              ))}
+            </View>
+
+            {target.fields.map(field => (
+              <TextInput
+                key={field.key}
+                label={`${field.label}${field.optional ? ' (optional)' : ''}`}
+                placeholder={field.placeholder}
+                value={config[field.key] || ''}
+                onChangeText={value => setConfig(c => ({ ...c, [field.key]: value }))}
+                secureTextEntry={!!field.secret}
+                autoCapitalize="none"
+                autoCorrect={false}
+                mode="outlined"
+                style={styles.input}
+              />
+            ))}
+
+            {type === 'local' && (
+              <>
+                <Text style={styles.helpText}>
+                  {config.directoryUri
+                    ? `Folder: ${decodeURIComponent(config.directoryUri).split(':').pop()}`
+                    : 'No folder chosen. Backups stay in the app\'s own folder and are lost if the app is uninstalled.'}
+                </Text>
+                <Button mode="outlined" icon="folder-outline" onPress={chooseFolder} style={styles.input}>
+                  Choose Folder
+                </Button>
+              </>
+            )}
+
+            <TextInput
+              label="Snapshots to keep"
+              value={retention}
+              onChangeText={setRetention}
+              keyboardType="numeric"
+              mode="outlined"
+              style={styles.input}
+            />
+            <Text style={styles.helpText}>
+              Every auto-backup is saved as a new dated file. Older files beyond this count are deleted.
+            </Text>
+
+            {message && (
+              <Surface style={message.error ? styles.errorSurface : styles.okSurface} elevation={1}>
+                <Text style={message.error ? styles.errorText : styles.okText}>{message.text}</Text>
+              </Surface>
+            )}
+          </KeyboardAwareScrollView>
+        </Dialog.ScrollArea>
+        <Dialog.Actions>
+          {hasSaved && (
+            <Button onPress={handleRemove} disabled={busy} textColor="#e74c3c">Remove</Button>
+          )}
+          <Button onPress={handleTest} disabled={busy} loading={busy}>Test</Button>
+          <Button onPress={onDismiss} disabled={busy}>Cancel</Button>
+          <Button mode="contained" onPress={handleSave} disabled={busy}>
+            Save
+          </Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+}
+
+const styles = StyleSheet.create({
+  dialog: {
+    maxHeight: '95%',
+  },
+  scrollArea: {
+    maxHeight: 600,
+  },
+  scrollContent: {
+    paddingTop: 8,
+    paddingBottom: 20,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  input: {
+    marginBottom: 8,
+  },
+  helpText: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginBottom: 8,
+  },
+  errorSurface: {
+    backgroundColor: '#ffebee',
+    padding: 12,
+    borderRadius: 8,
+    marginTop: 8,
+  },
+  errorText: {
+    color: '#c62828',
+    fontSize: 14,
+  },
+  okSurface: {
+    backgroundColor: '#e8f5e9',
+    padding: 12,
+    borderRadius: 8,
+    marginTop: 8,
+  },
+  okText: {
+    color: '#2e7d32',
+    fontSize: 14,
+  },
+});
@@ -1,8 +1,9 @@
 ﻿import React, { useEffect, useRef } from "react";
 import { View, Text, StyleSheet, Animated, Dimensions } from "react-native";
-import { formatBalance } from "../utils/balance";
+import { useI18n } from "../utils/I18nProvider";
 
 export default function BalanceCard({ balance = 0 }) {
+  const { t, formatCurrency } = useI18n();
   const prevBalance = useRef(balance);
   const colorAnim = useRef(new Animated.Value(0)).current;
   const fadeAnim = useRef(new Animated.Value(1)).current;
@@ -59,9 +60,9 @@ export default function BalanceCard({ balance = 0 }) {
         opacity: fadeAnim 
       }
     ]}> 
-      <Text style={[styles.title, { color: '#333' }]}>Current Balance</Text>
+      <Text style={[styles.title, { color: '#333' }]}>{t('common.currentBalance')}</Text>
       <Animated.Text style={[styles.amount, { color: animatedColor }]}>
-        {formatBalance(balance)}
+        {formatCurrency(balance)}
       </Animated.Text>
     </Animated.View>
   );
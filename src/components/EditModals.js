@@ -15,13 +15,42 @@ import RNPickerSelect from 'react-native-picker-select';
 import { TouchableOpacity } from 'react-native';
 import { format, parseISO } from 'date-fns';
 import { validateEntry, validatePayment } from '../utils/balance';
+import { PAYMENT_KINDS, getPaymentKind } from '../utils/ledger';
+import { getOvertimeRate, getOvertimeFields } from '../utils/overtime';
+import { getItemRate } from '../utils/workItems';
+import { getRateInForce, getRateAmounts } from '../utils/wageRates';
+import { getSelectableSites } from '../utils/sites';
+
+// Shown only once sites exist; inactive sites stay listed for records already booked to them
+function SitePicker({ state, value, onChange }) {
+  const sites = getSelectableSites(state, value);
+  if (sites.length === 0) return null;
+  return (
+    <>
+      <Text style={styles.label}>Site</Text>
+      <View style={styles.pickerContainer}>
+        <RNPickerSelect
+          placeholder={{ label: 'No site', value: null }}
+          items={sites.map(s => ({ label: s.name, value: s.id, key: s.id }))}
+          onValueChange={onChange}
+          value={value}
+          style={{
+            inputIOS: styles.pickerInput,
+            inputAndroid: styles.pickerInput,
+          }}
+        />
+      </View>
+    </>
+  );
+}
 
 export function EditEntryModal({ 
   visible, 
   entry, 
   state, 
   onDismiss, 
-  onSave 
+  onSave,
+  title = 'Edit Entry'
 }) {
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
@@ -37,8 +66,13 @@ export function EditEntryModal({
   const [workName, setWorkName] = useState('');
   const [units, setUnits] = useState('');
   const [ratePerUnit, setRatePerUnit] = useState('');
+  const [workItemId, setWorkItemId] = useState(null);
+  const [siteId, setSiteId] = useState(null);
   const [amount, setAmount] = useState('');
   const [narration, setNarration] = useState('');
+  const [hoursWorked, setHoursWorked] = useState('');
+  const [overtimeHours, setOvertimeHours] = useState('');
+  const [overtimeRate, setOvertimeRate] = useState('');
 
   // Initialize form with entry data
   useEffect(() => {
@@ -51,8 +85,16 @@ export function EditEntryModal({
       setWorkName(entry.originalData.workName || '');
       setUnits(entry.originalData.units?.toString() || '');
       setRatePerUnit(entry.originalData.ratePerUnit?.toString() || '');
+      setWorkItemId(entry.originalData.workItemId || null);
+      setSiteId(entry.originalData.siteId || null);
       setAmount(Math.abs(entry.amount).toString());
       setNarration(entry.originalData.narration || '');
+      setHoursWorked(entry.originalData.hoursWorked?.toString() || '');
+      setOvertimeHours(entry.originalData.overtimeHours?.toString() || '');
+      // Keep the rate the entry was saved with; new overtime uses the worker's current rate
+      const worker = (state.workers || []).find(w => w.id === entry.originalData.workerId);
+      const rate = entry.originalData.overtimeRate ?? getOvertimeRate(worker, state);
+      setOvertimeRate(rate ? rate.toString() : '');
       setErrors({});
     }
   }, [entry, visible]);
@@ -97,10 +139,36 @@ export function EditEntryModal({
       workName: workType === 'B' && status !== 'A' ? workName : null,
       units: workType === 'B' && status !== 'A' ? Number(units) || 0 : null,
       ratePerUnit: workType === 'B' && status !== 'A' ? Number(ratePerUnit) || 0 : null,
+      workItemId: workType === 'B' && status !== 'A' ? workItemId : null,
+      siteId: status === 'A' ? null : siteId,
+      unit: workType === 'B' && status !== 'A' && workItemId
+        ? (state.workItems || []).find(i => i.id === workItemId)?.unit || entry.originalData.unit || null
+        : null,
       amount: status === 'A' ? 0 : Number(amount) || 0,
       narration: status === 'A' ? '' : narration,
+      ...getOvertimeFields({ status, hoursWorked, overtimeHours, overtimeRate }),
     };
 
+    // A changed amount is no longer the wage-rate amount; otherwise the half-day amount is
+    // re-derived from the wage rate, so P → H picks up the worker's half-day rate
+    const original = entry.originalData;
+    if (status === 'A' || workType !== 'A') {
+      updatedEntry.amountSource = null;
+      updatedEntry.halfDayAmount = null;
+    } else if (updatedEntry.amount !== Number(original.amount || 0)) {
+      updatedEntry.amountSource = 'manual';
+      updatedEntry.halfDayAmount = null;
+    } else {
+      const worker = (state.workers || []).find(w => w.id === original.workerId);
+      const rateAmounts = getRateAmounts(
+        getRateInForce(worker, { date, categoryId: updatedEntry.categoryId, subcategoryId: updatedEntry.subcategoryId }),
+        status
+      );
+      updatedEntry.halfDayAmount = original.amountSource !== 'manual' && rateAmounts?.amount === updatedEntry.amount
+        ? rateAmounts.halfDayAmount
+        : null;
+    }
+
     // Validate
     const validation = validateEntry(updatedEntry, state);
     if (!validation.valid) {
@@ -146,7 +214,7 @@ export function EditEntryModal({
         onDismiss={onDismiss}
         style={styles.dialog}
       >
-        <Dialog.Title>Edit Entry</Dialog.Title>
+        <Dialog.Title>{title}</Dialog.Title>
         <Dialog.ScrollArea style={styles.scrollArea}>
           <KeyboardAwareScrollView contentContainerStyle={styles.scrollContent} extraScrollHeight={60} enableOnAndroid={true} keyboardShouldPersistTaps="handled">
             {errors.general && (
@@ -184,6 +252,8 @@ export function EditEntryModal({
 
             {!isAbsent && (
               <>
+                <SitePicker state={state} value={siteId} onChange={setSiteId} />
+
                 {/* Work Type */}
                 <Text style={styles.label}>Work Type</Text>
                 <View style={styles.chipRow}>
@@ -250,6 +320,32 @@ export function EditEntryModal({
 
                 {workType === 'B' && (
                   <>
+                    {/* Piece work item */}
+                    <Text style={styles.label}>Item</Text>
+                    <View style={styles.pickerContainer}>
+                      <RNPickerSelect
+                        placeholder={{ label: 'Custom work', value: null }}
+                        items={(state.workItems || []).map(i => ({
+                          label: `${i.name} (₹${i.defaultRate}/${i.unit})`,
+                          value: i.id,
+                          key: i.id
+                        }))}
+                        onValueChange={(value) => {
+                          setWorkItemId(value);
+                          const item = (state.workItems || []).find(i => i.id === value);
+                          if (item) {
+                            setWorkName(item.name);
+                            setRatePerUnit(getItemRate(item, date).toString());
+                          }
+                        }}
+                        value={workItemId}
+                        style={{
+                          inputIOS: styles.pickerInput,
+                          inputAndroid: styles.pickerInput,
+                        }}
+                      />
+                    </View>
+
                     {/* Work Name */}
                     <Text style={styles.label}>Work Name</Text>
                     <TextInput
@@ -257,6 +353,7 @@ export function EditEntryModal({
                       onChangeText={setWorkName}
                       style={styles.input}
                       mode="outlined"
+                      editable={!workItemId}
                       error={!!errors.workName}
                     />
                     {errors.workName && <Text style={styles.fieldError}>{errors.workName}</Text>}
@@ -304,6 +401,44 @@ export function EditEntryModal({
                   editable={!(workType === 'B' && units && ratePerUnit)}
                 />
 
+                {/* Hours and overtime */}
+                <View style={styles.rowInputs}>
+                  <View style={styles.halfInput}>
+                    <Text style={styles.label}>Hours Worked</Text>
+                    <TextInput
+                      value={hoursWorked}
+                      onChangeText={setHoursWorked}
+                      style={styles.input}
+                      mode="outlined"
+                      keyboardType="numeric"
+                      placeholder="Optional"
+                    />
+                  </View>
+                  <View style={styles.halfInput}>
+                    <Text style={styles.label}>Overtime Hours</Text>
+                    <TextInput
+                      value={overtimeHours}
+                      onChangeText={setOvertimeHours}
+                      style={styles.input}
+                      mode="outlined"
+                      keyboardType="numeric"
+                      placeholder="0"
+                    />
+                  </View>
+                </View>
+                {Number(overtimeHours) > 0 && (
+                  <>
+                    <Text style={styles.label}>Overtime Rate per Hour</Text>
+                    <TextInput
+                      value={overtimeRate}
+                      onChangeText={setOvertimeRate}
+                      style={styles.input}
+                      mode="outlined"
+                      keyboardType="numeric"
+                    />
+                  </>
+                )}
+
                 {/* Narration */}
                 <Text style={styles.label}>Narration</Text>
                 <TextInput
@@ -349,6 +484,7 @@ export function EditEntryModal({
 export function EditPaymentModal({ 
   visible, 
   payment, 
+  state = null,
   onDismiss, 
   onSave 
 }) {
@@ -360,6 +496,8 @@ export function EditPaymentModal({
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [amount, setAmount] = useState('');
   const [paymentType, setPaymentType] = useState('Cash');
+  const [kind, setKind] = useState('wage');
+  const [siteId, setSiteId] = useState(null);
   const [notes, setNotes] = useState('');
 
   // Initialize form with payment data
@@ -368,7 +506,9 @@ export function EditPaymentModal({
       setDate(parseISO(payment.date));
       setAmount(Math.abs(payment.amount).toString());
       setPaymentType(payment.originalData.paymentType || 'Cash');
+      setKind(getPaymentKind(payment.originalData));
       setNotes(payment.originalData.notes || '');
+      setSiteId(payment.originalData.siteId || null);
       setErrors({});
     }
   }, [payment, visible]);
@@ -381,12 +521,14 @@ export function EditPaymentModal({
       ...payment.originalData,
       date: format(date, 'yyyy-MM-dd'),
       amount: Number(amount) || 0,
-      paymentType,
+      paymentType: kind === 'deduction' || kind === 'loan_repayment' ? 'Deduction' : (paymentType === 'Deduction' ? 'Cash' : paymentType),
+      kind,
+      siteId,
       notes,
     };
 
     // Validate
-    const validation = validatePayment(updatedPayment);
+    const validation = validatePayment(updatedPayment, state);
     if (!validation.valid) {
       setErrors({ general: validation.error });
       setLoading(false);
@@ -439,7 +581,25 @@ export function EditPaymentModal({
               keyboardType="numeric"
             />
 
+            {/* Kind */}
+            <Text style={styles.label}>Kind</Text>
+            <View style={styles.chipRow}>
+              {Object.entries(PAYMENT_KINDS).map(([key, value]) => (
+                <Chip
+                  key={key}
+                  mode={kind === key ? 'flat' : 'outlined'}
+                  selected={kind === key}
+                  onPress={() => setKind(key)}
+                  style={styles.chip}
+                >
+                  {value.label}
+                </Chip>
+              ))}
+            </View>
+
             {/* Payment Type */}
+            {kind !== 'deduction' && kind !== 'loan_repayment' && (
+            <>
             <Text style={styles.label}>Payment Type</Text>
             <View style={styles.chipRow}>
               {['Cash', 'Bank Transfer', 'UPI', 'Card'].map(type => (
@@ -454,6 +614,10 @@ export function EditPaymentModal({
                 </Chip>
               ))}
             </View>
+            </>
+            )}
+
+            <SitePicker state={state} value={siteId} onChange={setSiteId} />
 
             {/* Notes */}
             <Text style={styles.label}>Notes</Text>
@@ -0,0 +1,383 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { View, StyleSheet, TouchableOpacity } from 'react-native';
+import RNPickerSelect from 'react-native-picker-select';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { Text, Button, TextInput, Card } from 'react-native-paper';
+import { format } from 'date-fns';
+import { validateEntry } from '../utils/balance';
+import { isPieceLine } from '../utils/ledger';
+import { getRateInForce, getRateAmounts } from '../utils/wageRates';
+import { getSelectableSites } from '../utils/sites';
+import { getActiveWorkers } from '../utils/workers';
+
+const STATUS_COLORS = {
+  P: { bg: '#27ae60', color: '#fff' },
+  H: { bg: '#fdcb6e', color: '#222' },
+  A: { bg: '#e74c3c', color: '#fff' },
+};
+
+/**
+ * Roster mode for the Entry screen: one row per worker for a single date,
+ * saved as a single batch ADD_ENTRY dispatch.
+ */
+export default function RosterAttendance({ state, dispatch, onMessage }) {
+  const workers = useMemo(() => getActiveWorkers(state.workers), [state.workers]);
+  const [date, setDate] = useState(new Date());
+  const [showDatePicker, setShowDatePicker] = useState(false);
+  const [categoryId, setCategoryId] = useState(null);
+  const [subcategoryId, setSubcategoryId] = useState(null);
+  const [siteId, setSiteId] = useState(null);
+  const sites = getSelectableSites(state);
+  // { [workerId]: { status, amount } } - amount is only set when overridden
+  const [rows, setRows] = useState({});
+  const [saving, setSaving] = useState(false);
+  // { [workerId]: error } for rows the last save rejected; they stay on screen to be fixed
+  const [rejected, setRejected] = useState({});
+
+  const dateStr = format(date, 'yyyy-MM-dd');
+
+  const subcategories = (state.subcategories || []).filter(s => {
+    if (!categoryId) return false;
+    if (s.categoryIds && Array.isArray(s.categoryIds)) return s.categoryIds.includes(categoryId);
+    if (s.categoryId) return s.categoryId === categoryId;
+    return false;
+  });
+
+  useEffect(() => {
+    setSubcategoryId(null);
+  }, [categoryId]);
+
+  useEffect(() => {
+    setRejected({});
+  }, [dateStr]);
+
+  // Piece lines alone do not count: those workers still need their attendance line
+  const recordedIds = useMemo(() => new Set(
+    (state.entries || []).filter(e => e.date === dateStr && !isPieceLine(e)).map(e => e.workerId)
+  ), [state.entries, dateStr]);
+
+  const getRow = (workerId) => rows[workerId] || { status: 'P', amount: null };
+
+  const updateRow = (workerId, changes) => {
+    setRows(prev => ({ ...prev, [workerId]: { status: 'P', amount: null, ...prev[workerId], ...changes } }));
+    setRejected(({ [workerId]: _fixed, ...rest }) => rest);
+  };
+
+  const markAll = (status) => {
+    const next = {};
+    workers.forEach(w => { next[w.id] = { ...getRow(w.id), status }; });
+    setRows(next);
+  };
+
+  const getRowRate = (worker, status) => {
+    const rate = getRateInForce(worker, { date: dateStr, categoryId, subcategoryId });
+    return { rate, rateAmounts: getRateAmounts(rate, status) };
+  };
+
+  const buildEntry = (worker, index, baseId) => {
+    const { status, amount } = getRow(worker.id);
+    const { rate, rateAmounts } = getRowRate(worker, status);
+    const overridden = amount !== null && amount !== undefined;
+    const finalAmount = status === 'A' ? 0 : Number(overridden ? amount : rateAmounts?.amount) || 0;
+    const fromRate = status !== 'A' && !!rateAmounts && (!overridden || Number(amount) === rateAmounts.amount);
+    return {
+      id: `${baseId + index}`,
+      workerId: worker.id,
+      date: dateStr,
+      status,
+      workType: 'A',
+      categoryId: status === 'A' ? null : categoryId,
+      subcategoryId: status === 'A' ? null : subcategoryId,
+      siteId: status === 'A' ? null : siteId,
+      workName: null,
+      units: null,
+      ratePerUnit: null,
+      amount: finalAmount,
+      narration: '',
+      amountSource: status === 'A' ? null : (fromRate ? 'rate' : 'manual'),
+      wageRateId: status !== 'A' && rate ? rate.id : null,
+      rateAmount: status !== 'A' && rateAmounts ? rateAmounts.amount : null,
+      halfDayAmount: fromRate ? rateAmounts.halfDayAmount : null,
+    };
+  };
+
+  const handleSave = () => {
+    const pending = workers.filter(w => !recordedIds.has(w.id));
+    if (pending.length === 0) {
+      onMessage('Attendance already recorded for everyone on this date.');
+      return;
+    }
+
+    setSaving(true);
+    const baseId = Date.now();
+    const batch = [];
+    const errors = {};
+    let skipped = 0;
+    // Validate each row against existing entries plus the batch built so far;
+    // valid rows are saved and rejected ones stay highlighted
+    for (const [index, worker] of pending.entries()) {
+      const entry = buildEntry(worker, index, baseId);
+      const validation = validateEntry(entry, { ...state, entries: [...(state.entries || []), ...batch] });
+      if (!validation.valid) {
+        if (validation.error && validation.error.toLowerCase().includes('attendance already recorded')) {
+          skipped++;
+          continue;
+        }
+        errors[worker.id] = validation.error;
+        continue;
+      }
+      batch.push(entry);
+    }
+
+    if (batch.length > 0) {
+      dispatch({ type: 'ADD_ENTRY', payload: batch });
+    }
+    const rejectedNames = pending.filter(w => errors[w.id]).map(w => w.name);
+    console.log(`📋 Roster saved: ${batch.length} entries, ${skipped} duplicates skipped, ${rejectedNames.length} rejected`);
+    onMessage(`Saved ${batch.length} entries${skipped ? `, skipped ${skipped} already recorded` : ''}.`
+      + (rejectedNames.length ? ` Not saved: ${rejectedNames.join(', ')}.` : ''));
+    setRows(prev => Object.fromEntries(Object.entries(prev).filter(([workerId]) => errors[workerId])));
+    setRejected(errors);
+    setSaving(false);
+  };
+
+  const counts = workers.reduce((acc, w) => {
+    if (!recordedIds.has(w.id)) acc[getRow(w.id).status]++;
+    return acc;
+  }, { P: 0, H: 0, A: 0 });
+
+  return (
+    <Card style={styles.card}>
+      <Text style={styles.label}>Date</Text>
+      <TouchableOpacity onPress={() => setShowDatePicker(true)} style={styles.datePickerBtn} activeOpacity={0.7}>
+        <Text style={styles.dateText}>{format(date, 'dd/MM/yyyy')}</Text>
+      </TouchableOpacity>
+      {showDatePicker && (
+        <DateTimePicker
+          value={date}
+          mode="date"
+          display="default"
+          onChange={(e, d) => { setShowDatePicker(false); if (d) setDate(d); }}
+          maximumDate={new Date()}
+        />
+      )}
+
+      {sites.length > 0 && (
+        <>
+          <Text style={styles.label}>Site</Text>
+          <View style={styles.dropdownRow}>
+            <RNPickerSelect
+              placeholder={{ label: 'No site', value: null, color: '#888' }}
+              items={sites.map(s => ({ label: s.name, value: s.id, key: s.id }))}
+              onValueChange={setSiteId}
+              value={siteId}
+              style={{ inputIOS: styles.dropdownInput, inputAndroid: styles.dropdownInput, placeholder: { color: '#888' } }}
+              useNativeAndroidPickerStyle={false}
+            />
+          </View>
+        </>
+      )}
+
+      <Text style={styles.label}>Default Category</Text>
+      <View style={styles.dropdownRow}>
+        <RNPickerSelect
+          placeholder={{ label: 'Select Category', value: null, color: '#888' }}
+          items={(state.categories || []).map(c => ({ label: c.category, value: c.id, key: c.id }))}
+          onValueChange={setCategoryId}
+          value={categoryId}
+          style={{ inputIOS: styles.dropdownInput, inputAndroid: styles.dropdownInput, placeholder: { color: '#888' } }}
+          useNativeAndroidPickerStyle={false}
+        />
+      </View>
+      <Text style={styles.label}>Default Subcategory</Text>
+      <View style={styles.dropdownRow}>
+        <RNPickerSelect
+          placeholder={{ label: 'Select Subcategory', value: null, color: '#888' }}
+          items={subcategories.map(s => ({ label: s.subcategory || s.subcategoryName, value: s.id, key: s.id }))}
+          onValueChange={setSubcategoryId}
+          value={subcategoryId}
+          style={{ inputIOS: styles.dropdownInput, inputAndroid: styles.dropdownInput, placeholder: { color: '#888' } }}
+          disabled={!categoryId || subcategories.length === 0}
+          useNativeAndroidPickerStyle={false}
+        />
+      </View>
+
+      <View style={styles.markAllRow}>
+        <Text style={styles.label}>Crew ({counts.P} P · {counts.H} H · {counts.A} A)</Text>
+        <View style={{ flexDirection: 'row' }}>
+          <Button compact onPress={() => markAll('P')}>All P</Button>
+          <Button compact onPress={() => markAll('A')}>All A</Button>
+        </View>
+      </View>
+
+      {workers.map(worker => {
+        const recorded = recordedIds.has(worker.id);
+        const { status, amount } = getRow(worker.id);
+        const { rateAmounts } = getRowRate(worker, status);
+        const shownAmount = amount !== null && amount !== undefined
+          ? amount
+          : (rateAmounts ? rateAmounts.amount.toString() : '');
+        const error = !recorded && rejected[worker.id];
+        return (
+          <View key={worker.id} style={[styles.rowWrap, error && styles.rowRejected]}>
+            <View style={[styles.row, recorded && styles.rowRecorded]}>
+              <Text style={styles.rowName} numberOfLines={1}>{worker.name}</Text>
+              {recorded ? (
+                <Text style={styles.recordedText}>Already recorded</Text>
+              ) : (
+                <>
+                  <View style={styles.statusGroup}>
+                    {['P', 'H', 'A'].map(opt => {
+                      const active = status === opt;
+                      return (
+                        <TouchableOpacity
+                          key={opt}
+                          style={[styles.statusBtn, active && { backgroundColor: STATUS_COLORS[opt].bg, borderColor: STATUS_COLORS[opt].bg }]}
+                          onPress={() => updateRow(worker.id, { status: opt })}
+                        >
+                          <Text style={[styles.statusText, active && { color: STATUS_COLORS[opt].color }]}>{opt}</Text>
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </View>
+                  <TextInput
+                    dense
+                    mode="outlined"
+                    value={status === 'A' ? '' : shownAmount}
+                    onChangeText={v => updateRow(worker.id, { amount: v })}
+                    keyboardType="numeric"
+                    placeholder="Amount"
+                    editable={status !== 'A'}
+                    style={styles.amountInput}
+                  />
+                </>
+              )}
+            </View>
+            {error ? <Text style={styles.rejectedText}>⚠️ {error}</Text> : null}
+          </View>
+        );
+      })}
+
+      <Button
+        mode="contained"
+        style={styles.saveBtn}
+        onPress={handleSave}
+        loading={saving}
+        disabled={saving || workers.length === 0}
+      >
+        Save Roster
+      </Button>
+    </Card>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    borderRadius: 16,
+    padding: 18,
+    backgroundColor: '#fff',
+    elevation: 3,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.10,
+    shadowRadius: 6,
+    marginBottom: 24,
+  },
+  label: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginBottom: 6,
+    marginTop: 10,
+    color: '#2c3e50',
+  },
+  datePickerBtn: {
+    backgroundColor: '#f7f7fa',
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  dateText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  dropdownRow: {
+    marginBottom: 8,
+  },
+  dropdownInput: {
+    fontSize: 16,
+    paddingVertical: 12,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: '#f7f7fa',
+    color: '#333',
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  markAllRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  rowWrap: {
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  rowRejected: {
+    backgroundColor: '#fdecea',
+    borderLeftWidth: 3,
+    borderLeftColor: '#e74c3c',
+    paddingLeft: 6,
+  },
+  rejectedText: {
+    fontSize: 12,
+    color: '#c0392b',
+    paddingBottom: 6,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  rowRecorded: {
+    opacity: 0.5,
+  },
+  rowName: {
+    flex: 1,
+    fontSize: 15,
+    color: '#2c3e50',
+    fontWeight: '500',
+  },
+  recordedText: {
+    fontSize: 12,
+    color: '#666',
+    fontStyle: 'italic',
+  },
+  statusGroup: {
+    flexDirection: 'row',
+    marginRight: 8,
+  },
+  statusBtn: {
+    width: 32,
+    height: 32,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#d1d1d1',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginHorizontal: 2,
+    backgroundColor: '#fff',
+  },
+  statusText: {
+    fontWeight: '600',
+    color: '#222',
+  },
+  amountInput: {
+    width: 90,
+    backgroundColor: '#f7f7fa',
+  },
+  saveBtn: {
+    marginTop: 18,
+    borderRadius: 10,
+  },
+});
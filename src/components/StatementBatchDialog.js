@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { View, ScrollView, StyleSheet } from 'react-native';
+import { Text, Button, Portal, Dialog, Chip, Checkbox, Paragraph } from 'react-native-paper';
+import { getMessageTemplates, getDefaultTemplate } from '../utils/messageTemplates';
+import { getSelectableSites, UNASSIGNED_SITE_ID } from '../utils/sites';
+import { STATEMENT_PERIODS, getStatementPeriod, getStatementWorkers, buildStatementBatch } from '../utils/outbox';
+import { getDefaultCountry, getWorkerPhone, formatPhone } from '../utils/phone';
+
+/**
+ * Month-end statements: pick a period, template, channel and workers, then queue one
+ * Outbox message per worker in a single ADD_DEFERRED_MESSAGE dispatch.
+ */
+export default function StatementBatchDialog({ visible, state, defaultLanguage, onDismiss, onQueue }) {
+  const [period, setPeriod] = useState('last_month');
+  const [siteFilter, setSiteFilter] = useState('all');
+  const [onlyWithActivity, setOnlyWithActivity] = useState(true);
+  const [templateId, setTemplateId] = useState(null);
+  const [channel, setChannel] = useState('sms');
+  const [excluded, setExcluded] = useState(new Set());
+
+  useEffect(() => {
+    if (!visible) return;
+    setTemplateId(getDefaultTemplate(state, 'monthly_statement').id);
+    setExcluded(new Set());
+  }, [visible]);
+
+  const range = getStatementPeriod(period);
+  const workers = useMemo(
+    () => getStatementWorkers(state, { ...range, siteFilter, onlyWithActivity }),
+    [state.workers, state.entries, state.payments, range.fromDate, range.toDate, siteFilter, onlyWithActivity]
+  );
+  const selected = workers.filter(w => !excluded.has(w.id));
+  const country = getDefaultCountry(state);
+  const phoneOf = (w) => getWorkerPhone(w, channel, country);
+  const withoutPhone = selected.filter(w => !phoneOf(w).valid).length;
+  const sites = getSelectableSites(state);
+
+  const toggleWorker = (workerId) => {
+    setExcluded(prev => {
+      const next = new Set(prev);
+      if (next.has(workerId)) next.delete(workerId); else next.add(workerId);
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setExcluded(selected.length === workers.length ? new Set(workers.map(w => w.id)) : new Set());
+  };
+
+  const handleQueue = () => {
+    const messages = buildStatementBatch(state, selected.map(w => w.id), { ...range, templateId, channel, defaultLanguage });
+    onQueue(messages);
+  };
+
+  return (
+    <Portal>
+      <Dialog visible={visible} onDismiss={onDismiss} style={styles.dialog}>
+        <Dialog.Title>Monthly Statements</Dialog.Title>
+        <Dialog.ScrollArea style={styles.scrollArea}>
+          <ScrollView contentContainerStyle={styles.scrollContent}>
+            <Text style={styles.label}>Period</Text>
+            <View style={styles.chipRow}>
+              {Object.entries(STATEMENT_PERIODS).map(([key, { label }]) => (
+                <Chip key={key} selected={period === key} onPress={() => setPeriod(key)} style={styles.chip}>
+                  {label}
+                </Chip>
+              ))}
+            </View>
+            <Text style={styles.helpText}>{range.fromDate} to {range.toDate}</Text>
+
+            <Text style={styles.label}>Template</Text>
+            <View style={styles.chipRow}>
+              {getMessageTemplates(state, 'monthly_statement').map(t => (
+                <Chip key={t.id} selected={templateId === t.id} onPress={() => setTemplateId(t.id)} style={styles.chip}>
+                  {t.name}
+                </Chip>
+              ))}
+            </View>
+
+            <Text style={styles.label}>Send by</Text>
+            <View style={styles.chipRow}>
+              <Chip icon="message" selected={channel === 'sms'} onPress={() => setChannel('sms')} style={styles.chip}>SMS</Chip>
+              <Chip icon="whatsapp" selected={channel === 'whatsapp'} onPress={() => setChannel('whatsapp')} style={styles.chip}>WhatsApp</Chip>
+            </View>
+
+            {sites.length > 0 && (
+              <>
+                <Text style={styles.label}>Site</Text>
+                <View style={styles.chipRow}>
+                  <Chip selected={siteFilter === 'all'} onPress={() => setSiteFilter('all')} style={styles.chip}>All sites</Chip>
+                  {sites.map(s => (
+                    <Chip key={s.id} selected={siteFilter === s.id} onPress={() => setSiteFilter(s.id)} style={styles.chip}>
+                      {s.name}
+                    </Chip>
+                  ))}
+                  <Chip selected={siteFilter === UNASSIGNED_SITE_ID} onPress={() => setSiteFilter(UNASSIGNED_SITE_ID)} style={styles.chip}>
+                    Unassigned
+                  </Chip>
+                </View>
+              </>
+            )}
+
+            <Checkbox.Item
+              label="Only workers with entries or payments in the period"
+              status={onlyWithActivity ? 'checked' : 'unchecked'}
+              onPress={() => setOnlyWithActivity(v => !v)}
+              style={styles.checkboxItem}
+            />
+
+            <View style={styles.workersHeader}>
+              <Text style={styles.label}>Workers ({selected.length} of {workers.length})</Text>
+              {workers.length > 0 && (
+                <Button compact onPress={toggleAll}>
+                  {selected.length === workers.length ? 'Select none' : 'Select all'}
+                </Button>
+              )}
+            </View>
+            {workers.length === 0 ? (
+              <Paragraph style={styles.helpText}>No active workers match these filters.</Paragraph>
+            ) : (
+              workers.map(w => (
+                <Checkbox.Item
+                  key={w.id}
+                  label={phoneOf(w).valid ? `${w.name} · ${formatPhone(phoneOf(w).e164)}` : `${w.name} · ⚠️ ${w.phone || 'no phone'}`}
+                  status={excluded.has(w.id) ? 'unchecked' : 'checked'}
+                  onPress={() => toggleWorker(w.id)}
+                  style={styles.checkboxItem}
+                />
+              ))
+            )}
+
+            {withoutPhone > 0 && (
+              <Text style={styles.warningText}>
+                ⚠️ {withoutPhone} selected worker(s) have no usable phone number. Their statements are queued but can't be sent until a number is added.
+              </Text>
+            )}
+          </ScrollView>
+        </Dialog.ScrollArea>
+        <Dialog.Actions>
+          <Button onPress={onDismiss}>Cancel</Button>
+          <Button mode="contained" disabled={selected.length === 0} onPress={handleQueue}>
+            Queue {selected.length}
+          </Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+}
+
+const styles = StyleSheet.create({
+  dialog: {
+    maxHeight: '95%',
+  },
+  scrollArea: {
+    maxHeight: 560,
+  },
+  scrollContent: {
+    paddingTop: 8,
+    paddingBottom: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  helpText: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginBottom: 8,
+  },
+  warningText: {
+    fontSize: 13,
+    color: '#e65100',
+    marginTop: 8,
+  },
+  workersHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  checkboxItem: {
+    paddingHorizontal: 0,
+    paddingVertical: 2,
+  },
+});
@@ -0,0 +1,301 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, TouchableOpacity } from 'react-native';
+import { KeyboardAwareScrollView } from 'react-native-keyboard-aware-scroll-view';
+import {
+  Text,
+  Button,
+  TextInput,
+  Portal,
+  Dialog,
+  IconButton,
+  Surface
+} from 'react-native-paper';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import RNPickerSelect from 'react-native-picker-select';
+import { format, parseISO } from 'date-fns';
+import { validateWageRate } from '../utils/wageRates';
+
+const emptyForm = () => ({
+  fullDayRate: '',
+  halfDayRate: '',
+  effectiveFrom: new Date(),
+  categoryId: null,
+  subcategoryId: null,
+});
+
+export default function WageRatesModal({
+  visible,
+  worker,
+  state,
+  onDismiss,
+  onSave
+}) {
+  const [rates, setRates] = useState([]);
+  const [overtimeRate, setOvertimeRate] = useState('');
+  const [form, setForm] = useState(emptyForm());
+  const [showDatePicker, setShowDatePicker] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (worker && visible) {
+      setRates(worker.wageRates || []);
+      setOvertimeRate(worker.overtimeRate ? worker.overtimeRate.toString() : '');
+      setForm(emptyForm());
+      setError(null);
+    }
+  }, [worker, visible]);
+
+  const categoryName = (id) => (state.categories || []).find(c => c.id === id)?.category || 'Unknown';
+  const subcategoryName = (id) => {
+    const sub = (state.subcategories || []).find(s => s.id === id);
+    return sub?.subcategoryName || sub?.subcategory || 'Unknown';
+  };
+
+  const formSubcategories = (state.subcategories || []).filter(s => {
+    if (!form.categoryId) return false;
+    if (s.categoryIds && Array.isArray(s.categoryIds)) return s.categoryIds.includes(form.categoryId);
+    if (s.categoryId) return s.categoryId === form.categoryId;
+    return false;
+  });
+
+  const addRate = () => {
+    const rate = {
+      id: Date.now().toString(),
+      fullDayRate: Number(form.fullDayRate) || 0,
+      halfDayRate: form.halfDayRate.trim() ? Number(form.halfDayRate) : null,
+      effectiveFrom: format(form.effectiveFrom, 'yyyy-MM-dd'),
+      categoryId: form.categoryId || null,
+      subcategoryId: form.subcategoryId || null,
+    };
+    const validation = validateWageRate(rate, rates);
+    if (!validation.valid) {
+      setError(validation.error);
+      return;
+    }
+    setRates(prev => [...prev, rate]);
+    setForm(emptyForm());
+    setError(null);
+  };
+
+  const removeRate = (rateId) => {
+    setRates(prev => prev.filter(r => r.id !== rateId));
+  };
+
+  const sortedRates = [...rates].sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom));
+
+  return (
+    <Portal>
+      <Dialog visible={visible} onDismiss={onDismiss} style={styles.dialog}>
+        <Dialog.Title>Wage Rates{worker ? ` - ${worker.name}` : ''}</Dialog.Title>
+        <Dialog.ScrollArea style={styles.scrollArea}>
+          <KeyboardAwareScrollView contentContainerStyle={styles.scrollContent} extraScrollHeight={60} enableOnAndroid={true} keyboardShouldPersistTaps="handled">
+            {sortedRates.length === 0 ? (
+              <Text style={styles.emptyText}>No wage rates yet. Amounts will be entered manually.</Text>
+            ) : (
+              sortedRates.map(rate => (
+                <View key={rate.id} style={styles.rateRow}>
+                  <View style={{ flex: 1 }}>
+                    <Text style={styles.rateAmount}>
+                      ₹{rate.fullDayRate}/day{rate.halfDayRate ? ` · ₹${rate.halfDayRate}/half day` : ''}
+                    </Text>
+                    <Text style={styles.rateMeta}>
+                      From {format(parseISO(rate.effectiveFrom), 'dd/MM/yyyy')}
+                      {rate.categoryId ? ` · ${categoryName(rate.categoryId)}` : ' · All work'}
+                      {rate.subcategoryId ? ` / ${subcategoryName(rate.subcategoryId)}` : ''}
+                    </Text>
+                  </View>
+                  <IconButton icon="delete" iconColor="red" size={20} onPress={() => removeRate(rate.id)} />
+                </View>
+              ))
+            )}
+
+            <Text style={styles.sectionTitle}>Overtime</Text>
+            <TextInput
+              label="Overtime Rate per Hour"
+              value={overtimeRate}
+              onChangeText={setOvertimeRate}
+              keyboardType="numeric"
+              mode="outlined"
+              placeholder="Uses the default rate when empty"
+              style={styles.input}
+            />
+
+            <Text style={styles.sectionTitle}>Add Rate</Text>
+            {error && (
+              <Surface style={styles.errorSurface} elevation={1}>
+                <Text style={styles.errorText}>{error}</Text>
+              </Surface>
+            )}
+            <View style={styles.rowInputs}>
+              <View style={styles.halfInput}>
+                <TextInput
+                  label="Full Day Rate"
+                  value={form.fullDayRate}
+                  onChangeText={v => setForm(f => ({ ...f, fullDayRate: v }))}
+                  keyboardType="numeric"
+                  mode="outlined"
+                  style={styles.input}
+                />
+              </View>
+              <View style={styles.halfInput}>
+                <TextInput
+                  label="Half Day Rate"
+                  value={form.halfDayRate}
+                  onChangeText={v => setForm(f => ({ ...f, halfDayRate: v }))}
+                  keyboardType="numeric"
+                  mode="outlined"
+                  placeholder="Optional"
+                  style={styles.input}
+                />
+              </View>
+            </View>
+
+            <Text style={styles.label}>Effective From</Text>
+            <TouchableOpacity onPress={() => setShowDatePicker(true)} style={styles.dateButton}>
+              <Text style={styles.dateText}>{format(form.effectiveFrom, 'dd/MM/yyyy')}</Text>
+            </TouchableOpacity>
+
+            <Text style={styles.label}>Category (optional)</Text>
+            <View style={styles.pickerContainer}>
+              <RNPickerSelect
+                placeholder={{ label: 'All categories', value: null }}
+                items={(state.categories || []).map(c => ({ label: c.category, value: c.id, key: c.id }))}
+                onValueChange={v => setForm(f => ({ ...f, categoryId: v, subcategoryId: null }))}
+                value={form.categoryId}
+                style={{ inputIOS: styles.pickerInput, inputAndroid: styles.pickerInput }}
+              />
+            </View>
+
+            <Text style={styles.label}>Subcategory (optional)</Text>
+            <View style={styles.pickerContainer}>
+              <RNPickerSelect
+                placeholder={{ label: 'All subcategories', value: null }}
+                items={formSubcategories.map(s => ({ label: s.subcategoryName || s.subcategory, value: s.id, key: s.id }))}
+                onValueChange={v => setForm(f => ({ ...f, subcategoryId: v }))}
+                value={form.subcategoryId}
+                style={{ inputIOS: styles.pickerInput, inputAndroid: styles.pickerInput }}
+                disabled={!form.categoryId}
+              />
+            </View>
+
+            <Button mode="outlined" icon="plus" onPress={addRate} style={{ marginTop: 8 }}>
+              Add Rate
+            </Button>
+          </KeyboardAwareScrollView>
+        </Dialog.ScrollArea>
+        <Dialog.Actions>
+          <Button onPress={onDismiss}>Cancel</Button>
+          <Button mode="contained" onPress={() => onSave(rates, Number(overtimeRate) > 0 ? Number(overtimeRate) : null)}>
+            Save
+          </Button>
+        </Dialog.Actions>
+      </Dialog>
+
+      {showDatePicker && (
+        <DateTimePicker
+          value={form.effectiveFrom}
+          mode="date"
+          display="default"
+          onChange={(event, selectedDate) => {
+            setShowDatePicker(false);
+            if (selectedDate) setForm(f => ({ ...f, effectiveFrom: selectedDate }));
+          }}
+        />
+      )}
+    </Portal>
+  );
+}
+
+const styles = StyleSheet.create({
+  dialog: {
+    maxHeight: '95%',
+  },
+  scrollArea: {
+    maxHeight: 600,
+  },
+  scrollContent: {
+    paddingBottom: 20,
+  },
+  emptyText: {
+    color: '#7f8c8d',
+    fontStyle: 'italic',
+    marginVertical: 12,
+  },
+  rateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  rateAmount: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#2c3e50',
+  },
+  rateMeta: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#2c3e50',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  errorSurface: {
+    backgroundColor: '#ffebee',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 12,
+  },
+  errorText: {
+    color: '#c62828',
+    fontSize: 14,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2c3e50',
+    marginBottom: 8,
+    marginTop: 12,
+  },
+  input: {
+    marginBottom: 8,
+    backgroundColor: '#f8f9fa',
+  },
+  dateButton: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: '#dee2e6',
+    marginBottom: 8,
+  },
+  dateText: {
+    fontSize: 16,
+    color: '#2c3e50',
+  },
+  pickerContainer: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#dee2e6',
+    marginBottom: 8,
+  },
+  pickerInput: {
+    fontSize: 16,
+    paddingVertical: 16,
+    paddingHorizontal: 12,
+    color: '#2c3e50',
+  },
+  rowInputs: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  halfInput: {
+    flex: 1,
+  },
+});
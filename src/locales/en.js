@@ -0,0 +1,297 @@
+// English strings; the reference every other language falls back to
+export default {
+  // Shared
+  'common.addWorkersFirst': 'Add workers from Master section first',
+  'common.amount': 'Amount',
+  'common.cancel': 'Cancel',
+  'common.close': 'Close',
+  'common.confirm': 'Confirm',
+  'common.currentBalance': 'Current Balance',
+  'common.date': 'Date',
+  'common.delete': 'Delete',
+  'common.gotIt': 'Got It',
+  'common.next': 'Next',
+  'common.noSite': 'No site',
+  'common.noWorkers': 'No workers found',
+  'common.notes': 'Notes',
+  'common.ok': 'OK',
+  'common.optional': 'Optional',
+  'common.searchWorker': 'Search worker...',
+  'common.selectDate': 'Select Date',
+  'common.selectWorker': 'Select Worker',
+  'common.site': 'Site',
+  'common.unknown': 'Unknown',
+  'common.unknownError': 'Unknown error',
+  'common.worker': 'Worker',
+
+  // Bottom tabs
+  'tabs.entry': 'Entry',
+  'tabs.payment': 'Payment',
+  'tabs.outbox': 'Outbox',
+  'tabs.summary': 'Summary',
+  'tabs.master': 'Master',
+  'tabs.settings': 'Settings',
+
+  // Attendance: short toggle labels and full names
+  'attendance.P': 'P',
+  'attendance.A': 'A',
+  'attendance.H': 'H',
+  'status.P': 'Present',
+  'status.H': 'Half Day',
+  'status.A': 'Absent',
+  'status.O': 'Overtime',
+
+  // Payment kinds (PAYMENT_KINDS) and payment types
+  'paymentKind.wage': 'Wage',
+  'paymentKind.advance': 'Advance',
+  'paymentKind.loan_disbursement': 'Loan Given',
+  'paymentKind.loan_repayment': 'Loan Repayment',
+  'paymentKind.deduction': 'Deduction',
+  'paymentKind.bonus': 'Bonus',
+  'paymentMode.Cash': 'Cash',
+  'paymentMode.UPI': 'UPI',
+  'paymentMode.Deduction': 'Deduction',
+
+  // PIN screens
+  'pin.createTitle': 'Create PIN',
+  'pin.createSubtitle': 'Set a 4-digit PIN to secure your app.',
+  'pin.enterPlaceholder': 'Enter PIN',
+  'pin.confirmPlaceholder': 'Confirm PIN',
+  'pin.mustBe4Digits': 'PIN must be 4 digits',
+  'pin.mismatch': 'PINs do not match',
+  'pin.saveFailed': 'Failed to save PIN. Try again.',
+  'pin.enterTitle': 'Enter PIN',
+  'pin.enterSubtitle': 'Unlock your app securely',
+  'pin.incorrect': 'Incorrect PIN',
+  'pin.useBiometric': 'Use Biometric',
+  'pin.forgot': 'Forgot PIN?',
+  'pin.resetTitle': 'Reset App',
+  'pin.resetMessage': 'Resetting will erase all local app data. Type RESET to confirm.',
+  'pin.resetPrompt': 'Type RESET to confirm',
+
+  // Entry screen
+  'entry.title': 'Entry Screen',
+  'entry.singleWorker': 'Single Worker',
+  'entry.crewRoster': 'Crew Roster',
+  'entry.attendance': 'Attendance',
+  'entry.workType': 'Work Type',
+  'entry.workA': 'Work A',
+  'entry.workADescription': 'Category Based',
+  'entry.workB': 'Work B',
+  'entry.workBDescription': 'Unit Based',
+  'entry.category': 'Category',
+  'entry.selectCategory': 'Select Category',
+  'entry.subcategory': 'Subcategory',
+  'entry.selectSubcategory': 'Select Subcategory',
+  'entry.item': 'Item',
+  'entry.customWork': 'Custom work (type below)',
+  'entry.noItems': 'No items - add them in Master',
+  'entry.workName': 'Work Name',
+  'entry.workNamePlaceholder': 'Enter work description',
+  'entry.unitsCompleted': 'Units Completed',
+  'entry.ratePer': 'Rate per {unit}',
+  'entry.unit': 'Unit',
+  'entry.autoCalculated': '(Auto-calculated)',
+  'entry.manual': '(Manual)',
+  'entry.fromWageRate': '(From wage rate)',
+  'entry.rateHint': 'Rate {rate}/day since {since}',
+  'entry.halfDayRateHint': '{rate}/half day',
+  'entry.halfDayEarnsHalf': '(half day earns half)',
+  'entry.useRate': 'Use rate',
+  'entry.hoursWorked': 'Hours Worked',
+  'entry.overtimeHours': 'Overtime Hours',
+  'entry.overtimeRate': 'Overtime Rate per Hour',
+  'entry.overtimeHint': 'Overtime {hours}h × {rate} = {amount}, added to the amount',
+  'entry.narration': 'Narration',
+  'entry.absentNotice': 'Worker is marked as absent. No additional details required.',
+  'entry.save': 'Save Entry',
+  'entry.saved': 'Entry saved successfully.',
+  'entry.saveFailed': 'Error saving entry. Please try again.',
+  'entry.selectWorker': 'Please select a worker.',
+  'entry.categoryRequired': 'Category is required for Work A.',
+  'entry.subcategoryRequired': 'Subcategory is required for Work A.',
+  'entry.workNameRequired': 'Work name is required for Work B.',
+  'entry.unitsRequired': 'Valid units completed is required for Work B.',
+  'entry.rateRequired': 'Valid rate per unit is required for Work B.',
+  'entry.amountRequired': 'Valid amount is required for non-absent entries.',
+  'entry.subcategoryNotFound': 'Selected subcategory not found',
+  'entry.subcategoryNotInCategory': 'Selected subcategory is not associated with the chosen category',
+  'entry.duplicateTitle': 'Duplicate Attendance',
+  'entry.duplicateMessage': 'Attendance cannot be made more than once per day. Piece work (Work B) can still be added for this day.',
+
+  // Payment screen
+  'payment.title': 'Payment Screen',
+  'payment.viewLedger': 'View Ledger',
+  'payment.outstandingLoans': 'Outstanding loans: {amount}',
+  'payment.kind': 'Kind',
+  'payment.bonusHint': 'Bonus is added to the worker\'s balance.',
+  'payment.loanHint': 'Loans are tracked separately and do not change the wage balance.',
+  'payment.instalment': 'Instalment per pay period (optional)',
+  'payment.repaymentHint': 'Repayment is deducted from the worker\'s wages.',
+  'payment.oldestLoanFirst': 'Oldest open loan first',
+  'payment.loanLeft': '{amount} left',
+  'payment.type': 'Payment Type',
+  'payment.save': 'Save Payment',
+  'payment.saved': 'Payment saved successfully.',
+  'payment.saveFailed': 'Error saving payment. Please try again.',
+  'payment.notifyTitle': 'Notify worker?',
+  'payment.notifySubtitle': 'Choose how you want to notify the worker about this payment.',
+  'payment.sendSms': 'Send SMS',
+  'payment.sendWhatsapp': 'Send WhatsApp',
+  'payment.saveSnapshotAs': 'Save snapshot to Outbox as',
+  'payment.saveToOutbox': 'Save to Outbox',
+  'payment.invalidPhone': 'Invalid phone number: {error}',
+  'payment.messageFailed': 'Failed to generate message content',
+  'payment.smsOpened': 'SMS composer opened. Message saved to history.',
+  'payment.smsUnsupported': 'SMS not supported on this device',
+  'payment.smsFailed': 'Failed to open SMS: {error}',
+  'payment.whatsappOpened': 'WhatsApp opened. Message saved to history.',
+  'payment.whatsappWebOpened': 'WhatsApp web opened. Message saved to history.',
+  'payment.whatsappFailed': 'Failed to open WhatsApp: {error}',
+  'payment.savedToOutbox': 'Message saved to Outbox',
+  'payment.outboxFailed': 'Failed to save message to outbox',
+
+  // Summary screen
+  'summary.title': 'Worker Summary',
+  'summary.allWorkers': 'All Workers',
+  'summary.allSites': 'All Sites',
+  'summary.unassigned': 'Unassigned',
+  'summary.selectSite': 'Select site',
+  'summary.fromDate': 'From Date',
+  'summary.toDate': 'To Date',
+  'summary.exportReport': 'Export Report',
+  'summary.quickCsv': 'Quick CSV',
+  'summary.generating': 'Generating report...',
+  'summary.noData': 'No Data Found',
+  'summary.noDataHint': 'Add workers and entries from other screens to see summary data',
+  'summary.noMatches': 'No entries match your filter criteria',
+  'summary.refresh': 'Refresh Data',
+  'summary.statsTitle': 'Summary ({count} workers)',
+  'summary.totalBalance': 'Total Balance',
+  'summary.totalPayments': 'Total Payments',
+  'summary.workingDays': '{count} working days',
+  'summary.balance': 'Balance',
+  'summary.payments': 'Payments',
+  'summary.balanceSummary': 'Balance Summary',
+  'summary.opening': 'Opening',
+  'summary.entries': 'Entries',
+  'summary.closing': 'Closing',
+  'summary.current': 'Current',
+  'summary.paymentsByKind': 'Payments by Kind',
+  'summary.outstandingLoans': 'Outstanding Loans',
+  'summary.pieceWork': 'Piece Work',
+  'summary.attendanceSummary': 'Attendance Summary',
+  'summary.attendanceNote': 'Total entries recorded during selected period',
+  'summary.recentEntries': 'Recent Entries ({count})',
+  'summary.recentPayments': 'Recent Payments ({count})',
+  'summary.viewLedger': 'View Transaction Ledger',
+  'summary.attendanceCalendar': 'Attendance Calendar',
+  'summary.chooseFormat': 'Choose Export Format',
+  'summary.excelReport': 'Excel Report',
+  'summary.excelDescription': 'Detailed spreadsheet with all data',
+  'summary.pdfReport': 'PDF Report',
+  'summary.pdfDescription': 'Professional formatted document',
+  'summary.selectWorkers': 'Select Workers ({count} total)',
+  'summary.dateRange': 'Date Range (Optional)',
+  'summary.clearFrom': 'Clear From',
+  'summary.clearTo': 'Clear To',
+  'summary.exportPreview': 'Export Preview',
+  'summary.workers': 'Workers',
+  'summary.total': 'Total',
+  'summary.exporting': 'Exporting...',
+  'summary.exportAs': 'Export {format}',
+  'summary.exported': '{format} exported successfully! File: {file}',
+  'summary.exportedTo': 'Exported to {file}',
+  'summary.exportFailed': 'Export failed: {error}',
+
+  // Phone number errors (codes from utils/phone)
+  'phone.missing': 'No phone number provided',
+  'phone.invalid': 'Phone number can only have digits, spaces, dashes and a leading +',
+  'phone.tooShort': 'Phone number too short',
+  'phone.tooLong': 'Phone number too long',
+  'phone.notMobile': 'Not a mobile number',
+
+  // Settings screen
+  'settings.title': 'Settings',
+  'settings.languageSection': 'Language',
+  'settings.language': 'App Language',
+  'settings.languageDescription': 'Language of the app on this phone',
+  'settings.languageHint': 'Messages and payslips use each worker\'s own language, set in Master → Workers.',
+  'settings.languageChanged': 'Language changed to {language}',
+  'settings.phoneCountry': 'Phone Number Country',
+  'settings.phoneCountryDescription': 'Used for numbers saved without a country code',
+  'settings.phoneCountryHint': 'Numbers that start with + keep their own country code.',
+  'settings.phoneCountryChanged': 'Phone numbers now default to {country}',
+  'settings.dataSection': 'Data & Backup',
+  'settings.backupRestore': 'Backup and Restore',
+  'settings.backupRestoreDescription': 'Export data or restore from backup files',
+  'settings.backupTarget': 'Auto-Backup Target',
+  'settings.backupTargetDescription': 'Where automatic backups are sent and how many are kept',
+  'settings.verifyBalances': 'Verify Balances',
+  'settings.verifyBalancesDescription': 'Check every worker balance for inconsistencies',
+  'settings.repairOrphans': 'Repair Orphaned Records',
+  'settings.repairOrphansDescription': 'Find entries and payments whose worker no longer exists',
+  'settings.payrollSection': 'Payroll',
+  'settings.payPeriods': 'Pay Periods',
+  'settings.payPeriodsDescription': 'Close weekly, fortnightly or monthly periods and print payslips',
+  'settings.appSection': 'App Management',
+  'settings.reportBug': 'Report a Bug / Suggestion',
+  'settings.reportBugDescription': 'Send feedback or report issues',
+  'settings.resetApp': 'Reset App',
+  'settings.resetAppDescription': 'Clear all data and start fresh',
+  'settings.appInfo': 'App Info',
+  'settings.appInfoDescription': 'Version, credits, and app details',
+  'settings.updatesSection': 'Updates',
+  'settings.checkUpdates': 'Check for Updates',
+  'settings.checkUpdatesDescription': 'Manually check for app updates',
+  'settings.whatsNew': 'What\'s New',
+  'settings.whatsNewDescription': 'View latest updates and features',
+  'settings.errorOpeningBackup': 'Error opening backup screen',
+  'settings.balancesConsistent': 'All worker balances are consistent',
+  'settings.errorVerifyingBalances': 'Error verifying balances',
+  'settings.noOrphans': 'No orphaned records found',
+  'settings.errorCheckingOrphans': 'Error checking orphaned records',
+  'settings.orphansDeleted': 'Orphaned records deleted',
+  'settings.orphansRecovered': 'Orphaned records kept under archived workers',
+  'settings.errorOpeningBugReport': 'Error opening bug report screen',
+  'settings.resetTitle': 'Reset All Data',
+  'settings.resetMessage': 'This will permanently delete all workers, categories, subcategories, entries, and payments. This action will also reset opening balances.',
+  'settings.resetWarning': 'This action cannot be undone.',
+  'settings.resetting': 'Resetting...',
+  'settings.resetDone': 'All data has been reset successfully',
+  'settings.resetFailed': 'Error resetting app data',
+  'settings.balanceIssues': 'Balance Issues',
+  'settings.orphansTitle': 'Orphaned Records',
+  'settings.orphansSummary': '{entries} entries and {payments} payments belong to {workers} deleted worker(s).',
+  'settings.orphansMessages': '{count} outbox messages will be removed.',
+  'settings.orphansChoice': 'Keep them under archived "Recovered worker" records, or delete them.',
+  'settings.keep': 'Keep',
+  'settings.appInfoTitle': 'App Information',
+  'settings.appVersion': 'App Version:',
+  'settings.buildNumber': 'Build Number:',
+  'settings.runtimeVersion': 'Runtime Version:',
+  'settings.developer': 'Developer:',
+  'settings.credits': 'Credits:',
+  'settings.noWhatsNew': 'No updates available to show',
+  'settings.errorLoadingWhatsNew': 'Error loading What\'s New',
+  'settings.appUpdates': 'App Updates',
+
+  // Payslip PDF
+  'payslip.title': 'Payslip',
+  'payslip.period': 'Pay Period',
+  'payslip.closed': 'Closed',
+  'payslip.openingBalance': 'OPENING BALANCE',
+  'payslip.earnings': 'EARNINGS',
+  'payslip.payments': 'PAYMENTS',
+  'payslip.closingBalance': 'CLOSING BALANCE',
+  'payslip.earningsSection': 'Earnings',
+  'payslip.paymentsSection': 'Payments',
+  'payslip.work': 'Work',
+  'payslip.status': 'Status',
+  'payslip.overtime': 'Overtime',
+  'payslip.earned': 'Earned',
+  'payslip.type': 'Type',
+  'payslip.noEntries': 'No work entries in this period.',
+  'payslip.noPayments': 'No payments in this period.',
+  'payslip.footer': 'Generated by House Labour Management System',
+};
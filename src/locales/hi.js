@@ -0,0 +1,297 @@
+// Hindi strings; keys missing here fall back to English
+export default {
+  // Shared
+  'common.addWorkersFirst': 'पहले मास्टर सेक्शन से मज़दूर जोड़ें',
+  'common.amount': 'रकम',
+  'common.cancel': 'रद्द करें',
+  'common.close': 'बंद करें',
+  'common.confirm': 'पुष्टि करें',
+  'common.currentBalance': 'मौजूदा बकाया',
+  'common.date': 'तारीख',
+  'common.delete': 'हटाएं',
+  'common.gotIt': 'ठीक है, समझ गया',
+  'common.next': 'आगे',
+  'common.noSite': 'कोई साइट नहीं',
+  'common.noWorkers': 'कोई मज़दूर नहीं मिला',
+  'common.notes': 'नोट',
+  'common.ok': 'ठीक है',
+  'common.optional': 'वैकल्पिक',
+  'common.searchWorker': 'मज़दूर खोजें...',
+  'common.selectDate': 'तारीख चुनें',
+  'common.selectWorker': 'मज़दूर चुनें',
+  'common.site': 'साइट',
+  'common.unknown': 'अज्ञात',
+  'common.unknownError': 'अज्ञात त्रुटि',
+  'common.worker': 'मज़दूर',
+
+  // Bottom tabs
+  'tabs.entry': 'एंट्री',
+  'tabs.payment': 'भुगतान',
+  'tabs.outbox': 'आउटबॉक्स',
+  'tabs.summary': 'सारांश',
+  'tabs.master': 'मास्टर',
+  'tabs.settings': 'सेटिंग्स',
+
+  // Attendance: short toggle labels and full names
+  'attendance.P': 'उ',
+  'attendance.A': 'अ',
+  'attendance.H': 'आ',
+  'status.P': 'उपस्थित',
+  'status.H': 'आधा दिन',
+  'status.A': 'अनुपस्थित',
+  'status.O': 'ओवरटाइम',
+
+  // Payment kinds (PAYMENT_KINDS) and payment types
+  'paymentKind.wage': 'मज़दूरी',
+  'paymentKind.advance': 'एडवांस',
+  'paymentKind.loan_disbursement': 'दिया गया कर्ज़',
+  'paymentKind.loan_repayment': 'कर्ज़ वापसी',
+  'paymentKind.deduction': 'कटौती',
+  'paymentKind.bonus': 'बोनस',
+  'paymentMode.Cash': 'नकद',
+  'paymentMode.UPI': 'UPI',
+  'paymentMode.Deduction': 'कटौती',
+
+  // PIN screens
+  'pin.createTitle': 'पिन बनाएं',
+  'pin.createSubtitle': 'ऐप सुरक्षित रखने के लिए 4 अंकों का पिन सेट करें।',
+  'pin.enterPlaceholder': 'पिन डालें',
+  'pin.confirmPlaceholder': 'पिन की पुष्टि करें',
+  'pin.mustBe4Digits': 'पिन 4 अंकों का होना चाहिए',
+  'pin.mismatch': 'पिन मेल नहीं खाते',
+  'pin.saveFailed': 'पिन सेव नहीं हो सका। फिर से कोशिश करें।',
+  'pin.enterTitle': 'पिन डालें',
+  'pin.enterSubtitle': 'ऐप को सुरक्षित रूप से खोलें',
+  'pin.incorrect': 'गलत पिन',
+  'pin.useBiometric': 'बायोमेट्रिक इस्तेमाल करें',
+  'pin.forgot': 'पिन भूल गए?',
+  'pin.resetTitle': 'ऐप रीसेट करें',
+  'pin.resetMessage': 'रीसेट करने से ऐप का सारा डेटा मिट जाएगा। पुष्टि के लिए RESET टाइप करें।',
+  'pin.resetPrompt': 'पुष्टि के लिए RESET टाइप करें',
+
+  // Entry screen
+  'entry.title': 'एंट्री',
+  'entry.singleWorker': 'एक मज़दूर',
+  'entry.crewRoster': 'टीम सूची',
+  'entry.attendance': 'हाज़िरी',
+  'entry.workType': 'काम का प्रकार',
+  'entry.workA': 'काम A',
+  'entry.workADescription': 'श्रेणी के आधार पर',
+  'entry.workB': 'काम B',
+  'entry.workBDescription': 'यूनिट के आधार पर',
+  'entry.category': 'श्रेणी',
+  'entry.selectCategory': 'श्रेणी चुनें',
+  'entry.subcategory': 'उपश्रेणी',
+  'entry.selectSubcategory': 'उपश्रेणी चुनें',
+  'entry.item': 'आइटम',
+  'entry.customWork': 'दूसरा काम (नीचे लिखें)',
+  'entry.noItems': 'कोई आइटम नहीं - मास्टर में जोड़ें',
+  'entry.workName': 'काम का नाम',
+  'entry.workNamePlaceholder': 'काम का विवरण लिखें',
+  'entry.unitsCompleted': 'पूरी की गई यूनिट',
+  'entry.ratePer': 'प्रति {unit} दर',
+  'entry.unit': 'यूनिट',
+  'entry.autoCalculated': '(अपने आप गणना)',
+  'entry.manual': '(हाथ से)',
+  'entry.fromWageRate': '(मज़दूरी दर से)',
+  'entry.rateHint': '{since} से {rate}/दिन',
+  'entry.halfDayRateHint': '{rate}/आधा दिन',
+  'entry.halfDayEarnsHalf': '(आधे दिन की आधी मज़दूरी)',
+  'entry.useRate': 'दर लगाएं',
+  'entry.hoursWorked': 'काम के घंटे',
+  'entry.overtimeHours': 'ओवरटाइम घंटे',
+  'entry.overtimeRate': 'ओवरटाइम दर प्रति घंटा',
+  'entry.overtimeHint': 'ओवरटाइम {hours} घं × {rate} = {amount}, रकम में जोड़ा गया',
+  'entry.narration': 'विवरण',
+  'entry.absentNotice': 'मज़दूर अनुपस्थित दर्ज है। और कोई जानकारी नहीं चाहिए।',
+  'entry.save': 'एंट्री सेव करें',
+  'entry.saved': 'एंट्री सेव हो गई।',
+  'entry.saveFailed': 'एंट्री सेव करने में त्रुटि। फिर से कोशिश करें।',
+  'entry.selectWorker': 'कृपया मज़दूर चुनें।',
+  'entry.categoryRequired': 'काम A के लिए श्रेणी ज़रूरी है।',
+  'entry.subcategoryRequired': 'काम A के लिए उपश्रेणी ज़रूरी है।',
+  'entry.workNameRequired': 'काम B के लिए काम का नाम ज़रूरी है।',
+  'entry.unitsRequired': 'काम B के लिए सही यूनिट संख्या ज़रूरी है।',
+  'entry.rateRequired': 'काम B के लिए सही यूनिट दर ज़रूरी है।',
+  'entry.amountRequired': 'अनुपस्थित के अलावा हर एंट्री के लिए सही रकम ज़रूरी है।',
+  'entry.subcategoryNotFound': 'चुनी गई उपश्रेणी नहीं मिली',
+  'entry.subcategoryNotInCategory': 'चुनी गई उपश्रेणी इस श्रेणी से जुड़ी नहीं है',
+  'entry.duplicateTitle': 'हाज़िरी पहले से दर्ज',
+  'entry.duplicateMessage': 'एक दिन में हाज़िरी एक ही बार लग सकती है। इस दिन के लिए यूनिट काम (काम B) अब भी जोड़ा जा सकता है।',
+
+  // Payment screen
+  'payment.title': 'भुगतान',
+  'payment.viewLedger': 'खाता देखें',
+  'payment.outstandingLoans': 'बाकी कर्ज़: {amount}',
+  'payment.kind': 'प्रकार',
+  'payment.bonusHint': 'बोनस मज़दूर के बकाया में जुड़ता है।',
+  'payment.loanHint': 'कर्ज़ का हिसाब अलग रखा जाता है, मज़दूरी का बकाया नहीं बदलता।',
+  'payment.instalment': 'हर वेतन अवधि की किस्त (वैकल्पिक)',
+  'payment.repaymentHint': 'वापसी मज़दूर की मज़दूरी से काटी जाती है।',
+  'payment.oldestLoanFirst': 'सबसे पुराना कर्ज़ पहले',
+  'payment.loanLeft': '{amount} बाकी',
+  'payment.type': 'भुगतान का तरीका',
+  'payment.save': 'भुगतान सेव करें',
+  'payment.saved': 'भुगतान सेव हो गया।',
+  'payment.saveFailed': 'भुगतान सेव करने में त्रुटि। फिर से कोशिश करें।',
+  'payment.notifyTitle': 'मज़दूर को बताएं?',
+  'payment.notifySubtitle': 'चुनें कि इस भुगतान की जानकारी मज़दूर को कैसे भेजनी है।',
+  'payment.sendSms': 'SMS भेजें',
+  'payment.sendWhatsapp': 'WhatsApp भेजें',
+  'payment.saveSnapshotAs': 'आउटबॉक्स में इस रूप में सेव करें',
+  'payment.saveToOutbox': 'आउटबॉक्स में सेव करें',
+  'payment.invalidPhone': 'गलत फ़ोन नंबर: {error}',
+  'payment.messageFailed': 'संदेश नहीं बन सका',
+  'payment.smsOpened': 'SMS खुल गया। संदेश इतिहास में सेव किया गया।',
+  'payment.smsUnsupported': 'इस डिवाइस पर SMS उपलब्ध नहीं है',
+  'payment.smsFailed': 'SMS नहीं खुल सका: {error}',
+  'payment.whatsappOpened': 'WhatsApp खुल गया। संदेश इतिहास में सेव किया गया।',
+  'payment.whatsappWebOpened': 'WhatsApp वेब खुल गया। संदेश इतिहास में सेव किया गया।',
+  'payment.whatsappFailed': 'WhatsApp नहीं खुल सका: {error}',
+  'payment.savedToOutbox': 'संदेश आउटबॉक्स में सेव हो गया',
+  'payment.outboxFailed': 'संदेश आउटबॉक्स में सेव नहीं हो सका',
+
+  // Summary screen
+  'summary.title': 'मज़दूर सारांश',
+  'summary.allWorkers': 'सभी मज़दूर',
+  'summary.allSites': 'सभी साइट',
+  'summary.unassigned': 'बिना साइट',
+  'summary.selectSite': 'साइट चुनें',
+  'summary.fromDate': 'शुरू की तारीख',
+  'summary.toDate': 'आखिरी तारीख',
+  'summary.exportReport': 'रिपोर्ट एक्सपोर्ट करें',
+  'summary.quickCsv': 'तुरंत CSV',
+  'summary.generating': 'रिपोर्ट बन रही है...',
+  'summary.noData': 'कोई डेटा नहीं मिला',
+  'summary.noDataHint': 'सारांश देखने के लिए दूसरी स्क्रीन से मज़दूर और एंट्री जोड़ें',
+  'summary.noMatches': 'फ़िल्टर से मेल खाती कोई एंट्री नहीं',
+  'summary.refresh': 'डेटा रीफ़्रेश करें',
+  'summary.statsTitle': 'सारांश ({count} मज़दूर)',
+  'summary.totalBalance': 'कुल बकाया',
+  'summary.totalPayments': 'कुल भुगतान',
+  'summary.workingDays': '{count} काम के दिन',
+  'summary.balance': 'बकाया',
+  'summary.payments': 'भुगतान',
+  'summary.balanceSummary': 'बकाया सारांश',
+  'summary.opening': 'शुरुआती',
+  'summary.entries': 'एंट्री',
+  'summary.closing': 'अंतिम',
+  'summary.current': 'मौजूदा',
+  'summary.paymentsByKind': 'प्रकार के अनुसार भुगतान',
+  'summary.outstandingLoans': 'बाकी कर्ज़',
+  'summary.pieceWork': 'यूनिट काम',
+  'summary.attendanceSummary': 'हाज़िरी सारांश',
+  'summary.attendanceNote': 'चुनी गई अवधि में दर्ज कुल एंट्री',
+  'summary.recentEntries': 'हाल की एंट्री ({count})',
+  'summary.recentPayments': 'हाल के भुगतान ({count})',
+  'summary.viewLedger': 'लेन-देन खाता देखें',
+  'summary.attendanceCalendar': 'हाज़िरी कैलेंडर',
+  'summary.chooseFormat': 'एक्सपोर्ट फ़ॉर्मेट चुनें',
+  'summary.excelReport': 'Excel रिपोर्ट',
+  'summary.excelDescription': 'सारे डेटा के साथ विस्तृत स्प्रेडशीट',
+  'summary.pdfReport': 'PDF रिपोर्ट',
+  'summary.pdfDescription': 'छपाई के लिए तैयार दस्तावेज़',
+  'summary.selectWorkers': 'मज़दूर चुनें (कुल {count})',
+  'summary.dateRange': 'तारीख सीमा (वैकल्पिक)',
+  'summary.clearFrom': 'शुरुआत हटाएं',
+  'summary.clearTo': 'अंत हटाएं',
+  'summary.exportPreview': 'एक्सपोर्ट झलक',
+  'summary.workers': 'मज़दूर',
+  'summary.total': 'कुल',
+  'summary.exporting': 'एक्सपोर्ट हो रहा है...',
+  'summary.exportAs': '{format} एक्सपोर्ट करें',
+  'summary.exported': '{format} एक्सपोर्ट हो गया! फ़ाइल: {file}',
+  'summary.exportedTo': '{file} में एक्सपोर्ट किया गया',
+  'summary.exportFailed': 'एक्सपोर्ट विफल: {error}',
+
+  // Phone number errors (codes from utils/phone)
+  'phone.missing': 'फ़ोन नंबर नहीं दिया गया',
+  'phone.invalid': 'फ़ोन नंबर में केवल अंक, स्पेस, डैश और शुरू में + हो सकता है',
+  'phone.tooShort': 'फ़ोन नंबर बहुत छोटा है',
+  'phone.tooLong': 'फ़ोन नंबर बहुत लंबा है',
+  'phone.notMobile': 'यह मोबाइल नंबर नहीं है',
+
+  // Settings screen
+  'settings.title': 'सेटिंग्स',
+  'settings.languageSection': 'भाषा',
+  'settings.language': 'ऐप की भाषा',
+  'settings.languageDescription': 'इस फ़ोन पर ऐप की भाषा',
+  'settings.languageHint': 'संदेश और वेतन पर्ची हर मज़दूर की अपनी भाषा में जाते हैं, जो मास्टर → मज़दूर में सेट होती है।',
+  'settings.languageChanged': 'भाषा बदलकर {language} की गई',
+  'settings.phoneCountry': 'फ़ोन नंबर का देश',
+  'settings.phoneCountryDescription': 'बिना देश कोड वाले नंबरों के लिए',
+  'settings.phoneCountryHint': '+ से शुरू होने वाले नंबर अपना देश कोड रखते हैं।',
+  'settings.phoneCountryChanged': 'फ़ोन नंबर का डिफ़ॉल्ट देश अब {country} है',
+  'settings.dataSection': 'डेटा और बैकअप',
+  'settings.backupRestore': 'बैकअप और रिस्टोर',
+  'settings.backupRestoreDescription': 'डेटा एक्सपोर्ट करें या बैकअप से रिस्टोर करें',
+  'settings.backupTarget': 'ऑटो-बैकअप जगह',
+  'settings.backupTargetDescription': 'ऑटो बैकअप कहाँ जाते हैं और कितने रखे जाते हैं',
+  'settings.verifyBalances': 'बकाया जांचें',
+  'settings.verifyBalancesDescription': 'हर मज़दूर के बकाया में गड़बड़ी जांचें',
+  'settings.repairOrphans': 'अनाथ रिकॉर्ड ठीक करें',
+  'settings.repairOrphansDescription': 'ऐसी एंट्री और भुगतान खोजें जिनका मज़दूर अब नहीं है',
+  'settings.payrollSection': 'वेतन',
+  'settings.payPeriods': 'वेतन अवधि',
+  'settings.payPeriodsDescription': 'साप्ताहिक, पाक्षिक या मासिक अवधि बंद करें और वेतन पर्ची छापें',
+  'settings.appSection': 'ऐप प्रबंधन',
+  'settings.reportBug': 'गड़बड़ी / सुझाव भेजें',
+  'settings.reportBugDescription': 'राय भेजें या समस्या बताएं',
+  'settings.resetApp': 'ऐप रीसेट करें',
+  'settings.resetAppDescription': 'सारा डेटा मिटाकर नए सिरे से शुरू करें',
+  'settings.appInfo': 'ऐप जानकारी',
+  'settings.appInfoDescription': 'वर्ज़न, आभार और ऐप का विवरण',
+  'settings.updatesSection': 'अपडेट',
+  'settings.checkUpdates': 'अपडेट जांचें',
+  'settings.checkUpdatesDescription': 'ऐप अपडेट खुद जांचें',
+  'settings.whatsNew': 'नया क्या है',
+  'settings.whatsNewDescription': 'ताज़ा बदलाव और सुविधाएं देखें',
+  'settings.errorOpeningBackup': 'बैकअप स्क्रीन खोलने में त्रुटि',
+  'settings.balancesConsistent': 'सभी मज़दूरों का बकाया सही है',
+  'settings.errorVerifyingBalances': 'बकाया जांचने में त्रुटि',
+  'settings.noOrphans': 'कोई अनाथ रिकॉर्ड नहीं मिला',
+  'settings.errorCheckingOrphans': 'अनाथ रिकॉर्ड जांचने में त्रुटि',
+  'settings.orphansDeleted': 'अनाथ रिकॉर्ड हटा दिए गए',
+  'settings.orphansRecovered': 'अनाथ रिकॉर्ड आर्काइव मज़दूरों के अंतर्गत रखे गए',
+  'settings.errorOpeningBugReport': 'गड़बड़ी रिपोर्ट स्क्रीन खोलने में त्रुटि',
+  'settings.resetTitle': 'सारा डेटा रीसेट करें',
+  'settings.resetMessage': 'इससे सभी मज़दूर, श्रेणियाँ, उपश्रेणियाँ, एंट्री और भुगतान हमेशा के लिए मिट जाएंगे। शुरुआती बकाया भी रीसेट हो जाएगा।',
+  'settings.resetWarning': 'यह वापस नहीं किया जा सकता।',
+  'settings.resetting': 'रीसेट हो रहा है...',
+  'settings.resetDone': 'सारा डेटा रीसेट हो गया',
+  'settings.resetFailed': 'ऐप डेटा रीसेट करने में त्रुटि',
+  'settings.balanceIssues': 'बकाया में गड़बड़ी',
+  'settings.orphansTitle': 'अनाथ रिकॉर्ड',
+  'settings.orphansSummary': '{entries} एंट्री और {payments} भुगतान {workers} हटाए गए मज़दूरों के हैं।',
+  'settings.orphansMessages': '{count} आउटबॉक्स संदेश हटा दिए जाएंगे।',
+  'settings.orphansChoice': 'इन्हें आर्काइव किए गए "Recovered worker" रिकॉर्ड में रखें, या हटा दें।',
+  'settings.keep': 'रखें',
+  'settings.appInfoTitle': 'ऐप जानकारी',
+  'settings.appVersion': 'ऐप वर्ज़न:',
+  'settings.buildNumber': 'बिल्ड नंबर:',
+  'settings.runtimeVersion': 'रनटाइम वर्ज़न:',
+  'settings.developer': 'डेवलपर:',
+  'settings.credits': 'आभार:',
+  'settings.noWhatsNew': 'दिखाने के लिए कोई अपडेट नहीं',
+  'settings.errorLoadingWhatsNew': '"नया क्या है" खोलने में त्रुटि',
+  'settings.appUpdates': 'ऐप अपडेट',
+
+  // Payslip PDF
+  'payslip.title': 'वेतन पर्ची',
+  'payslip.period': 'वेतन अवधि',
+  'payslip.closed': 'बंद की गई',
+  'payslip.openingBalance': 'शुरुआती बकाया',
+  'payslip.earnings': 'कमाई',
+  'payslip.payments': 'भुगतान',
+  'payslip.closingBalance': 'अंतिम बकाया',
+  'payslip.earningsSection': 'कमाई',
+  'payslip.paymentsSection': 'भुगतान',
+  'payslip.work': 'काम',
+  'payslip.status': 'स्थिति',
+  'payslip.overtime': 'ओवरटाइम',
+  'payslip.earned': 'कमाया',
+  'payslip.type': 'प्रकार',
+  'payslip.noEntries': 'इस अवधि में काम की कोई एंट्री नहीं।',
+  'payslip.noPayments': 'इस अवधि में कोई भुगतान नहीं।',
+  'payslip.footer': 'House Labour Management System द्वारा बनाया गया',
+};
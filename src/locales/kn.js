@@ -0,0 +1,297 @@
+// Kannada strings; keys missing here fall back to English
+export default {
+  // Shared
+  'common.addWorkersFirst': 'ಮೊದಲು ಮಾಸ್ಟರ್ ವಿಭಾಗದಲ್ಲಿ ಕೆಲಸಗಾರರನ್ನು ಸೇರಿಸಿ',
+  'common.amount': 'ಮೊತ್ತ',
+  'common.cancel': 'ರದ್ದುಮಾಡಿ',
+  'common.close': 'ಮುಚ್ಚಿ',
+  'common.confirm': 'ದೃಢೀಕರಿಸಿ',
+  'common.currentBalance': 'ಪ್ರಸ್ತುತ ಬಾಕಿ',
+  'common.date': 'ದಿನಾಂಕ',
+  'common.delete': 'ಅಳಿಸಿ',
+  'common.gotIt': 'ಸರಿ, ತಿಳಿಯಿತು',
+  'common.next': 'ಮುಂದೆ',
+  'common.noSite': 'ಸೈಟ್ ಇಲ್ಲ',
+  'common.noWorkers': 'ಯಾವುದೇ ಕೆಲಸಗಾರರು ಇಲ್ಲ',
+  'common.notes': 'ಟಿಪ್ಪಣಿ',
+  'common.ok': 'ಸರಿ',
+  'common.optional': 'ಐಚ್ಛಿಕ',
+  'common.searchWorker': 'ಕೆಲಸಗಾರರನ್ನು ಹುಡುಕಿ...',
+  'common.selectDate': 'ದಿನಾಂಕ ಆಯ್ಕೆಮಾಡಿ',
+  'common.selectWorker': 'ಕೆಲಸಗಾರರನ್ನು ಆಯ್ಕೆಮಾಡಿ',
+  'common.site': 'ಸೈಟ್',
+  'common.unknown': 'ತಿಳಿದಿಲ್ಲ',
+  'common.unknownError': 'ತಿಳಿಯದ ದೋಷ',
+  'common.worker': 'ಕೆಲಸಗಾರ',
+
+  // Bottom tabs
+  'tabs.entry': 'ನಮೂದು',
+  'tabs.payment': 'ಪಾವತಿ',
+  'tabs.outbox': 'ಔಟ್‌ಬಾಕ್ಸ್',
+  'tabs.summary': 'ಸಾರಾಂಶ',
+  'tabs.master': 'ಮಾಸ್ಟರ್',
+  'tabs.settings': 'ಸೆಟ್ಟಿಂಗ್ಸ್',
+
+  // Attendance: short toggle labels and full names
+  'attendance.P': 'ಹಾ',
+  'attendance.A': 'ಗೈ',
+  'attendance.H': 'ಅ',
+  'status.P': 'ಹಾಜರು',
+  'status.H': 'ಅರ್ಧ ದಿನ',
+  'status.A': 'ಗೈರುಹಾಜರು',
+  'status.O': 'ಹೆಚ್ಚುವರಿ ಸಮಯ',
+
+  // Payment kinds (PAYMENT_KINDS) and payment types
+  'paymentKind.wage': 'ಕೂಲಿ',
+  'paymentKind.advance': 'ಮುಂಗಡ',
+  'paymentKind.loan_disbursement': 'ಸಾಲ ನೀಡಿದ್ದು',
+  'paymentKind.loan_repayment': 'ಸಾಲ ಮರುಪಾವತಿ',
+  'paymentKind.deduction': 'ಕಡಿತ',
+  'paymentKind.bonus': 'ಬೋನಸ್',
+  'paymentMode.Cash': 'ನಗದು',
+  'paymentMode.UPI': 'UPI',
+  'paymentMode.Deduction': 'ಕಡಿತ',
+
+  // PIN screens
+  'pin.createTitle': 'ಪಿನ್ ರಚಿಸಿ',
+  'pin.createSubtitle': 'ಆ್ಯಪ್ ಸುರಕ್ಷಿತವಾಗಿಡಲು 4 ಅಂಕಿಯ ಪಿನ್ ಹೊಂದಿಸಿ.',
+  'pin.enterPlaceholder': 'ಪಿನ್ ನಮೂದಿಸಿ',
+  'pin.confirmPlaceholder': 'ಪಿನ್ ದೃಢೀಕರಿಸಿ',
+  'pin.mustBe4Digits': 'ಪಿನ್ 4 ಅಂಕಿಗಳಾಗಿರಬೇಕು',
+  'pin.mismatch': 'ಪಿನ್‌ಗಳು ಹೊಂದಿಕೆಯಾಗುತ್ತಿಲ್ಲ',
+  'pin.saveFailed': 'ಪಿನ್ ಉಳಿಸಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+  'pin.enterTitle': 'ಪಿನ್ ನಮೂದಿಸಿ',
+  'pin.enterSubtitle': 'ಆ್ಯಪ್ ಅನ್ನು ಸುರಕ್ಷಿತವಾಗಿ ತೆರೆಯಿರಿ',
+  'pin.incorrect': 'ತಪ್ಪಾದ ಪಿನ್',
+  'pin.useBiometric': 'ಬಯೋಮೆಟ್ರಿಕ್ ಬಳಸಿ',
+  'pin.forgot': 'ಪಿನ್ ಮರೆತಿರಾ?',
+  'pin.resetTitle': 'ಆ್ಯಪ್ ಮರುಹೊಂದಿಸಿ',
+  'pin.resetMessage': 'ಮರುಹೊಂದಿಸಿದರೆ ಆ್ಯಪ್‌ನ ಎಲ್ಲಾ ಡೇಟಾ ಅಳಿಸಲಾಗುತ್ತದೆ. ದೃಢೀಕರಿಸಲು RESET ಎಂದು ಟೈಪ್ ಮಾಡಿ.',
+  'pin.resetPrompt': 'ದೃಢೀಕರಿಸಲು RESET ಎಂದು ಟೈಪ್ ಮಾಡಿ',
+
+  // Entry screen
+  'entry.title': 'ನಮೂದು',
+  'entry.singleWorker': 'ಒಬ್ಬ ಕೆಲಸಗಾರ',
+  'entry.crewRoster': 'ತಂಡದ ಪಟ್ಟಿ',
+  'entry.attendance': 'ಹಾಜರಾತಿ',
+  'entry.workType': 'ಕೆಲಸದ ಪ್ರಕಾರ',
+  'entry.workA': 'ಕೆಲಸ A',
+  'entry.workADescription': 'ವರ್ಗದ ಆಧಾರದಲ್ಲಿ',
+  'entry.workB': 'ಕೆಲಸ B',
+  'entry.workBDescription': 'ಘಟಕದ ಆಧಾರದಲ್ಲಿ',
+  'entry.category': 'ವರ್ಗ',
+  'entry.selectCategory': 'ವರ್ಗ ಆಯ್ಕೆಮಾಡಿ',
+  'entry.subcategory': 'ಉಪವರ್ಗ',
+  'entry.selectSubcategory': 'ಉಪವರ್ಗ ಆಯ್ಕೆಮಾಡಿ',
+  'entry.item': 'ಐಟಂ',
+  'entry.customWork': 'ಬೇರೆ ಕೆಲಸ (ಕೆಳಗೆ ಬರೆಯಿರಿ)',
+  'entry.noItems': 'ಐಟಂಗಳಿಲ್ಲ - ಮಾಸ್ಟರ್‌ನಲ್ಲಿ ಸೇರಿಸಿ',
+  'entry.workName': 'ಕೆಲಸದ ಹೆಸರು',
+  'entry.workNamePlaceholder': 'ಕೆಲಸದ ವಿವರ ಬರೆಯಿರಿ',
+  'entry.unitsCompleted': 'ಮುಗಿಸಿದ ಘಟಕಗಳು',
+  'entry.ratePer': 'ಪ್ರತಿ {unit} ದರ',
+  'entry.unit': 'ಘಟಕ',
+  'entry.autoCalculated': '(ಸ್ವಯಂ ಲೆಕ್ಕ)',
+  'entry.manual': '(ಕೈಯಾರೆ)',
+  'entry.fromWageRate': '(ಕೂಲಿ ದರದಿಂದ)',
+  'entry.rateHint': '{since} ರಿಂದ ದಿನಕ್ಕೆ {rate}',
+  'entry.halfDayRateHint': 'ಅರ್ಧ ದಿನಕ್ಕೆ {rate}',
+  'entry.halfDayEarnsHalf': '(ಅರ್ಧ ದಿನಕ್ಕೆ ಅರ್ಧ ಕೂಲಿ)',
+  'entry.useRate': 'ದರ ಬಳಸಿ',
+  'entry.hoursWorked': 'ಕೆಲಸ ಮಾಡಿದ ಗಂಟೆಗಳು',
+  'entry.overtimeHours': 'ಹೆಚ್ಚುವರಿ ಗಂಟೆಗಳು',
+  'entry.overtimeRate': 'ಹೆಚ್ಚುವರಿ ಗಂಟೆಯ ದರ',
+  'entry.overtimeHint': 'ಹೆಚ್ಚುವರಿ {hours} ಗಂ × {rate} = {amount}, ಮೊತ್ತಕ್ಕೆ ಸೇರಿಸಲಾಗಿದೆ',
+  'entry.narration': 'ವಿವರಣೆ',
+  'entry.absentNotice': 'ಕೆಲಸಗಾರ ಗೈರುಹಾಜರು ಎಂದು ಗುರುತಿಸಲಾಗಿದೆ. ಬೇರೆ ವಿವರ ಬೇಕಿಲ್ಲ.',
+  'entry.save': 'ನಮೂದು ಉಳಿಸಿ',
+  'entry.saved': 'ನಮೂದು ಉಳಿಸಲಾಗಿದೆ.',
+  'entry.saveFailed': 'ನಮೂದು ಉಳಿಸುವಲ್ಲಿ ದೋಷ. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+  'entry.selectWorker': 'ದಯವಿಟ್ಟು ಕೆಲಸಗಾರರನ್ನು ಆಯ್ಕೆಮಾಡಿ.',
+  'entry.categoryRequired': 'ಕೆಲಸ A ಗೆ ವರ್ಗ ಅಗತ್ಯ.',
+  'entry.subcategoryRequired': 'ಕೆಲಸ A ಗೆ ಉಪವರ್ಗ ಅಗತ್ಯ.',
+  'entry.workNameRequired': 'ಕೆಲಸ B ಗೆ ಕೆಲಸದ ಹೆಸರು ಅಗತ್ಯ.',
+  'entry.unitsRequired': 'ಕೆಲಸ B ಗೆ ಸರಿಯಾದ ಘಟಕಗಳ ಸಂಖ್ಯೆ ಅಗತ್ಯ.',
+  'entry.rateRequired': 'ಕೆಲಸ B ಗೆ ಸರಿಯಾದ ಘಟಕ ದರ ಅಗತ್ಯ.',
+  'entry.amountRequired': 'ಗೈರುಹಾಜರಲ್ಲದ ನಮೂದುಗಳಿಗೆ ಸರಿಯಾದ ಮೊತ್ತ ಅಗತ್ಯ.',
+  'entry.subcategoryNotFound': 'ಆಯ್ಕೆಮಾಡಿದ ಉಪವರ್ಗ ಸಿಗಲಿಲ್ಲ',
+  'entry.subcategoryNotInCategory': 'ಆಯ್ಕೆಮಾಡಿದ ಉಪವರ್ಗ ಈ ವರ್ಗಕ್ಕೆ ಸೇರಿಲ್ಲ',
+  'entry.duplicateTitle': 'ಹಾಜರಾತಿ ಈಗಾಗಲೇ ಇದೆ',
+  'entry.duplicateMessage': 'ಒಂದು ದಿನಕ್ಕೆ ಒಮ್ಮೆ ಮಾತ್ರ ಹಾಜರಾತಿ ಹಾಕಬಹುದು. ಈ ದಿನಕ್ಕೆ ಘಟಕ ಕೆಲಸ (ಕೆಲಸ B) ಇನ್ನೂ ಸೇರಿಸಬಹುದು.',
+
+  // Payment screen
+  'payment.title': 'ಪಾವತಿ',
+  'payment.viewLedger': 'ಖಾತೆ ನೋಡಿ',
+  'payment.outstandingLoans': 'ಬಾಕಿ ಸಾಲ: {amount}',
+  'payment.kind': 'ವಿಧ',
+  'payment.bonusHint': 'ಬೋನಸ್ ಕೆಲಸಗಾರರ ಬಾಕಿಗೆ ಸೇರುತ್ತದೆ.',
+  'payment.loanHint': 'ಸಾಲಗಳನ್ನು ಬೇರೆಯಾಗಿ ಲೆಕ್ಕ ಇಡಲಾಗುತ್ತದೆ, ಕೂಲಿ ಬಾಕಿ ಬದಲಾಗುವುದಿಲ್ಲ.',
+  'payment.instalment': 'ಪ್ರತಿ ವೇತನ ಅವಧಿಯ ಕಂತು (ಐಚ್ಛಿಕ)',
+  'payment.repaymentHint': 'ಮರುಪಾವತಿಯನ್ನು ಕೆಲಸಗಾರರ ಕೂಲಿಯಿಂದ ಕಡಿತಗೊಳಿಸಲಾಗುತ್ತದೆ.',
+  'payment.oldestLoanFirst': 'ಹಳೆಯ ಬಾಕಿ ಸಾಲ ಮೊದಲು',
+  'payment.loanLeft': '{amount} ಬಾಕಿ',
+  'payment.type': 'ಪಾವತಿ ವಿಧಾನ',
+  'payment.save': 'ಪಾವತಿ ಉಳಿಸಿ',
+  'payment.saved': 'ಪಾವತಿ ಉಳಿಸಲಾಗಿದೆ.',
+  'payment.saveFailed': 'ಪಾವತಿ ಉಳಿಸುವಲ್ಲಿ ದೋಷ. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+  'payment.notifyTitle': 'ಕೆಲಸಗಾರರಿಗೆ ತಿಳಿಸಬೇಕೆ?',
+  'payment.notifySubtitle': 'ಈ ಪಾವತಿಯ ಬಗ್ಗೆ ಕೆಲಸಗಾರರಿಗೆ ಹೇಗೆ ತಿಳಿಸಬೇಕು ಎಂದು ಆಯ್ಕೆಮಾಡಿ.',
+  'payment.sendSms': 'SMS ಕಳುಹಿಸಿ',
+  'payment.sendWhatsapp': 'WhatsApp ಕಳುಹಿಸಿ',
+  'payment.saveSnapshotAs': 'ಔಟ್‌ಬಾಕ್ಸ್‌ಗೆ ಈ ರೂಪದಲ್ಲಿ ಉಳಿಸಿ',
+  'payment.saveToOutbox': 'ಔಟ್‌ಬಾಕ್ಸ್‌ಗೆ ಉಳಿಸಿ',
+  'payment.invalidPhone': 'ತಪ್ಪಾದ ಫೋನ್ ಸಂಖ್ಯೆ: {error}',
+  'payment.messageFailed': 'ಸಂದೇಶ ತಯಾರಿಸಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ',
+  'payment.smsOpened': 'SMS ತೆರೆಯಲಾಗಿದೆ. ಸಂದೇಶ ಇತಿಹಾಸದಲ್ಲಿ ಉಳಿಸಲಾಗಿದೆ.',
+  'payment.smsUnsupported': 'ಈ ಸಾಧನದಲ್ಲಿ SMS ಬೆಂಬಲವಿಲ್ಲ',
+  'payment.smsFailed': 'SMS ತೆರೆಯಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ: {error}',
+  'payment.whatsappOpened': 'WhatsApp ತೆರೆಯಲಾಗಿದೆ. ಸಂದೇಶ ಇತಿಹಾಸದಲ್ಲಿ ಉಳಿಸಲಾಗಿದೆ.',
+  'payment.whatsappWebOpened': 'WhatsApp ವೆಬ್ ತೆರೆಯಲಾಗಿದೆ. ಸಂದೇಶ ಇತಿಹಾಸದಲ್ಲಿ ಉಳಿಸಲಾಗಿದೆ.',
+  'payment.whatsappFailed': 'WhatsApp ತೆರೆಯಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ: {error}',
+  'payment.savedToOutbox': 'ಸಂದೇಶ ಔಟ್‌ಬಾಕ್ಸ್‌ಗೆ ಉಳಿಸಲಾಗಿದೆ',
+  'payment.outboxFailed': 'ಸಂದೇಶವನ್ನು ಔಟ್‌ಬಾಕ್ಸ್‌ಗೆ ಉಳಿಸಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ',
+
+  // Summary screen
+  'summary.title': 'ಕೆಲಸಗಾರರ ಸಾರಾಂಶ',
+  'summary.allWorkers': 'ಎಲ್ಲಾ ಕೆಲಸಗಾರರು',
+  'summary.allSites': 'ಎಲ್ಲಾ ಸೈಟ್‌ಗಳು',
+  'summary.unassigned': 'ಸೈಟ್ ನಿಗದಿಯಾಗಿಲ್ಲ',
+  'summary.selectSite': 'ಸೈಟ್ ಆಯ್ಕೆಮಾಡಿ',
+  'summary.fromDate': 'ಇಂದಿನಿಂದ',
+  'summary.toDate': 'ಇಲ್ಲಿಯವರೆಗೆ',
+  'summary.exportReport': 'ವರದಿ ರಫ್ತು ಮಾಡಿ',
+  'summary.quickCsv': 'ತ್ವರಿತ CSV',
+  'summary.generating': 'ವರದಿ ತಯಾರಾಗುತ್ತಿದೆ...',
+  'summary.noData': 'ಯಾವುದೇ ಡೇಟಾ ಇಲ್ಲ',
+  'summary.noDataHint': 'ಸಾರಾಂಶ ನೋಡಲು ಬೇರೆ ಪರದೆಗಳಲ್ಲಿ ಕೆಲಸಗಾರರು ಮತ್ತು ನಮೂದುಗಳನ್ನು ಸೇರಿಸಿ',
+  'summary.noMatches': 'ಫಿಲ್ಟರ್‌ಗೆ ಹೊಂದುವ ನಮೂದುಗಳಿಲ್ಲ',
+  'summary.refresh': 'ಡೇಟಾ ರಿಫ್ರೆಶ್ ಮಾಡಿ',
+  'summary.statsTitle': 'ಸಾರಾಂಶ ({count} ಕೆಲಸಗಾರರು)',
+  'summary.totalBalance': 'ಒಟ್ಟು ಬಾಕಿ',
+  'summary.totalPayments': 'ಒಟ್ಟು ಪಾವತಿಗಳು',
+  'summary.workingDays': '{count} ಕೆಲಸದ ದಿನಗಳು',
+  'summary.balance': 'ಬಾಕಿ',
+  'summary.payments': 'ಪಾವತಿಗಳು',
+  'summary.balanceSummary': 'ಬಾಕಿ ಸಾರಾಂಶ',
+  'summary.opening': 'ಆರಂಭಿಕ',
+  'summary.entries': 'ನಮೂದುಗಳು',
+  'summary.closing': 'ಅಂತಿಮ',
+  'summary.current': 'ಪ್ರಸ್ತುತ',
+  'summary.paymentsByKind': 'ವಿಧದ ಪ್ರಕಾರ ಪಾವತಿಗಳು',
+  'summary.outstandingLoans': 'ಬಾಕಿ ಸಾಲಗಳು',
+  'summary.pieceWork': 'ಘಟಕ ಕೆಲಸ',
+  'summary.attendanceSummary': 'ಹಾಜರಾತಿ ಸಾರಾಂಶ',
+  'summary.attendanceNote': 'ಆಯ್ಕೆಮಾಡಿದ ಅವಧಿಯಲ್ಲಿ ದಾಖಲಾದ ಒಟ್ಟು ನಮೂದುಗಳು',
+  'summary.recentEntries': 'ಇತ್ತೀಚಿನ ನಮೂದುಗಳು ({count})',
+  'summary.recentPayments': 'ಇತ್ತೀಚಿನ ಪಾವತಿಗಳು ({count})',
+  'summary.viewLedger': 'ವಹಿವಾಟು ಖಾತೆ ನೋಡಿ',
+  'summary.attendanceCalendar': 'ಹಾಜರಾತಿ ಕ್ಯಾಲೆಂಡರ್',
+  'summary.chooseFormat': 'ರಫ್ತು ಸ್ವರೂಪ ಆಯ್ಕೆಮಾಡಿ',
+  'summary.excelReport': 'Excel ವರದಿ',
+  'summary.excelDescription': 'ಎಲ್ಲಾ ಡೇಟಾ ಇರುವ ವಿವರವಾದ ಸ್ಪ್ರೆಡ್‌ಶೀಟ್',
+  'summary.pdfReport': 'PDF ವರದಿ',
+  'summary.pdfDescription': 'ಮುದ್ರಣಕ್ಕೆ ಸಿದ್ಧ ದಾಖಲೆ',
+  'summary.selectWorkers': 'ಕೆಲಸಗಾರರನ್ನು ಆಯ್ಕೆಮಾಡಿ (ಒಟ್ಟು {count})',
+  'summary.dateRange': 'ದಿನಾಂಕ ಅವಧಿ (ಐಚ್ಛಿಕ)',
+  'summary.clearFrom': 'ಆರಂಭ ತೆರವುಗೊಳಿಸಿ',
+  'summary.clearTo': 'ಅಂತ್ಯ ತೆರವುಗೊಳಿಸಿ',
+  'summary.exportPreview': 'ರಫ್ತು ಮುನ್ನೋಟ',
+  'summary.workers': 'ಕೆಲಸಗಾರರು',
+  'summary.total': 'ಒಟ್ಟು',
+  'summary.exporting': 'ರಫ್ತಾಗುತ್ತಿದೆ...',
+  'summary.exportAs': '{format} ರಫ್ತು ಮಾಡಿ',
+  'summary.exported': '{format} ರಫ್ತು ಯಶಸ್ವಿ! ಫೈಲ್: {file}',
+  'summary.exportedTo': '{file} ಗೆ ರಫ್ತು ಮಾಡಲಾಗಿದೆ',
+  'summary.exportFailed': 'ರಫ್ತು ವಿಫಲ: {error}',
+
+  // Phone number errors (codes from utils/phone)
+  'phone.missing': 'ಫೋನ್ ಸಂಖ್ಯೆ ನೀಡಿಲ್ಲ',
+  'phone.invalid': 'ಫೋನ್ ಸಂಖ್ಯೆಯಲ್ಲಿ ಅಂಕಿಗಳು, ಸ್ಪೇಸ್, ಡ್ಯಾಶ್ ಮತ್ತು ಆರಂಭದಲ್ಲಿ + ಮಾತ್ರ ಇರಬಹುದು',
+  'phone.tooShort': 'ಫೋನ್ ಸಂಖ್ಯೆ ತುಂಬಾ ಚಿಕ್ಕದು',
+  'phone.tooLong': 'ಫೋನ್ ಸಂಖ್ಯೆ ತುಂಬಾ ಉದ್ದವಾಗಿದೆ',
+  'phone.notMobile': 'ಇದು ಮೊಬೈಲ್ ಸಂಖ್ಯೆ ಅಲ್ಲ',
+
+  // Settings screen
+  'settings.title': 'ಸೆಟ್ಟಿಂಗ್ಸ್',
+  'settings.languageSection': 'ಭಾಷೆ',
+  'settings.language': 'ಆ್ಯಪ್ ಭಾಷೆ',
+  'settings.languageDescription': 'ಈ ಫೋನ್‌ನಲ್ಲಿ ಆ್ಯಪ್‌ನ ಭಾಷೆ',
+  'settings.languageHint': 'ಸಂದೇಶಗಳು ಮತ್ತು ವೇತನ ಚೀಟಿಗಳು ಪ್ರತಿ ಕೆಲಸಗಾರರ ಸ್ವಂತ ಭಾಷೆಯಲ್ಲಿರುತ್ತವೆ, ಅದನ್ನು ಮಾಸ್ಟರ್ → ಕೆಲಸಗಾರರು ಇಲ್ಲಿ ಹೊಂದಿಸಿ.',
+  'settings.languageChanged': 'ಭಾಷೆ {language} ಗೆ ಬದಲಾಗಿದೆ',
+  'settings.phoneCountry': 'ಫೋನ್ ಸಂಖ್ಯೆಯ ದೇಶ',
+  'settings.phoneCountryDescription': 'ದೇಶದ ಕೋಡ್ ಇಲ್ಲದ ಸಂಖ್ಯೆಗಳಿಗೆ ಬಳಸಲಾಗುತ್ತದೆ',
+  'settings.phoneCountryHint': '+ ನಿಂದ ಆರಂಭವಾಗುವ ಸಂಖ್ಯೆಗಳು ತಮ್ಮದೇ ದೇಶದ ಕೋಡ್ ಉಳಿಸಿಕೊಳ್ಳುತ್ತವೆ.',
+  'settings.phoneCountryChanged': 'ಫೋನ್ ಸಂಖ್ಯೆಗಳ ಡೀಫಾಲ್ಟ್ ದೇಶ ಈಗ {country}',
+  'settings.dataSection': 'ಡೇಟಾ ಮತ್ತು ಬ್ಯಾಕಪ್',
+  'settings.backupRestore': 'ಬ್ಯಾಕಪ್ ಮತ್ತು ಮರುಸ್ಥಾಪನೆ',
+  'settings.backupRestoreDescription': 'ಡೇಟಾ ರಫ್ತು ಮಾಡಿ ಅಥವಾ ಬ್ಯಾಕಪ್‌ನಿಂದ ಮರುಸ್ಥಾಪಿಸಿ',
+  'settings.backupTarget': 'ಸ್ವಯಂ-ಬ್ಯಾಕಪ್ ಸ್ಥಳ',
+  'settings.backupTargetDescription': 'ಸ್ವಯಂ ಬ್ಯಾಕಪ್‌ಗಳು ಎಲ್ಲಿಗೆ ಹೋಗುತ್ತವೆ ಮತ್ತು ಎಷ್ಟು ಇಡಬೇಕು',
+  'settings.verifyBalances': 'ಬಾಕಿಗಳನ್ನು ಪರಿಶೀಲಿಸಿ',
+  'settings.verifyBalancesDescription': 'ಪ್ರತಿ ಕೆಲಸಗಾರರ ಬಾಕಿಯಲ್ಲಿ ಅಸಂಗತತೆ ಪರಿಶೀಲಿಸಿ',
+  'settings.repairOrphans': 'ಅನಾಥ ದಾಖಲೆಗಳನ್ನು ಸರಿಪಡಿಸಿ',
+  'settings.repairOrphansDescription': 'ಕೆಲಸಗಾರ ಇಲ್ಲದ ನಮೂದು ಮತ್ತು ಪಾವತಿಗಳನ್ನು ಹುಡುಕಿ',
+  'settings.payrollSection': 'ವೇತನ',
+  'settings.payPeriods': 'ವೇತನ ಅವಧಿಗಳು',
+  'settings.payPeriodsDescription': 'ವಾರ, ಹದಿನೈದು ದಿನ ಅಥವಾ ತಿಂಗಳ ಅವಧಿ ಮುಚ್ಚಿ ವೇತನ ಚೀಟಿ ಮುದ್ರಿಸಿ',
+  'settings.appSection': 'ಆ್ಯಪ್ ನಿರ್ವಹಣೆ',
+  'settings.reportBug': 'ದೋಷ / ಸಲಹೆ ತಿಳಿಸಿ',
+  'settings.reportBugDescription': 'ಪ್ರತಿಕ್ರಿಯೆ ಕಳುಹಿಸಿ ಅಥವಾ ಸಮಸ್ಯೆ ವರದಿ ಮಾಡಿ',
+  'settings.resetApp': 'ಆ್ಯಪ್ ಮರುಹೊಂದಿಸಿ',
+  'settings.resetAppDescription': 'ಎಲ್ಲಾ ಡೇಟಾ ಅಳಿಸಿ ಹೊಸದಾಗಿ ಪ್ರಾರಂಭಿಸಿ',
+  'settings.appInfo': 'ಆ್ಯಪ್ ಮಾಹಿತಿ',
+  'settings.appInfoDescription': 'ಆವೃತ್ತಿ, ಕೃತಜ್ಞತೆಗಳು ಮತ್ತು ಆ್ಯಪ್ ವಿವರ',
+  'settings.updatesSection': 'ಅಪ್‌ಡೇಟ್‌ಗಳು',
+  'settings.checkUpdates': 'ಅಪ್‌ಡೇಟ್ ಪರಿಶೀಲಿಸಿ',
+  'settings.checkUpdatesDescription': 'ಆ್ಯಪ್ ಅಪ್‌ಡೇಟ್‌ಗಳನ್ನು ಕೈಯಾರೆ ಪರಿಶೀಲಿಸಿ',
+  'settings.whatsNew': 'ಹೊಸದೇನು',
+  'settings.whatsNewDescription': 'ಇತ್ತೀಚಿನ ಬದಲಾವಣೆಗಳು ಮತ್ತು ವೈಶಿಷ್ಟ್ಯಗಳು',
+  'settings.errorOpeningBackup': 'ಬ್ಯಾಕಪ್ ಪರದೆ ತೆರೆಯುವಲ್ಲಿ ದೋಷ',
+  'settings.balancesConsistent': 'ಎಲ್ಲಾ ಕೆಲಸಗಾರರ ಬಾಕಿಗಳು ಸರಿಯಾಗಿವೆ',
+  'settings.errorVerifyingBalances': 'ಬಾಕಿ ಪರಿಶೀಲಿಸುವಲ್ಲಿ ದೋಷ',
+  'settings.noOrphans': 'ಅನಾಥ ದಾಖಲೆಗಳು ಇಲ್ಲ',
+  'settings.errorCheckingOrphans': 'ಅನಾಥ ದಾಖಲೆ ಪರಿಶೀಲಿಸುವಲ್ಲಿ ದೋಷ',
+  'settings.orphansDeleted': 'ಅನಾಥ ದಾಖಲೆಗಳನ್ನು ಅಳಿಸಲಾಗಿದೆ',
+  'settings.orphansRecovered': 'ಅನಾಥ ದಾಖಲೆಗಳನ್ನು ಆರ್ಕೈವ್ ಕೆಲಸಗಾರರ ಅಡಿಯಲ್ಲಿ ಇಡಲಾಗಿದೆ',
+  'settings.errorOpeningBugReport': 'ದೋಷ ವರದಿ ಪರದೆ ತೆರೆಯುವಲ್ಲಿ ದೋಷ',
+  'settings.resetTitle': 'ಎಲ್ಲಾ ಡೇಟಾ ಮರುಹೊಂದಿಸಿ',
+  'settings.resetMessage': 'ಇದು ಎಲ್ಲಾ ಕೆಲಸಗಾರರು, ವರ್ಗಗಳು, ಉಪವರ್ಗಗಳು, ನಮೂದುಗಳು ಮತ್ತು ಪಾವತಿಗಳನ್ನು ಶಾಶ್ವತವಾಗಿ ಅಳಿಸುತ್ತದೆ. ಆರಂಭಿಕ ಬಾಕಿಗಳೂ ಮರುಹೊಂದಿಸಲ್ಪಡುತ್ತವೆ.',
+  'settings.resetWarning': 'ಇದನ್ನು ಹಿಂಪಡೆಯಲು ಸಾಧ್ಯವಿಲ್ಲ.',
+  'settings.resetting': 'ಮರುಹೊಂದಿಸಲಾಗುತ್ತಿದೆ...',
+  'settings.resetDone': 'ಎಲ್ಲಾ ಡೇಟಾ ಮರುಹೊಂದಿಸಲಾಗಿದೆ',
+  'settings.resetFailed': 'ಆ್ಯಪ್ ಡೇಟಾ ಮರುಹೊಂದಿಸುವಲ್ಲಿ ದೋಷ',
+  'settings.balanceIssues': 'ಬಾಕಿ ಸಮಸ್ಯೆಗಳು',
+  'settings.orphansTitle': 'ಅನಾಥ ದಾಖಲೆಗಳು',
+  'settings.orphansSummary': '{entries} ನಮೂದುಗಳು ಮತ್ತು {payments} ಪಾವತಿಗಳು ಅಳಿಸಲಾದ {workers} ಕೆಲಸಗಾರರಿಗೆ ಸೇರಿವೆ.',
+  'settings.orphansMessages': '{count} ಔಟ್‌ಬಾಕ್ಸ್ ಸಂದೇಶಗಳನ್ನು ತೆಗೆದುಹಾಕಲಾಗುತ್ತದೆ.',
+  'settings.orphansChoice': 'ಅವುಗಳನ್ನು ಆರ್ಕೈವ್ ಮಾಡಿದ "Recovered worker" ದಾಖಲೆಗಳ ಅಡಿಯಲ್ಲಿ ಇಡಿ, ಅಥವಾ ಅಳಿಸಿ.',
+  'settings.keep': 'ಇಡಿ',
+  'settings.appInfoTitle': 'ಆ್ಯಪ್ ಮಾಹಿತಿ',
+  'settings.appVersion': 'ಆ್ಯಪ್ ಆವೃತ್ತಿ:',
+  'settings.buildNumber': 'ಬಿಲ್ಡ್ ಸಂಖ್ಯೆ:',
+  'settings.runtimeVersion': 'ರನ್‌ಟೈಮ್ ಆವೃತ್ತಿ:',
+  'settings.developer': 'ಡೆವಲಪರ್:',
+  'settings.credits': 'ಕೃತಜ್ಞತೆಗಳು:',
+  'settings.noWhatsNew': 'ತೋರಿಸಲು ಯಾವುದೇ ಅಪ್‌ಡೇಟ್ ಇಲ್ಲ',
+  'settings.errorLoadingWhatsNew': '"ಹೊಸದೇನು" ತೆರೆಯುವಲ್ಲಿ ದೋಷ',
+  'settings.appUpdates': 'ಆ್ಯಪ್ ಅಪ್‌ಡೇಟ್‌ಗಳು',
+
+  // Payslip PDF
+  'payslip.title': 'ವೇತನ ಚೀಟಿ',
+  'payslip.period': 'ವೇತನ ಅವಧಿ',
+  'payslip.closed': 'ಮುಚ್ಚಿದ ದಿನ',
+  'payslip.openingBalance': 'ಆರಂಭಿಕ ಬಾಕಿ',
+  'payslip.earnings': 'ಗಳಿಕೆ',
+  'payslip.payments': 'ಪಾವತಿಗಳು',
+  'payslip.closingBalance': 'ಅಂತಿಮ ಬಾಕಿ',
+  'payslip.earningsSection': 'ಗಳಿಕೆ',
+  'payslip.paymentsSection': 'ಪಾವತಿಗಳು',
+  'payslip.work': 'ಕೆಲಸ',
+  'payslip.status': 'ಸ್ಥಿತಿ',
+  'payslip.overtime': 'ಹೆಚ್ಚುವರಿ ಸಮಯ',
+  'payslip.earned': 'ಗಳಿಸಿದ್ದು',
+  'payslip.type': 'ವಿಧ',
+  'payslip.noEntries': 'ಈ ಅವಧಿಯಲ್ಲಿ ಕೆಲಸದ ನಮೂದುಗಳಿಲ್ಲ.',
+  'payslip.noPayments': 'ಈ ಅವಧಿಯಲ್ಲಿ ಪಾವತಿಗಳಿಲ್ಲ.',
+  'payslip.footer': 'House Labour Management System ನಿಂದ ತಯಾರಿಸಲಾಗಿದೆ',
+};
@@ -15,14 +15,17 @@ import LedgerScreen from "../screens/LedgerScreen";
 import BackupRestoreScreen from "../screens/BackupRestoreScreen";
 import SuggestionsScreen from "../screens/SuggestionsScreen";
 import SettingsScreen from "../screens/SettingsScreen";
+import PayrollScreen from "../screens/PayrollScreen";
 
 const Stack = createNativeStackNavigator();
 const Tab = createBottomTabNavigator();
 
 import { hasPin } from '../utils/auth';
+import { useI18n } from '../utils/I18nProvider';
 
 export default function AppNavigator() {
   const [initialRoute, setInitialRoute] = React.useState(null);
+  const { t } = useI18n();
   
   React.useEffect(() => {
     (async () => {
@@ -39,6 +42,7 @@ export default function AppNavigator() {
         initialRouteName="Entry"
         screenOptions={({ route }) => ({
           headerShown: false,
+          tabBarLabel: t(`tabs.${route.name.toLowerCase()}`),
           tabBarActiveTintColor: '#6200ee',
           tabBarInactiveTintColor: '#757575',
           tabBarStyle: {
@@ -168,6 +172,14 @@ export default function AppNavigator() {
             animationDuration: 300,
           }}
         />
+        <Stack.Screen 
+          name="PayrollScreen" 
+          component={PayrollScreen}
+          options={{
+            animation: 'slide_from_right',
+            animationDuration: 300,
+          }}
+        />
       </Stack.Navigator>
     </NavigationContainer>
   );
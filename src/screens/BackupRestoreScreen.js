@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { 
   ScrollView, 
@@ -18,12 +18,68 @@ import {
   ActivityIndicator,
   Chip,
   Divider,
-  TextInput
+  TextInput,
+  Switch
 } from 'react-native-paper';
 import { useGlobalStore } from '../utils/GlobalStore';
 import BackupRestoreManager from '../utils/backupRestore';
 import AutoBackupManager from '../utils/autoBackupManager';
 import { format, parseISO } from 'date-fns';
+import { COLLECTION_LABELS, getChangedFields } from '../utils/audit';
+import { getMergeKey, getMergeSide, getMergeProblems, describeMergeItem, MERGE_DEFAULT_SIDES } from '../utils/mergeBackup';
+import { validatePassphrase } from '../utils/backupCrypto';
+
+const formatMergeValue = (value) => {
+  if (value === null || value === undefined || value === '') return '-';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const PROBLEM_ICONS = { error: '❌', warning: '⚠️', info: 'ℹ️' };
+
+// "12 workers, 340 entries" from integrity / verification counts
+const formatCounts = (counts) =>
+  Object.entries(counts || {}).filter(([, n]) => n > 0).map(([c, n]) => `${n} ${c}`).join(', ') || 'none';
+
+// Result of backup verification: checksum, problems and, when detailed, counts and balance totals
+function VerificationSummary({ report, detailed = false }) {
+  if (!report) return null;
+  const errors = report.problems.filter(p => p.level === 'error').length;
+  const warnings = report.problems.filter(p => p.level === 'warning').length;
+  return (
+    <View style={styles.verifySection}>
+      <Text style={[styles.verifyStatus, { color: errors ? '#dc3545' : warnings ? '#e67e22' : '#27ae60' }]}>
+        {errors
+          ? `❌ Backup is damaged (${errors} ${errors === 1 ? 'error' : 'errors'})`
+          : warnings
+            ? `⚠️ Backup is readable, ${warnings} ${warnings === 1 ? 'issue' : 'issues'} found`
+            : '✅ Backup verified, no problems found'}
+      </Text>
+      <Text style={styles.mergeItemDetail}>
+        Checksum: {{ valid: 'matches', mismatch: 'DOES NOT MATCH', missing: 'not available' }[report.checksum]}
+      </Text>
+      {detailed && (
+        <>
+          <Text style={styles.mergeItemDetail}>
+            Records: {formatCounts(report.counts)}
+          </Text>
+          <Text style={styles.mergeItemDetail}>
+            Balances: ₹{report.balances.total.toFixed(2)} across {report.balances.workers} workers
+            {report.balances.savedTotal !== null ? ` (₹${report.balances.savedTotal.toFixed(2)} when backed up)` : ''}
+          </Text>
+        </>
+      )}
+      {report.problems.map((problem, index) => (
+        <Text
+          key={`${problem.type}-${index}`}
+          style={[styles.mergeItemDetail, problem.level === 'error' && { color: '#dc3545' }]}
+        >
+          {PROBLEM_ICONS[problem.level]} {problem.message}
+        </Text>
+      ))}
+    </View>
+  );
+}
 
 export default function BackupRestoreScreen({ navigation }) {
   const { state, dispatch, refreshData } = useGlobalStore();
@@ -36,6 +92,21 @@ export default function BackupRestoreScreen({ navigation }) {
   const [restoreData, setRestoreData] = useState(null);
   const [manualInputVisible, setManualInputVisible] = useState(false);
   const [manualBackupText, setManualBackupText] = useState('');
+  const [mergeData, setMergeData] = useState(null); // { diff, counts }
+  const [mergeResolutions, setMergeResolutions] = useState({});
+  // A backup whose verification found errors is only restored after an explicit "restore anyway"
+  const [restoreAnyway, setRestoreAnyway] = useState(false);
+  // Optional passphrase encryption for exports, and the passphrase prompt for encrypted imports
+  const [encryptExport, setEncryptExport] = useState(false);
+  const [exportPassphrase, setExportPassphrase] = useState('');
+  const [exportPassphraseConfirm, setExportPassphraseConfirm] = useState('');
+  const [encryptedImport, setEncryptedImport] = useState(null); // { envelope, purpose: 'restore' | 'verify' }
+  const [importPassphrase, setImportPassphrase] = useState('');
+  const [importPassphraseError, setImportPassphraseError] = useState('');
+  // Restore from the auto-backup target: the snapshot list, then one downloaded snapshot
+  const [cloudBackups, setCloudBackups] = useState(null); // { loading, snapshots, error }
+  const [cloudPreview, setCloudPreview] = useState(null); // { snapshot, result }
+  const [verifyResult, setVerifyResult] = useState(null); // { title, report }
   
   // Auto-backup state
   const [autoBackupStatus, setAutoBackupStatus] = useState({
@@ -43,7 +114,9 @@ export default function BackupRestoreScreen({ navigation }) {
     lastBackup: null,
     retryCount: 0,
     lastError: null,
-    hasToken: false
+    configured: false,
+    targetLabel: null,
+    retention: null
   });
 
   useEffect(() => {
@@ -69,12 +142,35 @@ export default function BackupRestoreScreen({ navigation }) {
     }
   };
 
+  // Passphrase to export with: null for a plain backup, undefined when the fields don't check out
+  const getExportPassphrase = () => {
+    if (!encryptExport) return null;
+    const validation = validatePassphrase(exportPassphrase);
+    if (!validation.valid) {
+      setSnackbar({ visible: true, message: validation.error, type: 'error' });
+      return undefined;
+    }
+    if (exportPassphrase !== exportPassphraseConfirm) {
+      setSnackbar({ visible: true, message: 'Passphrases do not match', type: 'error' });
+      return undefined;
+    }
+    return exportPassphrase;
+  };
+
+  // Backups carry the audit log; keep it from growing without limit
+  const trimAuditLogAfterBackup = () => {
+    dispatch({ type: 'TRIM_AUDIT_LOG', payload: { at: new Date().toISOString() } });
+  };
+
   const handleExportBackup = async () => {
+    const passphrase = getExportPassphrase();
+    if (passphrase === undefined) return;
     setLoading(true);
     try {
-      const result = await BackupRestoreManager.exportBackup(state);
+      const result = await BackupRestoreManager.exportBackup(state, passphrase);
       
       if (result.success) {
+        trimAuditLogAfterBackup();
         setSnackbar({
           visible: true,
           message: `Backup shared successfully: ${result.fileName}`,
@@ -101,11 +197,14 @@ export default function BackupRestoreScreen({ navigation }) {
   };
 
   const handleExportToDownloads = async () => {
+    const passphrase = getExportPassphrase();
+    if (passphrase === undefined) return;
     setLoading(true);
     try {
-      const result = await BackupRestoreManager.exportBackupToDownloads(state);
+      const result = await BackupRestoreManager.exportBackupToDownloads(state, passphrase);
       
       if (result.success) {
+        trimAuditLogAfterBackup();
         setSnackbar({
           visible: true,
           message: `Backup ready for download: ${result.fileName}`,
@@ -132,11 +231,14 @@ export default function BackupRestoreScreen({ navigation }) {
   };
 
   const handleCopyToClipboard = async () => {
+    const passphrase = getExportPassphrase();
+    if (passphrase === undefined) return;
     setLoading(true);
     try {
-      const result = await BackupRestoreManager.copyBackupToClipboard(state);
+      const result = await BackupRestoreManager.copyBackupToClipboard(state, passphrase);
       
       if (result.success) {
+        trimAuditLogAfterBackup();
         setSnackbar({
           visible: true,
           message: `Backup copied to clipboard (${Math.round(result.size / 1024)}KB)`,
@@ -172,6 +274,8 @@ export default function BackupRestoreScreen({ navigation }) {
       if (result.success) {
         setRestoreData(result);
         setRestoreDialogVisible(true);
+      } else if (result.encrypted) {
+        askImportPassphrase(result.envelope);
       } else {
         setSnackbar({
           visible: true,
@@ -209,6 +313,9 @@ export default function BackupRestoreScreen({ navigation }) {
         setRestoreData(result);
         setRestoreDialogVisible(true);
         setManualBackupText(''); // Clear the text
+      } else if (result.encrypted) {
+        askImportPassphrase(result.envelope);
+        setManualBackupText('');
       } else {
         setSnackbar({
           visible: true,
@@ -226,6 +333,89 @@ export default function BackupRestoreScreen({ navigation }) {
     setLoading(false);
   };
 
+  const handleOpenCloudBackups = async () => {
+    setCloudPreview(null);
+    setCloudBackups({ loading: true, snapshots: [], error: null });
+    const result = await AutoBackupManager.listRemoteBackups();
+    setCloudBackups({ loading: false, snapshots: result.snapshots || [], error: result.error || null });
+  };
+
+  const handlePreviewCloudBackup = async (snapshot) => {
+    setLoading(true);
+    const result = await AutoBackupManager.downloadRemoteBackup(snapshot);
+    setLoading(false);
+    if (result.success) {
+      setCloudPreview({ snapshot, result });
+    } else if (result.encrypted) {
+      setCloudBackups(null);
+      askImportPassphrase(result.envelope);
+    } else {
+      setSnackbar({ visible: true, message: `Couldn't open ${snapshot.name}: ${result.error}`, type: 'error' });
+    }
+  };
+
+  const handleRestoreCloudBackup = () => {
+    if (!cloudPreview) return;
+    setRestoreData(cloudPreview.result);
+    setCloudPreview(null);
+    setCloudBackups(null);
+    setRestoreDialogVisible(true);
+  };
+
+  const handleVerifyFile = async () => {
+    setLoading(true);
+    const result = await BackupRestoreManager.importBackup();
+    setLoading(false);
+    if (result.canceled) return;
+    if (result.success) {
+      setVerifyResult({ title: result.metadata?.backupDate || 'Backup File', report: result.verification });
+    } else if (result.encrypted) {
+      askImportPassphrase(result.envelope, 'verify');
+    } else {
+      setSnackbar({ visible: true, message: `Not a usable backup: ${result.error}`, type: 'error' });
+    }
+  };
+
+  const handleVerifyHistory = async (backup) => {
+    setLoading(true);
+    const result = await BackupRestoreManager.verifyStoredBackup(backup.key);
+    setLoading(false);
+    if (result.success) {
+      setVerifyResult({ title: `${backup.type} · ${formatBackupDate(backup.timestamp)}`, report: result.report });
+    } else {
+      setSnackbar({ visible: true, message: result.error, type: 'error' });
+    }
+  };
+
+  const askImportPassphrase = (envelope, purpose = 'restore') => {
+    setImportPassphrase('');
+    setImportPassphraseError('');
+    setEncryptedImport({ envelope, purpose });
+  };
+
+  const handleDecryptImport = async () => {
+    if (!encryptedImport) return;
+    setLoading(true);
+    const result = await BackupRestoreManager.decryptImportedBackup(encryptedImport.envelope, importPassphrase);
+    setLoading(false);
+    if (result.success) {
+      setEncryptedImport(null);
+      setImportPassphrase('');
+      if (encryptedImport.purpose === 'verify') {
+        setVerifyResult({ title: result.metadata?.backupDate || 'Backup File', report: result.verification });
+      } else {
+        setRestoreData(result);
+        setRestoreDialogVisible(true);
+      }
+    } else if (result.wrongPassphrase) {
+      // Keep the prompt open so the passphrase can be retyped
+      setImportPassphraseError(result.error);
+    } else {
+      setEncryptedImport(null);
+      setSnackbar({ visible: true, message: `Import failed: ${result.error}`, type: 'error' });
+    }
+  };
+
   // Auto-backup handlers
   const handleToggleAutoBackup = async () => {
     try {
@@ -254,6 +444,7 @@ export default function BackupRestoreScreen({ navigation }) {
       const result = await AutoBackupManager.performBackup(state);
       
       if (result.success) {
+        trimAuditLogAfterBackup();
         setSnackbar({
           visible: true,
           message: result.message,
@@ -279,7 +470,7 @@ export default function BackupRestoreScreen({ navigation }) {
     setLoading(false);
   };
 
-  const handleTestGitHubConnection = async () => {
+  const handleTestConnection = async () => {
     setLoading(true);
     try {
       const result = await AutoBackupManager.testConnection();
@@ -300,7 +491,7 @@ export default function BackupRestoreScreen({ navigation }) {
   };
 
   const confirmRestore = async () => {
-    if (!restoreData) return;
+    if (!restoreData || restoreBlocked) return;
     
     console.log('Starting restore confirmation process...');
     console.log('Restore data:', restoreData);
@@ -371,6 +562,103 @@ export default function BackupRestoreScreen({ navigation }) {
     setRestoreData(null);
   };
 
+  const startMerge = async () => {
+    if (!restoreData || restoreBlocked) return;
+    setLoading(true);
+    setRestoreDialogVisible(false);
+    const result = await BackupRestoreManager.prepareMerge(restoreData, state);
+    setLoading(false);
+    if (!result.success) {
+      setSnackbar({ visible: true, message: `Merge failed: ${result.error}`, type: 'error' });
+      setRestoreData(null);
+      return;
+    }
+    setMergeResolutions({});
+    setMergeData(result);
+  };
+
+  const cancelMerge = () => {
+    setMergeData(null);
+    setRestoreData(null);
+  };
+
+  useEffect(() => {
+    setRestoreAnyway(false);
+  }, [restoreData]);
+
+  const restoreBlocked = restoreData?.verification?.ok === false && !restoreAnyway;
+
+  // Entries and payments from the backup that clash with the merged data (e.g. duplicate attendance)
+  const mergeProblems = useMemo(
+    () => (mergeData ? getMergeProblems(state, mergeData.diff, mergeResolutions) : []),
+    [mergeData, mergeResolutions, state]
+  );
+  const mergeProblemByKey = useMemo(
+    () => Object.fromEntries(mergeProblems.map(p => [getMergeKey(p.collection, p.item.id), p.error])),
+    [mergeProblems]
+  );
+
+  const setMergeSide = (collection, id, side) => {
+    setMergeResolutions(r => ({ ...r, [getMergeKey(collection, id)]: side }));
+  };
+
+  const confirmMerge = async () => {
+    if (!mergeData || mergeProblems.length > 0) return;
+    setLoading(true);
+    const { diff } = mergeData;
+    setMergeData(null);
+    try {
+      const result = await BackupRestoreManager.mergeBackup(state, diff, mergeResolutions, dispatch);
+      if (result.success) {
+        setSnackbar({ visible: true, message: 'Backup merged successfully!', type: 'success' });
+        await loadBackupHistory();
+        if (refreshData) {
+          await refreshData();
+        }
+      } else {
+        setSnackbar({ visible: true, message: `Merge failed: ${result.error}`, type: 'error' });
+      }
+    } catch (error) {
+      setSnackbar({ visible: true, message: `Merge failed: ${error.message}`, type: 'error' });
+    }
+    setLoading(false);
+    setRestoreData(null);
+  };
+
+  const renderMergeChoice = (collection, item, labels, bucket) => {
+    const side = getMergeSide(mergeResolutions, collection, item.id, MERGE_DEFAULT_SIDES[bucket]);
+    const problem = mergeProblemByKey[getMergeKey(collection, item.id)];
+    return (
+      <>
+        {problem && <Text style={[styles.mergeItemDetail, { color: '#dc3545' }]}>❌ {problem}</Text>}
+        <View style={styles.mergeChoiceRow}>
+          <Chip
+            compact
+            selected={side === 'local'}
+            onPress={() => setMergeSide(collection, item.id, 'local')}
+            style={styles.mergeChip}
+          >
+            {labels[0]}
+          </Chip>
+          <Chip
+            compact
+            selected={side === 'backup'}
+            onPress={() => setMergeSide(collection, item.id, 'backup')}
+            style={styles.mergeChip}
+          >
+            {labels[1]}
+          </Chip>
+        </View>
+      </>
+    );
+  };
+
+  const renderMergeFields = (item) => getChangedFields({ before: item.local, after: item.backup }).map(({ field, before, after }) => (
+    <Text key={field} style={styles.mergeItemDetail}>
+      {field}: {formatMergeValue(before)} (this phone) / {formatMergeValue(after)} (backup)
+    </Text>
+  ));
+
   const cleanupBackups = async () => {
     Alert.alert(
       'Cleanup Old Backups',
@@ -482,9 +770,14 @@ export default function BackupRestoreScreen({ navigation }) {
             
             <View style={styles.actionButtons}>
               {/* Auto-Backup Section */}
-              <Text style={styles.sectionSubtitle}>🔄 Auto-Backup to GitHub</Text>
+              <Text style={styles.sectionSubtitle}>🔄 Auto-Backup</Text>
               
               <View style={styles.autoBackupContainer}>
+                <Text style={styles.statusText}>
+                  {autoBackupStatus.configured
+                    ? `☁️ Target: ${autoBackupStatus.targetLabel} · keeps ${autoBackupStatus.retention} snapshots`
+                    : '⚠️ No backup target set up. Choose one in Settings → Auto-Backup Target.'}
+                </Text>
                 <View style={styles.autoBackupHeader}>
                   <Text style={styles.autoBackupTitle}>
                     Auto-backup {autoBackupStatus.enabled ? 'ON' : 'OFF'}
@@ -527,7 +820,7 @@ export default function BackupRestoreScreen({ navigation }) {
                   <Button
                     mode="outlined"
                     onPress={handleManualAutoBackup}
-                    disabled={loading || !autoBackupStatus.hasToken}
+                    disabled={loading || !autoBackupStatus.configured}
                     icon="backup-restore"
                     style={styles.actionButton}
                     contentStyle={styles.buttonContent}
@@ -537,7 +830,7 @@ export default function BackupRestoreScreen({ navigation }) {
                   
                   <Button
                     mode="text"
-                    onPress={handleTestGitHubConnection}
+                    onPress={handleTestConnection}
                     disabled={loading}
                     icon="cloud-check"
                     style={styles.actionButton}
@@ -553,6 +846,36 @@ export default function BackupRestoreScreen({ navigation }) {
               {/* Export Section */}
               <Text style={styles.sectionSubtitle}>Export Options</Text>
               
+              <View style={styles.encryptRow}>
+                <Text style={styles.encryptLabel}>🔒 Protect with passphrase</Text>
+                <Switch value={encryptExport} onValueChange={setEncryptExport} disabled={loading} />
+              </View>
+              {encryptExport && (
+                <View style={styles.encryptFields}>
+                  <TextInput
+                    label="Passphrase"
+                    value={exportPassphrase}
+                    onChangeText={setExportPassphrase}
+                    secureTextEntry
+                    mode="outlined"
+                    dense
+                    style={styles.passphraseInput}
+                  />
+                  <TextInput
+                    label="Confirm passphrase"
+                    value={exportPassphraseConfirm}
+                    onChangeText={setExportPassphraseConfirm}
+                    secureTextEntry
+                    mode="outlined"
+                    dense
+                    style={styles.passphraseInput}
+                  />
+                  <Text style={styles.encryptHint}>
+                    The backup can't be restored without this passphrase. Keep it somewhere safe.
+                  </Text>
+                </View>
+              )}
+              
               <Button
                 mode="contained"
                 onPress={handleExportBackup}
@@ -600,6 +923,28 @@ export default function BackupRestoreScreen({ navigation }) {
                 Import Backup
               </Button>
               
+              <Button
+                mode="outlined"
+                onPress={handleOpenCloudBackups}
+                disabled={loading || !autoBackupStatus.configured}
+                icon="cloud-download"
+                style={styles.actionButton}
+                contentStyle={styles.buttonContent}
+              >
+                Restore from Auto-Backup
+              </Button>
+              
+              <Button
+                mode="outlined"
+                onPress={handleVerifyFile}
+                disabled={loading}
+                icon="shield-check-outline"
+                style={styles.actionButton}
+                contentStyle={styles.buttonContent}
+              >
+                Verify Backup File
+              </Button>
+              
               <Button
                 mode="text"
                 onPress={() => setManualInputVisible(true)}
@@ -637,7 +982,7 @@ export default function BackupRestoreScreen({ navigation }) {
               </View>
             ) : (
               backupHistory.map((backup, index) => (
-                <Surface key={backup.key} style={styles.backupItem} elevation={1}>
+                <Surface key={backup.key} style={[styles.backupItem, styles.backupItemRow]} elevation={1}>
                   <View style={styles.backupInfo}>
                     <View style={styles.backupHeader}>
                       <Text style={styles.backupDate}>
@@ -658,6 +1003,12 @@ export default function BackupRestoreScreen({ navigation }) {
                       {backup.workers} workers, {backup.entries} entries, {backup.payments} payments
                     </Text>
                   </View>
+                  <IconButton
+                    icon="shield-check-outline"
+                    size={20}
+                    onPress={() => handleVerifyHistory(backup)}
+                    disabled={loading}
+                  />
                 </Surface>
               ))
             )}
@@ -670,14 +1021,20 @@ export default function BackupRestoreScreen({ navigation }) {
             <Text style={styles.cardTitle}>Instructions</Text>
             <View style={styles.instructionsList}>
               <Text style={styles.instructionItem}>
-                • <Text style={styles.instructionBold}>Export Backup:</Text> Creates a complete backup file that you can save to cloud storage or share.
+                • <Text style={styles.instructionBold}>Export Backup:</Text> Creates a complete backup file that you can save to cloud storage or share. Turn on the passphrase to encrypt it.
               </Text>
               <Text style={styles.instructionItem}>
-                • <Text style={styles.instructionBold}>Import Backup:</Text> Restores data from a previously exported backup file. This will replace all current data.
+                • <Text style={styles.instructionBold}>Import Backup:</Text> Restores data from a previously exported backup file. Replace overwrites all current data; Merge adds the backup's records and lets you pick a side where both phones changed the same record.
               </Text>
               <Text style={styles.instructionItem}>
                 • <Text style={styles.instructionBold}>Auto Backup:</Text> The app automatically creates backups before major operations.
               </Text>
+              <Text style={styles.instructionItem}>
+                • <Text style={styles.instructionBold}>Restore from Auto-Backup:</Text> Lists the snapshots on your auto-backup target. Open one to check its contents, then replace or merge as with an imported file.
+              </Text>
+              <Text style={styles.instructionItem}>
+                • <Text style={styles.instructionBold}>Verify Backup:</Text> Checks a backup file or history copy for damage, records pointing at missing workers or categories, and balance totals, without restoring it.
+              </Text>
               <Text style={styles.instructionItem}>
                 • <Text style={styles.instructionBold}>Data Validation:</Text> After restore, all balances are recalculated to ensure accuracy.
               </Text>
@@ -719,6 +1076,18 @@ export default function BackupRestoreScreen({ navigation }) {
                 <Text style={styles.dialogDetail}>
                   • {restoreData.metadata?.totalPayments || 0} payments
                 </Text>
+                <VerificationSummary report={restoreData.verification} />
+                {restoreData.verification?.ok === false && (
+                  <View style={styles.encryptRow}>
+                    <Text style={[styles.encryptLabel, { color: '#dc3545', flex: 1 }]}>
+                      Restore anyway (records may be missing or wrong)
+                    </Text>
+                    <Switch value={restoreAnyway} onValueChange={setRestoreAnyway} />
+                  </View>
+                )}
+                <Text style={styles.dialogText}>
+                  Merge keeps the data on this phone and adds or updates records from the backup.
+                </Text>
                 <Text style={styles.dialogWarning}>
                   ⚠️ Current data will be backed up automatically before restore.
                 </Text>
@@ -727,8 +1096,243 @@ export default function BackupRestoreScreen({ navigation }) {
           </Dialog.Content>
           <Dialog.Actions>
             <Button onPress={() => setRestoreDialogVisible(false)}>Cancel</Button>
-            <Button onPress={confirmRestore} buttonColor="#e74c3c" textColor="white">
-              Restore
+            <Button onPress={startMerge} disabled={restoreBlocked}>Merge</Button>
+            <Button
+              onPress={confirmRestore}
+              disabled={restoreBlocked}
+              buttonColor="#e74c3c"
+              textColor="white"
+            >
+              Replace
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      {/* Merge Review Dialog */}
+      <Portal>
+        <Dialog visible={!!mergeData} onDismiss={cancelMerge} style={styles.mergeDialog}>
+          <Dialog.Title>Merge Backup</Dialog.Title>
+          {mergeData && (
+            <Dialog.ScrollArea style={styles.mergeScrollArea}>
+              <ScrollView contentContainerStyle={{ paddingVertical: 8 }}>
+                <Text style={styles.dialogText}>
+                  {mergeData.counts.new} new · {mergeData.counts.changed} updated · {mergeData.counts.conflicts} conflicts · {mergeData.counts.deleted} deleted on the other phone
+                </Text>
+                {mergeProblems.length > 0 && (
+                  <Text style={[styles.dialogText, { color: '#dc3545' }]}>
+                    {mergeProblems.length} {mergeProblems.length === 1 ? 'record' : 'records'} from the backup can't be merged as they are. Keep this phone's version or skip them below.
+                  </Text>
+                )}
+                {Object.entries(mergeData.diff)
+                  .filter(([, d]) => d.new.length + d.changed.length + d.conflicts.length + d.deleted.length > 0)
+                  .map(([collection, d]) => (
+                    <View key={collection} style={styles.mergeSection}>
+                      <Text style={styles.mergeSectionTitle}>
+                        {COLLECTION_LABELS[collection] || collection}: {d.new.length} new, {d.changed.length} updated
+                      </Text>
+                      {d.new
+                        .filter(item => mergeProblemByKey[getMergeKey(collection, item.id)] || mergeResolutions[getMergeKey(collection, item.id)])
+                        .map(item => (
+                          <Surface key={`n-${item.id}`} style={styles.mergeItem} elevation={1}>
+                            <Text style={styles.mergeItemTitle}>➕ {describeMergeItem(collection, item, state)}</Text>
+                            <Text style={styles.mergeItemDetail}>Only in the backup</Text>
+                            {renderMergeChoice(collection, item, ['Skip', 'Add'], 'new')}
+                          </Surface>
+                        ))}
+                      {d.changed.map(item => (
+                        <Surface key={`u-${item.id}`} style={styles.mergeItem} elevation={1}>
+                          <Text style={styles.mergeItemTitle}>✏️ {describeMergeItem(collection, item, state)}</Text>
+                          <Text style={styles.mergeItemDetail}>Changed on the other phone</Text>
+                          {renderMergeFields(item)}
+                          {renderMergeChoice(collection, item, ['This phone', 'Backup'], 'changed')}
+                        </Surface>
+                      ))}
+                      {d.conflicts.map(item => (
+                        <Surface key={`c-${item.id}`} style={styles.mergeItem} elevation={1}>
+                          <Text style={styles.mergeItemTitle}>⚠️ {describeMergeItem(collection, item, state)}</Text>
+                          {renderMergeFields(item)}
+                          {renderMergeChoice(collection, item, ['This phone', 'Backup'], 'conflicts')}
+                        </Surface>
+                      ))}
+                      {d.deleted.map(item => (
+                        <Surface key={`d-${item.id}`} style={styles.mergeItem} elevation={1}>
+                          <Text style={styles.mergeItemTitle}>🗑️ {describeMergeItem(collection, item, state)}</Text>
+                          <Text style={styles.mergeItemDetail}>Not in the backup</Text>
+                          {renderMergeChoice(collection, item, ['Keep', 'Delete'], 'deleted')}
+                        </Surface>
+                      ))}
+                    </View>
+                  ))}
+                {mergeData.counts.new + mergeData.counts.changed + mergeData.counts.conflicts + mergeData.counts.deleted === 0 && (
+                  <Text style={styles.emptyText}>This phone already has everything in the backup</Text>
+                )}
+              </ScrollView>
+            </Dialog.ScrollArea>
+          )}
+          <Dialog.Actions>
+            <Button onPress={cancelMerge}>Cancel</Button>
+            <Button
+              onPress={confirmMerge}
+              disabled={mergeProblems.length > 0}
+              buttonColor="#2196F3"
+              textColor="white"
+            >
+              Apply Merge
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      {/* Auto-Backup Snapshots Dialog */}
+      <Portal>
+        <Dialog visible={!!cloudBackups} onDismiss={() => setCloudBackups(null)} style={styles.mergeDialog}>
+          <Dialog.Title>{cloudPreview ? 'Backup Contents' : 'Auto-Backup Snapshots'}</Dialog.Title>
+          <Dialog.ScrollArea style={styles.mergeScrollArea}>
+            <ScrollView contentContainerStyle={{ paddingVertical: 8 }}>
+              {cloudPreview ? (
+                <View>
+                  <Text style={styles.dialogHighlight}>
+                    {cloudPreview.result.metadata?.backupDate || cloudPreview.snapshot.name}
+                  </Text>
+                  <Text style={styles.dialogDetail}>File: {cloudPreview.snapshot.name}</Text>
+                  <Text style={styles.dialogDetail}>
+                    Checksum: {cloudPreview.result.integrity?.checksum || 'not recorded (older backup)'}
+                  </Text>
+                  {cloudPreview.result.integrity && (
+                    <Text style={styles.dialogDetail}>
+                      Records when backed up: {formatCounts(cloudPreview.result.integrity.counts)}
+                    </Text>
+                  )}
+                  <VerificationSummary report={cloudPreview.result.verification} />
+                  <Text style={styles.dialogDetail}>
+                    Schema version: {cloudPreview.result.data.schemaVersion || 'not recorded (older app)'}
+                  </Text>
+                  <Divider style={styles.dialogDivider} />
+                  <Text style={styles.dialogText}>Backup contains:</Text>
+                  {[
+                    ['workers', 'workers'],
+                    ['categories', 'categories'],
+                    ['subcategories', 'subcategories'],
+                    ['sites', 'sites'],
+                    ['entries', 'entries'],
+                    ['payments', 'payments'],
+                  ].map(([key, label]) => (
+                    <Text key={key} style={styles.dialogDetail}>
+                      • {(cloudPreview.result.data[key] || []).length} {label}
+                    </Text>
+                  ))}
+                  {(cloudPreview.result.data.entries || []).length > 0 && (
+                    <Text style={styles.dialogDetail}>
+                      • Latest entry: {[...cloudPreview.result.data.entries].map(e => e.date).sort().pop()}
+                    </Text>
+                  )}
+                  {(cloudPreview.result.data.workers || []).length > 0 && (
+                    <Text style={styles.mergeItemDetail}>
+                      Workers: {cloudPreview.result.data.workers.map(w => w.name).join(', ')}
+                    </Text>
+                  )}
+                </View>
+              ) : cloudBackups?.loading ? (
+                <ActivityIndicator style={{ marginVertical: 16 }} />
+              ) : cloudBackups?.error ? (
+                <Text style={styles.passphraseError}>{cloudBackups.error}</Text>
+              ) : cloudBackups?.snapshots.length === 0 ? (
+                <Text style={styles.emptyText}>No auto-backups found on {autoBackupStatus.targetLabel}</Text>
+              ) : (
+                cloudBackups?.snapshots.map(snapshot => (
+                  <Surface key={snapshot.name} style={styles.mergeItem} elevation={1}>
+                    <Text style={styles.mergeItemTitle}>
+                      {snapshot.date ? format(snapshot.date, 'dd MMM yyyy, HH:mm:ss') : snapshot.name}
+                    </Text>
+                    <Text style={styles.mergeItemDetail}>{snapshot.name}</Text>
+                    {snapshot.integrity ? (
+                      <>
+                        <Text style={styles.mergeItemDetail}>{formatCounts(snapshot.integrity.counts)}</Text>
+                        <Text style={styles.mergeItemDetail}>Checksum: {snapshot.integrity.checksum.slice(0, 16)}…</Text>
+                      </>
+                    ) : (
+                      <Text style={styles.mergeItemDetail}>Open to see its contents</Text>
+                    )}
+                    <Button
+                      compact
+                      mode="text"
+                      icon="eye-outline"
+                      onPress={() => handlePreviewCloudBackup(snapshot)}
+                      disabled={loading}
+                      style={styles.snapshotButton}
+                    >
+                      Open
+                    </Button>
+                  </Surface>
+                ))
+              )}
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            {cloudPreview ? (
+              <>
+                <Button onPress={() => setCloudPreview(null)}>Back</Button>
+                <Button onPress={handleRestoreCloudBackup} buttonColor="#2196F3" textColor="white">
+                  Restore…
+                </Button>
+              </>
+            ) : (
+              <Button onPress={() => setCloudBackups(null)}>Close</Button>
+            )}
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      {/* Backup Verification Dialog */}
+      <Portal>
+        <Dialog visible={!!verifyResult} onDismiss={() => setVerifyResult(null)} style={styles.mergeDialog}>
+          <Dialog.Title>Verify Backup</Dialog.Title>
+          <Dialog.ScrollArea style={styles.mergeScrollArea}>
+            <ScrollView contentContainerStyle={{ paddingVertical: 8 }}>
+              <Text style={styles.dialogHighlight}>{verifyResult?.title}</Text>
+              <VerificationSummary report={verifyResult?.report} detailed />
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setVerifyResult(null)}>Close</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      {/* Encrypted Backup Passphrase Dialog */}
+      <Portal>
+        <Dialog visible={!!encryptedImport} onDismiss={() => setEncryptedImport(null)}>
+          <Dialog.Title>Encrypted Backup</Dialog.Title>
+          <Dialog.Content>
+            <Text style={styles.dialogText}>
+              This backup is protected with a passphrase. Enter it to continue.
+            </Text>
+            <TextInput
+              label="Passphrase"
+              value={importPassphrase}
+              onChangeText={text => {
+                setImportPassphrase(text);
+                setImportPassphraseError('');
+              }}
+              secureTextEntry
+              autoFocus
+              mode="outlined"
+              error={!!importPassphraseError}
+            />
+            {!!importPassphraseError && (
+              <Text style={styles.passphraseError}>{importPassphraseError}</Text>
+            )}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setEncryptedImport(null)}>Cancel</Button>
+            <Button
+              onPress={handleDecryptImport}
+              disabled={!importPassphrase || loading}
+              buttonColor="#2196F3"
+              textColor="white"
+            >
+              Unlock
             </Button>
           </Dialog.Actions>
         </Dialog>
@@ -886,6 +1490,10 @@ const styles = StyleSheet.create({
   backupInfo: {
     flex: 1,
   },
+  backupItemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   backupHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -983,6 +1591,81 @@ const styles = StyleSheet.create({
     marginTop: 12,
     fontStyle: 'italic',
   },
+  encryptRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  encryptLabel: {
+    fontSize: 14,
+    color: '#2c3e50',
+  },
+  encryptFields: {
+    marginBottom: 12,
+  },
+  passphraseInput: {
+    marginBottom: 8,
+  },
+  encryptHint: {
+    fontSize: 12,
+    color: '#6c757d',
+  },
+  passphraseError: {
+    fontSize: 12,
+    color: '#dc3545',
+    marginTop: 8,
+  },
+  verifySection: {
+    marginTop: 8,
+  },
+  verifyStatus: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  mergeDialog: {
+    maxHeight: '90%',
+  },
+  mergeScrollArea: {
+    maxHeight: 480,
+  },
+  mergeSection: {
+    marginTop: 12,
+  },
+  mergeSectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2c3e50',
+    marginBottom: 6,
+  },
+  mergeItem: {
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 8,
+    backgroundColor: '#fff',
+  },
+  mergeItemTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#2c3e50',
+  },
+  mergeItemDetail: {
+    fontSize: 12,
+    color: '#495057',
+    marginTop: 2,
+  },
+  mergeChoiceRow: {
+    flexDirection: 'row',
+    marginTop: 6,
+  },
+  mergeChip: {
+    marginRight: 8,
+  },
+  snapshotButton: {
+    alignSelf: 'flex-start',
+    marginTop: 4,
+  },
   // Auto-backup styles
   autoBackupContainer: {
     backgroundColor: '#f8f9fa',
@@ -2,6 +2,7 @@ import React, { useState } from "react";
 import { SafeAreaView, StyleSheet, View, Modal, Alert, FlatList } from "react-native";
 import { Text, TextInput, Button, Card, Title, IconButton, Paragraph, Snackbar, ActivityIndicator } from "react-native-paper";
 import { useGlobalStore } from "../utils/GlobalStore";
+import { undoChange, redoChange, newTxId } from "../utils/audit";
 
 function CategoryMasterScreen({ goBack }) {
   const { state, dispatch } = useGlobalStore();
@@ -78,15 +79,16 @@ function CategoryMasterScreen({ goBack }) {
   const deleteCategory = (categoryId) => {
     Alert.alert(
       "Delete Category",
-      "This will permanently delete the category and all related subcategories. Are you sure?",
+      "This will delete the category and all related subcategories. Are you sure?",
       [
         { text: "Cancel", style: "cancel" },
         {
           text: "Delete",
           style: "destructive",
           onPress: () => {
-            dispatch({ type: 'DELETE_CATEGORY', payload: categoryId });
-            setSnackbar({ visible: true, message: "Category deleted successfully" });
+            const txId = newTxId();
+            dispatch({ type: 'DELETE_CATEGORY', payload: categoryId, meta: { txId } });
+            setSnackbar({ visible: true, message: "Category deleted successfully", undo: txId });
           }
         }
       ]
@@ -174,21 +176,37 @@ function CategoryMasterScreen({ goBack }) {
   const deleteSubcategory = (subcategoryId) => {
     Alert.alert(
       "Delete Subcategory",
-      "This will permanently delete the subcategory. Are you sure?",
+      "This will delete the subcategory. Are you sure?",
       [
         { text: "Cancel", style: "cancel" },
         {
           text: "Delete",
           style: "destructive",
           onPress: () => {
-            dispatch({ type: 'DELETE_SUBCATEGORY', payload: subcategoryId });
-            setSnackbar({ visible: true, message: "Subcategory deleted successfully" });
+            const txId = newTxId();
+            dispatch({ type: 'DELETE_SUBCATEGORY', payload: subcategoryId, meta: { txId } });
+            setSnackbar({ visible: true, message: "Subcategory deleted successfully", undo: txId });
           }
         }
       ]
     );
   };
 
+  // snackbar.undo / snackbar.redo hold the txId of the delete the snackbar announced
+  const handleUndo = () => {
+    const txId = snackbar.undo;
+    const result = undoChange(state, dispatch, txId);
+    setSnackbar(result.success
+      ? { visible: true, message: "Delete undone", redo: txId }
+      : { visible: true, message: result.error });
+  };
+
+  const handleRedo = () => {
+    const txId = snackbar.redo;
+    const result = redoChange(state, dispatch);
+    setSnackbar({ visible: true, message: result.success ? "Delete redone" : result.error, undo: result.success ? txId : false });
+  };
+
   const resetSubcategoryForm = () => {
     setSubForm({ subcategory: '', categoryIds: [] });
     setEditingSubcategory(null);
@@ -460,11 +478,12 @@ function CategoryMasterScreen({ goBack }) {
       <Snackbar
         visible={snackbar.visible}
         onDismiss={() => setSnackbar({ visible: false, message: '' })}
-        duration={3000}
-        action={{
-          label: 'OK',
-          onPress: () => setSnackbar({ visible: false, message: '' }),
-        }}
+        duration={snackbar.undo || snackbar.redo ? 6000 : 3000}
+        action={snackbar.undo
+          ? { label: 'Undo', onPress: handleUndo }
+          : snackbar.redo
+            ? { label: 'Redo', onPress: handleRedo }
+            : { label: 'OK', onPress: () => setSnackbar({ visible: false, message: '' }) }}
       >
         {snackbar.message}
       </Snackbar>
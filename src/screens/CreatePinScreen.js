@@ -1,8 +1,10 @@
 import React, { useState } from 'react';
 import { View, Text, TextInput, TouchableOpacity, StyleSheet, ActivityIndicator, KeyboardAvoidingView, SafeAreaView } from 'react-native';
 import { setPin } from '../utils/auth';
+import { useI18n } from '../utils/I18nProvider';
 
 export default function CreatePinScreen({ navigation }) {
+  const { t } = useI18n();
   const [step, setStep] = useState(1);
   const [pin, setPinValue] = useState('');
   const [confirmPin, setConfirmPin] = useState('');
@@ -11,7 +13,7 @@ export default function CreatePinScreen({ navigation }) {
 
   const handleNext = () => {
     if (pin.length !== 4) {
-      setError('PIN must be 4 digits');
+      setError(t('pin.mustBe4Digits'));
       return;
     }
     setStep(2);
@@ -20,7 +22,7 @@ export default function CreatePinScreen({ navigation }) {
 
   const handleConfirm = async () => {
     if (pin !== confirmPin) {
-      setError('PINs do not match');
+      setError(t('pin.mismatch'));
       setConfirmPin('');
       return;
     }
@@ -31,15 +33,15 @@ export default function CreatePinScreen({ navigation }) {
       navigation.replace('MainTabs');
     } catch {
       setLoading(false);
-      setError('Failed to save PIN. Try again.');
+      setError(t('pin.saveFailed'));
     }
   };
 
   return (
     <SafeAreaView style={styles.safeArea}>
       <KeyboardAvoidingView style={styles.container} behavior="padding">
-        <Text style={styles.title}>Create PIN</Text>
-        <Text style={styles.subtitle}>Set a 4-digit PIN to secure your app.</Text>
+        <Text style={styles.title}>{t('pin.createTitle')}</Text>
+        <Text style={styles.subtitle}>{t('pin.createSubtitle')}</Text>
         {step === 1 ? (
           <>
             <TextInput
@@ -49,11 +51,11 @@ export default function CreatePinScreen({ navigation }) {
               secureTextEntry
               value={pin}
               onChangeText={setPinValue}
-              placeholder="Enter PIN"
+              placeholder={t('pin.enterPlaceholder')}
               placeholderTextColor="#999"
             />
             <TouchableOpacity style={styles.button} onPress={handleNext} disabled={loading}>
-              <Text style={styles.buttonText}>Next</Text>
+              <Text style={styles.buttonText}>{t('common.next')}</Text>
             </TouchableOpacity>
           </>
         ) : (
@@ -65,11 +67,11 @@ export default function CreatePinScreen({ navigation }) {
               secureTextEntry
               value={confirmPin}
               onChangeText={setConfirmPin}
-              placeholder="Confirm PIN"
+              placeholder={t('pin.confirmPlaceholder')}
               placeholderTextColor="#999"
             />
             <TouchableOpacity style={styles.button} onPress={handleConfirm} disabled={loading}>
-              <Text style={styles.buttonText}>Confirm</Text>
+              <Text style={styles.buttonText}>{t('common.confirm')}</Text>
             </TouchableOpacity>
           </>
         )}
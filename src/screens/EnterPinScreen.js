@@ -2,11 +2,13 @@ import React, { useState, useRef, useEffect } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, Vibration, ActivityIndicator, KeyboardAvoidingView, Alert, SafeAreaView, Animated, Dimensions } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { verifyPin, hasPin, clearAllDataForReset, isBiometricAvailable, useBiometric } from '../utils/auth';
+import { useI18n } from '../utils/I18nProvider';
 
 const PIN_LENGTH = 4;
 const { width, height } = Dimensions.get('window');
 
 export default function EnterPinScreen({ navigation }) {
+  const { t } = useI18n();
   const [pin, setPin] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
@@ -94,7 +96,7 @@ export default function EnterPinScreen({ navigation }) {
     } else {
       Vibration.vibrate(100);
       shakeError();
-      setError('Incorrect PIN');
+      setError(t('pin.incorrect'));
       setPin('');
     }
   };
@@ -110,17 +112,17 @@ export default function EnterPinScreen({ navigation }) {
 
   const handleForgotPin = () => {
     Alert.alert(
-      'Reset App',
-      'Resetting will erase all local app data. Type RESET to confirm.',
+      t('pin.resetTitle'),
+      t('pin.resetMessage'),
       [
         {
-          text: 'Cancel',
+          text: t('common.cancel'),
           style: 'cancel',
         },
         {
-          text: 'Confirm',
+          text: t('common.confirm'),
           onPress: () => {
-            Alert.prompt('Type RESET to confirm', '', async (text) => {
+            Alert.prompt(t('pin.resetPrompt'), '', async (text) => {
               if (text === 'RESET') {
                 await clearAllDataForReset();
                 navigation.replace('CreatePin');
@@ -151,8 +153,8 @@ export default function EnterPinScreen({ navigation }) {
       >
         <KeyboardAvoidingView style={styles.innerContainer} behavior="padding">
           <View style={styles.header}>
-            <Text style={styles.title}>Enter PIN</Text>
-            <Text style={styles.subtitle}>Unlock your app securely</Text>
+            <Text style={styles.title}>{t('pin.enterTitle')}</Text>
+            <Text style={styles.subtitle}>{t('pin.enterSubtitle')}</Text>
           </View>
           
           <View style={styles.pinContainer}>
@@ -245,13 +247,13 @@ export default function EnterPinScreen({ navigation }) {
                   colors={['#2196F3', '#1976D2']}
                   style={styles.bioGradient}
                 >
-                  <Text style={styles.bioText}>🔒 Use Biometric</Text>
+                  <Text style={styles.bioText}>🔒 {t('pin.useBiometric')}</Text>
                 </LinearGradient>
               </TouchableOpacity>
             )}
             
             <TouchableOpacity style={styles.forgotButton} onPress={handleForgotPin}>
-              <Text style={styles.forgotText}>Forgot PIN?</Text>
+              <Text style={styles.forgotText}>{t('pin.forgot')}</Text>
             </TouchableOpacity>
           </View>
 
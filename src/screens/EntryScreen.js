@@ -1,4 +1,4 @@
-﻿import React, { useEffect, useState, useRef, useCallback } from "react";
+﻿import React, { useEffect, useState, useRef, useCallback, useMemo } from "react";
 import { useFocusEffect } from '@react-navigation/native';
 import RNPickerSelect from 'react-native-picker-select';
 import { SafeAreaView } from 'react-native-safe-area-context';
@@ -7,14 +7,24 @@ import Modal from 'react-native-modal';
 import { Text, Button, TextInput, Snackbar, Card, IconButton, Portal, Dialog, Switch } from "react-native-paper";
 import { useGlobalStore } from '../utils/GlobalStore';
 import BalanceCard from "../components/BalanceCard";
+import RosterAttendance from "../components/RosterAttendance";
 import DateTimePicker from '@react-native-community/datetimepicker';
-import { validateEntry, getWorkerBalance } from '../utils/balance';
+import { validateEntry } from '../utils/balance';
+import { getWorkerBalance } from '../utils/ledger';
+import { getRateInForce, getRateAmounts } from '../utils/wageRates';
+import { getOvertimeRate, getOvertimeFields } from '../utils/overtime';
+import { getItemRate } from '../utils/workItems';
+import { getSelectableSites } from '../utils/sites';
+import { getActiveWorkers } from '../utils/workers';
+import { useI18n } from '../utils/I18nProvider';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 export default function EntryScreen({ navigation }) {
   const { state, dispatch } = useGlobalStore();
+  const { t, formatCurrency } = useI18n();
   const scrollRef = useRef(null);
-  const workers = state.workers;
+  // Archived workers stay out of the picker
+  const workers = useMemo(() => getActiveWorkers(state.workers), [state.workers]);
   const categories = state.categories;
   const allSubcategories = state.subcategories;
   
@@ -35,13 +45,33 @@ export default function EntryScreen({ navigation }) {
   const [snackbar, setSnackbar] = useState({ visible: false, message: "" });
   const [balance, setBalance] = useState(0);
   const [duplicateDialogVisible, setDuplicateDialogVisible] = useState(false);
+  const [rosterMode, setRosterMode] = useState(false);
   
   // Work Type states (Work A / Work B)
   const [workType, setWorkType] = useState("A"); // "A" or "B"
   const [workName, setWorkName] = useState("");
   const [units, setUnits] = useState("");
   const [ratePerUnit, setRatePerUnit] = useState("");
+  const [workItemId, setWorkItemId] = useState(null);
+  // Site stays selected between saves; crews usually stay on one site all day
+  const [siteId, setSiteId] = useState(null);
+  const sites = getSelectableSites(state, siteId);
+  const workItems = state.workItems || [];
+  const selectedWorkItem = workItems.find(i => i.id === workItemId) || null;
 
+  // Hours and overtime (optional)
+  const [hoursWorked, setHoursWorked] = useState("");
+  const [overtimeHours, setOvertimeHours] = useState("");
+  const [overtimeRate, setOvertimeRate] = useState("");
+
+  // Wage rate auto-fill (Work A): amount follows the rate in force until typed over
+  const [amountOverridden, setAmountOverridden] = useState(false);
+  const currentWorker = workers.find(w => w.id === selectedWorker);
+  const rateInForce = workType === 'A'
+    ? getRateInForce(currentWorker, { date, categoryId: selectedCategory, subcategoryId: selectedSubcategory })
+    : null;
+  const rateAmounts = getRateAmounts(rateInForce, status);
+  const overtime = getOvertimeFields({ status, hoursWorked, overtimeHours, overtimeRate });
 
   // Set initial selected worker if not set
   useEffect(() => {
@@ -53,7 +83,7 @@ export default function EntryScreen({ navigation }) {
   // Update balance when selectedWorker, entries, or payments change using centralized logic
   useEffect(() => {
     if (!selectedWorker) return;
-    // Use getWorkerBalance to keep logic consistent with SummaryScreen and PaymentScreen
+    // Ledger engine keeps this consistent with Summary, Payment, Ledger and exports
     const newBal = getWorkerBalance(selectedWorker, { workers, entries: state.entries, payments: state.payments });
     setBalance(newBal);
   }, [selectedWorker, state.entries, state.payments, workers]);
@@ -75,6 +105,35 @@ export default function EntryScreen({ navigation }) {
     setSelectedSubcategory(null);
   }, [selectedCategory, allSubcategories]);
 
+  // Auto-fill amount for Work A from the worker's wage rate in force on the entry date
+  useEffect(() => {
+    if (workType !== 'A' || amountOverridden || !rateAmounts) return;
+    setAmount(rateAmounts.amount.toString());
+  }, [workType, amountOverridden, rateInForce?.id, rateAmounts?.amount]);
+
+  const handleAmountChange = (value) => {
+    setAmount(value);
+    setAmountOverridden(!!rateAmounts && Number(value) !== rateAmounts.amount);
+  };
+
+  const applyRateAmount = () => {
+    setAmountOverridden(false);
+    if (rateAmounts) setAmount(rateAmounts.amount.toString());
+  };
+
+  // Overtime rate follows the worker's own rate, else the default from Pay Periods settings
+  useEffect(() => {
+    const rate = getOvertimeRate(currentWorker, state);
+    setOvertimeRate(rate > 0 ? rate.toString() : "");
+  }, [selectedWorker, currentWorker?.overtimeRate, state.overtimeSettings]);
+
+  // Prefill the piece rate in force on the entry date from the item master
+  useEffect(() => {
+    if (workType !== 'B' || !selectedWorkItem) return;
+    setWorkName(selectedWorkItem.name);
+    setRatePerUnit(getItemRate(selectedWorkItem, date).toString());
+  }, [workType, workItemId, date, selectedWorkItem?.defaultRate]);
+
   // Auto-calculate amount for Work B when units or rate changes
   useEffect(() => {
     if (workType === "B" && units && ratePerUnit) {
@@ -85,12 +144,13 @@ export default function EntryScreen({ navigation }) {
 
   const handleSave = async () => {
     if (!selectedWorker) {
-      setSnackbar({ visible: true, message: "Please select a worker." });
+      setSnackbar({ visible: true, message: t('entry.selectWorker') });
       return;
     }
     
     setSaving(true);
     const dateStr = date.toISOString().slice(0, 10);
+    const fromRate = status !== 'A' && workType === 'A' && !!rateAmounts && !amountOverridden;
     
     const entry = {
       id: Date.now().toString(),
@@ -104,8 +164,18 @@ export default function EntryScreen({ navigation }) {
       workName: workType === 'B' && status !== 'A' ? workName : null,
       units: workType === 'B' && status !== 'A' ? Number(units) || 0 : null,
       ratePerUnit: workType === 'B' && status !== 'A' ? Number(ratePerUnit) || 0 : null,
+      workItemId: workType === 'B' && status !== 'A' ? workItemId : null,
+      siteId: status === 'A' ? null : siteId,
+      unit: workType === 'B' && status !== 'A' && selectedWorkItem ? selectedWorkItem.unit : null,
       amount: status === 'A' ? 0 : Number(amount) || 0,
       narration: status === 'A' ? '' : narration,
+      // Wage rate provenance: 'rate' when taken from the worker's rate, 'manual' when typed
+      amountSource: status === 'A' || workType !== 'A' ? null : (fromRate ? 'rate' : 'manual'),
+      wageRateId: status !== 'A' && workType === 'A' && rateInForce ? rateInForce.id : null,
+      rateAmount: status !== 'A' && rateAmounts ? rateAmounts.amount : null,
+      halfDayAmount: fromRate ? rateAmounts.halfDayAmount : null,
+      // Overtime is stored separately and added to earnings by the ledger
+      ...overtime,
     };
 
     // Enhanced validation for Work B
@@ -113,36 +183,36 @@ export default function EntryScreen({ navigation }) {
       if (workType === 'A') {
         // Existing Work A validation
         if (!selectedCategory) {
-          setSnackbar({ visible: true, message: "Category is required for Work A." });
+          setSnackbar({ visible: true, message: t('entry.categoryRequired') });
           setSaving(false);
           return;
         }
         if (!selectedSubcategory) {
-          setSnackbar({ visible: true, message: "Subcategory is required for Work A." });
+          setSnackbar({ visible: true, message: t('entry.subcategoryRequired') });
           setSaving(false);
           return;
         }
       } else if (workType === 'B') {
         // New Work B validation
         if (!workName || workName.trim() === '') {
-          setSnackbar({ visible: true, message: "Work name is required for Work B." });
+          setSnackbar({ visible: true, message: t('entry.workNameRequired') });
           setSaving(false);
           return;
         }
         if (!units || Number(units) <= 0) {
-          setSnackbar({ visible: true, message: "Valid units completed is required for Work B." });
+          setSnackbar({ visible: true, message: t('entry.unitsRequired') });
           setSaving(false);
           return;
         }
         if (!ratePerUnit || Number(ratePerUnit) <= 0) {
-          setSnackbar({ visible: true, message: "Valid rate per unit is required for Work B." });
+          setSnackbar({ visible: true, message: t('entry.rateRequired') });
           setSaving(false);
           return;
         }
       }
       
       if (!amount || Number(amount) <= 0) {
-        setSnackbar({ visible: true, message: "Valid amount is required for non-absent entries." });
+        setSnackbar({ visible: true, message: t('entry.amountRequired') });
         setSaving(false);
         return;
       }
@@ -167,13 +237,13 @@ export default function EntryScreen({ navigation }) {
     if (entry.status !== 'A' && entry.workType === 'A') {
       const subObj = (allSubcategories || []).find(s => s.id === entry.subcategoryId);
       if (!subObj) {
-        setSnackbar({ visible: true, message: 'Selected subcategory not found' });
+        setSnackbar({ visible: true, message: t('entry.subcategoryNotFound') });
         setSaving(false);
         return;
       }
       const mapped = (subObj.categoryIds && subObj.categoryIds.includes(entry.categoryId)) || (subObj.categoryId && subObj.categoryId === entry.categoryId);
       if (!mapped) {
-        setSnackbar({ visible: true, message: 'Selected subcategory is not associated with the chosen category' });
+        setSnackbar({ visible: true, message: t('entry.subcategoryNotInCategory') });
         setSaving(false);
         return;
       }
@@ -181,10 +251,11 @@ export default function EntryScreen({ navigation }) {
 
     try {
       dispatch({ type: 'ADD_ENTRY', payload: entry });
-      setSnackbar({ visible: true, message: "Entry saved successfully." });
+      setSnackbar({ visible: true, message: t('entry.saved') });
       
       // Reset form
       setAmount("");
+      setAmountOverridden(false);
       setNarration("");
       setSelectedCategory(null);
       setSelectedSubcategory(null);
@@ -192,11 +263,14 @@ export default function EntryScreen({ navigation }) {
       setWorkName("");
       setUnits("");
       setRatePerUnit("");
+      setWorkItemId(null);
+      setHoursWorked("");
+      setOvertimeHours("");
       setStatus("P");
       setDate(new Date());
     } catch (e) {
       console.error('Error saving entry:', e);
-      setSnackbar({ visible: true, message: "Error saving entry. Please try again." });
+      setSnackbar({ visible: true, message: t('entry.saveFailed') });
     }
     setSaving(false);
   };
@@ -225,7 +299,7 @@ export default function EntryScreen({ navigation }) {
       <KeyboardAvoidingView behavior={Platform.OS === "ios" ? "padding" : undefined} style={{ flex: 1 }}>
         {/* Header with refresh button */}
         <View style={styles.headerContainer}>
-          <Text style={styles.screenTitle}>Entry Screen</Text>
+          <Text style={styles.screenTitle}>{t('entry.title')}</Text>
           <IconButton
             icon="refresh"
             size={24}
@@ -235,13 +309,32 @@ export default function EntryScreen({ navigation }) {
           />
         </View>
 
+        {/* Single worker / whole crew roster */}
+        <View style={[styles.toggleRow, { paddingHorizontal: 16, marginBottom: 0 }]}>
+          {[
+            { key: false, label: t('entry.singleWorker') },
+            { key: true, label: t('entry.crewRoster') }
+          ].map(opt => (
+            <TouchableOpacity
+              key={String(opt.key)}
+              style={[styles.toggleBtn, rosterMode === opt.key && styles.toggleBtnActive]}
+              onPress={() => setRosterMode(opt.key)}
+            >
+              <Text style={[styles.toggleText, rosterMode === opt.key && styles.toggleTextActive]}>{opt.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
         {/* Modern Worker Balance Card - sticky at top, animated, color-coded */}
+        {!rosterMode && (
         <View style={styles.stickyBalanceCard}>
           <BalanceCard balance={balance} />
         </View>
+        )}
         {/* Worker Selection Button & Modal */}
+        {!rosterMode && (
         <View style={{ paddingHorizontal: 20, marginTop: 10 }}>
-          <Text style={styles.label}>Worker</Text>
+          <Text style={styles.label}>{t('common.worker')}</Text>
           <TouchableOpacity
             style={styles.workerSelectBtn}
             activeOpacity={0.8}
@@ -259,11 +352,12 @@ export default function EntryScreen({ navigation }) {
                 )}
               </View>
               <Text style={styles.workerSelectText}>
-                {selectedWorker ? workers.find(w => w.id === selectedWorker)?.name : "Select Worker"}
+                {selectedWorker ? workers.find(w => w.id === selectedWorker)?.name : t('common.selectWorker')}
               </Text>
             </View>
           </TouchableOpacity>
         </View>
+        )}
         {/* Modal for Worker Selection */}
         <Modal
           isVisible={workerSheetOpen}
@@ -276,7 +370,7 @@ export default function EntryScreen({ navigation }) {
         >
           <View style={styles.sheetContent}>
             <TextInput
-              placeholder="Search worker..."
+              placeholder={t('common.searchWorker')}
               value={workerSearch}
               onChangeText={setWorkerSearch}
               style={styles.workerSearchInput}
@@ -318,19 +412,25 @@ export default function EntryScreen({ navigation }) {
             {workers.length === 0 ? (
               <Card style={styles.card}>
                 <View style={styles.emptyState}>
-                  <Text style={styles.emptyStateText}>No workers found</Text>
-                  <Text style={styles.emptyStateSubtext}>Add workers from Master section first</Text>
+                  <Text style={styles.emptyStateText}>{t('common.noWorkers')}</Text>
+                  <Text style={styles.emptyStateSubtext}>{t('common.addWorkersFirst')}</Text>
                 </View>
               </Card>
+            ) : rosterMode ? (
+              <RosterAttendance
+                state={state}
+                dispatch={dispatch}
+                onMessage={message => setSnackbar({ visible: true, message })}
+              />
             ) : (
       <Card style={styles.card}>
               {/* ...existing code... (Date, Attendance, Category, Subcategory, Amount, Narration, Save) */}
 
               {/* ...existing code... (Date, Attendance, Category, Subcategory, Amount, Narration, Save) */}
-              <Text style={styles.label}>Date</Text>
+              <Text style={styles.label}>{t('common.date')}</Text>
               <TouchableOpacity onPress={() => setShowDatePicker(true)} style={styles.datePickerBtn} activeOpacity={0.7}>
                 <Text style={styles.dateText}>
-                  {date ? `${date.getDate().toString().padStart(2, '0')}/${(date.getMonth()+1).toString().padStart(2, '0')}/${date.getFullYear()}` : 'Select Date'}
+                  {date ? `${date.getDate().toString().padStart(2, '0')}/${(date.getMonth()+1).toString().padStart(2, '0')}/${date.getFullYear()}` : t('common.selectDate')}
                 </Text>
               </TouchableOpacity>
 
@@ -344,7 +444,7 @@ export default function EntryScreen({ navigation }) {
                 />
               )}
 
-              <Text style={styles.label}>Attendance</Text>
+              <Text style={styles.label}>{t('entry.attendance')}</Text>
               <View style={styles.toggleRow}>
                 {['P', 'A', 'H'].map(opt => {
                   let bg = '#fff';
@@ -361,7 +461,7 @@ export default function EntryScreen({ navigation }) {
                       style={[styles.toggleBtn, { backgroundColor: bg, borderColor: border, borderWidth: 1 }]}
                       onPress={() => setStatus(opt)}
                     >
-                      <Text style={[styles.toggleText, { color }]}>{opt}</Text>
+                      <Text style={[styles.toggleText, { color }]}>{t(`attendance.${opt}`)}</Text>
                     </TouchableOpacity>
                   );
                 })}
@@ -369,11 +469,31 @@ export default function EntryScreen({ navigation }) {
 
               {!isAbsent && (
                 <>
-                  <Text style={styles.label}>Work Type</Text>
+                  {sites.length > 0 && (
+                    <>
+                      <Text style={styles.label}>{t('common.site')}</Text>
+                      <View style={styles.dropdownRow}>
+                        <RNPickerSelect
+                          placeholder={{ label: t('common.noSite'), value: null, color: '#888' }}
+                          items={sites.map(s => ({ label: s.name, value: s.id, key: s.id }))}
+                          onValueChange={setSiteId}
+                          value={siteId}
+                          style={{
+                            inputIOS: [styles.dropdownInput, { backgroundColor: '#f7f7fa', color: '#333' }],
+                            inputAndroid: [styles.dropdownInput, { backgroundColor: '#f7f7fa', color: '#333' }],
+                            placeholder: { color: '#888' },
+                          }}
+                          useNativeAndroidPickerStyle={false}
+                        />
+                      </View>
+                    </>
+                  )}
+
+                  <Text style={styles.label}>{t('entry.workType')}</Text>
                   <View style={styles.toggleRow}>
                     {[
-                      { key: 'A', label: 'Work A', desc: 'Category Based' },
-                      { key: 'B', label: 'Work B', desc: 'Unit Based' }
+                      { key: 'A', label: t('entry.workA'), desc: t('entry.workADescription') },
+                      { key: 'B', label: t('entry.workB'), desc: t('entry.workBDescription') }
                     ].map(opt => {
                       let bg = '#fff';
                       let border = '#d1d1d1';
@@ -389,11 +509,13 @@ export default function EntryScreen({ navigation }) {
                           style={[styles.workTypeBtn, { backgroundColor: bg, borderColor: border, borderWidth: 1 }]}
                           onPress={() => {
                             setWorkType(opt.key);
+                            setAmountOverridden(false);
                             // Reset relevant fields when switching work type
                             if (opt.key === 'A') {
                               setWorkName("");
                               setUnits("");
                               setRatePerUnit("");
+                              setWorkItemId(null);
                               setAmount("");
                             } else {
                               setSelectedCategory(null);
@@ -411,10 +533,10 @@ export default function EntryScreen({ navigation }) {
 
                   {workType === 'A' && (
                     <>
-                      <Text style={styles.label}>Category</Text>
+                      <Text style={styles.label}>{t('entry.category')}</Text>
                       <View style={styles.dropdownRow}>
                         <RNPickerSelect
-                          placeholder={{ label: 'Select Category', value: null, color: '#888' }}
+                          placeholder={{ label: t('entry.selectCategory'), value: null, color: '#888' }}
                           items={categories.map(c => ({ label: c.category, value: c.id, key: c.id }))}
                           onValueChange={value => setSelectedCategory(value)}
                           value={selectedCategory}
@@ -428,10 +550,10 @@ export default function EntryScreen({ navigation }) {
                         />
                       </View>
 
-                      <Text style={styles.label}>Subcategory</Text>
+                      <Text style={styles.label}>{t('entry.subcategory')}</Text>
                       <View style={styles.dropdownRow}>
                         <RNPickerSelect
-                          placeholder={{ label: 'Select Subcategory', value: null, color: '#888' }}
+                          placeholder={{ label: t('entry.selectSubcategory'), value: null, color: '#888' }}
                           items={subcategories.map(s => ({ label: s.subcategory || s.subcategoryName || s.subcategoryName, value: s.id, key: s.id }))}
                           onValueChange={value => setSelectedSubcategory(value)}
                           value={selectedSubcategory}
@@ -449,18 +571,45 @@ export default function EntryScreen({ navigation }) {
 
                   {workType === 'B' && (
                     <>
-                      <Text style={styles.label}>Work Name</Text>
-                      <TextInput
-                        placeholder="Enter work description"
-                        value={workName}
-                        onChangeText={setWorkName}
-                        style={[styles.textInput, { backgroundColor: '#f7f7fa' }]}
-                        mode="outlined"
-                      />
+                      <Text style={styles.label}>{t('entry.item')}</Text>
+                      <View style={styles.dropdownRow}>
+                        <RNPickerSelect
+                          placeholder={{ label: workItems.length ? t('entry.customWork') : t('entry.noItems'), value: null, color: '#888' }}
+                          items={workItems.map(i => ({ label: `${i.name} (₹${i.defaultRate}/${i.unit})`, value: i.id, key: i.id }))}
+                          onValueChange={value => {
+                            setWorkItemId(value);
+                            if (!value) {
+                              setWorkName("");
+                              setRatePerUnit("");
+                            }
+                          }}
+                          value={workItemId}
+                          style={{
+                            inputIOS: [styles.dropdownInput, { backgroundColor: '#f7f7fa', color: '#333' }],
+                            inputAndroid: [styles.dropdownInput, { backgroundColor: '#f7f7fa', color: '#333' }],
+                            placeholder: { color: '#888' },
+                          }}
+                          disabled={workItems.length === 0}
+                          useNativeAndroidPickerStyle={false}
+                        />
+                      </View>
+
+                      {!selectedWorkItem && (
+                        <>
+                          <Text style={styles.label}>{t('entry.workName')}</Text>
+                          <TextInput
+                            placeholder={t('entry.workNamePlaceholder')}
+                            value={workName}
+                            onChangeText={setWorkName}
+                            style={[styles.textInput, { backgroundColor: '#f7f7fa' }]}
+                            mode="outlined"
+                          />
+                        </>
+                      )}
 
                       <View style={styles.rowInputs}>
                         <View style={styles.halfInput}>
-                          <Text style={styles.label}>Units Completed</Text>
+                          <Text style={styles.label}>{t('entry.unitsCompleted')}{selectedWorkItem ? ` (${selectedWorkItem.unit})` : ''}</Text>
                           <TextInput
                             placeholder="0"
                             value={units}
@@ -471,7 +620,7 @@ export default function EntryScreen({ navigation }) {
                           />
                         </View>
                         <View style={styles.halfInput}>
-                          <Text style={styles.label}>Rate per Unit</Text>
+                          <Text style={styles.label}>{t('entry.ratePer', { unit: selectedWorkItem ? selectedWorkItem.unit : t('entry.unit') })}</Text>
                           <TextInput
                             placeholder="0.00"
                             value={ratePerUnit}
@@ -486,12 +635,13 @@ export default function EntryScreen({ navigation }) {
                   )}
 
                   <Text style={styles.label}>
-                    Amount {workType === 'B' && units && ratePerUnit ? '(Auto-calculated)' : ''}
+                    {t('common.amount')} {workType === 'B' && units && ratePerUnit ? t('entry.autoCalculated') : ''}
+                    {workType === 'A' && rateAmounts ? (amountOverridden ? t('entry.manual') : t('entry.fromWageRate')) : ''}
                   </Text>
                   <TextInput
-                    label="Amount"
+                    label={t('common.amount')}
                     value={amount}
-                    onChangeText={workType === 'B' && units && ratePerUnit ? undefined : setAmount}
+                    onChangeText={workType === 'B' && units && ratePerUnit ? undefined : handleAmountChange}
                     keyboardType="numeric"
                     style={[
                       styles.input, 
@@ -500,10 +650,72 @@ export default function EntryScreen({ navigation }) {
                     ]}
                     editable={!(workType === 'B' && units && ratePerUnit)}
                   />
+                  {workType === 'A' && rateInForce && (
+                    <View style={styles.rateHint}>
+                      <Text style={styles.rateHintText}>
+                        {t('entry.rateHint', {
+                          rate: formatCurrency(rateInForce.fullDayRate),
+                          since: rateInForce.effectiveFrom.split('-').reverse().join('/'),
+                        })}
+                        {rateInForce.halfDayRate ? ` ${t('entry.halfDayRateHint', { rate: formatCurrency(rateInForce.halfDayRate) })}` : ''}
+                        {status === 'H' && !amountOverridden && !rateAmounts?.halfDayAmount ? ` ${t('entry.halfDayEarnsHalf')}` : ''}
+                      </Text>
+                      {amountOverridden && (
+                        <Button compact mode="text" onPress={applyRateAmount}>{t('entry.useRate')}</Button>
+                      )}
+                    </View>
+                  )}
 
-                  <Text style={styles.label}>Narration</Text>
+                  <View style={styles.rowInputs}>
+                    <View style={styles.halfInput}>
+                      <Text style={styles.label}>{t('entry.hoursWorked')}</Text>
+                      <TextInput
+                        placeholder={t('common.optional')}
+                        value={hoursWorked}
+                        onChangeText={setHoursWorked}
+                        keyboardType="numeric"
+                        style={[styles.textInput, { backgroundColor: '#f7f7fa' }]}
+                        mode="outlined"
+                      />
+                    </View>
+                    <View style={styles.halfInput}>
+                      <Text style={styles.label}>{t('entry.overtimeHours')}</Text>
+                      <TextInput
+                        placeholder="0"
+                        value={overtimeHours}
+                        onChangeText={setOvertimeHours}
+                        keyboardType="numeric"
+                        style={[styles.textInput, { backgroundColor: '#f7f7fa' }]}
+                        mode="outlined"
+                      />
+                    </View>
+                  </View>
+                  {overtime.overtimeHours > 0 && (
+                    <>
+                      <Text style={styles.label}>{t('entry.overtimeRate')}</Text>
+                      <TextInput
+                        placeholder="0.00"
+                        value={overtimeRate}
+                        onChangeText={setOvertimeRate}
+                        keyboardType="numeric"
+                        style={[styles.textInput, { backgroundColor: '#f7f7fa' }]}
+                        mode="outlined"
+                      />
+                      <View style={styles.rateHint}>
+                        <Text style={styles.rateHintText}>
+                          {t('entry.overtimeHint', {
+                            hours: overtime.overtimeHours,
+                            rate: formatCurrency(overtime.overtimeRate),
+                            amount: formatCurrency(overtime.overtimeAmount),
+                          })}
+                        </Text>
+                      </View>
+                    </>
+                  )}
+
+                  <Text style={styles.label}>{t('entry.narration')}</Text>
                   <TextInput
-                    label="Narration"
+                    label={t('entry.narration')}
                     value={narration}
                     onChangeText={setNarration}
                     multiline
@@ -515,7 +727,7 @@ export default function EntryScreen({ navigation }) {
               {isAbsent && (
                 <View style={styles.absentNotice}>
                   <Text style={styles.absentText}>
-                    Worker is marked as absent. No additional details required.
+                    {t('entry.absentNotice')}
                   </Text>
                 </View>
               )}
@@ -527,7 +739,7 @@ export default function EntryScreen({ navigation }) {
                 loading={saving}
                 disabled={loading || saving || !selectedWorker || !date}
               >
-                Save Entry
+                {t('entry.save')}
               </Button>
             </Card>
             )}
@@ -535,12 +747,12 @@ export default function EntryScreen({ navigation }) {
         </ScrollView>
         <Portal>
           <Dialog visible={duplicateDialogVisible} onDismiss={() => setDuplicateDialogVisible(false)}>
-            <Dialog.Title>Duplicate Attendance</Dialog.Title>
+            <Dialog.Title>{t('entry.duplicateTitle')}</Dialog.Title>
             <Dialog.Content>
-              <Text>Attendance cannot be made more than once per day</Text>
+              <Text>{t('entry.duplicateMessage')}</Text>
             </Dialog.Content>
             <Dialog.Actions>
-              <Button onPress={() => setDuplicateDialogVisible(false)}>OK</Button>
+              <Button onPress={() => setDuplicateDialogVisible(false)}>{t('common.ok')}</Button>
             </Dialog.Actions>
           </Dialog>
         </Portal>
@@ -832,6 +1044,18 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontStyle: 'italic',
   },
+  rateHint: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  rateHintText: {
+    fontSize: 12,
+    color: '#666',
+    fontStyle: 'italic',
+    flex: 1,
+  },
   // Row Input Styles
   rowInputs: {
     flexDirection: 'row',
@@ -0,0 +1,361 @@
+import React, { useMemo, useState } from "react";
+import { SafeAreaView, StyleSheet, View, ScrollView } from "react-native";
+import { Text, Button, Card, Title, IconButton, Chip, Snackbar, Switch, Divider } from "react-native-paper";
+import RNPickerSelect from 'react-native-picker-select';
+import { useGlobalStore } from "../utils/GlobalStore";
+import { undoChange, newTxId } from "../utils/audit";
+import {
+  IMPORT_TYPES,
+  IMPORT_FIELDS,
+  pickImportFile,
+  guessMapping,
+  buildImportPlan,
+  getImportPayload,
+} from "../utils/importData";
+
+// Rows listed in the preview; the rest are still imported
+const PREVIEW_LIMIT = 200;
+
+function ImportScreen({ goBack }) {
+  const { state, dispatch } = useGlobalStore();
+
+  const [type, setType] = useState('entries');
+  const [file, setFile] = useState(null); // { fileName, headers, rows }
+  const [mapping, setMapping] = useState({});
+  const [createMissing, setCreateMissing] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [snackbar, setSnackbar] = useState({ visible: false, message: '', undo: false });
+
+  const plan = useMemo(
+    () => (file ? buildImportPlan(state, file.rows, { type, mapping, createMissing }) : null),
+    [file, type, mapping, createMissing, state]
+  );
+
+  const changeType = (nextType) => {
+    setType(nextType);
+    if (file) setMapping(guessMapping(file.headers, nextType));
+  };
+
+  const chooseFile = async () => {
+    setLoading(true);
+    const result = await pickImportFile();
+    setLoading(false);
+    if (!result.success) {
+      if (!result.canceled) setSnackbar({ visible: true, message: result.error, undo: false });
+      return;
+    }
+    setFile(result);
+    setMapping(guessMapping(result.headers, type));
+  };
+
+  const runImport = () => {
+    if (!plan || plan.validCount === 0) return;
+    const payload = getImportPayload(plan);
+    const txId = newTxId();
+    dispatch({ type: 'IMPORT_RECORDS', payload, meta: { txId } });
+    console.log(`📥 Imported ${plan.validCount} ${type} rows from ${file.fileName}`);
+
+    const created = [
+      payload.workers.length && type !== 'workers' ? `${payload.workers.length} new workers` : null,
+      payload.categories.length ? `${payload.categories.length} new categories` : null,
+      payload.subcategories.length ? `${payload.subcategories.length} new subcategories` : null,
+    ].filter(Boolean);
+    setSnackbar({
+      visible: true,
+      message: `Imported ${plan.validCount} rows${created.length ? ` (${created.join(', ')})` : ''}`,
+      undo: txId,
+    });
+    setFile(null);
+    setMapping({});
+  };
+
+  // Undo this import (snackbar.undo holds its txId), not whatever was dispatched since
+  const handleUndo = () => {
+    const result = undoChange(state, dispatch, snackbar.undo);
+    setSnackbar({ visible: true, message: result.success ? 'Import undone' : result.error, undo: false });
+  };
+
+  const fields = IMPORT_FIELDS[type];
+  const headerItems = (file?.headers || []).map(h => ({ label: h, value: h, key: h }));
+  const rowText = (row) => fields
+    .filter(f => mapping[f.key])
+    .map(f => String(row[mapping[f.key]] ?? '').trim())
+    .filter(Boolean)
+    .join(' · ');
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      <View style={styles.headerRow}>
+        <IconButton icon="arrow-left" size={28} onPress={goBack} />
+        <Title style={styles.title}>Import Data</Title>
+        <View style={{ width: 40 }} />
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <Card style={styles.card}>
+          <Card.Content>
+            <Text style={styles.sectionTitle}>1. What are you importing?</Text>
+            <View style={styles.chipRow}>
+              {Object.entries(IMPORT_TYPES).map(([key, value]) => (
+                <Chip
+                  key={key}
+                  selected={type === key}
+                  onPress={() => changeType(key)}
+                  style={styles.chip}
+                >
+                  {value.label}
+                </Chip>
+              ))}
+            </View>
+            <Button
+              mode="contained"
+              icon="file-upload-outline"
+              onPress={chooseFile}
+              loading={loading}
+              disabled={loading}
+              style={styles.button}
+            >
+              Choose CSV / Excel File
+            </Button>
+            {file && (
+              <Text style={styles.fileInfo}>
+                {file.fileName} · {file.rows.length} rows · {file.headers.length} columns
+              </Text>
+            )}
+          </Card.Content>
+        </Card>
+
+        {file && (
+          <Card style={styles.card}>
+            <Card.Content>
+              <Text style={styles.sectionTitle}>2. Match columns</Text>
+              {fields.map(field => (
+                <View key={field.key} style={styles.mappingRow}>
+                  <Text style={styles.mappingLabel}>
+                    {field.label}{field.required ? ' *' : ''}
+                  </Text>
+                  <View style={styles.mappingPicker}>
+                    <RNPickerSelect
+                      placeholder={{ label: '(not in file)', value: null }}
+                      items={headerItems}
+                      onValueChange={value => setMapping(m => ({ ...m, [field.key]: value }))}
+                      value={mapping[field.key] || null}
+                      style={{ inputIOS: styles.pickerInput, inputAndroid: styles.pickerInput }}
+                      useNativeAndroidPickerStyle={false}
+                    />
+                  </View>
+                </View>
+              ))}
+              {type !== 'workers' && (
+                <View style={styles.switchRow}>
+                  <Text style={styles.switchLabel}>
+                    Create missing workers{type === 'entries' ? ', categories and subcategories' : ''}
+                  </Text>
+                  <Switch value={createMissing} onValueChange={setCreateMissing} />
+                </View>
+              )}
+            </Card.Content>
+          </Card>
+        )}
+
+        {plan && (
+          <Card style={styles.card}>
+            <Card.Content>
+              <Text style={styles.sectionTitle}>3. Preview</Text>
+              {plan.error ? (
+                <Text style={styles.errorText}>{plan.error}</Text>
+              ) : (
+                <>
+                  <Text style={styles.summaryText}>
+                    {plan.validCount} of {plan.rows.length} rows ready to import
+                    {plan.rows.length > plan.validCount ? `, ${plan.rows.length - plan.validCount} will be skipped` : ''}
+                  </Text>
+                  {type !== 'workers' && (plan.workers.length + plan.categories.length + plan.subcategories.length) > 0 && (
+                    <Text style={styles.createText}>
+                      Will create {plan.workers.length} workers, {plan.categories.length} categories, {plan.subcategories.length} subcategories
+                    </Text>
+                  )}
+                  <Divider style={styles.divider} />
+                  {plan.rows.slice(0, PREVIEW_LIMIT).map(row => (
+                    <View key={row.index} style={styles.previewRow}>
+                      <Text style={styles.rowNumber}>{row.index + 2}</Text>
+                      <View style={styles.rowBody}>
+                        <Text style={styles.rowText} numberOfLines={1}>{rowText(file.rows[row.index])}</Text>
+                        {row.error ? (
+                          <Text style={styles.rowError}>{row.error}</Text>
+                        ) : (
+                          <Text style={styles.rowOk}>Ready</Text>
+                        )}
+                      </View>
+                    </View>
+                  ))}
+                  {plan.rows.length > PREVIEW_LIMIT && (
+                    <Text style={styles.moreText}>…and {plan.rows.length - PREVIEW_LIMIT} more rows</Text>
+                  )}
+                </>
+              )}
+              <Button
+                mode="contained"
+                icon="database-import-outline"
+                onPress={runImport}
+                disabled={!!plan.error || plan.validCount === 0}
+                style={styles.button}
+              >
+                Import {plan.validCount} Rows
+              </Button>
+            </Card.Content>
+          </Card>
+        )}
+      </ScrollView>
+
+      <Snackbar
+        visible={snackbar.visible}
+        onDismiss={() => setSnackbar({ visible: false, message: '', undo: false })}
+        duration={snackbar.undo ? 6000 : 3000}
+        action={snackbar.undo ? { label: 'Undo', onPress: handleUndo } : undefined}
+      >
+        {snackbar.message}
+      </Snackbar>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingTop: 8,
+    marginBottom: 8,
+  },
+  title: {
+    flex: 1,
+    fontSize: 22,
+    fontWeight: '700',
+    textAlign: 'center',
+    color: '#2c3e50',
+  },
+  content: {
+    paddingHorizontal: 16,
+    paddingBottom: 32,
+  },
+  card: {
+    marginBottom: 16,
+    borderRadius: 12,
+    elevation: 3,
+    backgroundColor: '#fff',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#2c3e50',
+    marginBottom: 12,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  button: {
+    marginTop: 8,
+    borderRadius: 8,
+  },
+  fileInfo: {
+    marginTop: 10,
+    fontSize: 13,
+    color: '#7f8c8d',
+  },
+  mappingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  mappingLabel: {
+    width: 120,
+    fontSize: 14,
+    color: '#2c3e50',
+  },
+  mappingPicker: {
+    flex: 1,
+  },
+  pickerInput: {
+    fontSize: 14,
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    color: '#2c3e50',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 6,
+  },
+  switchLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: '#2c3e50',
+    marginRight: 12,
+  },
+  summaryText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2c3e50',
+  },
+  createText: {
+    fontSize: 13,
+    color: '#2980b9',
+    marginTop: 4,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#e74c3c',
+  },
+  divider: {
+    marginVertical: 10,
+  },
+  previewRow: {
+    flexDirection: 'row',
+    paddingVertical: 6,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#eee',
+  },
+  rowNumber: {
+    width: 36,
+    fontSize: 12,
+    color: '#95a5a6',
+  },
+  rowBody: {
+    flex: 1,
+  },
+  rowText: {
+    fontSize: 13,
+    color: '#2c3e50',
+  },
+  rowOk: {
+    fontSize: 12,
+    color: '#27ae60',
+  },
+  rowError: {
+    fontSize: 12,
+    color: '#e74c3c',
+  },
+  moreText: {
+    fontSize: 12,
+    color: '#7f8c8d',
+    marginTop: 8,
+    textAlign: 'center',
+  },
+});
+
+export default ImportScreen;
@@ -23,18 +23,27 @@ import {
   Dialog
 } from "react-native-paper";
 import { useGlobalStore } from '../utils/GlobalStore';
-import { getWorkerBalance, formatBalance } from "../utils/balance";
+import { formatBalance } from "../utils/balance";
+import { buildWorkerLedger, getWorkerBalance, getPaymentKind, PAYMENT_KINDS } from "../utils/ledger";
+import { getOutstandingLoanTotal } from '../utils/loans';
 import { format, parseISO, isAfter, isBefore, startOfDay, endOfDay } from 'date-fns';
 import { EditEntryModal, EditPaymentModal } from '../components/EditModals';
+import AttendanceCalendar from '../components/AttendanceCalendar';
+import { isDateLocked, getLockMessage } from '../utils/payPeriods';
+import { getSiteName, matchesSite, UNASSIGNED_SITE_ID } from '../utils/sites';
+import { getWorkerAuditHistory, getRecordAuditHistory, undoChange, redoChange } from '../utils/audit';
+import AuditHistoryModal from '../components/AuditHistoryModal';
+import { getWorkerLabel } from '../utils/workers';
 
 export default function LedgerScreen({ route, navigation }) {
-  const { workerId } = route.params;
+  const { workerId, view } = route.params;
   const { state, dispatch } = useGlobalStore();
   
   const worker = state.workers.find(w => w.id === workerId);
   const [searchQuery, setSearchQuery] = useState('');
   const [fromDate, setFromDate] = useState(null);
   const [toDate, setToDate] = useState(null);
+  const [siteFilter, setSiteFilter] = useState('all');
   const [showFromPicker, setShowFromPicker] = useState(false);
   const [showToPicker, setShowToPicker] = useState(false);
   const [snackbar, setSnackbar] = useState({ visible: false, message: "" });
@@ -42,84 +51,76 @@ export default function LedgerScreen({ route, navigation }) {
   const [deleteDialogVisible, setDeleteDialogVisible] = useState(false);
   const [selectedTransaction, setSelectedTransaction] = useState(null);
   const [editType, setEditType] = useState(null); // 'entry' or 'payment'
+  const [viewMode, setViewMode] = useState(view === 'calendar' ? 'calendar' : 'list');
+  const [calendarMonth, setCalendarMonth] = useState(new Date());
+  // null, { type: 'worker' } or { type: 'transaction', transaction }
+  const [historyTarget, setHistoryTarget] = useState(null);
   
-  // Build ledger transactions with running balance
+  // Build ledger transactions with running balance from the shared ledger engine
   const ledgerTransactions = useMemo(() => {
     if (!worker) return [];
     
-    // Combine entries and payments with proper sorting
-    const transactions = [];
+    const ledger = buildWorkerLedger(workerId, state);
     
-    // Add entries
-    state.entries
-      .filter(e => e.workerId === workerId)
-      .forEach(entry => {
+    return ledger.transactions.map(trans => {
+      if (trans.type === 'entry') {
+        const entry = trans.record;
         const category = state.categories.find(c => c.id === entry.categoryId);
         const subcategory = state.subcategories.find(s => s.id === entry.subcategoryId);
         
-        transactions.push({
+        return {
           id: entry.id,
           type: 'entry',
           date: entry.date,
           workType: entry.workType || 'A',
           attendance: entry.status,
           units: entry.units || null,
+          unit: entry.unit || '',
           amount: Number(entry.amount || 0),
+          earned: trans.change,
           paymentType: '-',
+          kind: null,
+          kindLabel: '',
           narration: entry.narration || '',
+          siteName: getSiteName(state, entry.siteId),
           categoryName: category?.category || '',
           subcategoryName: subcategory?.subcategoryName || subcategory?.subcategory || '',
           workName: entry.workName || '',
           ratePerUnit: entry.ratePerUnit || null,
+          hoursWorked: entry.hoursWorked ?? null,
+          overtimeHours: entry.overtimeHours || 0,
+          overtimeRate: entry.overtimeRate || 0,
+          overtimeAmount: entry.overtimeAmount || 0,
+          balanceAfter: trans.balanceAfter,
           originalData: entry
-        });
-      });
-    
-    // Add payments
-    state.payments
-      .filter(p => p.workerId === workerId)
-      .forEach(payment => {
-        transactions.push({
-          id: payment.id,
-          type: 'payment',
-          date: payment.date,
-          workType: '-',
-          attendance: '-',
-          units: null,
-          amount: -Number(payment.amount || 0), // Negative for payments
-          paymentType: payment.paymentType || 'Cash',
-          narration: payment.notes || '',
-          categoryName: '-',
-          subcategoryName: '-',
-          workName: '-',
-          ratePerUnit: null,
-          originalData: payment
-        });
-      });
-    
-    // Sort by date (oldest first)
-    transactions.sort((a, b) => new Date(a.date) - new Date(b.date));
-    
-    // Calculate running balance
-    let runningBalance = Number(worker.openingBalance || 0);
-    transactions.forEach((trans, index) => {
-      if (trans.type === 'entry') {
-        // Apply attendance logic for entries
-        if (trans.attendance === 'P') {
-          runningBalance += trans.amount;
-        } else if (trans.attendance === 'H') {
-          runningBalance += trans.amount / 2;
-        }
-        // 'A' (absent) doesn't change balance
-      } else {
-        // Payments always subtract (amount is already negative)
-        runningBalance += trans.amount;
+        };
       }
-      trans.balanceAfter = runningBalance;
+      
+      const payment = trans.record;
+      const kind = getPaymentKind(payment);
+      return {
+        id: payment.id,
+        type: 'payment',
+        date: payment.date,
+        workType: '-',
+        attendance: '-',
+        units: null,
+        amount: -Number(payment.amount || 0), // Negative for payments
+        earned: trans.change,
+        paymentType: payment.paymentType || 'Cash',
+        kind,
+        kindLabel: PAYMENT_KINDS[kind].label,
+        narration: payment.notes || '',
+        siteName: getSiteName(state, payment.siteId),
+        categoryName: '-',
+        subcategoryName: '-',
+        workName: '-',
+        ratePerUnit: null,
+        balanceAfter: trans.balanceAfter,
+        originalData: payment
+      };
     });
-    
-    return transactions;
-  }, [state.entries, state.payments, workerId, worker]);
+  }, [state.entries, state.payments, state.categories, state.subcategories, state.sites, workerId, worker]);
   
   // Filter transactions based on search and date range
   const filteredTransactions = useMemo(() => {
@@ -133,7 +134,8 @@ export default function LedgerScreen({ route, navigation }) {
         trans.categoryName.toLowerCase().includes(query) ||
         trans.subcategoryName.toLowerCase().includes(query) ||
         trans.workName.toLowerCase().includes(query) ||
-        trans.paymentType.toLowerCase().includes(query)
+        trans.paymentType.toLowerCase().includes(query) ||
+        trans.kindLabel.toLowerCase().includes(query)
       );
     }
     
@@ -152,26 +154,81 @@ export default function LedgerScreen({ route, navigation }) {
       );
     }
     
+    // Apply site filter
+    if (siteFilter !== 'all') {
+      filtered = filtered.filter(trans => matchesSite(trans.originalData, siteFilter));
+    }
+    
     // Reverse for latest first display
-    return filtered.reverse();
-  }, [ledgerTransactions, searchQuery, fromDate, toDate]);
+    return [...filtered].reverse();
+  }, [ledgerTransactions, searchQuery, fromDate, toDate, siteFilter]);
   
   const handleEdit = (transaction) => {
+    if (isDateLocked(state, transaction.date)) {
+      setSnackbar({ visible: true, message: getLockMessage(state) });
+      return;
+    }
     setSelectedTransaction(transaction);
     setEditType(transaction.type);
     setEditDialogVisible(true);
   };
   
+  // Calendar: open an existing day's entry in the edit modal
+  const handleCalendarSelect = (entry) => {
+    const row = ledgerTransactions.find(t => t.type === 'entry' && t.id === entry.id);
+    if (row) handleEdit(row);
+  };
+
+  // Calendar: long-press on an empty day opens the entry modal pre-dated for a new entry
+  const handleCalendarAdd = (dateStr) => {
+    if (isDateLocked(state, dateStr)) {
+      setSnackbar({ visible: true, message: getLockMessage(state) });
+      return;
+    }
+    setSelectedTransaction({
+      id: null,
+      type: 'entry',
+      isNew: true,
+      date: dateStr,
+      amount: 0,
+      originalData: {
+        id: Date.now().toString(),
+        workerId,
+        date: dateStr,
+        status: 'P',
+        workType: 'A',
+        categoryId: null,
+        subcategoryId: null,
+        workName: null,
+        units: null,
+        ratePerUnit: null,
+        amount: 0,
+        narration: ''
+      }
+    });
+    setEditType('entry');
+    setEditDialogVisible(true);
+  };
+  
   const handleEditSave = async (updatedData) => {
     if (!selectedTransaction) return;
     
+    // Records inside a closed pay period cannot be changed or moved in/out of it
+    if (isDateLocked(state, selectedTransaction.date) || isDateLocked(state, updatedData.date)) {
+      setSnackbar({ visible: true, message: getLockMessage(state) });
+      return;
+    }
+    
     try {
-      if (selectedTransaction.type === 'entry') {
+      if (selectedTransaction.isNew) {
+        dispatch({ type: 'ADD_ENTRY', payload: updatedData });
+        setSnackbar({ visible: true, message: "Entry added successfully", undo: true });
+      } else if (selectedTransaction.type === 'entry') {
         dispatch({ type: 'UPDATE_ENTRY', payload: updatedData });
-        setSnackbar({ visible: true, message: "Entry updated successfully" });
+        setSnackbar({ visible: true, message: "Entry updated successfully", undo: true });
       } else {
         dispatch({ type: 'UPDATE_PAYMENT', payload: updatedData });
-        setSnackbar({ visible: true, message: "Payment updated successfully" });
+        setSnackbar({ visible: true, message: "Payment updated successfully", undo: true });
       }
       
       setEditDialogVisible(false);
@@ -183,6 +240,10 @@ export default function LedgerScreen({ route, navigation }) {
   };
   
   const handleDelete = (transaction) => {
+    if (isDateLocked(state, transaction.date)) {
+      setSnackbar({ visible: true, message: getLockMessage(state) });
+      return;
+    }
     setSelectedTransaction(transaction);
     setDeleteDialogVisible(true);
   };
@@ -192,21 +253,43 @@ export default function LedgerScreen({ route, navigation }) {
     
     if (selectedTransaction.type === 'entry') {
       dispatch({ type: 'DELETE_ENTRY', payload: selectedTransaction.id });
-      setSnackbar({ visible: true, message: "Entry deleted successfully" });
+      setSnackbar({ visible: true, message: "Entry deleted successfully", undo: true });
     } else {
       dispatch({ type: 'DELETE_PAYMENT', payload: selectedTransaction.id });
-      setSnackbar({ visible: true, message: "Payment deleted successfully" });
+      setSnackbar({ visible: true, message: "Payment deleted successfully", undo: true });
     }
     
     setDeleteDialogVisible(false);
     setSelectedTransaction(null);
   };
   
+  // Undo the last change, or a specific one picked from the history view
+  const handleUndo = (txId = null) => {
+    const result = undoChange(state, dispatch, txId);
+    setSnackbar(result.success
+      ? { visible: true, message: "Change undone", redo: true }
+      : { visible: true, message: result.error });
+  };
+  
+  const handleRedo = () => {
+    const result = redoChange(state, dispatch);
+    setSnackbar({ visible: true, message: result.success ? "Change redone" : result.error, undo: result.success });
+  };
+  
+  const historyRecords = useMemo(() => {
+    if (!historyTarget) return [];
+    if (historyTarget.type === 'worker') return getWorkerAuditHistory(state.auditLog, workerId);
+    const { transaction } = historyTarget;
+    return getRecordAuditHistory(state.auditLog, transaction.type === 'entry' ? 'entries' : 'payments', transaction.id);
+  }, [historyTarget, state.auditLog, workerId]);
+  
   const currentBalance = getWorkerBalance(workerId, state);
+  const outstandingLoans = getOutstandingLoanTotal(workerId, state);
   
   const renderTransaction = ({ item }) => {
     const isEntry = item.type === 'entry';
-    const amountColor = isEntry ? '#27ae60' : '#e74c3c';
+    // Bonuses credit the worker like earnings do
+    const amountColor = isEntry || item.kind === 'bonus' ? '#27ae60' : '#e74c3c';
     const balanceColor = item.balanceAfter >= 0 ? '#27ae60' : '#e74c3c';
     
     return (
@@ -227,7 +310,24 @@ export default function LedgerScreen({ route, navigation }) {
               </Text>
             </View>
           </View>
+          {isDateLocked(state, item.date) ? (
+          <View style={styles.actionButtons}>
+            <IconButton
+              icon="history"
+              size={18}
+              onPress={() => setHistoryTarget({ type: 'transaction', transaction: item })}
+              iconColor="#7f8c8d"
+            />
+            <IconButton icon="lock" size={18} iconColor="#95a5a6" onPress={() => handleEdit(item)} />
+          </View>
+          ) : (
           <View style={styles.actionButtons}>
+            <IconButton
+              icon="history"
+              size={18}
+              onPress={() => setHistoryTarget({ type: 'transaction', transaction: item })}
+              iconColor="#7f8c8d"
+            />
             <IconButton
               icon="pencil"
               size={18}
@@ -241,6 +341,7 @@ export default function LedgerScreen({ route, navigation }) {
               iconColor="#e74c3c"
             />
           </View>
+          )}
         </View>
         
         <View style={styles.transactionDetails}>
@@ -288,7 +389,7 @@ export default function LedgerScreen({ route, navigation }) {
                   </View>
                   <View style={styles.detailRow}>
                     <Text style={styles.detailLabel}>Units:</Text>
-                    <Text style={styles.detailValue}>{item.units}</Text>
+                    <Text style={styles.detailValue}>{item.units}{item.unit ? ` ${item.unit}` : ''}</Text>
                   </View>
                   <View style={styles.detailRow}>
                     <Text style={styles.detailLabel}>Rate/Unit:</Text>
@@ -300,10 +401,16 @@ export default function LedgerScreen({ route, navigation }) {
           )}
           
           {!isEntry && (
-            <View style={styles.detailRow}>
-              <Text style={styles.detailLabel}>Payment Type:</Text>
-              <Text style={styles.detailValue}>{item.paymentType}</Text>
-            </View>
+            <>
+              <View style={styles.detailRow}>
+                <Text style={styles.detailLabel}>Kind:</Text>
+                <Text style={styles.detailValue}>{item.kindLabel}</Text>
+              </View>
+              <View style={styles.detailRow}>
+                <Text style={styles.detailLabel}>Payment Type:</Text>
+                <Text style={styles.detailValue}>{item.paymentType}</Text>
+              </View>
+            </>
           )}
           
           <View style={styles.detailRow}>
@@ -313,6 +420,31 @@ export default function LedgerScreen({ route, navigation }) {
             </Text>
           </View>
           
+          {isEntry && item.hoursWorked != null && (
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Hours:</Text>
+              <Text style={styles.detailValue}>{item.hoursWorked}</Text>
+            </View>
+          )}
+
+          {isEntry && item.overtimeHours > 0 && (
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Overtime:</Text>
+              <Text style={[styles.detailValue, { color: amountColor }]}>
+                {item.overtimeHours}h × ₹{item.overtimeRate} = {formatBalance(item.overtimeAmount)}
+              </Text>
+            </View>
+          )}
+
+          {isEntry && item.earned !== item.amount && (
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Earned:</Text>
+              <Text style={[styles.detailValue, { color: amountColor }]}>
+                {formatBalance(item.earned)}
+              </Text>
+            </View>
+          )}
+          
           <View style={styles.detailRow}>
             <Text style={styles.detailLabel}>Balance After:</Text>
             <Text style={[styles.detailValue, { color: balanceColor, fontWeight: 'bold' }]}>
@@ -320,6 +452,13 @@ export default function LedgerScreen({ route, navigation }) {
             </Text>
           </View>
           
+          {!!item.siteName && (
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Site:</Text>
+              <Text style={styles.detailValue}>{item.siteName}</Text>
+            </View>
+          )}
+          
           {item.narration && (
             <View style={styles.detailRow}>
               <Text style={styles.detailLabel}>Narration:</Text>
@@ -353,14 +492,59 @@ export default function LedgerScreen({ route, navigation }) {
           iconColor="#2c3e50"
         />
         <View style={styles.headerCenter}>
-          <Text style={[styles.screenTitle, { color: '#333' }]}>Ledger - {worker.name}</Text>
+          <Text style={[styles.screenTitle, { color: '#333' }]}>Ledger - {getWorkerLabel(worker)}</Text>
           <Text style={[styles.currentBalance, { color: '#333' }]}>
             Current Balance: {formatBalance(currentBalance)}
           </Text>
+          {outstandingLoans > 0 && (
+            <Text style={styles.currentBalance}>
+              Outstanding Loans: {formatBalance(outstandingLoans)}
+            </Text>
+          )}
         </View>
-        <View style={styles.headerRight} />
+        <IconButton
+          icon="history"
+          size={24}
+          onPress={() => setHistoryTarget({ type: 'worker' })}
+          iconColor="#2c3e50"
+        />
       </View>
       
+      {/* View toggle */}
+      <View style={styles.viewToggle}>
+        <Chip
+          icon="format-list-bulleted"
+          selected={viewMode === 'list'}
+          mode={viewMode === 'list' ? 'flat' : 'outlined'}
+          onPress={() => setViewMode('list')}
+          style={styles.viewChip}
+        >
+          List
+        </Chip>
+        <Chip
+          icon="calendar-month"
+          selected={viewMode === 'calendar'}
+          mode={viewMode === 'calendar' ? 'flat' : 'outlined'}
+          onPress={() => setViewMode('calendar')}
+          style={styles.viewChip}
+        >
+          Calendar
+        </Chip>
+      </View>
+      
+      {viewMode === 'calendar' ? (
+        <ScrollView>
+          <AttendanceCalendar
+            workerId={workerId}
+            state={state}
+            month={calendarMonth}
+            onMonthChange={setCalendarMonth}
+            onSelectEntry={handleCalendarSelect}
+            onAddEntry={handleCalendarAdd}
+          />
+        </ScrollView>
+      ) : (
+      <>
       {/* Filters */}
       <View style={styles.filtersContainer}>
         <TextInput
@@ -391,18 +575,39 @@ export default function LedgerScreen({ route, navigation }) {
             </Text>
           </TouchableOpacity>
           
-          {(fromDate || toDate) && (
+          {(fromDate || toDate || siteFilter !== 'all') && (
             <TouchableOpacity
               style={styles.clearFiltersBtn}
               onPress={() => {
                 setFromDate(null);
                 setToDate(null);
+                setSiteFilter('all');
               }}
             >
               <Text style={styles.clearFiltersText}>Clear</Text>
             </TouchableOpacity>
           )}
         </View>
+        
+        {(state.sites || []).length > 0 && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.siteFilters}>
+            {[
+              { id: 'all', name: 'All Sites' },
+              ...[...state.sites].sort((a, b) => a.name.localeCompare(b.name)),
+              { id: UNASSIGNED_SITE_ID, name: 'Unassigned' },
+            ].map(site => (
+              <Chip
+                key={site.id}
+                selected={siteFilter === site.id}
+                onPress={() => setSiteFilter(site.id)}
+                style={styles.siteChip}
+                compact
+              >
+                {site.name}
+              </Chip>
+            ))}
+          </ScrollView>
+        )}
       </View>
       
       {/* Transactions List */}
@@ -418,6 +623,8 @@ export default function LedgerScreen({ route, navigation }) {
           </View>
         }
       />
+      </>
+      )}
       
       {/* Date Pickers */}
       {showFromPicker && (
@@ -451,7 +658,7 @@ export default function LedgerScreen({ route, navigation }) {
         <Dialog visible={deleteDialogVisible} onDismiss={() => setDeleteDialogVisible(false)}>
           <Dialog.Title>Confirm Delete</Dialog.Title>
           <Dialog.Content>
-            <Text>Are you sure you want to delete this {selectedTransaction?.type}? This action cannot be undone and will affect the worker's balance.</Text>
+            <Text>Are you sure you want to delete this {selectedTransaction?.type}? This will affect the worker's balance; you can undo it right after.</Text>
           </Dialog.Content>
           <Dialog.Actions>
             <Button onPress={() => setDeleteDialogVisible(false)}>Cancel</Button>
@@ -468,6 +675,7 @@ export default function LedgerScreen({ route, navigation }) {
           visible={editDialogVisible}
           entry={selectedTransaction}
           state={state}
+          title={selectedTransaction?.isNew ? 'Add Entry' : 'Edit Entry'}
           onDismiss={() => {
             setEditDialogVisible(false);
             setSelectedTransaction(null);
@@ -481,6 +689,7 @@ export default function LedgerScreen({ route, navigation }) {
         <EditPaymentModal
           visible={editDialogVisible}
           payment={selectedTransaction}
+          state={state}
           onDismiss={() => {
             setEditDialogVisible(false);
             setSelectedTransaction(null);
@@ -490,11 +699,29 @@ export default function LedgerScreen({ route, navigation }) {
         />
       )}
       
+      {/* Change history for the worker or one transaction */}
+      <AuditHistoryModal
+        visible={!!historyTarget}
+        title={historyTarget?.type === 'transaction'
+          ? `History - ${historyTarget.transaction.type === 'entry' ? 'Entry' : 'Payment'} ${format(parseISO(historyTarget.transaction.date), 'dd/MM/yyyy')}`
+          : `History - ${worker.name}`}
+        records={historyRecords}
+        state={state}
+        onDismiss={() => setHistoryTarget(null)}
+        onUndo={(txId) => {
+          setHistoryTarget(null);
+          handleUndo(txId);
+        }}
+      />
+      
       {/* Snackbar */}
       <Snackbar
         visible={snackbar.visible}
         onDismiss={() => setSnackbar({ visible: false, message: "" })}
-        duration={3000}
+        duration={snackbar.undo || snackbar.redo ? 6000 : 3000}
+        action={snackbar.undo
+          ? { label: 'Undo', onPress: () => handleUndo() }
+          : snackbar.redo ? { label: 'Redo', onPress: handleRedo } : undefined}
       >
         {snackbar.message}
       </Snackbar>
@@ -521,9 +748,6 @@ const styles = StyleSheet.create({
     flex: 1,
     alignItems: 'center',
   },
-  headerRight: {
-    width: 40,
-  },
   screenTitle: {
     fontSize: 18,
     fontWeight: '600',
@@ -534,6 +758,15 @@ const styles = StyleSheet.create({
     color: '#7f8c8d',
     marginTop: 2,
   },
+  viewToggle: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    paddingTop: 8,
+    backgroundColor: '#fff',
+  },
+  viewChip: {
+    marginHorizontal: 4,
+  },
   filtersContainer: {
     backgroundColor: '#fff',
     padding: 16,
@@ -573,6 +806,12 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600',
   },
+  siteFilters: {
+    marginTop: 12,
+  },
+  siteChip: {
+    marginRight: 6,
+  },
   listContainer: {
     padding: 16,
     paddingBottom: 100,
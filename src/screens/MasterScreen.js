@@ -7,12 +7,17 @@ import * as Application from 'expo-application';
 import Constants from 'expo-constants';
 import WorkerMasterScreen from "./WorkerMasterScreen";
 import CategoryMasterScreen from "./CategoryMasterScreen";
+import WorkItemMasterScreen from "./WorkItemMasterScreen";
+import SiteMasterScreen from "./SiteMasterScreen";
+import ImportScreen from "./ImportScreen";
+import MessageTemplatesScreen from "./MessageTemplatesScreen";
 import { useGlobalStore } from '../utils/GlobalStore';
+import { getActiveWorkers } from '../utils/workers';
 
 const { width, height } = Dimensions.get('window');
 
 export default function MasterScreen({ navigation }) {
-  const [page, setPage] = React.useState(null); // null, 'worker', 'category'
+  const [page, setPage] = React.useState(null); // null, 'worker', 'category', 'workItem', 'site', 'import', 'templates'
   const [versionDialogVisible, setVersionDialogVisible] = React.useState(false);
   const [snackbarVisible, setSnackbarVisible] = React.useState(false);
   
@@ -23,14 +28,21 @@ export default function MasterScreen({ navigation }) {
   };
 
   // Get data counts for display
-  const workerCount = state.workers?.length || 0;
+  const workerCount = getActiveWorkers(state.workers).length;
   const categoryCount = state.categories?.length || 0;
   const subcategoryCount = state.subcategories?.length || 0;
+  const workItemCount = state.workItems?.length || 0;
+  const siteCount = (state.sites || []).filter(s => s.active !== false).length;
   const entryCount = state.entries?.length || 0;
   const paymentCount = state.payments?.length || 0;
+  const templateCount = (state.messageTemplates || []).length;
 
   if (page === 'worker') return <WorkerMasterScreen goBack={() => setPage(null)} />;
   if (page === 'category') return <CategoryMasterScreen goBack={() => setPage(null)} />;
+  if (page === 'workItem') return <WorkItemMasterScreen goBack={() => setPage(null)} />;
+  if (page === 'site') return <SiteMasterScreen goBack={() => setPage(null)} />;
+  if (page === 'import') return <ImportScreen goBack={() => setPage(null)} />;
+  if (page === 'templates') return <MessageTemplatesScreen goBack={() => setPage(null)} />;
 
   return (
     <SafeAreaView style={styles.safeArea}> 
@@ -49,7 +61,7 @@ export default function MasterScreen({ navigation }) {
           <View style={styles.headerContainer}>
             <View style={styles.headerMain}>
               <Title style={styles.headerTitle}>Master Data</Title>
-              <Text style={styles.headerSubtitle}>Manage workers and categories</Text>
+              <Text style={styles.headerSubtitle}>Manage workers, categories, items and sites</Text>
             </View>
             <View style={styles.headerActions}>
               <TouchableOpacity
@@ -88,7 +100,7 @@ export default function MasterScreen({ navigation }) {
                   </View>
                   <View style={styles.actionCardMeta}>
                     <Text style={styles.actionCardCount}>{workerCount}</Text>
-                    <Text style={styles.actionCardLabel}>Workers</Text>
+                    <Text style={styles.actionCardLabel}>Active Workers</Text>
                   </View>
                 </View>
                 <View style={styles.actionCardBody}>
@@ -133,6 +145,126 @@ export default function MasterScreen({ navigation }) {
               </View>
             </Surface>
           </TouchableOpacity>
+
+          <TouchableOpacity 
+            style={[styles.primaryActionCard, styles.cardTouchable]} 
+            onPress={() => setPage('workItem')} 
+            activeOpacity={0.92}
+            android_ripple={{ color: 'rgba(76, 175, 80, 0.12)', borderless: false }}
+          >
+            <Surface style={styles.actionCardSurface} elevation={4}>
+              <View style={styles.actionCardContent}>
+                <View style={styles.actionCardHeader}>
+                  <View style={styles.actionCardIconContainer}>
+                    <Ionicons name="cube-outline" size={32} color="#4CAF50" />
+                  </View>
+                  <View style={styles.actionCardMeta}>
+                    <Text style={styles.actionCardCount}>{workItemCount}</Text>
+                    <Text style={styles.actionCardLabel}>Items</Text>
+                  </View>
+                </View>
+                <View style={styles.actionCardBody}>
+                  <Text style={styles.actionCardTitle}>Piece Work Items</Text>
+                  <Text style={styles.actionCardDescription}>
+                    Manage Work B items, units of measure and rates
+                  </Text>
+                </View>
+                <View style={styles.actionCardFooter}>
+                  <Ionicons name="chevron-forward" size={20} color="#90A4AE" />
+                </View>
+              </View>
+            </Surface>
+          </TouchableOpacity>
+
+          <TouchableOpacity 
+            style={[styles.primaryActionCard, styles.cardTouchable]} 
+            onPress={() => setPage('site')} 
+            activeOpacity={0.92}
+            android_ripple={{ color: 'rgba(156, 39, 176, 0.12)', borderless: false }}
+          >
+            <Surface style={styles.actionCardSurface} elevation={4}>
+              <View style={styles.actionCardContent}>
+                <View style={styles.actionCardHeader}>
+                  <View style={styles.actionCardIconContainer}>
+                    <Ionicons name="home-outline" size={32} color="#9C27B0" />
+                  </View>
+                  <View style={styles.actionCardMeta}>
+                    <Text style={styles.actionCardCount}>{siteCount}</Text>
+                    <Text style={styles.actionCardLabel}>Active Sites</Text>
+                  </View>
+                </View>
+                <View style={styles.actionCardBody}>
+                  <Text style={styles.actionCardTitle}>Site Master</Text>
+                  <Text style={styles.actionCardDescription}>
+                    Manage houses and projects that labour is booked against
+                  </Text>
+                </View>
+                <View style={styles.actionCardFooter}>
+                  <Ionicons name="chevron-forward" size={20} color="#90A4AE" />
+                </View>
+              </View>
+            </Surface>
+          </TouchableOpacity>
+
+          <TouchableOpacity 
+            style={[styles.primaryActionCard, styles.cardTouchable]} 
+            onPress={() => setPage('import')} 
+            activeOpacity={0.92}
+            android_ripple={{ color: 'rgba(0, 150, 136, 0.12)', borderless: false }}
+          >
+            <Surface style={styles.actionCardSurface} elevation={4}>
+              <View style={styles.actionCardContent}>
+                <View style={styles.actionCardHeader}>
+                  <View style={styles.actionCardIconContainer}>
+                    <Ionicons name="document-attach-outline" size={32} color="#009688" />
+                  </View>
+                  <View style={styles.actionCardMeta}>
+                    <Text style={styles.actionCardCount}>{entryCount + paymentCount}</Text>
+                    <Text style={styles.actionCardLabel}>Records</Text>
+                  </View>
+                </View>
+                <View style={styles.actionCardBody}>
+                  <Text style={styles.actionCardTitle}>Import from CSV / Excel</Text>
+                  <Text style={styles.actionCardDescription}>
+                    Bring in workers, attendance and payments from a spreadsheet
+                  </Text>
+                </View>
+                <View style={styles.actionCardFooter}>
+                  <Ionicons name="chevron-forward" size={20} color="#90A4AE" />
+                </View>
+              </View>
+            </Surface>
+          </TouchableOpacity>
+
+          <TouchableOpacity 
+            style={[styles.primaryActionCard, styles.cardTouchable]} 
+            onPress={() => setPage('templates')} 
+            activeOpacity={0.92}
+            android_ripple={{ color: 'rgba(63, 81, 181, 0.12)', borderless: false }}
+          >
+            <Surface style={styles.actionCardSurface} elevation={4}>
+              <View style={styles.actionCardContent}>
+                <View style={styles.actionCardHeader}>
+                  <View style={styles.actionCardIconContainer}>
+                    <Ionicons name="chatbox-ellipses-outline" size={32} color="#3F51B5" />
+                  </View>
+                  <View style={styles.actionCardMeta}>
+                    <Text style={styles.actionCardCount}>{templateCount}</Text>
+                    <Text style={styles.actionCardLabel}>Custom Templates</Text>
+                  </View>
+                </View>
+                <View style={styles.actionCardBody}>
+                  <Text style={styles.actionCardTitle}>Message Templates</Text>
+                  <Text style={styles.actionCardDescription}>
+                    Wording of payment receipts, balance reminders and statements
+                  </Text>
+                </View>
+                <View style={styles.actionCardFooter}>
+                  <Ionicons name="chevron-forward" size={20} color="#90A4AE" />
+                </View>
+              </View>
+            </Surface>
+          </TouchableOpacity>
         </View>
 
         {/* Footer Spacing */}
@@ -0,0 +1,402 @@
+import React, { useState } from "react";
+import { SafeAreaView, StyleSheet, View, Modal, Alert, ScrollView } from "react-native";
+import { Text, TextInput, Button, Card, Title, IconButton, Paragraph, Snackbar, Switch, Chip } from "react-native-paper";
+import RNPickerSelect from 'react-native-picker-select';
+import { useGlobalStore } from "../utils/GlobalStore";
+import { getActiveWorkers, getWorkerLabel } from "../utils/workers";
+import {
+  MESSAGE_PURPOSES,
+  MESSAGE_PLACEHOLDERS,
+  getMessageTemplates,
+  buildTemplateMessage,
+  validateMessageTemplate,
+} from "../utils/messageTemplates";
+import { LANGUAGES } from "../utils/i18n";
+import { useI18n } from "../utils/I18nProvider";
+
+const emptyForm = (purpose = 'payment_receipt') => ({ name: '', purpose, body: '', translations: {}, isDefault: false });
+
+// Empty translations are dropped so the English text is used instead
+const cleanTranslations = (translations) => Object.fromEntries(
+  Object.entries(translations || {}).filter(([code, text]) => code !== 'en' && LANGUAGES[code] && text.trim())
+);
+
+function MessageTemplatesScreen({ goBack }) {
+  const { state, dispatch } = useGlobalStore();
+  const { language } = useI18n();
+  const workers = getActiveWorkers(state.workers);
+
+  const [modalVisible, setModalVisible] = useState(false);
+  const [form, setForm] = useState(emptyForm());
+  // Language of the text being edited; 'en' edits the body itself
+  const [editLanguage, setEditLanguage] = useState('en');
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [previewWorkerId, setPreviewWorkerId] = useState(workers[0]?.id || null);
+  const [snackbar, setSnackbar] = useState({ visible: false, message: '' });
+
+  // Preview uses the worker's latest payment so receipt placeholders have real values.
+  // Without a language it shows what the worker would get, in their own language.
+  const previewText = (template, previewLanguage = null) => {
+    if (!previewWorkerId) return 'Add a worker to see a preview';
+    const payment = [...(state.payments || [])]
+      .filter(p => p.workerId === previewWorkerId)
+      .sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+      .pop() || null;
+    return buildTemplateMessage(state, template, previewWorkerId, { payment, language: previewLanguage, defaultLanguage: language });
+  };
+
+  const editedText = editLanguage === 'en' ? form.body : (form.translations[editLanguage] || '');
+  const setEditedText = (text) => setForm(f => (editLanguage === 'en'
+    ? { ...f, body: text }
+    : { ...f, translations: { ...f.translations, [editLanguage]: text } }));
+
+  const saveTemplate = () => {
+    const now = new Date().toISOString();
+    const template = {
+      ...(editingTemplate || { id: Date.now().toString(), createdAt: now }),
+      name: form.name.trim(),
+      purpose: form.purpose,
+      body: form.body,
+      translations: cleanTranslations(form.translations),
+      isDefault: form.isDefault,
+      updatedAt: now,
+    };
+    const validation = validateMessageTemplate(template, state.messageTemplates || []);
+    if (!validation.valid) {
+      setSnackbar({ visible: true, message: validation.error });
+      return;
+    }
+
+    dispatch({ type: editingTemplate ? 'UPDATE_MESSAGE_TEMPLATE' : 'ADD_MESSAGE_TEMPLATE', payload: template });
+    setSnackbar({ visible: true, message: editingTemplate ? "Template updated" : "Template added" });
+    resetForm();
+  };
+
+  const deleteTemplate = (template) => {
+    Alert.alert(
+      "Delete Template",
+      `Delete "${template.name}"? Messages already in the Outbox keep their text.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: () => {
+            dispatch({ type: 'DELETE_MESSAGE_TEMPLATE', payload: template.id });
+            setSnackbar({ visible: true, message: "Template deleted" });
+          }
+        }
+      ]
+    );
+  };
+
+  const resetForm = () => {
+    setForm(emptyForm());
+    setEditLanguage('en');
+    setEditingTemplate(null);
+    setModalVisible(false);
+  };
+
+  const handleEdit = (template) => {
+    setForm({ name: template.name, purpose: template.purpose, body: template.body, translations: template.translations || {}, isDefault: !!template.isDefault });
+    setEditingTemplate(template);
+    setModalVisible(true);
+  };
+
+  // Built-in templates are copied into a new, editable one
+  const handleCopy = (template) => {
+    setForm({ name: `${template.name} (copy)`, purpose: template.purpose, body: template.body, translations: template.translations || {}, isDefault: false });
+    setEditingTemplate(null);
+    setModalVisible(true);
+  };
+
+  const insertPlaceholder = (key) => {
+    setEditedText(`${editedText}{${key}}`);
+  };
+
+  const renderTemplate = (template) => (
+    <Card key={template.id} style={styles.templateCard}>
+      <Card.Content>
+        <View style={styles.templateRow}>
+          <View style={{ flex: 1 }}>
+            <Title style={styles.templateName}>
+              {template.name}{template.isDefault ? ' ⭐' : ''}{template.builtin ? ' (built-in)' : ''}
+            </Title>
+            <Text style={styles.sectionDescription}>
+              {['en', ...Object.keys(template.translations || {})].filter(code => LANGUAGES[code]).map(code => LANGUAGES[code].nativeLabel).join(' · ')}
+            </Text>
+          </View>
+          <View style={styles.actionCol}>
+            <IconButton icon="content-copy" onPress={() => handleCopy(template)} />
+            {!template.builtin && (
+              <>
+                <IconButton icon="pencil" iconColor="blue" onPress={() => handleEdit(template)} />
+                <IconButton icon="delete" iconColor="red" onPress={() => deleteTemplate(template)} />
+              </>
+            )}
+          </View>
+        </View>
+        <View style={styles.previewBox}>
+          <Paragraph style={styles.previewText}>{previewText(template)}</Paragraph>
+        </View>
+      </Card.Content>
+    </Card>
+  );
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      <View style={styles.headerRow}>
+        <IconButton icon="arrow-left" size={28} onPress={goBack} />
+        <Title style={styles.title}>Message Templates</Title>
+        <View style={{ width: 40 }} />
+      </View>
+
+      <View style={styles.buttonRow}>
+        <Button mode="contained" style={[styles.addBtn, { flex: 1 }]} onPress={() => setModalVisible(true)} icon="plus">
+          Add Template
+        </Button>
+      </View>
+
+      <View style={styles.previewPicker}>
+        <Text style={styles.previewLabel}>Preview for</Text>
+        <View style={{ flex: 1 }}>
+          <RNPickerSelect
+            placeholder={{}}
+            items={workers.map(w => ({ label: getWorkerLabel(w), value: w.id, key: w.id }))}
+            onValueChange={setPreviewWorkerId}
+            value={previewWorkerId}
+            style={{ inputIOS: styles.pickerInput, inputAndroid: styles.pickerInput }}
+            useNativeAndroidPickerStyle={false}
+          />
+        </View>
+      </View>
+
+      <ScrollView style={styles.listContainer} showsVerticalScrollIndicator={false}>
+        {Object.entries(MESSAGE_PURPOSES).map(([purpose, { label, description }]) => (
+          <View key={purpose}>
+            <Text style={styles.sectionTitle}>{label}</Text>
+            <Text style={styles.sectionDescription}>{description}</Text>
+            {getMessageTemplates(state, purpose).map(renderTemplate)}
+          </View>
+        ))}
+      </ScrollView>
+
+      <Modal visible={modalVisible} animationType="slide" transparent>
+        <View style={styles.modalBg}>
+          <ScrollView style={styles.modalCard} keyboardShouldPersistTaps="handled">
+            <Title style={{ marginBottom: 12 }}>
+              {editingTemplate ? "Edit Template" : "Add Template"}
+            </Title>
+            <TextInput
+              label="Template Name"
+              value={form.name}
+              onChangeText={v => setForm(f => ({ ...f, name: v }))}
+              style={styles.input}
+            />
+            <View style={styles.chipRow}>
+              {Object.entries(MESSAGE_PURPOSES).map(([key, value]) => (
+                <Chip
+                  key={key}
+                  selected={form.purpose === key}
+                  onPress={() => setForm(f => ({ ...f, purpose: key }))}
+                  style={styles.chip}
+                >
+                  {value.label}
+                </Chip>
+              ))}
+            </View>
+            <Text style={styles.previewLabel}>Language</Text>
+            <View style={styles.chipRow}>
+              {Object.entries(LANGUAGES).map(([code, { nativeLabel }]) => (
+                <Chip
+                  key={code}
+                  selected={editLanguage === code}
+                  onPress={() => setEditLanguage(code)}
+                  style={styles.chip}
+                >
+                  {nativeLabel}
+                </Chip>
+              ))}
+            </View>
+            <TextInput
+              label={editLanguage === 'en' ? "Message" : `Message in ${LANGUAGES[editLanguage].label} (blank: English text)`}
+              value={editedText}
+              onChangeText={setEditedText}
+              multiline
+              numberOfLines={6}
+              style={styles.input}
+            />
+            <Text style={styles.previewLabel}>Tap to insert</Text>
+            <View style={styles.chipRow}>
+              {MESSAGE_PLACEHOLDERS.map(p => (
+                <Chip key={p.key} compact onPress={() => insertPlaceholder(p.key)} style={styles.chip}>
+                  {p.label}
+                </Chip>
+              ))}
+            </View>
+            <Text style={styles.previewLabel}>Preview</Text>
+            <View style={styles.previewBox}>
+              <Paragraph style={styles.previewText}>{previewText(form, editLanguage)}</Paragraph>
+            </View>
+            <View style={styles.switchRow}>
+              <Text style={styles.switchLabel}>Use by default</Text>
+              <Switch value={form.isDefault} onValueChange={v => setForm(f => ({ ...f, isDefault: v }))} />
+            </View>
+            <Button mode="contained" style={{ marginTop: 16 }} onPress={saveTemplate}>
+              {editingTemplate ? "Update" : "Save"}
+            </Button>
+            <Button style={{ marginTop: 8, marginBottom: 24 }} onPress={resetForm}>
+              Cancel
+            </Button>
+          </ScrollView>
+        </View>
+      </Modal>
+
+      <Snackbar
+        visible={snackbar.visible}
+        onDismiss={() => setSnackbar({ visible: false, message: '' })}
+        duration={3000}
+        action={{
+          label: 'OK',
+          onPress: () => setSnackbar({ visible: false, message: '' }),
+        }}
+      >
+        {snackbar.message}
+      </Snackbar>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: '#fff'
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingTop: 8,
+    marginBottom: 8,
+  },
+  title: {
+    flex: 1,
+    fontSize: 22,
+    fontWeight: '700',
+    textAlign: 'center',
+    color: '#2c3e50',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    marginBottom: 12,
+  },
+  addBtn: {
+    borderRadius: 8,
+    elevation: 2,
+  },
+  previewPicker: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    marginBottom: 12,
+  },
+  previewLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#7f8c8d',
+    marginRight: 12,
+    marginBottom: 6,
+  },
+  pickerInput: {
+    fontSize: 14,
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    color: '#2c3e50',
+  },
+  listContainer: {
+    flex: 1,
+    paddingHorizontal: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#2c3e50',
+    marginTop: 8,
+  },
+  sectionDescription: {
+    fontSize: 12,
+    color: '#7f8c8d',
+    marginBottom: 8,
+  },
+  templateCard: {
+    marginBottom: 12,
+    borderRadius: 12,
+    elevation: 3,
+    backgroundColor: '#fff',
+  },
+  templateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  actionCol: {
+    flexDirection: 'row',
+  },
+  templateName: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#2c3e50',
+  },
+  previewBox: {
+    backgroundColor: '#fafafa',
+    padding: 10,
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  previewText: {
+    fontSize: 13,
+    lineHeight: 18,
+    color: '#333',
+  },
+  modalBg: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 40,
+  },
+  modalCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 20,
+    elevation: 5,
+    flexGrow: 0,
+  },
+  input: {
+    marginBottom: 12,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  chip: {
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  switchLabel: {
+    fontSize: 15,
+    color: '#2c3e50',
+  },
+});
+
+export default MessageTemplatesScreen;
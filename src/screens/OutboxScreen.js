@@ -1,20 +1,56 @@
-import React, { useState } from 'react';
-import { View, FlatList, Linking, SafeAreaView } from 'react-native';
-import { Text, Card, Button, Title, IconButton, Paragraph, Chip, Snackbar } from 'react-native-paper';
+import React, { useState, useMemo } from 'react';
+import { View, FlatList, Linking, SafeAreaView, ScrollView, TouchableOpacity } from 'react-native';
+import { Text, Card, Button, Title, IconButton, Paragraph, Chip, Snackbar, Portal, Dialog, ProgressBar } from 'react-native-paper';
+import RNPickerSelect from 'react-native-picker-select';
+import DateTimePicker from '@react-native-community/datetimepicker';
 import { useGlobalStore } from '../utils/GlobalStore';
 import { format, parseISO } from 'date-fns';
+import { getMessageTemplates, getMessageTemplate, MESSAGE_PURPOSES } from '../utils/messageTemplates';
+import { useI18n } from '../utils/I18nProvider';
+import { formatPhone, toWhatsAppNumber } from '../utils/phone';
+import {
+  MESSAGE_STATUSES,
+  RETENTION_OPTIONS,
+  DEFAULT_OUTBOX_SETTINGS,
+  checkMessagePhone,
+  getBatches,
+  getNextBatchMessage,
+  getMessageStatus,
+  getStatusCounts,
+  getMessageActions,
+  transitionMessage,
+  renderMessage,
+  isMessageStale,
+  filterMessages,
+  sortMessages,
+  getFinishedMessagesOlderThan,
+} from '../utils/outbox';
+import StatementBatchDialog from '../components/StatementBatchDialog';
 
 export default function OutboxScreen({ navigation }) {
   const { state, dispatch } = useGlobalStore();
+  const { language } = useI18n();
   const items = state.deferredMessages || [];
   const [snackbar, setSnackbar] = useState({ visible: false, message: "" });
+  const [templatePicker, setTemplatePicker] = useState(null); // { item, templateId }
+  const [batchDialogVisible, setBatchDialogVisible] = useState(false);
+  const [showFilters, setShowFilters] = useState(false);
+  const [filters, setFilters] = useState({ workerId: null, channel: null, status: null, fromDate: null, toDate: null });
+  const [datePicker, setDatePicker] = useState(null); // 'fromDate' | 'toDate'
+  const [cleanupVisible, setCleanupVisible] = useState(false);
+  const [cleanupDays, setCleanupDays] = useState(30);
+  const retentionDays = { ...DEFAULT_OUTBOX_SETTINGS, ...(state.outboxSettings || {}) }.retentionDays;
 
-  // Enhanced phone validation
-  const validatePhoneNumber = (phone) => {
-    if (!phone || phone.trim().length === 0) return { valid: false, error: 'No phone number' };
-    const cleaned = phone.replace(/[^\d+]/g, '');
-    if (cleaned.length < 10) return { valid: false, error: 'Phone too short' };
-    return { valid: true, cleaned };
+  // Re-render a message from another template, with the worker's current figures and language
+  const renderWithTemplate = (item, templateId) => renderMessage(state, item, { templateId, defaultLanguage: language });
+
+  const applyTemplate = () => {
+    const { item, templateId } = templatePicker;
+    const body = renderWithTemplate(item, templateId);
+    dispatch({ type: 'UPDATE_DEFERRED_MESSAGE', payload: { id: item.id, snapshotBody: body, template: templateId } });
+    console.log(`📝 Outbox message ${item.id} rewritten with template ${templateId}`);
+    setTemplatePicker(null);
+    setSnackbar({ visible: true, message: 'Message updated from template' });
   };
 
   const openSms = async (item) => {
@@ -27,38 +63,34 @@ export default function OutboxScreen({ navigation }) {
       return;
     }
 
-    const phoneValidation = validatePhoneNumber(item.phone);
+    const phoneValidation = checkMessagePhone(state, item);
     if (!phoneValidation.valid) {
       console.error('❌ Invalid phone number:', phoneValidation.error);
       setSnackbar({ visible: true, message: `Cannot send SMS: ${phoneValidation.error}` });
       return;
     }
 
-    const url = `sms:${phoneValidation.cleaned}?body=${encodeURIComponent(body)}`;
+    const url = `sms:${phoneValidation.e164}?body=${encodeURIComponent(body)}`;
     
     try {
-      console.log(`📱 Opening SMS composer with phone: ${phoneValidation.cleaned}`);
+      console.log(`📱 Opening SMS composer with phone: ${phoneValidation.e164}`);
       
       const supported = await Linking.canOpenURL(url);
       if (supported) {
         await Linking.openURL(url);
         console.log('✅ SMS composer opened successfully');
         
-        // Update status to sent and add timestamp
-        const updatedItem = { 
-          ...item, 
-          status: 'sent', 
-          sentAt: new Date().toISOString(),
-          sentVia: 'sms'
-        };
-        dispatch({ type: 'UPDATE_DEFERRED_MESSAGE', payload: updatedItem });
-        setSnackbar({ visible: true, message: '📱 SMS composer opened. Message marked as sent.' });
+        // Opening the composer does not mean the message went out; the user confirms that
+        dispatch({ type: 'UPDATE_DEFERRED_MESSAGE', payload: transitionMessage(item, 'opened', { via: 'sms' }) });
+        setSnackbar({ visible: true, message: '📱 SMS composer opened. Tap "Sent" once the message has gone.' });
       } else {
         console.error('❌ SMS composer not supported');
+        markFailed(item, 'SMS not supported on this device');
         setSnackbar({ visible: true, message: 'SMS not supported on this device' });
       }
     } catch (e) {
       console.error('❌ Failed to open SMS:', e);
+      markFailed(item, e.message);
       setSnackbar({ visible: true, message: `Failed to open SMS: ${e.message}` });
     }
   };
@@ -73,7 +105,7 @@ export default function OutboxScreen({ navigation }) {
       return;
     }
 
-    const phoneValidation = validatePhoneNumber(item.phone);
+    const phoneValidation = checkMessagePhone(state, item);
     if (!phoneValidation.valid) {
       console.error('❌ Invalid phone number:', phoneValidation.error);
       setSnackbar({ visible: true, message: `Cannot send WhatsApp: ${phoneValidation.error}` });
@@ -83,15 +115,8 @@ export default function OutboxScreen({ navigation }) {
     const encoded = encodeURIComponent(body);
     
     try {
-      let url;
-      // Format phone number properly for WhatsApp
-      if (phoneValidation.cleaned.startsWith('+')) {
-        url = `whatsapp://send?phone=${encodeURIComponent(phoneValidation.cleaned)}&text=${encoded}`;
-      } else {
-        // Add country code if missing (defaulting to +91 for India)
-        const formattedPhone = phoneValidation.cleaned.length > 10 ? `+${phoneValidation.cleaned}` : `+91${phoneValidation.cleaned}`;
-        url = `whatsapp://send?phone=${encodeURIComponent(formattedPhone)}&text=${encoded}`;
-      }
+      const digits = toWhatsAppNumber(phoneValidation.e164);
+      const url = `whatsapp://send?phone=${digits}&text=${encoded}`;
       
       console.log(`💬 Opening WhatsApp with formatted phone`);
       
@@ -100,89 +125,261 @@ export default function OutboxScreen({ navigation }) {
         await Linking.openURL(url);
         console.log('✅ WhatsApp opened successfully');
         
-        // Update status to sent
-        const updatedItem = { 
-          ...item, 
-          status: 'sent', 
-          sentAt: new Date().toISOString(),
-          sentVia: 'whatsapp'
-        };
-        dispatch({ type: 'UPDATE_DEFERRED_MESSAGE', payload: updatedItem });
-        setSnackbar({ visible: true, message: '💬 WhatsApp opened. Message marked as sent.' });
+        dispatch({ type: 'UPDATE_DEFERRED_MESSAGE', payload: transitionMessage(item, 'opened', { via: 'whatsapp' }) });
+        setSnackbar({ visible: true, message: '💬 WhatsApp opened. Tap "Sent" once the message has gone.' });
       } else {
         // Fallback to web WhatsApp
         console.log('📱 WhatsApp app not available, trying web version');
-        const digits = phoneValidation.cleaned.replace(/[^0-9]/g, '');
-        if (digits) {
-          const webUrl = `https://wa.me/${digits}?text=${encoded}`;
-          await Linking.openURL(webUrl);
-          console.log('✅ WhatsApp web opened successfully');
-          
-          const updatedItem = { 
-            ...item, 
-            status: 'sent', 
-            sentAt: new Date().toISOString(),
-            sentVia: 'whatsapp-web'
-          };
-          dispatch({ type: 'UPDATE_DEFERRED_MESSAGE', payload: updatedItem });
-          setSnackbar({ visible: true, message: '💬 WhatsApp web opened. Message marked as sent.' });
-        } else {
-          console.error('❌ WhatsApp not available and phone invalid');
-          setSnackbar({ visible: true, message: 'WhatsApp not available and phone number invalid' });
-        }
+        const webUrl = `https://wa.me/${digits}?text=${encoded}`;
+        await Linking.openURL(webUrl);
+        console.log('✅ WhatsApp web opened successfully');
+        dispatch({ type: 'UPDATE_DEFERRED_MESSAGE', payload: transitionMessage(item, 'opened', { via: 'whatsapp-web' }) });
+        setSnackbar({ visible: true, message: '💬 WhatsApp web opened. Tap "Sent" once the message has gone.' });
       }
     } catch (e) {
       console.error('❌ Failed to open WhatsApp:', e);
+      markFailed(item, e.message);
       setSnackbar({ visible: true, message: `Failed to open WhatsApp: ${e.message}` });
     }
   };
 
+  // Failed messages keep their send buttons, so they can be retried
+  const markFailed = (item, error) => {
+    dispatch({ type: 'UPDATE_DEFERRED_MESSAGE', payload: transitionMessage(item, 'failed', { error }) });
+  };
+
+  const confirmSent = (item) => {
+    console.log(`✅ Outbox message ${item.id} confirmed sent`);
+    dispatch({ type: 'UPDATE_DEFERRED_MESSAGE', payload: transitionMessage(item, 'sent') });
+  };
+
+  const cancelMessage = (item) => {
+    console.log(`🚫 Cancelling outbox message: ${item.id}`);
+    dispatch({ type: 'UPDATE_DEFERRED_MESSAGE', payload: transitionMessage(item, 'cancelled') });
+  };
+
+  const requeueMessage = (item) => {
+    dispatch({ type: 'UPDATE_DEFERRED_MESSAGE', payload: transitionMessage(item, 'queued') });
+  };
+
+  // Rewrite the text with the worker's current balance, keeping the template
+  const regenerateMessage = (item) => {
+    const body = renderMessage(state, item, { defaultLanguage: language });
+    dispatch({ type: 'UPDATE_DEFERRED_MESSAGE', payload: { id: item.id, snapshotBody: body, regeneratedAt: new Date().toISOString() } });
+    console.log(`🔄 Outbox message ${item.id} regenerated`);
+    setSnackbar({ visible: true, message: 'Message updated with current figures' });
+  };
+
+  const openMessage = (item) => (item.channel === 'whatsapp' ? openWhatsapp(item) : openSms(item));
+
+  const sendNext = (batchId) => {
+    const next = getNextBatchMessage(state, batchId);
+    if (!next) {
+      setSnackbar({ visible: true, message: 'Nothing left to send in this batch' });
+      return;
+    }
+    openMessage(next);
+  };
+
+  const skipNext = (batchId) => {
+    const next = getNextBatchMessage(state, batchId);
+    if (next) {
+      cancelMessage(next);
+      setSnackbar({ visible: true, message: `Skipped ${next.workerName}` });
+    }
+  };
+
+  const queueStatements = (messages) => {
+    dispatch({ type: 'ADD_DEFERRED_MESSAGE', payload: messages });
+    console.log(`📨 Queued ${messages.length} statement messages (${messages[0]?.batchId})`);
+    setBatchDialogVisible(false);
+    setSnackbar({ visible: true, message: `📨 ${messages.length} statements added to the Outbox` });
+  };
+
   const deleteMessage = (itemId) => {
     console.log(`🗑️ Deleting message: ${itemId}`);
     dispatch({ type: 'DELETE_DEFERRED_MESSAGE', payload: itemId });
     setSnackbar({ visible: true, message: 'Message deleted' });
   };
 
-  // Sort items: pending first, then by creation date (newest first)
-  const sortedItems = [...items].sort((a, b) => {
-    if (a.status === 'pending' && b.status !== 'pending') return -1;
-    if (a.status !== 'pending' && b.status === 'pending') return 1;
-    return new Date(b.createdAt) - new Date(a.createdAt);
-  });
+  const oldFinished = getFinishedMessagesOlderThan(items, cleanupDays);
+
+  const deleteOldFinished = () => {
+    dispatch({ type: 'DELETE_DEFERRED_MESSAGES', payload: oldFinished.map(m => m.id) });
+    console.log(`🧹 Deleted ${oldFinished.length} finished outbox messages older than ${cleanupDays} days`);
+    setCleanupVisible(false);
+    setSnackbar({ visible: true, message: `${oldFinished.length} old messages deleted` });
+  };
+
+  const setRetention = (days) => {
+    dispatch({ type: 'SET_OUTBOX_SETTINGS', payload: { retentionDays: days } });
+  };
+
+  const activeBatches = getBatches(state).filter(b => b.queued + b.opened > 0);
+  const hasFilters = Object.values(filters).some(Boolean);
+  const updateFilter = (key, value) => setFilters(f => ({ ...f, [key]: value }));
+
+  // Sort items: still to deal with first, then by creation date (newest first)
+  const sortedItems = useMemo(() => sortMessages(filterMessages(items, filters)), [items, filters]);
+  const staleIds = useMemo(
+    () => new Set(sortedItems.filter(m => isMessageStale(state, m, language)).map(m => m.id)),
+    [sortedItems, state.entries, state.payments, state.messageTemplates, state.workers, language]
+  );
+  const counts = getStatusCounts(items);
+  const workerOptions = [...new Map(items.map(m => [m.workerId, m.workerName || 'Unknown Worker'])).entries()]
+    .sort((a, b) => a[1].localeCompare(b[1]));
 
   return (
     <SafeAreaView style={[{ flex: 1, padding: 16 }, { backgroundColor: '#f5f5f5' }] }>
-      <Title style={{ marginBottom: 16, color: '#6200ee' }}>Message Outbox</Title>
-      {sortedItems.length === 0 ? (
+      <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+        <Title style={{ color: '#6200ee' }}>Message Outbox</Title>
+        <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+          <IconButton
+            icon={hasFilters ? 'filter' : 'filter-outline'}
+            iconColor={hasFilters ? '#6200ee' : '#666'}
+            onPress={() => setShowFilters(v => !v)}
+          />
+          <IconButton icon="broom" iconColor="#666" onPress={() => setCleanupVisible(true)} />
+          <Button mode="outlined" icon="file-document-multiple-outline" compact onPress={() => setBatchDialogVisible(true)}>
+            Statements
+          </Button>
+        </View>
+      </View>
+      {showFilters && (
+        <Card style={{ marginBottom: 16, borderRadius: 12 }}>
+          <Card.Content>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginBottom: 8 }}>
+              <Chip selected={!filters.status} onPress={() => updateFilter('status', null)} style={{ marginRight: 8 }}>
+                All ({items.length})
+              </Chip>
+              {Object.entries(MESSAGE_STATUSES).map(([status, { label, icon }]) => (
+                <Chip
+                  key={status}
+                  icon={icon}
+                  selected={filters.status === status}
+                  onPress={() => updateFilter('status', filters.status === status ? null : status)}
+                  style={{ marginRight: 8 }}
+                >
+                  {label} ({counts[status]})
+                </Chip>
+              ))}
+            </ScrollView>
+            <View style={{ flexDirection: 'row', marginBottom: 8 }}>
+              {[[null, 'Any channel'], ['sms', 'SMS'], ['whatsapp', 'WhatsApp']].map(([channel, label]) => (
+                <Chip key={label} selected={filters.channel === channel} onPress={() => updateFilter('channel', channel)} style={{ marginRight: 8 }}>
+                  {label}
+                </Chip>
+              ))}
+            </View>
+            <RNPickerSelect
+              onValueChange={(value) => updateFilter('workerId', value)}
+              items={workerOptions.map(([id, name]) => ({ label: name, value: id, key: `outbox-worker-${id}` }))}
+              value={filters.workerId}
+              placeholder={{ label: 'All workers', value: null }}
+              style={{ inputIOS: { color: '#333', paddingVertical: 8 }, inputAndroid: { color: '#333', paddingVertical: 8 } }}
+            />
+            <View style={{ flexDirection: 'row', alignItems: 'center', marginTop: 8 }}>
+              {[['fromDate', 'From'], ['toDate', 'To']].map(([key, label]) => (
+                <TouchableOpacity
+                  key={key}
+                  onPress={() => setDatePicker(key)}
+                  style={{ flex: 1, padding: 10, marginRight: 8, borderRadius: 8, backgroundColor: '#f5f5f5' }}
+                >
+                  <Text style={{ color: filters[key] ? '#333' : '#888' }}>
+                    {label}: {filters[key] ? format(parseISO(filters[key]), 'dd/MM/yyyy') : 'any date'}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+              {hasFilters && (
+                <Button compact onPress={() => setFilters({ workerId: null, channel: null, status: null, fromDate: null, toDate: null })}>
+                  Clear
+                </Button>
+              )}
+            </View>
+          </Card.Content>
+        </Card>
+      )}
+      {datePicker && (
+        <DateTimePicker
+          value={filters[datePicker] ? parseISO(filters[datePicker]) : new Date()}
+          mode="date"
+          display="default"
+          onChange={(e, d) => {
+            const key = datePicker;
+            setDatePicker(null);
+            if (d) updateFilter(key, format(d, 'yyyy-MM-dd'));
+          }}
+        />
+      )}
+      {items.length === 0 ? (
         <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center' }}>
           <Paragraph style={{ color: '#333', textAlign: 'center', fontSize: 16 }}>
             📬 No messages in outbox
           </Paragraph>
           <Paragraph style={{ color: '#666', textAlign: 'center', marginTop: 8 }}>
-            Messages will appear here when you choose "Save to Outbox" after making payments
+            Messages will appear here when you choose "Save to Outbox" after making payments, or queue month-end statements with the Statements button
           </Paragraph>
         </View>
       ) : (
         <>
           <Paragraph style={{ color: '#333', marginBottom: 16 }}>
-            {sortedItems.filter(i => i.status === 'pending').length} pending • {sortedItems.filter(i => i.status === 'sent').length} sent
+            {Object.entries(MESSAGE_STATUSES)
+              .filter(([status], index) => counts[status] > 0 || index === 0)
+              .map(([status, { label }]) => `${counts[status]} ${label.toLowerCase()}`)
+              .join(' • ')}
           </Paragraph>
+          {activeBatches.map(batch => {
+            const next = getNextBatchMessage(state, batch.batchId);
+            return (
+              <Card key={batch.batchId} style={{ marginBottom: 16, borderRadius: 12, elevation: 2, backgroundColor: '#ede7f6' }}>
+                <Card.Content>
+                  <Text style={{ fontWeight: '700', fontSize: 16, color: '#333' }}>📨 {batch.batchLabel}</Text>
+                  <ProgressBar progress={batch.total ? batch.done / batch.total : 0} color="#6200ee" style={{ marginVertical: 8, height: 6, borderRadius: 3 }} />
+                  <Text style={{ color: '#333', fontSize: 13 }}>
+                    {batch.done}/{batch.total} done • {batch.sent} sent • {batch.opened} opened • {batch.cancelled} skipped • {batch.failed} failed
+                  </Text>
+                  {batch.invalidPhone > 0 && (
+                    <Text style={{ color: '#f44336', fontSize: 12, marginTop: 4 }}>
+                      ⚠️ {batch.invalidPhone} waiting for a valid phone number
+                    </Text>
+                  )}
+                  {next && (
+                    <Text style={{ color: '#666', fontSize: 12, marginTop: 4 }}>Next: {next.workerName}</Text>
+                  )}
+                </Card.Content>
+                <Card.Actions>
+                  <Button onPress={() => skipNext(batch.batchId)} disabled={!next}>Skip</Button>
+                  <Button mode="contained" icon="send" onPress={() => sendNext(batch.batchId)} disabled={!next} style={{ backgroundColor: next ? '#6200ee' : undefined }}>
+                    Send next
+                  </Button>
+                </Card.Actions>
+              </Card>
+            );
+          })}
           <FlatList
             data={sortedItems}
             keyExtractor={i => i.id}
             showsVerticalScrollIndicator={false}
+            ListEmptyComponent={(
+              <Paragraph style={{ color: '#666', textAlign: 'center', marginTop: 24 }}>
+                No messages match these filters
+              </Paragraph>
+            )}
             renderItem={({ item }) => {
-              const phoneValidation = validatePhoneNumber(item.phone);
+              const phoneValidation = checkMessagePhone(state, item);
               const isPhoneValid = phoneValidation.valid;
+              const status = getMessageStatus(item);
+              const statusInfo = MESSAGE_STATUSES[status];
+              const actions = getMessageActions(item);
               
               return (
                 <Card style={{ 
                   marginBottom: 16, 
                   borderRadius: 12, 
                   elevation: 2,
-                  backgroundColor: item.status === 'sent' ? '#fafafa' : '#f5f5f5',
+                  backgroundColor: status === 'sent' || status === 'cancelled' ? '#fafafa' : '#f5f5f5',
                   borderLeftWidth: 4,
-                  borderLeftColor: item.status === 'sent' ? '#4caf50' : '#6200ee'
+                  borderLeftColor: statusInfo.color
                 }}>
                   <Card.Content>
                     <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: 12 }}>
@@ -192,20 +389,36 @@ export default function OutboxScreen({ navigation }) {
                         </Text>
                         <View style={{ flexDirection: 'row', alignItems: 'center', marginTop: 4 }}>
                           <Text style={{ color: isPhoneValid ? '#4caf50' : '#f44336', fontSize: 14 }}>
-                            📱 {item.phone || 'No phone'}
+                            📱 {isPhoneValid ? formatPhone(phoneValidation.e164) : (item.phone || 'No phone')}
                           </Text>
                           {!isPhoneValid && (
                             <Chip icon="alert" compact style={{ marginLeft: 8, backgroundColor: '#ffebee' }}>
-                              Invalid
+                              {phoneValidation.error}
                             </Chip>
                           )}
                         </View>
                         <Text style={{ color: '#666', fontSize: 12, marginTop: 4 }}>
                           Created: {item.createdAt ? format(parseISO(item.createdAt), 'dd/MM/yyyy HH:mm') : 'Unknown'}
                         </Text>
-                        {item.sentAt && (
+                        {item.openedAt && (
+                          <Text style={{ color: '#ff9800', fontSize: 12 }}>
+                            📤 Opened: {format(parseISO(item.openedAt), 'dd/MM/yyyy HH:mm')} via {item.openedVia || item.channel}
+                            {item.attempts > 1 ? ` (attempt ${item.attempts})` : ''}
+                          </Text>
+                        )}
+                        {status === 'sent' && item.sentAt && (
                           <Text style={{ color: '#4caf50', fontSize: 12, fontWeight: '600' }}>
-                            ✅ Sent: {format(parseISO(item.sentAt), 'dd/MM/yyyy HH:mm')} via {item.sentVia || item.channel}
+                            ✅ Sent: {format(parseISO(item.sentAt), 'dd/MM/yyyy HH:mm')}
+                          </Text>
+                        )}
+                        {status === 'failed' && item.error && (
+                          <Text style={{ color: '#f44336', fontSize: 12 }}>
+                            ❌ {item.error}
+                          </Text>
+                        )}
+                        {item.batchLabel && (
+                          <Text style={{ color: '#6200ee', fontSize: 12 }}>
+                            📨 {item.batchLabel}
                           </Text>
                         )}
                       </View>
@@ -217,11 +430,9 @@ export default function OutboxScreen({ navigation }) {
                         >
                           {item.mode === 'snapshot' ? 'Snapshot' : 'Draft'}
                         </Chip>
-                        {item.status === 'sent' && (
-                          <Text style={{ color: '#4caf50', fontWeight: '700', marginTop: 6, fontSize: 12 }}>
-                            SENT ✓
-                          </Text>
-                        )}
+                        <Text style={{ color: statusInfo.color, fontWeight: '700', marginTop: 6, fontSize: 12 }}>
+                          {statusInfo.label.toUpperCase()}{status === 'sent' ? ' ✓' : ''}
+                        </Text>
                       </View>
                     </View>
                     
@@ -236,10 +447,28 @@ export default function OutboxScreen({ navigation }) {
                         💰 Payment: ₹{item.paymentAmount}
                       </Text>
                     )}
+                    {staleIds.has(item.id) && (
+                      <View style={{ flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', marginTop: 4 }}>
+                        <Text style={{ color: '#e65100', fontSize: 12, flex: 1 }}>
+                          ⚠️ Figures have changed since this message was written
+                        </Text>
+                        <Button compact icon="refresh" onPress={() => regenerateMessage(item)}>Update</Button>
+                      </View>
+                    )}
                   </Card.Content>
                   
                   <Card.Actions style={{ paddingTop: 0 }}>
-                    {item.status !== 'sent' && isPhoneValid && (
+                    {actions.confirm && (
+                      <>
+                        <Button mode="contained" icon="check" onPress={() => confirmSent(item)} style={{ marginRight: 8, backgroundColor: '#4caf50' }}>
+                          Sent
+                        </Button>
+                        <Button mode="text" textColor="#f44336" onPress={() => markFailed(item, 'Not sent')}>
+                          Didn't send
+                        </Button>
+                      </>
+                    )}
+                    {actions.send && !actions.confirm && isPhoneValid && (
                       <>
                         {(item.channel === 'sms' || !item.channel) && (
                           <Button 
@@ -248,7 +477,7 @@ export default function OutboxScreen({ navigation }) {
                             onPress={() => openSms(item)} 
                             style={{ marginRight: 8, backgroundColor: '#6200ee' }}
                           >
-                            Send SMS
+                            {status === 'failed' ? 'Retry SMS' : 'Send SMS'}
                           </Button>
                         )}
                         {(item.channel === 'whatsapp' || !item.channel) && (
@@ -258,12 +487,27 @@ export default function OutboxScreen({ navigation }) {
                             onPress={() => openWhatsapp(item)} 
                             style={{ backgroundColor: '#25D366', marginRight: 8 }}
                           >
-                            WhatsApp
+                            {status === 'failed' ? 'Retry' : 'WhatsApp'}
                           </Button>
                         )}
                       </>
                     )}
                     
+                    {actions.confirm && isPhoneValid && (
+                      <IconButton icon="send" onPress={() => openMessage(item)} />
+                    )}
+                    {actions.regenerate && (
+                      <IconButton
+                        icon="file-document-edit-outline"
+                        onPress={() => setTemplatePicker({ item, templateId: getMessageTemplate(state, item.template).id })}
+                      />
+                    )}
+                    {actions.cancel && (
+                      <IconButton icon="cancel" onPress={() => cancelMessage(item)} />
+                    )}
+                    {actions.requeue && (
+                      <IconButton icon="restore" onPress={() => requeueMessage(item)} />
+                    )}
                     <Button 
                       mode="outlined" 
                       icon="delete" 
@@ -281,6 +525,90 @@ export default function OutboxScreen({ navigation }) {
         </>
       )}
       
+      <Portal>
+        <Dialog visible={!!templatePicker} onDismiss={() => setTemplatePicker(null)} style={{ maxHeight: '90%' }}>
+          <Dialog.Title>Message Template</Dialog.Title>
+          {templatePicker && (
+            <Dialog.ScrollArea style={{ maxHeight: 460 }}>
+              <ScrollView contentContainerStyle={{ paddingVertical: 8 }}>
+                {Object.entries(MESSAGE_PURPOSES).map(([purpose, { label }]) => (
+                  <View key={purpose} style={{ marginBottom: 8 }}>
+                    <Text style={{ color: '#666', fontSize: 12, marginBottom: 4 }}>{label}</Text>
+                    <View style={{ flexDirection: 'row', flexWrap: 'wrap' }}>
+                      {getMessageTemplates(state, purpose).map(t => (
+                        <Chip
+                          key={t.id}
+                          selected={t.id === templatePicker.templateId}
+                          onPress={() => setTemplatePicker(p => ({ ...p, templateId: t.id }))}
+                          style={{ marginRight: 8, marginBottom: 6 }}
+                        >
+                          {t.name}
+                        </Chip>
+                      ))}
+                    </View>
+                  </View>
+                ))}
+                <View style={{ backgroundColor: '#fafafa', padding: 12, borderRadius: 8 }}>
+                  <Paragraph style={{ fontSize: 14, lineHeight: 20, color: '#333' }}>
+                    {renderWithTemplate(templatePicker.item, templatePicker.templateId)}
+                  </Paragraph>
+                </View>
+                <Text style={{ color: '#666', fontSize: 12, marginTop: 8 }}>
+                  Uses the worker's balance and attendance as of now.
+                </Text>
+              </ScrollView>
+            </Dialog.ScrollArea>
+          )}
+          <Dialog.Actions>
+            <Button onPress={() => setTemplatePicker(null)}>Cancel</Button>
+            <Button mode="contained" onPress={applyTemplate}>Use Template</Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        <Dialog visible={cleanupVisible} onDismiss={() => setCleanupVisible(false)}>
+          <Dialog.Title>Clean Up Outbox</Dialog.Title>
+          <Dialog.Content>
+            <Text style={{ fontWeight: '600', color: '#333', marginBottom: 6 }}>Delete sent and cancelled messages older than</Text>
+            <View style={{ flexDirection: 'row', flexWrap: 'wrap', marginBottom: 4 }}>
+              {RETENTION_OPTIONS.filter(o => o.days > 0).map(o => (
+                <Chip key={o.days} selected={cleanupDays === o.days} onPress={() => setCleanupDays(o.days)} style={{ marginRight: 8, marginBottom: 6 }}>
+                  {o.label}
+                </Chip>
+              ))}
+            </View>
+            <Text style={{ color: '#666', fontSize: 12, marginBottom: 8 }}>
+              {oldFinished.length} message(s) will be deleted.
+            </Text>
+            <Button mode="contained" icon="delete" disabled={oldFinished.length === 0} onPress={deleteOldFinished} style={{ backgroundColor: oldFinished.length ? '#f44336' : undefined, marginBottom: 16 }}>
+              Delete {oldFinished.length}
+            </Button>
+
+            <Text style={{ fontWeight: '600', color: '#333', marginBottom: 6 }}>Delete automatically after</Text>
+            <View style={{ flexDirection: 'row', flexWrap: 'wrap' }}>
+              {RETENTION_OPTIONS.map(o => (
+                <Chip key={o.days} selected={retentionDays === o.days} onPress={() => setRetention(o.days)} style={{ marginRight: 8, marginBottom: 6 }}>
+                  {o.label}
+                </Chip>
+              ))}
+            </View>
+            <Text style={{ color: '#666', fontSize: 12 }}>
+              Queued, opened and failed messages are never deleted automatically.
+            </Text>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setCleanupVisible(false)}>Close</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      <StatementBatchDialog
+        visible={batchDialogVisible}
+        state={state}
+        defaultLanguage={language}
+        onDismiss={() => setBatchDialogVisible(false)}
+        onQueue={queueStatements}
+      />
+
       <Snackbar
         visible={snackbar.visible}
         onDismiss={() => setSnackbar({ visible: false, message: "" })}
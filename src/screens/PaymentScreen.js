@@ -1,19 +1,28 @@
-﻿import React, { useEffect, useState } from "react";
+﻿import React, { useEffect, useState, useMemo } from "react";
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { ScrollView, StyleSheet, View, TouchableOpacity, FlatList } from 'react-native';
 import Modal from 'react-native-modal';
 import DateTimePicker from '@react-native-community/datetimepicker';
-import { Text, Button, TextInput, Snackbar, Card, IconButton, Portal, Dialog } from "react-native-paper";
+import { Text, Button, TextInput, Snackbar, Card, IconButton, Portal, Dialog, Chip } from "react-native-paper";
 import { useGlobalStore } from '../utils/GlobalStore';
 import BalanceCard from "../components/BalanceCard";
-import { getWorkerBalance, validatePayment } from "../utils/balance";
-import { format, parseISO, startOfMonth, endOfDay } from 'date-fns';
+import { validatePayment } from "../utils/balance";
+import { getWorkerBalance, PAYMENT_KINDS } from "../utils/ledger";
+import { getWorkerLoans, getOutstandingLoanTotal } from "../utils/loans";
+import { getSelectableSites } from "../utils/sites";
+import { getActiveWorkers } from "../utils/workers";
+import { getDefaultCountry, getWorkerPhone, toWhatsAppNumber } from "../utils/phone";
+import { getMessageTemplates, getMessageTemplate, buildTemplateMessage } from "../utils/messageTemplates";
+import { useI18n } from "../utils/I18nProvider";
+import RNPickerSelect from 'react-native-picker-select';
 import { Linking } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 export default function PaymentScreen({ navigation }) {
   const { state, dispatch, refreshData } = useGlobalStore();
-  const workers = state.workers;
+  const { t, language, formatCurrency } = useI18n();
+  // Archived workers stay out of the picker
+  const workers = useMemo(() => getActiveWorkers(state.workers), [state.workers]);
   const [selectedWorker, setSelectedWorker] = useState(workers[0]?.id || null);
   const [balance, setBalance] = useState(0);
   const [snackbar, setSnackbar] = useState({ visible: false, message: "" });
@@ -23,6 +32,12 @@ export default function PaymentScreen({ navigation }) {
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [amount, setAmount] = useState("");
   const [paymentType, setPaymentType] = useState("Cash");
+  // Payment kind (wage, advance, loan, deduction, bonus) and loan details
+  const [kind, setKind] = useState("wage");
+  const [instalmentAmount, setInstalmentAmount] = useState("");
+  const [loanId, setLoanId] = useState(null);
+  const [siteId, setSiteId] = useState(null);
+  const sites = getSelectableSites(state, siteId);
   const [narration, setNarration] = useState("");
   const [saving, setSaving] = useState(false);
 
@@ -40,6 +55,11 @@ export default function PaymentScreen({ navigation }) {
     setBalance(newBalance);
   }, [selectedWorker, state.entries, state.payments, workers]);
 
+  // Deductions and loan repayments are withheld from wages, not paid out
+  const isWithheld = kind === 'deduction' || kind === 'loan_repayment';
+  const openLoans = selectedWorker ? getWorkerLoans(selectedWorker, state).filter(l => l.outstanding > 0) : [];
+  const outstandingLoans = selectedWorker ? getOutstandingLoanTotal(selectedWorker, state) : 0;
+
   const savePaymentHandler = async () => {
     setSaving(true);
     const dateStr = date.toISOString().slice(0, 10);
@@ -49,12 +69,20 @@ export default function PaymentScreen({ navigation }) {
       workerId: selectedWorker,
       date: dateStr,
       amount: Number(amount),
-      paymentType,
+      paymentType: isWithheld ? 'Deduction' : paymentType,
+      kind,
+      siteId,
       notes: narration
     };
+    if (kind === 'loan_disbursement' && Number(instalmentAmount) > 0) {
+      payment.instalmentAmount = Number(instalmentAmount);
+    }
+    if (kind === 'loan_repayment' && loanId) {
+      payment.loanId = loanId;
+    }
 
     // Use enhanced validation
-    const validation = validatePayment(payment);
+    const validation = validatePayment(payment, state);
     if (!validation.valid) {
       setSnackbar({ visible: true, message: validation.error });
       setSaving(false);
@@ -63,7 +91,7 @@ export default function PaymentScreen({ navigation }) {
 
     try {
       dispatch({ type: 'ADD_PAYMENT', payload: payment });
-      setSnackbar({ visible: true, message: "Payment saved successfully." });
+      setSnackbar({ visible: true, message: t('payment.saved') });
   // After payment saved, ask user about sending SMS
   setPendingSms({ visible: true, workerId: selectedWorker, payment });
       
@@ -71,10 +99,13 @@ export default function PaymentScreen({ navigation }) {
       setAmount("");
       setNarration("");
       setPaymentType("Cash");
+      setKind("wage");
+      setInstalmentAmount("");
+      setLoanId(null);
       setDate(new Date());
     } catch (e) {
       console.error('Error saving payment:', e);
-      setSnackbar({ visible: true, message: "Error saving payment. Please try again." });
+      setSnackbar({ visible: true, message: t('payment.saveFailed') });
     }
     setSaving(false);
   };
@@ -84,73 +115,57 @@ export default function PaymentScreen({ navigation }) {
   const [smsPreviewText, setSmsPreviewText] = useState('');
   const [pendingSaveChannel, setPendingSaveChannel] = useState('whatsapp');
 
-  const buildDetailedMessage = (workerId, paymentObj) => {
-    try {
-      const worker = workers.find(w => w.id === workerId) || {};
-      const balance = getWorkerBalance(workerId, state);
-
-      // Month-to-date attendance counts
-      const now = new Date();
-      const monthStart = startOfMonth(now);
-      const workerEntries = (state.entries || []).filter(e => e.workerId === workerId && e.date);
-      let present = 0, half = 0, absent = 0;
-      for (const e of workerEntries) {
-        const d = parseISO(e.date);
-        if (d >= monthStart && d <= endOfDay(now)) {
-          if (e.status === 'P') present += 1;
-          else if (e.status === 'H') half += 1;
-          else if (e.status === 'A') absent += 1;
-        }
-      }
-
-      const payDate = paymentObj?.date || new Date().toISOString().slice(0,10);
-      const payAmount = Number(paymentObj?.amount || 0).toFixed(2);
+  const [messageTemplateId, setMessageTemplateId] = useState(null); // null: the default receipt template
+  const receiptTemplates = getMessageTemplates(state, 'payment_receipt');
+  const messageTemplate = getMessageTemplate(state, messageTemplateId, 'payment_receipt');
 
-  // Detailed template (attendance for current month only, each on its own line)
-  const monthName = format(now, 'MMMM');
-  const attendanceLines = [];
-  attendanceLines.push(`For the month ${monthName}:`);
-  attendanceLines.push(`Present: ${present}`);
-  attendanceLines.push(`Halfday: ${half}`);
-  attendanceLines.push(`Absent: ${absent}`);
+  useEffect(() => {
+    if (pendingSms.visible) {
+      setSmsPreviewText(buildDetailedMessage(pendingSms.workerId, pendingSms.payment));
+    }
+  }, [pendingSms, messageTemplateId]);
 
-  const msg = `Date: ${payDate}\nPayment: \u20b9${payAmount}\nRemaining Balance: \u20b9${Number(balance || 0).toFixed(2)}\n${attendanceLines.join('\n')}`;
-      return msg;
+  // Message text from the chosen payment receipt template, in the worker's language
+  const buildDetailedMessage = (workerId, paymentObj) => {
+    try {
+      return buildTemplateMessage(state, messageTemplate, workerId, { payment: paymentObj, defaultLanguage: language });
     } catch (e) {
       console.error('buildDetailedMessage', e);
       return '';
     }
   };
 
-  // Enhanced helper to validate phone numbers
-  const validatePhoneNumber = (phone) => {
-    if (!phone || phone.trim().length === 0) return { valid: false, error: 'No phone number provided' };
-    const cleaned = phone.replace(/[^\d+]/g, '');
-    if (cleaned.length < 10) return { valid: false, error: 'Phone number too short' };
-    return { valid: true, cleaned };
+  // Worker's number for the channel (their WhatsApp number for WhatsApp), with a translated error
+  const checkWorkerPhone = (worker, channel) => {
+    const result = getWorkerPhone(worker, channel, getDefaultCountry(state));
+    return result.valid ? result : { ...result, error: t(`phone.${result.code}`) };
   };
 
   // Enhanced helper to save message to history with proper logging
-  const saveToHistory = async (workerId, payment, channel, body, status = 'sent') => {
+  // The composer was opened; the Outbox asks the user to confirm it was actually sent
+  const saveToHistory = async (workerId, payment, channel, body, via = channel) => {
     try {
       const worker = workers.find(w => w.id === workerId) || {};
       const historyItem = {
         id: Date.now().toString() + '_' + Math.random().toString(36).substr(2, 9),
         workerId,
         workerName: worker.name || 'Unknown',
-        phone: worker.phone || null,
+        phone: checkWorkerPhone(worker, channel).e164 || worker.phone || null,
         channel,
         mode: 'snapshot',
-        template: 'detailed',
+        template: messageTemplate.id,
         snapshotBody: body,
         createdAt: new Date().toISOString(),
-        status,
+        status: 'opened',
+        openedAt: new Date().toISOString(),
+        openedVia: via,
+        attempts: 1,
         paymentId: payment?.id || null,
         paymentAmount: payment?.amount || null
       };
       
       dispatch({ type: 'ADD_DEFERRED_MESSAGE', payload: historyItem });
-      console.log(`✅ Message saved to history: ${channel.toUpperCase()} to ${worker.phone} - Status: ${status}`);
+      console.log(`✅ Message saved to history: ${channel.toUpperCase()} to ${worker.phone} - Status: opened`);
       return historyItem;
     } catch (error) {
       console.error('❌ Failed to save message to history:', error);
@@ -181,7 +196,7 @@ export default function PaymentScreen({ navigation }) {
     const body = buildDetailedMessage(workerId, payment);
     if (!body) {
       console.error('❌ Failed to build message body');
-      setSnackbar({ visible: true, message: 'Failed to generate message content' });
+      setSnackbar({ visible: true, message: t('payment.messageFailed') });
       return;
     }
 
@@ -189,19 +204,19 @@ export default function PaymentScreen({ navigation }) {
 
     if (action === 'send') {
       // Validate phone number
-      const phoneValidation = validatePhoneNumber(worker.phone);
+      const phoneValidation = checkWorkerPhone(worker, channel);
       if (!phoneValidation.valid) {
         console.error('❌ Phone validation failed:', phoneValidation.error);
-        setSnackbar({ visible: true, message: `Invalid phone number: ${phoneValidation.error}` });
+        setSnackbar({ visible: true, message: t('payment.invalidPhone', { error: phoneValidation.error }) });
         return;
       }
 
-      console.log(`📞 Validated phone: ${phoneValidation.cleaned}`);
+      console.log(`📞 Validated phone: ${phoneValidation.e164}`);
 
       if (channel === 'sms') {
         try {
           const encoded = encodeURIComponent(body);
-          const url = `sms:${phoneValidation.cleaned}?body=${encoded}`;
+          const url = `sms:${phoneValidation.e164}?body=${encoded}`;
           
           console.log(`📱 Attempting to open SMS with URL length: ${url.length}`);
           
@@ -210,30 +225,21 @@ export default function PaymentScreen({ navigation }) {
             await Linking.openURL(url);
             console.log('✅ SMS composer opened successfully');
             
-            // Save to history as "sent" (user will compose and send)
-            await saveToHistory(workerId, payment, 'sms', body, 'sent');
-            setSnackbar({ visible: true, message: '📱 SMS composer opened. Message saved to history.' });
+            await saveToHistory(workerId, payment, 'sms', body);
+            setSnackbar({ visible: true, message: `📱 ${t('payment.smsOpened')}` });
           } else {
             console.error('❌ SMS composer not supported on this device');
-            setSnackbar({ visible: true, message: 'SMS not supported on this device' });
+            setSnackbar({ visible: true, message: t('payment.smsUnsupported') });
           }
         } catch (e) {
           console.error('❌ SMS opening failed:', e);
-          setSnackbar({ visible: true, message: `Failed to open SMS: ${e.message}` });
+          setSnackbar({ visible: true, message: t('payment.smsFailed', { error: e.message }) });
         }
       } else if (channel === 'whatsapp') {
         try {
           const encoded = encodeURIComponent(body);
-          let url = null;
-          
-          // Build WhatsApp URL with proper phone formatting
-          if (phoneValidation.cleaned.startsWith('+')) {
-            url = `whatsapp://send?phone=${encodeURIComponent(phoneValidation.cleaned)}&text=${encoded}`;
-          } else {
-            // Add + if missing for international format
-            const formattedPhone = phoneValidation.cleaned.length > 10 ? `+${phoneValidation.cleaned}` : `+91${phoneValidation.cleaned}`;
-            url = `whatsapp://send?phone=${encodeURIComponent(formattedPhone)}&text=${encoded}`;
-          }
+          const digits = toWhatsAppNumber(phoneValidation.e164);
+          const url = `whatsapp://send?phone=${digits}&text=${encoded}`;
           
           console.log(`💬 Attempting WhatsApp with formatted phone`);
           
@@ -242,28 +248,21 @@ export default function PaymentScreen({ navigation }) {
             await Linking.openURL(url);
             console.log('✅ WhatsApp opened successfully');
             
-            // Save to history as "sent"
-            await saveToHistory(workerId, payment, 'whatsapp', body, 'sent');
-            setSnackbar({ visible: true, message: '💬 WhatsApp opened. Message saved to history.' });
+            await saveToHistory(workerId, payment, 'whatsapp', body);
+            setSnackbar({ visible: true, message: `💬 ${t('payment.whatsappOpened')}` });
           } else {
             // Fallback to web WhatsApp
             console.log('📱 WhatsApp app not available, trying web fallback');
-            const digits = phoneValidation.cleaned.replace(/[^0-9]/g, '');
-            if (digits) {
-              const webUrl = `https://wa.me/${digits}?text=${encoded}`;
-              await Linking.openURL(webUrl);
-              console.log('✅ WhatsApp web opened successfully');
-              
-              await saveToHistory(workerId, payment, 'whatsapp', body, 'sent');
-              setSnackbar({ visible: true, message: '💬 WhatsApp web opened. Message saved to history.' });
-            } else {
-              console.error('❌ WhatsApp not available and phone number invalid');
-              setSnackbar({ visible: true, message: 'WhatsApp not available and invalid phone number' });
-            }
+            const webUrl = `https://wa.me/${digits}?text=${encoded}`;
+            await Linking.openURL(webUrl);
+            console.log('✅ WhatsApp web opened successfully');
+            
+            await saveToHistory(workerId, payment, 'whatsapp', body, 'whatsapp-web');
+            setSnackbar({ visible: true, message: `💬 ${t('payment.whatsappWebOpened')}` });
           }
         } catch (e) {
           console.error('❌ WhatsApp opening failed:', e);
-          setSnackbar({ visible: true, message: `Failed to open WhatsApp: ${e.message}` });
+          setSnackbar({ visible: true, message: t('payment.whatsappFailed', { error: e.message }) });
         }
       }
       return;
@@ -273,7 +272,7 @@ export default function PaymentScreen({ navigation }) {
       console.log('💾 Saving message to outbox for later');
       
       // Validate phone number for outbox too
-      const phoneValidation = validatePhoneNumber(worker.phone);
+      const phoneValidation = checkWorkerPhone(worker, channel);
       if (!phoneValidation.valid) {
         console.warn('⚠️ Saving to outbox with invalid phone:', phoneValidation.error);
       }
@@ -284,23 +283,23 @@ export default function PaymentScreen({ navigation }) {
           id,
           workerId,
           workerName: worker.name || 'Unknown',
-          phone: phoneValidation.valid ? phoneValidation.cleaned : (worker.phone || null),
+          phone: phoneValidation.valid ? phoneValidation.e164 : (worker.phone || null),
           channel: channel || 'sms',
           mode: 'snapshot', // snapshot stores the body now
-          template: 'detailed',
+          template: messageTemplate.id,
           snapshotBody: body,
           createdAt: new Date().toISOString(),
-          status: 'pending',
+          status: 'queued',
           paymentId: payment?.id || null,
           paymentAmount: payment?.amount || null
         };
         
         dispatch({ type: 'ADD_DEFERRED_MESSAGE', payload: deferred });
         console.log(`✅ Message saved to outbox: ${channel.toUpperCase()} for ${worker.name}`);
-        setSnackbar({ visible: true, message: '💾 Message saved to Outbox' });
+        setSnackbar({ visible: true, message: `💾 ${t('payment.savedToOutbox')}` });
       } catch (error) {
         console.error('❌ Failed to save to outbox:', error);
-        setSnackbar({ visible: true, message: 'Failed to save message to outbox' });
+        setSnackbar({ visible: true, message: t('payment.outboxFailed') });
       }
     }
   };
@@ -319,7 +318,7 @@ export default function PaymentScreen({ navigation }) {
       >
         {/* Header with refresh button */}
         <View style={styles.headerContainer}>
-          <Text style={styles.screenTitle}>Payment Screen</Text>
+          <Text style={styles.screenTitle}>{t('payment.title')}</Text>
           <IconButton
             icon="refresh"
             size={24}
@@ -336,21 +335,24 @@ export default function PaymentScreen({ navigation }) {
               onPress={() => navigation.navigate('LedgerScreen', { workerId: selectedWorker })}
               activeOpacity={0.7}
             >
-              <Text style={styles.ledgerButtonText}>📖 View Ledger</Text>
+              <Text style={styles.ledgerButtonText}>📖 {t('payment.viewLedger')}</Text>
             </TouchableOpacity>
           )}
+          {outstandingLoans > 0 && (
+            <Text style={styles.loanOutstandingText}>{t('payment.outstandingLoans', { amount: formatCurrency(outstandingLoans) })}</Text>
+          )}
         </View>
         {workers.length === 0 ? (
           <Card style={[styles.card, { backgroundColor: '#fff' }]}>
             <View style={styles.emptyState}>
-              <Text style={[styles.emptyStateText, { color: '#333' }]}>No workers found</Text>
-              <Text style={[styles.emptyStateSubtext, { color: '#333' }]}>Add workers from Master section first</Text>
+              <Text style={[styles.emptyStateText, { color: '#333' }]}>{t('common.noWorkers')}</Text>
+              <Text style={[styles.emptyStateSubtext, { color: '#333' }]}>{t('common.addWorkersFirst')}</Text>
             </View>
           </Card>
         ) : (
           <Card style={[styles.card, { backgroundColor: '#fff' }]}>
             <Card.Content>
-              <Text style={[styles.label, { color: '#333' }]}>Worker</Text>
+              <Text style={[styles.label, { color: '#333' }]}>{t('common.worker')}</Text>
               <TouchableOpacity
                 style={styles.workerSelectBtn}
                 activeOpacity={0.8}
@@ -368,7 +370,7 @@ export default function PaymentScreen({ navigation }) {
                     )}
                   </View>
                   <Text style={[styles.workerSelectText, { color: '#333' }]}>
-                    {selectedWorker ? workers.find(w => w.id === selectedWorker)?.name : "Select Worker"}
+                    {selectedWorker ? workers.find(w => w.id === selectedWorker)?.name : t('common.selectWorker')}
                   </Text>
                 </View>
               </TouchableOpacity>
@@ -384,7 +386,7 @@ export default function PaymentScreen({ navigation }) {
           >
             <View style={styles.sheetContent}>
               <TextInput
-                placeholder="Search worker..."
+                placeholder={t('common.searchWorker')}
                 value={workerSearch}
                 onChangeText={setWorkerSearch}
                 style={styles.workerSearchInput}
@@ -417,10 +419,10 @@ export default function PaymentScreen({ navigation }) {
             </View>
           </Modal>
           {/* Date Picker Button */}
-          <Text style={[styles.label, { color: '#333' }]}>Date</Text>
+          <Text style={[styles.label, { color: '#333' }]}>{t('common.date')}</Text>
           <TouchableOpacity onPress={() => setShowDatePicker(true)} style={styles.datePickerBtn} activeOpacity={0.7}>
             <Text style={styles.dateText}>
-              {date ? `${date.getDate().toString().padStart(2, '0')}/${(date.getMonth()+1).toString().padStart(2, '0')}/${date.getFullYear()}` : 'Select Date'}
+              {date ? `${date.getDate().toString().padStart(2, '0')}/${(date.getMonth()+1).toString().padStart(2, '0')}/${date.getFullYear()}` : t('common.selectDate')}
             </Text>
           </TouchableOpacity>
           {showDatePicker && (
@@ -435,17 +437,83 @@ export default function PaymentScreen({ navigation }) {
               maximumDate={new Date()}
             />
           )}
+          {/* Payment Kind Selector */}
+          <Text style={[styles.label, { color: '#333' }]}>{t('payment.kind')}</Text>
+          <View style={styles.kindRow}>
+            {Object.keys(PAYMENT_KINDS).map(key => (
+              <TouchableOpacity
+                key={key}
+                style={[styles.kindBtn, kind === key && styles.paymentTypeBtnActive]}
+                onPress={() => setKind(key)}
+              >
+                <Text style={[styles.kindText, kind === key && styles.paymentTypeTextActive]}>{t(`paymentKind.${key}`)}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {kind === 'bonus' && (
+            <Text style={styles.kindHint}>{t('payment.bonusHint')}</Text>
+          )}
+          {kind === 'loan_disbursement' && (
+            <>
+              <Text style={styles.kindHint}>{t('payment.loanHint')}</Text>
+              <TextInput
+                label={t('payment.instalment')}
+                value={instalmentAmount}
+                onChangeText={setInstalmentAmount}
+                keyboardType="numeric"
+                style={styles.input}
+              />
+            </>
+          )}
+          {kind === 'loan_repayment' && (
+            <>
+              <Text style={styles.kindHint}>{t('payment.repaymentHint')}</Text>
+              <View style={styles.loanPicker}>
+                <RNPickerSelect
+                  placeholder={{ label: t('payment.oldestLoanFirst'), value: null, color: '#888' }}
+                  items={openLoans.map(l => ({
+                    label: `${l.loan.date} · ${formatCurrency(l.principal)} (${t('payment.loanLeft', { amount: formatCurrency(l.outstanding) })})`,
+                    value: l.id,
+                    key: l.id
+                  }))}
+                  onValueChange={setLoanId}
+                  value={loanId}
+                  disabled={openLoans.length === 0}
+                  useNativeAndroidPickerStyle={false}
+                  style={{ inputIOS: styles.loanPickerInput, inputAndroid: styles.loanPickerInput, placeholder: { color: '#888' } }}
+                />
+              </View>
+            </>
+          )}
+          {/* Site Selector */}
+          {sites.length > 0 && (
+            <>
+              <Text style={[styles.label, { color: '#333' }]}>{t('common.site')}</Text>
+              <View style={styles.loanPicker}>
+                <RNPickerSelect
+                  placeholder={{ label: t('common.noSite'), value: null, color: '#888' }}
+                  items={sites.map(s => ({ label: s.name, value: s.id, key: s.id }))}
+                  onValueChange={setSiteId}
+                  value={siteId}
+                  useNativeAndroidPickerStyle={false}
+                  style={{ inputIOS: styles.loanPickerInput, inputAndroid: styles.loanPickerInput, placeholder: { color: '#888' } }}
+                />
+              </View>
+            </>
+          )}
           {/* Amount Input */}
-          <Text style={[styles.label, { color: '#333' }]}>Amount</Text>
+          <Text style={[styles.label, { color: '#333' }]}>{t('common.amount')}</Text>
           <TextInput
-            label="Amount"
+            label={t('common.amount')}
             value={amount}
             onChangeText={setAmount}
             keyboardType="numeric"
             style={styles.input}
           />
           {/* Payment Type Selector */}
-          <Text style={[styles.label, { color: '#333' }]}>Payment Type</Text>
+          {!isWithheld && (
+          <>
+          <Text style={[styles.label, { color: '#333' }]}>{t('payment.type')}</Text>
           <View style={styles.paymentTypeRow}>
             {['Cash', 'UPI'].map(type => (
               <TouchableOpacity
@@ -453,14 +521,16 @@ export default function PaymentScreen({ navigation }) {
                 style={[styles.paymentTypeBtn, paymentType === type && styles.paymentTypeBtnActive]}
                 onPress={() => setPaymentType(type)}
               >
-                <Text style={[styles.paymentTypeText, paymentType === type && styles.paymentTypeTextActive]}>{type}</Text>
+                <Text style={[styles.paymentTypeText, paymentType === type && styles.paymentTypeTextActive]}>{t(`paymentMode.${type}`)}</Text>
               </TouchableOpacity>
             ))}
           </View>
+          </>
+          )}
           {/* Narration Input */}
-          <Text style={[styles.label, { color: '#333' }]}>Notes</Text>
+          <Text style={[styles.label, { color: '#333' }]}>{t('common.notes')}</Text>
           <TextInput
-            label="Notes"
+            label={t('common.notes')}
             value={narration}
             onChangeText={setNarration}
             multiline
@@ -474,7 +544,7 @@ export default function PaymentScreen({ navigation }) {
             loading={saving}
             disabled={saving || !selectedWorker || !amount || !date || !paymentType}
           >
-            Save Payment
+            {t('payment.save')}
           </Button>
             </Card.Content>
           </Card>
@@ -489,8 +559,26 @@ export default function PaymentScreen({ navigation }) {
           >
             <View style={styles.smsModalOverlay}>
                 <View style={styles.smsModalCard}>
-                  <Text style={[styles.smsModalTitle, { color: '#333' }]}>Notify worker?</Text>
-                  <Text style={styles.smsModalSubtitle}>Choose how you want to notify the worker about this payment.</Text>
+                  <Text style={[styles.smsModalTitle, { color: '#333' }]}>{t('payment.notifyTitle')}</Text>
+                  <Text style={styles.smsModalSubtitle}>{t('payment.notifySubtitle')}</Text>
+
+                  {receiptTemplates.length > 1 && (
+                    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.templateRow}>
+                      {receiptTemplates.map(t => (
+                        <Chip
+                          key={t.id}
+                          selected={t.id === messageTemplate.id}
+                          onPress={() => setMessageTemplateId(t.id)}
+                          style={styles.templateChip}
+                        >
+                          {t.name}
+                        </Chip>
+                      ))}
+                    </ScrollView>
+                  )}
+                  <View style={styles.messagePreview}>
+                    <Text style={styles.messagePreviewText}>{smsPreviewText}</Text>
+                  </View>
 
                   <Button
                     mode="contained"
@@ -500,7 +588,7 @@ export default function PaymentScreen({ navigation }) {
                     labelStyle={styles.fullBtnLabel}
                     style={styles.fullBtn}
                   >
-                    Send SMS
+                    {t('payment.sendSms')}
                   </Button>
 
                   <Button
@@ -511,11 +599,11 @@ export default function PaymentScreen({ navigation }) {
                     labelStyle={[styles.fullBtnLabel, { color: '#fff' }]}
                     style={[styles.fullBtn, { backgroundColor: '#25D366' }]}
                   >
-                    Send WhatsApp
+                    {t('payment.sendWhatsapp')}
                   </Button>
 
                   <View style={{ marginTop: 14 }}>
-                    <Text style={{ color: '#666', marginBottom: 8, fontWeight: '600' }}>Save snapshot to Outbox as</Text>
+                    <Text style={{ color: '#666', marginBottom: 8, fontWeight: '600' }}>{t('payment.saveSnapshotAs')}</Text>
                     <View style={{ flexDirection: 'row' }}>
                       <Button mode={pendingSaveChannel === 'sms' ? 'contained' : 'outlined'} onPress={() => setPendingSaveChannel('sms')} style={{ flex: 1, marginRight: 8 }}>SMS</Button>
                       <Button mode={pendingSaveChannel === 'whatsapp' ? 'contained' : 'outlined'} onPress={() => setPendingSaveChannel('whatsapp')} style={{ flex: 1 }}>WhatsApp</Button>
@@ -527,11 +615,11 @@ export default function PaymentScreen({ navigation }) {
                       labelStyle={{ fontWeight: '700' }}
                       style={{ marginTop: 12, borderRadius: 10 }}
                     >
-                      Save to Outbox
+                      {t('payment.saveToOutbox')}
                     </Button>
                   </View>
 
-                  <Button onPress={() => setPendingSms({ visible: false, workerId: null, payment: null })} style={{ marginTop: 12 }}>Cancel</Button>
+                  <Button onPress={() => setPendingSms({ visible: false, workerId: null, payment: null })} style={{ marginTop: 12 }}>{t('common.cancel')}</Button>
                 </View>
               </View>
           </Modal>
@@ -573,6 +661,49 @@ const styles = StyleSheet.create({
   paymentTypeTextActive: {
     color: '#fff',
   },
+  kindRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginVertical: 8,
+  },
+  kindBtn: {
+    width: '31%',
+    margin: '1%',
+    backgroundColor: '#f7f7fa',
+    borderRadius: 8,
+    paddingVertical: 10,
+    alignItems: 'center',
+    elevation: 1,
+  },
+  kindText: {
+    fontSize: 13,
+    color: '#2c3e50',
+    fontWeight: '600',
+  },
+  kindHint: {
+    fontSize: 12,
+    color: '#666',
+    fontStyle: 'italic',
+    marginBottom: 8,
+  },
+  loanPicker: {
+    marginBottom: 8,
+  },
+  loanPickerInput: {
+    fontSize: 15,
+    paddingVertical: 12,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: '#f7f7fa',
+    color: '#333',
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  loanOutstandingText: {
+    marginTop: 6,
+    color: '#8e44ad',
+    fontWeight: '600',
+  },
   smsModalOverlay: {
     flex: 1,
     justifyContent: 'center',
@@ -599,6 +730,25 @@ const styles = StyleSheet.create({
     marginTop: 6,
     color: '#666',
   },
+  templateRow: {
+    marginTop: 12,
+    flexGrow: 0,
+  },
+  templateChip: {
+    marginRight: 8,
+  },
+  messagePreview: {
+    backgroundColor: '#f5f5f5',
+    borderRadius: 8,
+    padding: 10,
+    marginTop: 12,
+    marginBottom: 4,
+  },
+  messagePreviewText: {
+    fontSize: 13,
+    color: '#333',
+    lineHeight: 18,
+  },
   smsButtonsRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
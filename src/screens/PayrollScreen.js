@@ -0,0 +1,371 @@
+import React, { useMemo, useState } from 'react';
+import { View, ScrollView, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import {
+  Text,
+  Surface,
+  Button,
+  Snackbar,
+  Appbar,
+  Chip,
+  IconButton,
+  DataTable,
+  TextInput
+} from 'react-native-paper';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { format, parseISO } from 'date-fns';
+import { useGlobalStore } from '../utils/GlobalStore';
+import { formatBalance } from '../utils/balance';
+import { ExportManager } from '../utils/exportUtils';
+import {
+  PAY_FREQUENCIES,
+  DEFAULT_PAY_PERIOD_SETTINGS,
+  getClosedPeriods,
+  getNextPeriodToClose,
+  buildPeriodSnapshot,
+  closePayPeriod,
+  withScheduledRepayments
+} from '../utils/payPeriods';
+import { useI18n } from '../utils/I18nProvider';
+
+const formatDay = (key) => format(parseISO(key), 'dd/MM/yyyy');
+
+export default function PayrollScreen({ navigation }) {
+  const { state, dispatch } = useGlobalStore();
+  const { language } = useI18n();
+  const settings = { ...DEFAULT_PAY_PERIOD_SETTINGS, ...(state.payPeriodSettings || {}) };
+  const [showAnchorPicker, setShowAnchorPicker] = useState(false);
+  const [expandedPeriod, setExpandedPeriod] = useState(null);
+  const [exporting, setExporting] = useState(null);
+  const [snackbar, setSnackbar] = useState({ visible: false, message: '' });
+  const [overtimeRate, setOvertimeRate] = useState(
+    state.overtimeSettings?.ratePerHour ? state.overtimeSettings.ratePerHour.toString() : ''
+  );
+
+  const closedPeriods = useMemo(() => getClosedPeriods(state).reverse(), [state.closedPeriods]);
+  const nextPeriod = useMemo(() => getNextPeriodToClose(state), [state]);
+  // Preview includes the loan instalments that closing will deduct
+  const { preview, scheduledRepayments } = useMemo(() => {
+    const closing = withScheduledRepayments(state, nextPeriod);
+    return { preview: buildPeriodSnapshot(closing.state, nextPeriod), scheduledRepayments: closing.repayments };
+  }, [state, nextPeriod.fromDate, nextPeriod.toDate]);
+
+  const showSnackbar = (message) => setSnackbar({ visible: true, message });
+
+  const saveOvertimeRate = () => {
+    const ratePerHour = Number(overtimeRate) || 0;
+    if (ratePerHour < 0) {
+      showSnackbar('Overtime rate cannot be negative');
+      return;
+    }
+    dispatch({ type: 'SET_OVERTIME_SETTINGS', payload: { ratePerHour } });
+    showSnackbar('Default overtime rate saved');
+  };
+
+  const handleClosePeriod = () => {
+    Alert.alert(
+      'Close Pay Period',
+      `Close ${formatDay(nextPeriod.fromDate)} - ${formatDay(nextPeriod.toDate)}? Entries and payments up to this date will be locked.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Close Period',
+          onPress: () => {
+            const result = closePayPeriod(state, nextPeriod);
+            if (!result.success) {
+              showSnackbar(result.error);
+              return;
+            }
+            if (result.repayments.length > 0) {
+              dispatch({ type: 'ADD_PAYMENT', payload: result.repayments });
+            }
+            dispatch({ type: 'CLOSE_PAY_PERIOD', payload: result.period });
+            console.log('🔒 Pay period closed:', result.period.fromDate, '-', result.period.toDate);
+            showSnackbar('Pay period closed');
+          }
+        }
+      ]
+    );
+  };
+
+  const handleReopen = (period) => {
+    Alert.alert(
+      'Reopen Pay Period',
+      `Reopen ${formatDay(period.fromDate)} - ${formatDay(period.toDate)}? Its snapshot will be discarded and records become editable again.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Reopen',
+          style: 'destructive',
+          onPress: () => {
+            dispatch({ type: 'REOPEN_PAY_PERIOD', payload: period.id });
+            showSnackbar('Pay period reopened');
+          }
+        }
+      ]
+    );
+  };
+
+  const handlePayslip = async (period, workerId) => {
+    setExporting(`${period.id}-${workerId}`);
+    try {
+      const manager = new ExportManager(state);
+      const result = await manager.exportPayslip({ workerId, period, defaultLanguage: language });
+      if (!result.success) showSnackbar(result.error || 'Payslip export failed');
+    } catch (error) {
+      console.error('Payslip error:', error);
+      showSnackbar('Payslip export failed');
+    }
+    setExporting(null);
+  };
+
+  const renderSnapshotTable = (rows, period = null) => (
+    <DataTable>
+      <DataTable.Header>
+        <DataTable.Title>Worker</DataTable.Title>
+        <DataTable.Title numeric>Opening</DataTable.Title>
+        <DataTable.Title numeric>Earned</DataTable.Title>
+        <DataTable.Title numeric>Paid</DataTable.Title>
+        <DataTable.Title numeric>Closing</DataTable.Title>
+        {period && <DataTable.Title numeric> </DataTable.Title>}
+      </DataTable.Header>
+      {rows.map(row => (
+        <DataTable.Row key={row.workerId}>
+          <DataTable.Cell>{row.workerName}</DataTable.Cell>
+          <DataTable.Cell numeric>{formatBalance(row.openingBalance)}</DataTable.Cell>
+          <DataTable.Cell numeric>{formatBalance(row.earnings)}</DataTable.Cell>
+          <DataTable.Cell numeric>{formatBalance(row.payments)}</DataTable.Cell>
+          <DataTable.Cell numeric>{formatBalance(row.closingBalance)}</DataTable.Cell>
+          {period && (
+            <DataTable.Cell numeric>
+              <IconButton
+                icon="file-pdf-box"
+                size={18}
+                iconColor="#e74c3c"
+                disabled={!!exporting}
+                onPress={() => handlePayslip(period, row.workerId)}
+              />
+            </DataTable.Cell>
+          )}
+        </DataTable.Row>
+      ))}
+    </DataTable>
+  );
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      <Appbar.Header style={styles.header}>
+        <Appbar.BackAction onPress={() => navigation.goBack()} />
+        <Appbar.Content title="Pay Periods" titleStyle={styles.headerTitle} />
+      </Appbar.Header>
+
+      <ScrollView style={styles.scrollContainer}>
+        <View style={styles.container}>
+          <Surface style={styles.card} elevation={1}>
+            <Text style={styles.cardTitle}>Pay Frequency</Text>
+            <View style={styles.chipRow}>
+              {Object.entries(PAY_FREQUENCIES).map(([key, value]) => (
+                <Chip
+                  key={key}
+                  selected={settings.frequency === key}
+                  mode={settings.frequency === key ? 'flat' : 'outlined'}
+                  onPress={() => dispatch({ type: 'SET_PAY_PERIOD_SETTINGS', payload: { frequency: key } })}
+                  style={styles.chip}
+                >
+                  {value.label}
+                </Chip>
+              ))}
+            </View>
+            {settings.frequency !== 'monthly' && (
+              <TouchableOpacity style={styles.anchorBtn} onPress={() => setShowAnchorPicker(true)}>
+                <Text style={styles.anchorText}>
+                  Periods start from {formatDay(settings.anchorDate)} ({format(parseISO(settings.anchorDate), 'EEEE')})
+                </Text>
+              </TouchableOpacity>
+            )}
+          </Surface>
+
+          <Surface style={styles.card} elevation={1}>
+            <Text style={styles.cardTitle}>Default Overtime Rate</Text>
+            <View style={styles.overtimeRow}>
+              <TextInput
+                label="Rate per Hour"
+                value={overtimeRate}
+                onChangeText={setOvertimeRate}
+                keyboardType="numeric"
+                mode="outlined"
+                dense
+                style={styles.overtimeInput}
+              />
+              <Button mode="outlined" onPress={saveOvertimeRate}>Save</Button>
+            </View>
+            <Text style={styles.hint}>Used for workers without their own overtime rate (set under Wage Rates).</Text>
+          </Surface>
+
+          <Surface style={styles.card} elevation={1}>
+            <Text style={styles.cardTitle}>
+              Next Period: {formatDay(nextPeriod.fromDate)} - {formatDay(nextPeriod.toDate)}
+            </Text>
+            {renderSnapshotTable(preview)}
+            {scheduledRepayments.length > 0 && (
+              <Text style={styles.hint}>
+                Closing will deduct {scheduledRepayments.length} loan instalment{scheduledRepayments.length > 1 ? 's' : ''} totalling {formatBalance(scheduledRepayments.reduce((sum, r) => sum + r.amount, 0))}.
+              </Text>
+            )}
+            <Button
+              mode="contained"
+              icon="lock"
+              style={styles.closeBtn}
+              onPress={handleClosePeriod}
+              disabled={!nextPeriod.canClose || preview.length === 0}
+            >
+              Close Period
+            </Button>
+            {!nextPeriod.canClose && (
+              <Text style={styles.hint}>This period can be closed after {formatDay(nextPeriod.toDate)}.</Text>
+            )}
+          </Surface>
+
+          <Text style={styles.sectionTitle}>Closed Periods</Text>
+          {closedPeriods.length === 0 ? (
+            <Text style={styles.hint}>No pay periods closed yet.</Text>
+          ) : closedPeriods.map((period, index) => (
+            <Surface key={period.id} style={styles.card} elevation={1}>
+              <TouchableOpacity
+                style={styles.periodHeader}
+                onPress={() => setExpandedPeriod(expandedPeriod === period.id ? null : period.id)}
+              >
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.periodTitle}>
+                    {formatDay(period.fromDate)} - {formatDay(period.toDate)}
+                  </Text>
+                  <Text style={styles.periodMeta}>
+                    {PAY_FREQUENCIES[period.frequency]?.label || period.frequency} · closed {new Date(period.closedAt).toLocaleDateString()}
+                  </Text>
+                </View>
+                {index === 0 && (
+                  <Button compact onPress={() => handleReopen(period)}>Reopen</Button>
+                )}
+                <IconButton icon={expandedPeriod === period.id ? 'chevron-up' : 'chevron-down'} />
+              </TouchableOpacity>
+              {expandedPeriod === period.id && renderSnapshotTable(period.snapshots || [], period)}
+            </Surface>
+          ))}
+        </View>
+      </ScrollView>
+
+      {showAnchorPicker && (
+        <DateTimePicker
+          value={parseISO(settings.anchorDate)}
+          mode="date"
+          display="default"
+          onChange={(event, selectedDate) => {
+            setShowAnchorPicker(false);
+            if (selectedDate) {
+              dispatch({ type: 'SET_PAY_PERIOD_SETTINGS', payload: { anchorDate: format(selectedDate, 'yyyy-MM-dd') } });
+            }
+          }}
+        />
+      )}
+
+      <Snackbar
+        visible={snackbar.visible}
+        onDismiss={() => setSnackbar({ visible: false, message: '' })}
+        duration={3000}
+      >
+        {snackbar.message}
+      </Snackbar>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    backgroundColor: '#fff',
+    elevation: 2,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  scrollContainer: {
+    flex: 1,
+  },
+  container: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 16,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2c3e50',
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  anchorBtn: {
+    backgroundColor: '#f7f7fa',
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 4,
+  },
+  anchorText: {
+    color: '#2c3e50',
+  },
+  overtimeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  overtimeInput: {
+    flex: 1,
+    marginRight: 8,
+    backgroundColor: '#fff',
+  },
+  closeBtn: {
+    marginTop: 12,
+    borderRadius: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#7f8c8d',
+    fontStyle: 'italic',
+    marginTop: 8,
+    textAlign: 'center',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#2c3e50',
+    marginBottom: 8,
+  },
+  periodHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  periodTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#2c3e50',
+  },
+  periodMeta: {
+    fontSize: 12,
+    color: '#7f8c8d',
+  },
+});
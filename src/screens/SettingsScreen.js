@@ -9,7 +9,8 @@ import {
   Button, 
   Snackbar,
   Appbar,
-  ActivityIndicator
+  ActivityIndicator,
+  RadioButton
 } from 'react-native-paper';
 import { TouchableOpacity } from 'react-native';
 import Ionicons from '@expo/vector-icons/Ionicons';
@@ -19,6 +20,13 @@ import Constants from 'expo-constants';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useGlobalStore } from '../utils/GlobalStore';
 import WhatsNewManager from '../utils/whatsNew';
+import { checkLedgerConsistency } from '../utils/ledger';
+import { flushPersist, resetPersistedCache } from '../utils/persistence';
+import { findOrphanedRecords } from '../utils/workers';
+import BackupTargetDialog from '../components/BackupTargetDialog';
+import { useI18n } from '../utils/I18nProvider';
+import { LANGUAGES } from '../utils/i18n';
+import { PHONE_COUNTRIES, getDefaultCountry } from '../utils/phone';
 
 const { width } = Dimensions.get('window');
 
@@ -30,6 +38,11 @@ export default function SettingsScreen({ navigation }) {
   const [snackbarVisible, setSnackbarVisible] = useState(false);
   const [snackbarMessage, setSnackbarMessage] = useState('');
   const [isResetting, setIsResetting] = useState(false);
+  const [balanceIssues, setBalanceIssues] = useState(null);
+  const [orphans, setOrphans] = useState(null);
+  const [backupTargetVisible, setBackupTargetVisible] = useState(false);
+  const [languageDialogVisible, setLanguageDialogVisible] = useState(false);
+  const [countryDialogVisible, setCountryDialogVisible] = useState(false);
   
   // Update-related state
   const [updateDialogVisible, setUpdateDialogVisible] = useState(false);
@@ -37,6 +50,7 @@ export default function SettingsScreen({ navigation }) {
   const [isCheckingUpdate, setIsCheckingUpdate] = useState(false);
 
   const { state, dispatch, refreshData } = useGlobalStore();
+  const { t, language, setLanguage } = useI18n();
 
   // Utility functions
   const showSnackbar = (message) => {
@@ -50,17 +64,53 @@ export default function SettingsScreen({ navigation }) {
       navigation.navigate('BackupRestoreScreen');
     } catch (error) {
       console.error('Error navigating to backup screen:', error);
-      showSnackbar('Error opening backup screen');
+      showSnackbar(t('settings.errorOpeningBackup'));
     }
   };
 
+  const handleVerifyBalances = () => {
+    try {
+      const result = checkLedgerConsistency(state);
+      if (result.consistent) {
+        showSnackbar(t('settings.balancesConsistent'));
+      } else {
+        setBalanceIssues(result.issues);
+      }
+    } catch (error) {
+      console.error('Error verifying balances:', error);
+      showSnackbar(t('settings.errorVerifyingBalances'));
+    }
+  };
+
+  const handleFindOrphans = () => {
+    try {
+      const result = findOrphanedRecords(state);
+      if (result.total === 0 && result.messages.length === 0) {
+        showSnackbar(t('settings.noOrphans'));
+      } else {
+        setOrphans(result);
+      }
+    } catch (error) {
+      console.error('Error checking orphaned records:', error);
+      showSnackbar(t('settings.errorCheckingOrphans'));
+    }
+  };
+
+  const handleRepairOrphans = (mode) => {
+    dispatch({ type: 'REPAIR_ORPHANS', payload: { mode } });
+    setOrphans(null);
+    showSnackbar(mode === 'delete'
+      ? t('settings.orphansDeleted')
+      : t('settings.orphansRecovered'));
+  };
+
   // App Management Functions
   const handleReportBug = () => {
     try {
       navigation.navigate('SuggestionsScreen');
     } catch (error) {
       console.error('Error navigating to suggestions screen:', error);
-      showSnackbar('Error opening bug report screen');
+      showSnackbar(t('settings.errorOpeningBugReport'));
     }
   };
 
@@ -71,8 +121,10 @@ export default function SettingsScreen({ navigation }) {
   const handleResetConfirm = async () => {
     setIsResetting(true);
     try {
-      // Clear AsyncStorage completely
+      // Clear AsyncStorage completely (after any pending save, so it can't land afterwards)
+      await flushPersist();
       await AsyncStorage.clear();
+      resetPersistedCache();
       
       // Reset global state to initial empty state
       dispatch({ 
@@ -84,17 +136,19 @@ export default function SettingsScreen({ navigation }) {
           entries: [],
           payments: [],
           openingBalances: {},
+          // The change history goes with the data it describes
+          auditLog: [],
           isInitialized: true,
         }
       });
 
       // Hide dialog and show success message
       setResetDialogVisible(false);
-      showSnackbar('All data has been reset successfully');
+      showSnackbar(t('settings.resetDone'));
     } catch (error) {
       console.error('Error resetting app data:', error);
       setResetDialogVisible(false);
-      showSnackbar('Error resetting app data');
+      showSnackbar(t('settings.resetFailed'));
     }
     setIsResetting(false);
   };
@@ -103,6 +157,18 @@ export default function SettingsScreen({ navigation }) {
     setAppInfoDialogVisible(true);
   };
 
+  const handleLanguageChange = async (code) => {
+    setLanguageDialogVisible(false);
+    await setLanguage(code);
+    showSnackbar(t('settings.languageChanged', { language: LANGUAGES[code].nativeLabel }));
+  };
+
+  const handleCountryChange = (code) => {
+    setCountryDialogVisible(false);
+    dispatch({ type: 'SET_CONTACT_SETTINGS', payload: { defaultCountry: code } });
+    showSnackbar(t('settings.phoneCountryChanged', { country: PHONE_COUNTRIES[code].label }));
+  };
+
   // Updates Functions
   const handleWhatsNew = async () => {
     try {
@@ -111,11 +177,11 @@ export default function SettingsScreen({ navigation }) {
       if (result.shouldShow) {
         setWhatsNewDialogVisible(true);
       } else {
-        showSnackbar('No updates available to show');
+        showSnackbar(t('settings.noWhatsNew'));
       }
     } catch (error) {
       console.warn('Error showing What\'s New:', error);
-      showSnackbar('Error loading What\'s New');
+      showSnackbar(t('settings.errorLoadingWhatsNew'));
     }
   };
 
@@ -362,59 +428,110 @@ export default function SettingsScreen({ navigation }) {
       {/* Header */}
       <Appbar.Header style={styles.header}>
         <Appbar.BackAction onPress={() => navigation.goBack()} />
-        <Appbar.Content title="Settings" titleStyle={styles.headerTitle} />
+        <Appbar.Content title={t('settings.title')} titleStyle={styles.headerTitle} />
       </Appbar.Header>
 
       <ScrollView style={styles.scrollContainer} showsVerticalScrollIndicator={false}>
         <View style={styles.container}>
           
+          {/* Language Section */}
+          {renderSectionHeader(t('settings.languageSection'))}
+          {renderSettingItem(
+            'language-outline',
+            t('settings.language'),
+            `${LANGUAGES[language].nativeLabel} · ${t('settings.languageDescription')}`,
+            () => setLanguageDialogVisible(true),
+            '#00897b'
+          )}
+          {(() => {
+            const country = PHONE_COUNTRIES[getDefaultCountry(state)];
+            return renderSettingItem(
+              'call-outline',
+              t('settings.phoneCountry'),
+              `${country.label} (+${country.dialCode}) · ${t('settings.phoneCountryDescription')}`,
+              () => setCountryDialogVisible(true),
+              '#5c6bc0'
+            );
+          })()}
+
           {/* Data & Backup Section */}
-          {renderSectionHeader('Data & Backup')}
+          {renderSectionHeader(t('settings.dataSection'))}
           {renderSettingItem(
             'cloud-outline', 
-            'Backup and Restore', 
-            'Export data or restore from backup files',
+            t('settings.backupRestore'), 
+            t('settings.backupRestoreDescription'),
             handleBackupData,
             '#27ae60'
           )}
+          {renderSettingItem(
+            'cloud-upload-outline', 
+            t('settings.backupTarget'), 
+            t('settings.backupTargetDescription'),
+            () => setBackupTargetVisible(true),
+            '#2980b9'
+          )}
+          {renderSettingItem(
+            'checkmark-done-outline', 
+            t('settings.verifyBalances'), 
+            t('settings.verifyBalancesDescription'),
+            handleVerifyBalances,
+            '#16a085'
+          )}
+          {renderSettingItem(
+            'construct-outline', 
+            t('settings.repairOrphans'), 
+            t('settings.repairOrphansDescription'),
+            handleFindOrphans,
+            '#d35400'
+          )}
+
+          {/* Payroll Section */}
+          {renderSectionHeader(t('settings.payrollSection'))}
+          {renderSettingItem(
+            'calendar-outline', 
+            t('settings.payPeriods'), 
+            t('settings.payPeriodsDescription'),
+            () => navigation.navigate('PayrollScreen'),
+            '#8e44ad'
+          )}
 
           {/* App Management Section */}
-          {renderSectionHeader('App Management')}
+          {renderSectionHeader(t('settings.appSection'))}
           {renderSettingItem(
             'bug-outline', 
-            'Report a Bug / Suggestion', 
-            'Send feedback or report issues',
+            t('settings.reportBug'), 
+            t('settings.reportBugDescription'),
             handleReportBug,
             '#e74c3c'
           )}
           {renderSettingItem(
             'refresh-circle-outline', 
-            'Reset App', 
-            'Clear all data and start fresh',
+            t('settings.resetApp'), 
+            t('settings.resetAppDescription'),
             handleResetApp,
             '#f39c12'
           )}
           {renderSettingItem(
             'information-circle-outline', 
-            'App Info', 
-            'Version, credits, and app details',
+            t('settings.appInfo'), 
+            t('settings.appInfoDescription'),
             handleAppInfo,
             '#2196F3'
           )}
 
           {/* Updates Section */}
-          {renderSectionHeader('Updates')}
+          {renderSectionHeader(t('settings.updatesSection'))}
           {renderSettingItem(
             'download-outline', 
-            'Check for Updates', 
-            'Manually check for app updates',
+            t('settings.checkUpdates'), 
+            t('settings.checkUpdatesDescription'),
             handleCheckForUpdates,
             '#6200ee'
           )}
           {renderSettingItem(
             'star-outline', 
-            'What\'s New', 
-            'View latest updates and features',
+            t('settings.whatsNew'), 
+            t('settings.whatsNewDescription'),
             handleWhatsNew,
             '#9C27B0'
           )}
@@ -423,17 +540,66 @@ export default function SettingsScreen({ navigation }) {
         </View>
       </ScrollView>
 
+      <BackupTargetDialog
+        visible={backupTargetVisible}
+        onDismiss={() => setBackupTargetVisible(false)}
+        onSaved={(message) => {
+          setBackupTargetVisible(false);
+          setSnackbarMessage(message);
+          setSnackbarVisible(true);
+        }}
+      />
+
+      {/* Language Dialog */}
+      <Portal>
+        <Dialog visible={languageDialogVisible} onDismiss={() => setLanguageDialogVisible(false)}>
+          <Dialog.Title style={styles.dialogTitle}>{t('settings.language')}</Dialog.Title>
+          <Dialog.Content>
+            <RadioButton.Group onValueChange={handleLanguageChange} value={language}>
+              {Object.entries(LANGUAGES).map(([code, { label, nativeLabel }]) => (
+                <RadioButton.Item
+                  key={code}
+                  value={code}
+                  label={code === 'en' ? label : `${nativeLabel} (${label})`}
+                />
+              ))}
+            </RadioButton.Group>
+            <Text style={styles.languageHint}>{t('settings.languageHint')}</Text>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setLanguageDialogVisible(false)}>{t('common.close')}</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      {/* Phone Number Country Dialog */}
+      <Portal>
+        <Dialog visible={countryDialogVisible} onDismiss={() => setCountryDialogVisible(false)}>
+          <Dialog.Title style={styles.dialogTitle}>{t('settings.phoneCountry')}</Dialog.Title>
+          <Dialog.Content>
+            <RadioButton.Group onValueChange={handleCountryChange} value={getDefaultCountry(state)}>
+              {Object.entries(PHONE_COUNTRIES).map(([code, { label, dialCode }]) => (
+                <RadioButton.Item key={code} value={code} label={`${label} (+${dialCode})`} />
+              ))}
+            </RadioButton.Group>
+            <Text style={styles.languageHint}>{t('settings.phoneCountryHint')}</Text>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setCountryDialogVisible(false)}>{t('common.close')}</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
       {/* Reset Confirmation Dialog */}
       <Portal>
         <Dialog visible={resetDialogVisible} onDismiss={() => setResetDialogVisible(false)}>
           <Dialog.Icon icon="alert-circle-outline" color="#f44336" size={60} />
-          <Dialog.Title style={[styles.dialogTitle, { color: '#f44336' }]}>Reset All Data</Dialog.Title>
+          <Dialog.Title style={[styles.dialogTitle, { color: '#f44336' }]}>{t('settings.resetTitle')}</Dialog.Title>
           <Dialog.Content>
             <Text style={styles.dialogContent}>
-              This will permanently delete all workers, categories, subcategories, entries, and payments. 
-              This action will also reset opening balances.
+              {t('settings.resetMessage')}
               {'\n\n'}
-              <Text style={{ fontWeight: '600', color: '#f44336' }}>This action cannot be undone.</Text>
+              <Text style={{ fontWeight: '600', color: '#f44336' }}>{t('settings.resetWarning')}</Text>
             </Text>
           </Dialog.Content>
           <Dialog.Actions>
@@ -441,7 +607,7 @@ export default function SettingsScreen({ navigation }) {
               onPress={() => setResetDialogVisible(false)} 
               disabled={isResetting}
             >
-              Cancel
+              {t('common.cancel')}
             </Button>
             <Button 
               onPress={handleResetConfirm} 
@@ -450,7 +616,60 @@ export default function SettingsScreen({ navigation }) {
               mode="contained"
               buttonColor="#f44336"
             >
-              {isResetting ? 'Resetting...' : 'Reset All Data'}
+              {isResetting ? t('settings.resetting') : t('settings.resetTitle')}
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      {/* Balance Check Dialog */}
+      <Portal>
+        <Dialog visible={!!balanceIssues} onDismiss={() => setBalanceIssues(null)}>
+          <Dialog.Icon icon="alert-outline" color="#f39c12" size={60} />
+          <Dialog.Title style={styles.dialogTitle}>{t('settings.balanceIssues')}</Dialog.Title>
+          <Dialog.ScrollArea style={{ maxHeight: 320 }}>
+            <ScrollView>
+              {(balanceIssues || []).map((issue, index) => (
+                <Text key={index} style={[styles.dialogContent, { marginVertical: 6, textAlign: 'left' }]}>
+                  • {issue.workerName ? `${issue.workerName}: ` : ''}{issue.message}
+                </Text>
+              ))}
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setBalanceIssues(null)} textColor="#2196F3">
+              {t('common.ok')}
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      {/* Orphaned Records Dialog */}
+      <Portal>
+        <Dialog visible={!!orphans} onDismiss={() => setOrphans(null)}>
+          <Dialog.Icon icon="link-variant-off" color="#d35400" size={60} />
+          <Dialog.Title style={styles.dialogTitle}>{t('settings.orphansTitle')}</Dialog.Title>
+          <Dialog.Content>
+            {orphans && (
+              <Text style={styles.dialogContent}>
+                {t('settings.orphansSummary', {
+                  entries: orphans.entries.length,
+                  payments: orphans.payments.length,
+                  workers: orphans.workerIds.length,
+                })}
+                {orphans.messages.length > 0 ? ` ${t('settings.orphansMessages', { count: orphans.messages.length })}` : ''}
+                {'\n\n'}
+                {t('settings.orphansChoice')}
+              </Text>
+            )}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setOrphans(null)}>{t('common.cancel')}</Button>
+            <Button onPress={() => handleRepairOrphans('delete')} textColor="#f44336">
+              {t('common.delete')}
+            </Button>
+            <Button onPress={() => handleRepairOrphans('recover')} mode="contained">
+              {t('settings.keep')}
             </Button>
           </Dialog.Actions>
         </Dialog>
@@ -460,22 +679,22 @@ export default function SettingsScreen({ navigation }) {
       <Portal>
         <Dialog visible={appInfoDialogVisible} onDismiss={() => setAppInfoDialogVisible(false)}>
           <Dialog.Icon icon="information" color="#2196F3" size={60} />
-          <Dialog.Title style={styles.dialogTitle}>App Information</Dialog.Title>
+          <Dialog.Title style={styles.dialogTitle}>{t('settings.appInfoTitle')}</Dialog.Title>
           <Dialog.Content>
             <View style={styles.versionContent}>
-              <Text style={styles.versionLabel}>App Version:</Text>
+              <Text style={styles.versionLabel}>{t('settings.appVersion')}</Text>
               <Text style={styles.versionValue}>1.0.0</Text>
               
-              <Text style={styles.versionLabel}>Build Number:</Text>
+              <Text style={styles.versionLabel}>{t('settings.buildNumber')}</Text>
               <Text style={styles.versionValue}>1</Text>
               
-              <Text style={styles.versionLabel}>Runtime Version:</Text>
+              <Text style={styles.versionLabel}>{t('settings.runtimeVersion')}</Text>
               <Text style={styles.versionValue}>1.0.0</Text>
               
-              <Text style={styles.versionLabel}>Developer:</Text>
+              <Text style={styles.versionLabel}>{t('settings.developer')}</Text>
               <Text style={styles.versionValue}>HLM Team</Text>
               
-              <Text style={styles.versionLabel}>Credits:</Text>
+              <Text style={styles.versionLabel}>{t('settings.credits')}</Text>
               <Text style={[styles.versionValue, { fontSize: 14, lineHeight: 18 }]}>
                 Built with React Native & Expo{'\n'}
                 UI Components by React Native Paper{'\n'}
@@ -488,7 +707,7 @@ export default function SettingsScreen({ navigation }) {
               onPress={() => setAppInfoDialogVisible(false)} 
               textColor="#2196F3"
             >
-              OK
+              {t('common.ok')}
             </Button>
           </Dialog.Actions>
         </Dialog>
@@ -498,7 +717,7 @@ export default function SettingsScreen({ navigation }) {
       <Portal>
         <Dialog visible={whatsNewDialogVisible} onDismiss={() => setWhatsNewDialogVisible(false)}>
           <Dialog.Icon icon="star" color="#9C27B0" size={60} />
-          <Dialog.Title style={[styles.dialogTitle, { color: '#9C27B0' }]}>What's New</Dialog.Title>
+          <Dialog.Title style={[styles.dialogTitle, { color: '#9C27B0' }]}>{t('settings.whatsNew')}</Dialog.Title>
           <Dialog.Content>
             <Text style={[styles.versionLabel, { color: '#333', marginBottom: 16 }]}>
               ✨ Latest Updates & Features
@@ -516,7 +735,7 @@ export default function SettingsScreen({ navigation }) {
               onPress={() => setWhatsNewDialogVisible(false)}
               textColor="#9C27B0"
             >
-              Got It
+              {t('common.gotIt')}
             </Button>
           </Dialog.Actions>
         </Dialog>
@@ -526,7 +745,7 @@ export default function SettingsScreen({ navigation }) {
       <Portal>
         <Dialog visible={updateDialogVisible} dismissable={false}>
           <Dialog.Icon icon="download" color="#6200ee" size={60} />
-          <Dialog.Title style={[styles.dialogTitle, { color: '#6200ee' }]}>App Updates</Dialog.Title>
+          <Dialog.Title style={[styles.dialogTitle, { color: '#6200ee' }]}>{t('settings.appUpdates')}</Dialog.Title>
           <Dialog.Content>
             <View style={styles.updateContent}>
               {isCheckingUpdate && (
@@ -548,7 +767,7 @@ export default function SettingsScreen({ navigation }) {
                 onPress={() => setUpdateDialogVisible(false)}
                 textColor="#6200ee"
               >
-                Close
+                {t('common.close')}
               </Button>
             </Dialog.Actions>
           )}
@@ -561,7 +780,7 @@ export default function SettingsScreen({ navigation }) {
         onDismiss={() => setSnackbarVisible(false)}
         duration={3000}
         action={{
-          label: 'OK',
+          label: t('common.ok'),
           onPress: () => setSnackbarVisible(false),
         }}
       >
@@ -662,6 +881,11 @@ const styles = StyleSheet.create({
     color: '#444',
     textAlign: 'center',
   },
+  languageHint: {
+    fontSize: 13,
+    color: '#777',
+    marginTop: 8,
+  },
   versionContent: {
     paddingVertical: 8,
   },
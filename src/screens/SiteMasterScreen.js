@@ -0,0 +1,302 @@
+import React, { useState } from "react";
+import { SafeAreaView, StyleSheet, View, Modal, Alert, FlatList } from "react-native";
+import { Text, TextInput, Button, Card, Title, IconButton, Paragraph, Snackbar, Switch } from "react-native-paper";
+import { useGlobalStore } from "../utils/GlobalStore";
+import { validateSite } from "../utils/sites";
+
+const emptyForm = () => ({ name: '', address: '', client: '', active: true });
+
+function SiteMasterScreen({ goBack }) {
+  const { state, dispatch } = useGlobalStore();
+  const sites = state.sites || [];
+
+  const [modalVisible, setModalVisible] = useState(false);
+  const [form, setForm] = useState(emptyForm());
+  const [editingSite, setEditingSite] = useState(null);
+  const [snackbar, setSnackbar] = useState({ visible: false, message: '' });
+
+  const usageCount = (siteId) =>
+    (state.entries || []).filter(e => e.siteId === siteId).length +
+    (state.payments || []).filter(p => p.siteId === siteId).length;
+
+  const saveSite = () => {
+    const site = {
+      ...(editingSite || { id: Date.now().toString() }),
+      name: form.name.trim(),
+      address: form.address.trim(),
+      client: form.client.trim(),
+      active: form.active,
+    };
+    const validation = validateSite(site, sites);
+    if (!validation.valid) {
+      setSnackbar({ visible: true, message: validation.error });
+      return;
+    }
+
+    dispatch({ type: editingSite ? 'UPDATE_SITE' : 'ADD_SITE', payload: site });
+    setSnackbar({ visible: true, message: editingSite ? "Site updated successfully" : "Site added successfully" });
+    resetForm();
+  };
+
+  const deleteSite = (site) => {
+    const used = usageCount(site.id);
+    if (used > 0) {
+      // Records keep pointing at the site, so only allow hiding it from pickers
+      Alert.alert(
+        "Site In Use",
+        `${used} entries and payments are booked to ${site.name}. Mark it inactive instead?`,
+        [
+          { text: "Cancel", style: "cancel" },
+          {
+            text: "Mark Inactive",
+            onPress: () => {
+              dispatch({ type: 'UPDATE_SITE', payload: { ...site, active: false } });
+              setSnackbar({ visible: true, message: "Site marked inactive" });
+            }
+          }
+        ]
+      );
+      return;
+    }
+
+    Alert.alert(
+      "Delete Site",
+      "This will permanently delete the site. Are you sure?",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: () => {
+            dispatch({ type: 'DELETE_SITE', payload: site.id });
+            setSnackbar({ visible: true, message: "Site deleted successfully" });
+          }
+        }
+      ]
+    );
+  };
+
+  const resetForm = () => {
+    setForm(emptyForm());
+    setEditingSite(null);
+    setModalVisible(false);
+  };
+
+  const handleEdit = (site) => {
+    setForm({ name: site.name, address: site.address || '', client: site.client || '', active: site.active !== false });
+    setEditingSite(site);
+    setModalVisible(true);
+  };
+
+  const renderSite = ({ item }) => (
+    <Card style={[styles.siteCard, item.active === false && styles.inactiveCard]}>
+      <Card.Content>
+        <View style={styles.siteRow}>
+          <View style={{ flex: 1 }}>
+            <Title style={styles.siteName}>
+              {item.name}{item.active === false ? ' (inactive)' : ''}
+            </Title>
+            {!!item.client && <Paragraph style={styles.siteMeta}>👤 {item.client}</Paragraph>}
+            {!!item.address && <Paragraph style={styles.siteMeta}>📍 {item.address}</Paragraph>}
+          </View>
+          <View style={styles.actionCol}>
+            <IconButton icon="pencil" iconColor="blue" onPress={() => handleEdit(item)} />
+            <IconButton icon="delete" iconColor="red" onPress={() => deleteSite(item)} />
+          </View>
+        </View>
+      </Card.Content>
+    </Card>
+  );
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      <View style={styles.headerRow}>
+        <IconButton icon="arrow-left" size={28} onPress={goBack} />
+        <Title style={styles.title}>Site Master</Title>
+        <View style={{ width: 40 }} />
+      </View>
+
+      <View style={styles.buttonRow}>
+        <Button mode="contained" style={[styles.addBtn, { flex: 1 }]} onPress={() => setModalVisible(true)} icon="plus">
+          Add Site
+        </Button>
+      </View>
+
+      <View style={styles.listContainer}>
+        <Text style={styles.sectionTitle}>Sites ({sites.length})</Text>
+        {sites.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyText}>No sites found</Text>
+            <Text style={styles.emptySubtext}>Add a site to book entries and payments against it</Text>
+          </View>
+        ) : (
+          <FlatList
+            data={[...sites].sort((a, b) => (a.active === false) - (b.active === false) || a.name.localeCompare(b.name))}
+            keyExtractor={(item) => item.id}
+            renderItem={renderSite}
+            showsVerticalScrollIndicator={false}
+          />
+        )}
+      </View>
+
+      <Modal visible={modalVisible} animationType="slide" transparent>
+        <View style={styles.modalBg}>
+          <View style={styles.modalCard}>
+            <Title style={{ marginBottom: 12 }}>
+              {editingSite ? "Edit Site" : "Add Site"}
+            </Title>
+            <TextInput
+              label="Site Name"
+              value={form.name}
+              onChangeText={v => setForm(f => ({ ...f, name: v }))}
+              style={styles.input}
+            />
+            <TextInput
+              label="Client (optional)"
+              value={form.client}
+              onChangeText={v => setForm(f => ({ ...f, client: v }))}
+              style={styles.input}
+            />
+            <TextInput
+              label="Address (optional)"
+              value={form.address}
+              onChangeText={v => setForm(f => ({ ...f, address: v }))}
+              multiline
+              style={styles.input}
+            />
+            <View style={styles.switchRow}>
+              <Text style={styles.switchLabel}>Active</Text>
+              <Switch value={form.active} onValueChange={v => setForm(f => ({ ...f, active: v }))} />
+            </View>
+            <Button mode="contained" style={{ marginTop: 16 }} onPress={saveSite}>
+              {editingSite ? "Update" : "Save"}
+            </Button>
+            <Button style={{ marginTop: 8 }} onPress={resetForm}>
+              Cancel
+            </Button>
+          </View>
+        </View>
+      </Modal>
+
+      <Snackbar
+        visible={snackbar.visible}
+        onDismiss={() => setSnackbar({ visible: false, message: '' })}
+        duration={3000}
+        action={{
+          label: 'OK',
+          onPress: () => setSnackbar({ visible: false, message: '' }),
+        }}
+      >
+        {snackbar.message}
+      </Snackbar>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: '#fff'
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingTop: 8,
+    marginBottom: 8,
+  },
+  title: {
+    flex: 1,
+    fontSize: 22,
+    fontWeight: '700',
+    textAlign: 'center',
+    color: '#2c3e50',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    marginBottom: 16,
+  },
+  addBtn: {
+    borderRadius: 8,
+    elevation: 2,
+  },
+  listContainer: {
+    flex: 1,
+    paddingHorizontal: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#2c3e50',
+    marginBottom: 12,
+  },
+  siteCard: {
+    marginBottom: 12,
+    borderRadius: 12,
+    elevation: 3,
+    backgroundColor: '#fff',
+  },
+  inactiveCard: {
+    opacity: 0.6,
+  },
+  siteRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  actionCol: {
+    flexDirection: 'row',
+  },
+  siteName: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#2c3e50',
+  },
+  siteMeta: {
+    fontSize: 12,
+    color: '#7f8c8d',
+    marginTop: 2,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 40,
+  },
+  emptyText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#7f8c8d',
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: '#95a5a6',
+    textAlign: 'center',
+  },
+  modalBg: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    paddingHorizontal: 20,
+  },
+  modalCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 20,
+    elevation: 5,
+  },
+  input: {
+    marginBottom: 12,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  switchLabel: {
+    fontSize: 15,
+    color: '#2c3e50',
+  },
+});
+
+export default SiteMasterScreen;
@@ -29,7 +29,12 @@ import {
   IconButton
 } from "react-native-paper";
 import { useGlobalStore } from '../utils/GlobalStore';
-import { getWorkerBalance, getAllWorkersBalances } from '../utils/balance';
+import { getEntryEarning, getPaymentKind } from '../utils/ledger';
+import { buildWorkerSiteLedger, UNASSIGNED_SITE_ID } from '../utils/sites';
+import { getWorkerLabel } from '../utils/workers';
+import { getOutstandingLoanTotal } from '../utils/loans';
+import { groupPieceWork } from '../utils/workItems';
+import { useI18n } from '../utils/I18nProvider';
 import * as FileSystem from "expo-file-system";
 import Papa from "papaparse";
 import Ionicons from '@expo/vector-icons/Ionicons';
@@ -38,11 +43,13 @@ const { width, height } = Dimensions.get('window');
 
 export default function SummaryScreen({ navigation }) {
   const { state, refreshData } = useGlobalStore();
+  const { t, formatDate, formatCurrency } = useI18n();
   const workers = state.workers;
   const categories = state.categories;
   const allSubcategories = state.subcategories;
   
   const [filterWorker, setFilterWorker] = useState("all");
+  const [filterSite, setFilterSite] = useState("all");
   const [from, setFrom] = useState(null);
   const [to, setTo] = useState(null);
   const [showFromPicker, setShowFromPicker] = useState(false);
@@ -74,7 +81,7 @@ export default function SummaryScreen({ navigation }) {
     });
     
     return () => subscription.remove();
-  }, [workers, state.entries, state.payments, filterWorker, from, to]);
+  }, [workers, state.entries, state.payments, state.sites, filterWorker, filterSite, from, to]);
 
   const updateExportPreview = useCallback(() => {
     try {
@@ -154,7 +161,7 @@ export default function SummaryScreen({ navigation }) {
       if (result?.success) {
         setSnackbar({ 
           visible: true, 
-          message: `✅ ${exportFormat.toUpperCase()} exported successfully! File: ${result.filename}` 
+          message: `✅ ${t('summary.exported', { format: exportFormat.toUpperCase(), file: result.filename })}` 
         });
         setExportDialog(false);
         
@@ -166,14 +173,14 @@ export default function SummaryScreen({ navigation }) {
       } else {
         setSnackbar({ 
           visible: true, 
-          message: `❌ Export failed: ${result?.error || 'Unknown error'}` 
+          message: `❌ ${t('summary.exportFailed', { error: result?.error || t('common.unknownError') })}` 
         });
       }
     } catch (error) {
       console.error('Export error:', error);
       setSnackbar({ 
         visible: true, 
-        message: `❌ Export failed: ${error.message}` 
+        message: `❌ ${t('summary.exportFailed', { error: error.message })}` 
       });
     } finally {
       setExporting(false);
@@ -189,43 +196,31 @@ export default function SummaryScreen({ navigation }) {
     }
 
     const summaryData = filteredWorkers.map(worker => {
-      // Get current balance using correct function signature
-      const currentBalance = getWorkerBalance(worker.id, { workers, entries: state.entries, payments: state.payments });
-      
-      // Filter entries by date range
-      let workerEntries = state.entries.filter(e => e.workerId === worker.id);
-      let workerPayments = state.payments.filter(p => p.workerId === worker.id);
-      
-      if (from) {
-        const fromDate = from.toISOString().split('T')[0];
-        workerEntries = workerEntries.filter(e => e.date >= fromDate);
-        workerPayments = workerPayments.filter(p => p.date >= fromDate);
-      }
-      
-      if (to) {
-        const toDate = to.toISOString().split('T')[0];
-        workerEntries = workerEntries.filter(e => e.date <= toDate);
-        workerPayments = workerPayments.filter(p => p.date <= toDate);
-      }
-
-      const entryAmount = workerEntries.reduce((sum, entry) => sum + (parseFloat(entry.amount) || 0), 0);
-      const paymentAmount = workerPayments.reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0);
-      const openingBalance = parseFloat(worker.openingBalance || 0);
+      // Period figures follow the site filter; balances always cover every site
+      const ledger = buildWorkerSiteLedger(worker.id, state, filterSite, { fromDate: from, toDate: to });
+      const workerEntries = ledger.transactions.filter(t => t.type === 'entry').map(t => t.record);
+      const workerPayments = ledger.transactions.filter(t => t.type === 'payment').map(t => t.record);
       
       return {
         workerId: worker.id,
-        workerName: worker.name,
-        openingBalance: openingBalance || 0,
-        entryAmount: entryAmount || 0,
-        paymentAmount: paymentAmount || 0,
-        balance: parseFloat(currentBalance) || 0,
+        workerName: getWorkerLabel(worker),
+        openingBalance: ledger.overall.openingBalance,
+        entryAmount: ledger.totalEarnings,
+        paymentAmount: ledger.totalPayments,
+        paymentsByKind: ledger.paymentsByKind,
+        outstandingLoans: getOutstandingLoanTotal(worker.id, state),
+        closingBalance: ledger.overall.closingBalance,
+        balance: ledger.overall.currentBalance,
         entries: workerEntries,
         payments: workerPayments,
-        attendanceDays: workerEntries.length
+        attendanceDays: ledger.attendance.days
       };
     });
 
-    setSummaryRows(summaryData);
+    // Workers with nothing booked to the selected site are left out
+    setSummaryRows(filterSite === "all"
+      ? summaryData
+      : summaryData.filter(r => r.entries.length > 0 || r.payments.length > 0));
   };
 
   const handleRefresh = async () => {
@@ -276,9 +271,9 @@ export default function SummaryScreen({ navigation }) {
     
     try {
       await FileSystem.writeAsStringAsync(path, csv, { encoding: FileSystem.EncodingType.UTF8 });
-      setSnackbar({ visible: true, message: `Exported to ${filename}` });
+      setSnackbar({ visible: true, message: t('summary.exportedTo', { file: filename }) });
     } catch (err) {
-      setSnackbar({ visible: true, message: `Export failed: ${err.message}` });
+      setSnackbar({ visible: true, message: t('summary.exportFailed', { error: err.message }) });
     }
     setLoading(false);
   };
@@ -317,25 +312,25 @@ export default function SummaryScreen({ navigation }) {
               {item.workerName}
             </Text>
             <Text variant="bodySmall" style={styles.attendanceText}>
-              {item.attendanceDays || 0} working days
+              {t('summary.workingDays', { count: item.attendanceDays || 0 })}
             </Text>
           </View>
           
           <View style={styles.amountsSection}>
             <View style={styles.amountItem}>
-              <Text variant="bodySmall" style={styles.amountLabel}>Balance</Text>
+              <Text variant="bodySmall" style={styles.amountLabel}>{t('summary.balance')}</Text>
               <Text variant="titleSmall" style={[
                 styles.balanceAmount,
                 { color: (item.balance || 0) >= 0 ? '#4CAF50' : '#F44336' }
               ]}>
-                ₹{(item.balance || 0).toLocaleString()}
+                {formatCurrency(item.balance || 0)}
               </Text>
             </View>
             
             <View style={styles.amountItem}>
-              <Text variant="bodySmall" style={styles.amountLabel}>Payments</Text>
+              <Text variant="bodySmall" style={styles.amountLabel}>{t('summary.payments')}</Text>
               <Text variant="titleSmall" style={[styles.paymentAmount, { color: '#F44336' }]}>
-                ₹{(item.paymentAmount || 0).toLocaleString()}
+                {formatCurrency(item.paymentAmount || 0)}
               </Text>
             </View>
           </View>
@@ -383,50 +378,96 @@ export default function SummaryScreen({ navigation }) {
                   {/* Balance Summary */}
                   <View style={styles.modalSection}>
                     <Text variant="titleMedium" style={styles.sectionTitle}>
-                      Balance Summary
+                      {t('summary.balanceSummary')}
                     </Text>
                     <View style={styles.balanceGrid}>
                       <View style={styles.balanceCard}>
-                        <Text variant="bodySmall" style={styles.balanceCardLabel}>Opening</Text>
+                        <Text variant="bodySmall" style={styles.balanceCardLabel}>{t('summary.opening')}</Text>
                         <Text variant="titleMedium" style={styles.balanceCardValue}>
-                          ₹{(selectedWorker.openingBalance || 0).toLocaleString()}
+                          {formatCurrency(selectedWorker.openingBalance || 0)}
                         </Text>
                       </View>
                       <View style={styles.balanceCard}>
-                        <Text variant="bodySmall" style={styles.balanceCardLabel}>Entries</Text>
+                        <Text variant="bodySmall" style={styles.balanceCardLabel}>{t('summary.entries')}</Text>
                         <Text variant="titleMedium" style={[styles.balanceCardValue, { color: '#4CAF50' }]}>
-                          +₹{(selectedWorker.entryAmount || 0).toLocaleString()}
+                          +{formatCurrency(selectedWorker.entryAmount || 0)}
                         </Text>
                       </View>
                       <View style={styles.balanceCard}>
-                        <Text variant="bodySmall" style={styles.balanceCardLabel}>Payments</Text>
+                        <Text variant="bodySmall" style={styles.balanceCardLabel}>{t('summary.payments')}</Text>
                         <Text variant="titleMedium" style={[styles.balanceCardValue, { color: '#F44336' }]}>
-                          -₹{(selectedWorker.paymentAmount || 0).toLocaleString()}
+                          -{formatCurrency(selectedWorker.paymentAmount || 0)}
                         </Text>
                       </View>
                       <View style={[styles.balanceCard, styles.currentBalanceCard]}>
-                        <Text variant="bodySmall" style={styles.balanceCardLabel}>Current</Text>
+                        <Text variant="bodySmall" style={styles.balanceCardLabel}>{to ? t('summary.closing') : t('summary.current')}</Text>
                         <Text variant="titleMedium" style={[
                           styles.balanceCardValue,
-                          { color: (selectedWorker.balance || 0) >= 0 ? '#4CAF50' : '#F44336' }
+                          { color: (selectedWorker.closingBalance || 0) >= 0 ? '#4CAF50' : '#F44336' }
                         ]}>
-                          ₹{(selectedWorker.balance || 0).toLocaleString()}
+                          {formatCurrency(selectedWorker.closingBalance || 0)}
                         </Text>
                       </View>
                     </View>
                   </View>
 
+                  {/* Payments by kind */}
+                  {(Object.values(selectedWorker.paymentsByKind || {}).some(v => v > 0) || selectedWorker.outstandingLoans > 0) && (
+                    <View style={styles.modalSection}>
+                      <Text variant="titleMedium" style={styles.sectionTitle}>
+                        {t('summary.paymentsByKind')}
+                      </Text>
+                      {Object.entries(selectedWorker.paymentsByKind || {})
+                        .filter(([, value]) => value > 0)
+                        .map(([kind, value]) => (
+                          <View key={kind} style={styles.kindRow}>
+                            <Text variant="bodyMedium">{t(`paymentKind.${kind}`)}</Text>
+                            <Text variant="bodyMedium" style={{ color: kind === 'bonus' ? '#4CAF50' : '#F44336' }}>
+                              {formatCurrency(value)}
+                            </Text>
+                          </View>
+                        ))}
+                      {selectedWorker.outstandingLoans > 0 && (
+                        <View style={styles.kindRow}>
+                          <Text variant="bodyMedium" style={{ fontWeight: '600' }}>{t('summary.outstandingLoans')}</Text>
+                          <Text variant="bodyMedium" style={{ fontWeight: '600' }}>
+                            {formatCurrency(selectedWorker.outstandingLoans)}
+                          </Text>
+                        </View>
+                      )}
+                    </View>
+                  )}
+
+                  {/* Piece work grouped by item and unit */}
+                  {groupPieceWork(selectedWorker.entries, state).length > 0 && (
+                    <View style={styles.modalSection}>
+                      <Text variant="titleMedium" style={styles.sectionTitle}>
+                        {t('summary.pieceWork')}
+                      </Text>
+                      {groupPieceWork(selectedWorker.entries, state).map(group => (
+                        <View key={group.key} style={styles.kindRow}>
+                          <Text variant="bodyMedium" style={{ flex: 1 }}>
+                            {group.name} · {group.units.toLocaleString()} {group.unit}
+                          </Text>
+                          <Text variant="bodyMedium" style={{ color: '#4CAF50' }}>
+                            {formatCurrency(group.amount)}
+                          </Text>
+                        </View>
+                      ))}
+                    </View>
+                  )}
+
                   {/* Attendance Summary */}
                   <View style={styles.modalSection}>
                     <Text variant="titleMedium" style={styles.sectionTitle}>
-                      Attendance Summary
+                      {t('summary.attendanceSummary')}
                     </Text>
                     <View style={styles.attendanceInfo}>
                       <Chip mode="outlined" style={styles.attendanceChip}>
-                        {selectedWorker.attendanceDays || 0} working days
+                        {t('summary.workingDays', { count: selectedWorker.attendanceDays || 0 })}
                       </Chip>
                       <Text variant="bodyMedium" style={styles.attendanceNote}>
-                        Total entries recorded during selected period
+                        {t('summary.attendanceNote')}
                       </Text>
                     </View>
                   </View>
@@ -435,19 +476,19 @@ export default function SummaryScreen({ navigation }) {
                   {selectedWorker.entries && selectedWorker.entries.length > 0 && (
                     <View style={styles.modalSection}>
                       <Text variant="titleMedium" style={styles.sectionTitle}>
-                        Recent Entries ({selectedWorker.entries?.length || 0})
+                        {t('summary.recentEntries', { count: selectedWorker.entries?.length || 0 })}
                       </Text>
                       {selectedWorker.entries.slice(0, 5).map((entry, index) => (
                         <Surface key={index} style={styles.entryCard} elevation={1}>
                           <View style={styles.entryCardContent}>
                             <Text variant="bodyMedium" style={styles.entryDate}>
-                              {new Date(entry.date).toLocaleDateString()}
+                              {formatDate(entry.date, 'dd MMM yyyy')}
                             </Text>
                             <Text variant="bodySmall" style={styles.entryStatus}>
-                              {entry.status === 'P' ? 'Present' : entry.status === 'H' ? 'Half Day' : 'Absent'}
+                              {t(`status.${entry.status === 'P' || entry.status === 'H' ? entry.status : 'A'}`)}
                             </Text>
                             <Text variant="titleSmall" style={[styles.entryAmount, { color: '#4CAF50' }]}>
-                              ₹{parseFloat(entry.amount || 0).toLocaleString()}
+                              {formatCurrency(getEntryEarning(entry))}
                             </Text>
                           </View>
                         </Surface>
@@ -459,19 +500,19 @@ export default function SummaryScreen({ navigation }) {
                   {selectedWorker.payments && selectedWorker.payments.length > 0 && (
                     <View style={styles.modalSection}>
                       <Text variant="titleMedium" style={styles.sectionTitle}>
-                        Recent Payments ({selectedWorker.payments?.length || 0})
+                        {t('summary.recentPayments', { count: selectedWorker.payments?.length || 0 })}
                       </Text>
                       {selectedWorker.payments.slice(0, 5).map((payment, index) => (
                         <Surface key={index} style={styles.paymentCard} elevation={1}>
                           <View style={styles.paymentCardContent}>
                             <Text variant="bodyMedium" style={styles.paymentDate}>
-                              {new Date(payment.date).toLocaleDateString()}
+                              {formatDate(payment.date, 'dd MMM yyyy')}
                             </Text>
                             <Text variant="bodySmall" style={styles.paymentNarration}>
-                              {payment.narration || 'Payment'}
+                              {payment.narration || t(`paymentKind.${getPaymentKind(payment)}`)}
                             </Text>
                             <Text variant="titleSmall" style={[styles.paymentAmount, { color: '#F44336' }]}>
-                              -₹{parseFloat(payment.amount || 0).toLocaleString()}
+                              -{formatCurrency(parseFloat(payment.amount || 0))}
                             </Text>
                           </View>
                         </Surface>
@@ -491,7 +532,19 @@ export default function SummaryScreen({ navigation }) {
                       style={styles.ledgerButton}
                       contentStyle={styles.buttonContent}
                     >
-                      View Transaction Ledger
+                      {t('summary.viewLedger')}
+                    </Button>
+                    <Button
+                      mode="outlined"
+                      onPress={() => {
+                        closeWorkerDetails();
+                        navigation.navigate('LedgerScreen', { workerId: selectedWorker.workerId, view: 'calendar' });
+                      }}
+                      icon="calendar-month"
+                      style={[styles.ledgerButton, { marginTop: 8 }]}
+                      contentStyle={styles.buttonContent}
+                    >
+                      {t('summary.attendanceCalendar')}
                     </Button>
                   </View>
                 </ScrollView>
@@ -509,7 +562,7 @@ export default function SummaryScreen({ navigation }) {
       <StatusBar backgroundColor="#6200EE" barStyle="light-content" />
       
       <Appbar.Header elevated>
-        <Appbar.Content title="Worker Summary" />
+        <Appbar.Content title={t('summary.title')} />
         <Appbar.Action 
           icon="refresh" 
           onPress={handleRefresh} 
@@ -524,22 +577,45 @@ export default function SummaryScreen({ navigation }) {
         <Surface style={styles.filterPanel} elevation={2}>
           <View style={styles.filterRow}>
             <View style={styles.filterGroup}>
-              <Text variant="bodySmall" style={styles.filterLabel}>Worker</Text>
+              <Text variant="bodySmall" style={styles.filterLabel}>{t('common.worker')}</Text>
               <Surface style={styles.pickerSurface} elevation={1}>
                 <RNPickerSelect
                   onValueChange={(value) => setFilterWorker(value)}
                   items={[
-                    { label: 'All Workers', value: 'all', key: 'filter-all' },
-                    ...workers.map((w, index) => ({ label: w.name, value: w.id, key: `filter-worker-${index}` }))
+                    { label: t('summary.allWorkers'), value: 'all', key: 'filter-all' },
+                    ...workers.map((w, index) => ({ label: getWorkerLabel(w), value: w.id, key: `filter-worker-${index}` }))
                   ]}
                   style={pickerSelectStyles}
                   value={filterWorker}
-                  placeholder={{ label: "Select worker", value: null }}
+                  placeholder={{ label: t('common.selectWorker'), value: null }}
                 />
               </Surface>
             </View>
           </View>
 
+          {(state.sites || []).length > 0 && (
+            <View style={styles.filterRow}>
+              <View style={styles.filterGroup}>
+                <Text variant="bodySmall" style={styles.filterLabel}>{t('common.site')}</Text>
+                <Surface style={styles.pickerSurface} elevation={1}>
+                  <RNPickerSelect
+                    onValueChange={(value) => setFilterSite(value || "all")}
+                    items={[
+                      { label: t('summary.allSites'), value: 'all', key: 'site-all' },
+                      ...[...state.sites]
+                        .sort((a, b) => a.name.localeCompare(b.name))
+                        .map(s => ({ label: s.name, value: s.id, key: `site-${s.id}` })),
+                      { label: t('summary.unassigned'), value: UNASSIGNED_SITE_ID, key: 'site-unassigned' }
+                    ]}
+                    style={pickerSelectStyles}
+                    value={filterSite}
+                    placeholder={{ label: t('summary.selectSite'), value: null }}
+                  />
+                </Surface>
+              </View>
+            </View>
+          )}
+
           <View style={styles.dateRow}>
             <TouchableOpacity 
               style={styles.dateButton} 
@@ -547,7 +623,7 @@ export default function SummaryScreen({ navigation }) {
             >
               <Ionicons name="calendar-outline" size={20} color="#6200EE" />
               <Text variant="bodyMedium" style={styles.dateText}>
-                {from ? from.toLocaleDateString() : "From Date"}
+                {from ? formatDate(from) : t('summary.fromDate')}
               </Text>
             </TouchableOpacity>
 
@@ -557,7 +633,7 @@ export default function SummaryScreen({ navigation }) {
             >
               <Ionicons name="calendar-outline" size={20} color="#6200EE" />
               <Text variant="bodyMedium" style={styles.dateText}>
-                {to ? to.toLocaleDateString() : "To Date"}
+                {to ? formatDate(to) : t('summary.toDate')}
               </Text>
             </TouchableOpacity>
           </View>
@@ -571,7 +647,7 @@ export default function SummaryScreen({ navigation }) {
               style={styles.exportButton}
               contentStyle={styles.buttonContent}
             >
-              📊 Export Report
+              📊 {t('summary.exportReport')}
             </Button>
             <Button 
               mode="outlined" 
@@ -581,7 +657,7 @@ export default function SummaryScreen({ navigation }) {
               style={styles.exportButton}
               contentStyle={styles.buttonContent}
             >
-              📅 Quick CSV
+              📅 {t('summary.quickCsv')}
             </Button>
           </View>
         </Surface>
@@ -609,19 +685,19 @@ export default function SummaryScreen({ navigation }) {
           <View style={styles.loadingContainer}>
             <ActivityIndicator size="large" color="#6200EE" />
             <Text variant="bodyMedium" style={styles.loadingText}>
-              Generating report...
+              {t('summary.generating')}
             </Text>
           </View>
         ) : summaryRows.length === 0 ? (
           <Surface style={styles.emptyState} elevation={1}>
             <Ionicons name="document-text-outline" size={64} color="#B0B3B8" />
             <Text variant="headlineSmall" style={styles.emptyTitle}>
-              No Data Found
+              {t('summary.noData')}
             </Text>
             <Text variant="bodyMedium" style={styles.emptyText}>
               {workers.length === 0 
-                ? "Add workers and entries from other screens to see summary data" 
-                : "No entries match your filter criteria"}
+                ? t('summary.noDataHint')
+                : t('summary.noMatches')}
             </Text>
             <Button 
               mode="outlined" 
@@ -629,7 +705,7 @@ export default function SummaryScreen({ navigation }) {
               icon="refresh"
               style={styles.refreshButton}
             >
-              Refresh Data
+              {t('summary.refresh')}
             </Button>
           </Surface>
         ) : (
@@ -637,22 +713,22 @@ export default function SummaryScreen({ navigation }) {
             {/* Summary Stats */}
             <Surface style={styles.statsPanel} elevation={1}>
               <Text variant="titleMedium" style={styles.statsTitle}>
-                Summary ({summaryRows.length} workers)
+                {t('summary.statsTitle', { count: summaryRows.length })}
               </Text>
               <View style={styles.statsRow}>
                 <View style={styles.statItem}>
-                  <Text variant="bodySmall" style={styles.statLabel}>Total Balance</Text>
+                  <Text variant="bodySmall" style={styles.statLabel}>{t('summary.totalBalance')}</Text>
                   <Text variant="titleMedium" style={[
                     styles.statValue,
                     { color: summaryRows.reduce((sum, row) => sum + (row.balance || 0), 0) >= 0 ? '#4CAF50' : '#F44336' }
                   ]}>
-                    ₹{summaryRows.reduce((sum, row) => sum + (row.balance || 0), 0).toLocaleString()}
+                    {formatCurrency(summaryRows.reduce((sum, row) => sum + (row.balance || 0), 0))}
                   </Text>
                 </View>
                 <View style={styles.statItem}>
-                  <Text variant="bodySmall" style={styles.statLabel}>Total Payments</Text>
+                  <Text variant="bodySmall" style={styles.statLabel}>{t('summary.totalPayments')}</Text>
                   <Text variant="titleMedium" style={[styles.statValue, { color: '#F44336' }]}>
-                    ₹{summaryRows.reduce((sum, row) => sum + (row.paymentAmount || 0), 0).toLocaleString()}
+                    {formatCurrency(summaryRows.reduce((sum, row) => sum + (row.paymentAmount || 0), 0))}
                   </Text>
                 </View>
               </View>
@@ -695,7 +771,7 @@ export default function SummaryScreen({ navigation }) {
               {/* Header */}
               <View style={styles.exportModalHeader}>
                 <Text variant="headlineSmall" style={styles.exportModalTitle}>
-                  📊 Export Report
+                  📊 {t('summary.exportReport')}
                 </Text>
                 <IconButton 
                   icon="close" 
@@ -715,7 +791,7 @@ export default function SummaryScreen({ navigation }) {
                 {/* Export Format Section */}
                 <View style={styles.exportSectionContainer}>
                   <Text variant="titleMedium" style={styles.exportSectionTitle}>
-                    📄 Choose Export Format
+                    📄 {t('summary.chooseFormat')}
                   </Text>
                   <View style={styles.formatSelectionContainer}>
                     <TouchableOpacity 
@@ -732,13 +808,13 @@ export default function SummaryScreen({ navigation }) {
                         styles.formatOptionTitle,
                         exportFormat === 'excel' && styles.formatOptionTitleSelected
                       ]}>
-                        Excel Report
+                        {t('summary.excelReport')}
                       </Text>
                       <Text style={[
                         styles.formatOptionDesc,
                         exportFormat === 'excel' && styles.formatOptionDescSelected
                       ]}>
-                        Detailed spreadsheet with all data
+                        {t('summary.excelDescription')}
                       </Text>
                     </TouchableOpacity>
 
@@ -756,13 +832,13 @@ export default function SummaryScreen({ navigation }) {
                         styles.formatOptionTitle,
                         exportFormat === 'pdf' && styles.formatOptionTitleSelected
                       ]}>
-                        PDF Report
+                        {t('summary.pdfReport')}
                       </Text>
                       <Text style={[
                         styles.formatOptionDesc,
                         exportFormat === 'pdf' && styles.formatOptionDescSelected
                       ]}>
-                        Professional formatted document
+                        {t('summary.pdfDescription')}
                       </Text>
                     </TouchableOpacity>
                   </View>
@@ -773,7 +849,7 @@ export default function SummaryScreen({ navigation }) {
                 {/* Worker Selection Section */}
                 <View style={styles.exportSectionContainer}>
                   <Text variant="titleMedium" style={styles.exportSectionTitle}>
-                    👥 Select Workers ({workers.length} total)
+                    👥 {t('summary.selectWorkers', { count: workers.length })}
                   </Text>
                   <RadioButton.Group 
                     onValueChange={setExportWorker} 
@@ -781,7 +857,7 @@ export default function SummaryScreen({ navigation }) {
                   >
                     <View style={styles.radioOptionContainer}>
                       <RadioButton value="all" color="#6200EE" />
-                      <Text style={styles.radioOptionText}>All Workers</Text>
+                      <Text style={styles.radioOptionText}>{t('summary.allWorkers')}</Text>
                       <Chip mode="outlined" compact style={styles.workerCountChip}>
                         {workers.length}
                       </Chip>
@@ -796,7 +872,7 @@ export default function SummaryScreen({ navigation }) {
                         <View key={worker.id} style={styles.radioOptionContainer}>
                           <RadioButton value={worker.id} color="#6200EE" />
                           <Text style={styles.radioOptionText} numberOfLines={1}>
-                            {worker.name}
+                            {getWorkerLabel(worker)}
                           </Text>
                         </View>
                       ))}
@@ -809,16 +885,16 @@ export default function SummaryScreen({ navigation }) {
                 {/* Date Range Section */}
                 <View style={styles.exportSectionContainer}>
                   <Text variant="titleMedium" style={styles.exportSectionTitle}>
-                    📅 Date Range (Optional)
+                    📅 {t('summary.dateRange')}
                   </Text>
                   <View style={styles.dateRangeRow}>
                     <TouchableOpacity 
                       style={styles.dateSelectionCard}
                       onPress={() => setShowExportFromPicker(true)}
                     >
-                      <Text style={styles.dateCardLabel}>From Date</Text>
+                      <Text style={styles.dateCardLabel}>{t('summary.fromDate')}</Text>
                       <Text style={styles.dateCardValue}>
-                        {exportFromDate ? exportFromDate.toLocaleDateString() : 'Select Date'}
+                        {exportFromDate ? formatDate(exportFromDate) : t('common.selectDate')}
                       </Text>
                     </TouchableOpacity>
 
@@ -826,9 +902,9 @@ export default function SummaryScreen({ navigation }) {
                       style={styles.dateSelectionCard}
                       onPress={() => setShowExportToPicker(true)}
                     >
-                      <Text style={styles.dateCardLabel}>To Date</Text>
+                      <Text style={styles.dateCardLabel}>{t('summary.toDate')}</Text>
                       <Text style={styles.dateCardValue}>
-                        {exportToDate ? exportToDate.toLocaleDateString() : 'Select Date'}
+                        {exportToDate ? formatDate(exportToDate) : t('common.selectDate')}
                       </Text>
                     </TouchableOpacity>
                   </View>
@@ -842,7 +918,7 @@ export default function SummaryScreen({ navigation }) {
                           compact
                           style={styles.clearDateButton}
                         >
-                          Clear From
+                          {t('summary.clearFrom')}
                         </Button>
                       )}
                       {exportToDate && (
@@ -852,7 +928,7 @@ export default function SummaryScreen({ navigation }) {
                           compact
                           style={styles.clearDateButton}
                         >
-                          Clear To
+                          {t('summary.clearTo')}
                         </Button>
                       )}
                     </View>
@@ -865,24 +941,24 @@ export default function SummaryScreen({ navigation }) {
                     <Divider style={styles.exportSectionDivider} />
                     <View style={styles.exportSectionContainer}>
                       <Text variant="titleMedium" style={styles.exportSectionTitle}>
-                        📋 Export Preview
+                        📋 {t('summary.exportPreview')}
                       </Text>
                       <Surface style={styles.previewContainer} elevation={1}>
                         <View style={styles.previewGrid}>
                           <View style={styles.previewCard}>
-                            <Text style={styles.previewLabel}>Workers</Text>
+                            <Text style={styles.previewLabel}>{t('summary.workers')}</Text>
                             <Text style={styles.previewValue}>{exportPreview.workers}</Text>
                           </View>
                           <View style={styles.previewCard}>
-                            <Text style={styles.previewLabel}>Entries</Text>
+                            <Text style={styles.previewLabel}>{t('summary.entries')}</Text>
                             <Text style={styles.previewValue}>{exportPreview.entries}</Text>
                           </View>
                           <View style={styles.previewCard}>
-                            <Text style={styles.previewLabel}>Payments</Text>
+                            <Text style={styles.previewLabel}>{t('summary.payments')}</Text>
                             <Text style={styles.previewValue}>{exportPreview.payments}</Text>
                           </View>
                           <View style={styles.previewCard}>
-                            <Text style={styles.previewLabel}>Total</Text>
+                            <Text style={styles.previewLabel}>{t('summary.total')}</Text>
                             <Text style={styles.previewValueHighlight}>{exportPreview.totalEarnings}</Text>
                           </View>
                         </View>
@@ -901,7 +977,7 @@ export default function SummaryScreen({ navigation }) {
                   style={styles.modalCancelButton}
                   labelStyle={styles.modalButtonLabel}
                 >
-                  Cancel
+                  {t('common.cancel')}
                 </Button>
                 <Button 
                   mode="contained" 
@@ -912,7 +988,7 @@ export default function SummaryScreen({ navigation }) {
                   style={styles.modalExportButton}
                   labelStyle={styles.modalButtonLabel}
                 >
-                  {exporting ? 'Exporting...' : `Export ${exportFormat === 'excel' ? 'Excel' : 'PDF'}`}
+                  {exporting ? t('summary.exporting') : t('summary.exportAs', { format: exportFormat === 'excel' ? 'Excel' : 'PDF' })}
                 </Button>
               </View>
             </View>
@@ -1236,6 +1312,11 @@ const styles = StyleSheet.create({
   entryAmount: {
     fontWeight: '600',
   },
+  kindRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
   paymentCard: {
     backgroundColor: '#FFF8F8',
     borderRadius: 8,
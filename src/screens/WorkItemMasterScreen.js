@@ -0,0 +1,332 @@
+import React, { useState } from "react";
+import { SafeAreaView, StyleSheet, View, Modal, Alert, FlatList, TouchableOpacity } from "react-native";
+import { Text, TextInput, Button, Card, Title, IconButton, Paragraph, Snackbar, Chip } from "react-native-paper";
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { format, parseISO } from 'date-fns';
+import { useGlobalStore } from "../utils/GlobalStore";
+import { WORK_UNITS, validateWorkItem, withItemRate } from "../utils/workItems";
+
+const emptyForm = () => ({ name: '', unit: '', rate: '', effectiveFrom: new Date() });
+
+function WorkItemMasterScreen({ goBack }) {
+  const { state, dispatch } = useGlobalStore();
+  const workItems = state.workItems || [];
+
+  const [modalVisible, setModalVisible] = useState(false);
+  const [form, setForm] = useState(emptyForm());
+  const [editingItem, setEditingItem] = useState(null);
+  const [showDatePicker, setShowDatePicker] = useState(false);
+  const [snackbar, setSnackbar] = useState({ visible: false, message: '' });
+
+  const rateChanged = editingItem && Number(form.rate) !== Number(editingItem.defaultRate);
+
+  const saveItem = () => {
+    const effectiveFrom = format(form.effectiveFrom, 'yyyy-MM-dd');
+    const base = editingItem
+      ? { ...editingItem, name: form.name.trim(), unit: form.unit.trim() }
+      : { id: Date.now().toString(), name: form.name.trim(), unit: form.unit.trim(), rateHistory: [] };
+    const item = !editingItem || rateChanged ? withItemRate(base, form.rate, effectiveFrom) : base;
+
+    const validation = validateWorkItem(item, workItems);
+    if (!validation.valid) {
+      setSnackbar({ visible: true, message: validation.error });
+      return;
+    }
+
+    dispatch({ type: editingItem ? 'UPDATE_WORK_ITEM' : 'ADD_WORK_ITEM', payload: item });
+    setSnackbar({ visible: true, message: editingItem ? "Item updated successfully" : "Item added successfully" });
+    resetForm();
+  };
+
+  const deleteItem = (item) => {
+    const used = (state.entries || []).filter(e => e.workItemId === item.id).length;
+    Alert.alert(
+      "Delete Item",
+      used > 0
+        ? `${used} entries use this item. They keep their work name, units and rate. Delete anyway?`
+        : "This will permanently delete the item. Are you sure?",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: () => {
+            dispatch({ type: 'DELETE_WORK_ITEM', payload: item.id });
+            setSnackbar({ visible: true, message: "Item deleted successfully" });
+          }
+        }
+      ]
+    );
+  };
+
+  const resetForm = () => {
+    setForm(emptyForm());
+    setEditingItem(null);
+    setModalVisible(false);
+  };
+
+  const handleEdit = (item) => {
+    setForm({ name: item.name, unit: item.unit, rate: String(item.defaultRate ?? ''), effectiveFrom: new Date() });
+    setEditingItem(item);
+    setModalVisible(true);
+  };
+
+  const renderItem = ({ item }) => {
+    const history = [...(item.rateHistory || [])].reverse();
+    return (
+      <Card style={styles.itemCard}>
+        <Card.Content>
+          <View style={styles.itemRow}>
+            <View style={{ flex: 1 }}>
+              <Title style={styles.itemName}>{item.name}</Title>
+              <Paragraph style={styles.itemMeta}>
+                ₹{item.defaultRate} per {item.unit}
+              </Paragraph>
+              {history.length > 1 && (
+                <Paragraph style={styles.itemHistory}>
+                  {history.map(h => `₹${h.rate} from ${h.effectiveFrom ? format(parseISO(h.effectiveFrom), 'dd/MM/yyyy') : 'start'}`).join(' · ')}
+                </Paragraph>
+              )}
+            </View>
+            <View style={styles.actionCol}>
+              <IconButton icon="pencil" iconColor="blue" onPress={() => handleEdit(item)} />
+              <IconButton icon="delete" iconColor="red" onPress={() => deleteItem(item)} />
+            </View>
+          </View>
+        </Card.Content>
+      </Card>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      <View style={styles.headerRow}>
+        <IconButton icon="arrow-left" size={28} onPress={goBack} />
+        <Title style={styles.title}>Piece Work Items</Title>
+        <View style={{ width: 40 }} />
+      </View>
+
+      <View style={styles.buttonRow}>
+        <Button mode="contained" style={[styles.addBtn, { flex: 1 }]} onPress={() => setModalVisible(true)} icon="plus">
+          Add Item
+        </Button>
+      </View>
+
+      <View style={styles.listContainer}>
+        <Text style={styles.sectionTitle}>Items ({workItems.length})</Text>
+        {workItems.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyText}>No piece work items found</Text>
+            <Text style={styles.emptySubtext}>Add items to pick them in Work B entries</Text>
+          </View>
+        ) : (
+          <FlatList
+            data={workItems}
+            keyExtractor={(item) => item.id}
+            renderItem={renderItem}
+            showsVerticalScrollIndicator={false}
+          />
+        )}
+      </View>
+
+      <Modal visible={modalVisible} animationType="slide" transparent>
+        <View style={styles.modalBg}>
+          <View style={styles.modalCard}>
+            <Title style={{ marginBottom: 12 }}>
+              {editingItem ? "Edit Item" : "Add Item"}
+            </Title>
+            <TextInput
+              label="Item Name"
+              value={form.name}
+              onChangeText={v => setForm(f => ({ ...f, name: v }))}
+              style={styles.input}
+            />
+            <TextInput
+              label="Unit of Measure"
+              value={form.unit}
+              onChangeText={v => setForm(f => ({ ...f, unit: v }))}
+              style={styles.input}
+            />
+            <View style={styles.unitRow}>
+              {WORK_UNITS.map(unit => (
+                <Chip
+                  key={unit}
+                  compact
+                  selected={form.unit === unit}
+                  onPress={() => setForm(f => ({ ...f, unit }))}
+                  style={styles.unitChip}
+                >
+                  {unit}
+                </Chip>
+              ))}
+            </View>
+            <TextInput
+              label={form.unit ? `Rate per ${form.unit}` : "Rate per Unit"}
+              value={form.rate}
+              onChangeText={v => setForm(f => ({ ...f, rate: v }))}
+              keyboardType="numeric"
+              style={styles.input}
+            />
+            {(!editingItem || rateChanged) && (
+              <TouchableOpacity onPress={() => setShowDatePicker(true)} style={styles.dateButton}>
+                <Text style={styles.dateText}>
+                  Rate effective from {format(form.effectiveFrom, 'dd/MM/yyyy')}
+                </Text>
+              </TouchableOpacity>
+            )}
+            <Button mode="contained" style={{ marginTop: 16 }} onPress={saveItem}>
+              {editingItem ? "Update" : "Save"}
+            </Button>
+            <Button style={{ marginTop: 8 }} onPress={resetForm}>
+              Cancel
+            </Button>
+          </View>
+        </View>
+      </Modal>
+
+      {showDatePicker && (
+        <DateTimePicker
+          value={form.effectiveFrom}
+          mode="date"
+          display="default"
+          onChange={(event, selectedDate) => {
+            setShowDatePicker(false);
+            if (selectedDate) setForm(f => ({ ...f, effectiveFrom: selectedDate }));
+          }}
+        />
+      )}
+
+      <Snackbar
+        visible={snackbar.visible}
+        onDismiss={() => setSnackbar({ visible: false, message: '' })}
+        duration={3000}
+        action={{
+          label: 'OK',
+          onPress: () => setSnackbar({ visible: false, message: '' }),
+        }}
+      >
+        {snackbar.message}
+      </Snackbar>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: '#fff'
+  },
+  headerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingTop: 8,
+    marginBottom: 8,
+  },
+  title: {
+    flex: 1,
+    fontSize: 22,
+    fontWeight: '700',
+    textAlign: 'center',
+    color: '#2c3e50',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    marginBottom: 16,
+  },
+  addBtn: {
+    borderRadius: 8,
+    elevation: 2,
+  },
+  listContainer: {
+    flex: 1,
+    paddingHorizontal: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#2c3e50',
+    marginBottom: 12,
+  },
+  itemCard: {
+    marginBottom: 12,
+    borderRadius: 12,
+    elevation: 3,
+    backgroundColor: '#fff',
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  actionCol: {
+    flexDirection: 'row',
+  },
+  itemName: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#2c3e50',
+  },
+  itemMeta: {
+    fontSize: 13,
+    color: '#27ae60',
+    marginTop: 2,
+  },
+  itemHistory: {
+    fontSize: 12,
+    color: '#7f8c8d',
+    marginTop: 2,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 40,
+  },
+  emptyText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#7f8c8d',
+    marginBottom: 8,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: '#95a5a6',
+    textAlign: 'center',
+  },
+  modalBg: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    paddingHorizontal: 20,
+  },
+  modalCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 20,
+    elevation: 5,
+  },
+  input: {
+    marginBottom: 12,
+  },
+  unitRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  unitChip: {
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  dateButton: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    padding: 12,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  dateText: {
+    color: '#2c3e50',
+  },
+});
+
+export default WorkItemMasterScreen;
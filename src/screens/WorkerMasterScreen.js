@@ -1,31 +1,62 @@
 import React, { useEffect, useState } from "react";
 import { SafeAreaView, StyleSheet, View, Modal, TouchableOpacity, StatusBar, Platform, ActivityIndicator, Alert, FlatList } from "react-native";
-import { Text, TextInput, Button, Card, Title, IconButton, Snackbar, Paragraph } from "react-native-paper";
+import { Text, TextInput, Button, Card, Title, IconButton, Snackbar, Paragraph, Chip, HelperText } from "react-native-paper";
+import RNPickerSelect from 'react-native-picker-select';
+import { format } from "date-fns";
 import { useGlobalStore } from "../utils/GlobalStore";
+import { getRateInForce } from "../utils/wageRates";
+import { isWorkerActive, withArchived, getWorkerRecordCounts, validateWorkerDelete } from "../utils/workers";
+import { undoChange, newTxId } from "../utils/audit";
+import { LANGUAGES } from "../utils/i18n";
+import { getDefaultCountry, normalizePhone, formatPhone, validateContactForm, getContactIssues } from "../utils/phone";
+import WageRatesModal from "../components/WageRatesModal";
 
 function WorkerMasterScreen({ goBack }) {
   const topPad = Platform.OS === 'android' ? StatusBar.currentHeight || 0 : 0;
   const { state, dispatch } = useGlobalStore();
   const workers = state.workers;
+  const [showArchived, setShowArchived] = useState(false);
+  const [showContactIssues, setShowContactIssues] = useState(false);
+  const archivedCount = workers.filter(w => !isWorkerActive(w)).length;
+  const country = getDefaultCountry(state);
+  // Contact health: active workers whose phone or WhatsApp number can't be used for messages
+  const contactIssues = getContactIssues(state);
+  const issuesByWorker = new Map(contactIssues.map(c => [c.worker.id, c.issues]));
+  const listedWorkers = showContactIssues
+    ? contactIssues.map(c => c.worker)
+    : showArchived ? workers : workers.filter(isWorkerActive);
   const [loading, setLoading] = useState(false);
   const [modalVisible, setModalVisible] = useState(false);
   const [editingWorker, setEditingWorker] = useState(null);
-  const [form, setForm] = useState({ name: '', address: '', phone: '', openingBalance: '' });
+  const [form, setForm] = useState({ name: '', address: '', phone: '', whatsappPhone: '', language: null, openingBalance: '', dailyRate: '' });
+  const [rateWorker, setRateWorker] = useState(null);
   const [snackbar, setSnackbar] = useState({ visible: false, message: '' });
+  // Hard delete: { worker, reassignTo } while the delete dialog is open
+  const [deleteTarget, setDeleteTarget] = useState(null);
   // SMS moved to Payment flow; per-worker SMS removed
 
+  // Returns the contact numbers in E.164 when the form is valid, null otherwise
   const validateForm = () => {
     if (!form.name.trim()) {
       setSnackbar({ visible: true, message: "Worker name is required" });
-      return false;
+      return null;
     }
     if (!editingWorker && !form.openingBalance.trim()) {
       setSnackbar({ visible: true, message: "Opening balance is required" });
-      return false;
+      return null;
     }
     if (!editingWorker && isNaN(Number(form.openingBalance))) {
       setSnackbar({ visible: true, message: "Opening balance must be a valid number" });
-      return false;
+      return null;
+    }
+    if (!editingWorker && form.dailyRate.trim() && !(Number(form.dailyRate) > 0)) {
+      setSnackbar({ visible: true, message: "Daily wage must be a positive number" });
+      return null;
+    }
+    const contact = validateContactForm(form, country);
+    if (!contact.valid) {
+      setSnackbar({ visible: true, message: contact.error });
+      return null;
     }
     
     // Check for duplicate names
@@ -36,23 +67,38 @@ function WorkerMasterScreen({ goBack }) {
     
     if (isDuplicate) {
       setSnackbar({ visible: true, message: "Worker name already exists" });
-      return false;
+      return null;
     }
     
-    return true;
+    return contact;
   };
 
   const addWorker = async () => {
-    if (!validateForm()) return;
+    const contact = validateForm();
+    if (!contact) return;
     
     setLoading(true);
     try {
+      const id = Date.now().toString();
       const worker = {
-        id: Date.now().toString(),
+        id,
         name: form.name.trim(),
         address: form.address.trim(),
-        phone: form.phone.trim(),
+        phone: contact.phone,
+        // Used instead of `phone` for WhatsApp messages when set
+        whatsappPhone: contact.whatsappPhone,
+        // Language for SMS/WhatsApp messages and payslips; null follows the app language
+        language: form.language,
         openingBalance: Number(form.openingBalance),
+        // Starting daily wage becomes the first entry of the rate history
+        wageRates: form.dailyRate.trim() ? [{
+          id: `${id}-rate`,
+          fullDayRate: Number(form.dailyRate),
+          halfDayRate: null,
+          effectiveFrom: format(new Date(), 'yyyy-MM-dd'),
+          categoryId: null,
+          subcategoryId: null,
+        }] : [],
         locked: true
       };
       
@@ -66,7 +112,8 @@ function WorkerMasterScreen({ goBack }) {
   };
 
   const updateWorker = async () => {
-    if (!validateForm()) return;
+    const contact = validateForm();
+    if (!contact) return;
     
     setLoading(true);
     try {
@@ -74,7 +121,9 @@ function WorkerMasterScreen({ goBack }) {
         ...editingWorker,
         name: form.name.trim(),
         address: form.address.trim(),
-        phone: form.phone.trim(),
+        phone: contact.phone,
+        whatsappPhone: contact.whatsappPhone,
+        language: form.language,
         // Keep original opening balance - cannot be edited
       };
       
@@ -87,26 +136,39 @@ function WorkerMasterScreen({ goBack }) {
     setLoading(false);
   };
 
-  const deleteWorker = (workerId) => {
-    Alert.alert(
-      "Delete Worker",
-      "This will permanently delete the worker and all related data. Are you sure?",
-      [
-        { text: "Cancel", style: "cancel" },
-        {
-          text: "Delete",
-          style: "destructive",
-          onPress: () => {
-            dispatch({ type: 'DELETE_WORKER', payload: workerId });
-            setSnackbar({ visible: true, message: "Worker deleted successfully" });
-          }
-        }
-      ]
-    );
+  const saveWageRates = (wageRates, overtimeRate) => {
+    dispatch({ type: 'UPDATE_WORKER', payload: { ...rateWorker, wageRates, overtimeRate } });
+    setRateWorker(null);
+    setSnackbar({ visible: true, message: "Wage rates updated" });
+  };
+
+  const archiveWorker = (worker, archived) => {
+    const txId = newTxId();
+    dispatch({ type: 'UPDATE_WORKER', payload: withArchived(worker, archived), meta: { txId } });
+    setSnackbar({ visible: true, message: archived ? `${worker.name} archived` : `${worker.name} restored`, undo: txId });
+  };
+
+  const confirmDeleteWorker = () => {
+    const { worker, reassignTo } = deleteTarget;
+    const validation = validateWorkerDelete(state, worker.id, reassignTo);
+    if (!validation.valid) {
+      Alert.alert("Cannot Delete Worker", validation.error);
+      return;
+    }
+    const txId = newTxId();
+    dispatch({ type: 'DELETE_WORKER', payload: { id: worker.id, reassignTo }, meta: { txId } });
+    setDeleteTarget(null);
+    setSnackbar({ visible: true, message: "Worker deleted successfully", undo: txId });
+  };
+
+  // Undo the change the snackbar announced (snackbar.undo holds its txId)
+  const handleUndo = () => {
+    const result = undoChange(state, dispatch, snackbar.undo);
+    setSnackbar({ visible: true, message: result.success ? "Change undone" : result.error });
   };
 
   const resetForm = () => {
-    setForm({ name: '', address: '', phone: '', openingBalance: '' });
+    setForm({ name: '', address: '', phone: '', whatsappPhone: '', language: null, openingBalance: '', dailyRate: '' });
     setEditingWorker(null);
     setModalVisible(false);
   };
@@ -116,36 +178,67 @@ function WorkerMasterScreen({ goBack }) {
     setForm({
       name: worker.name,
       address: worker.address,
-      phone: worker.phone,
-      openingBalance: worker.openingBalance?.toString() || '' // Display only, not editable
+      phone: worker.phone || '',
+      whatsappPhone: worker.whatsappPhone || '',
+      language: worker.language || null,
+      openingBalance: worker.openingBalance?.toString() || '', // Display only, not editable
+      dailyRate: ''
     });
     setEditingWorker(worker);
     setModalVisible(true);
   };
 
   const renderWorkerItem = ({ item }) => (
-    <Card style={styles.workerCard}>
+    <Card style={[styles.workerCard, !isWorkerActive(item) && styles.archivedCard]}>
       <Card.Content>
         <View style={styles.workerHeader}>
-          <Title style={styles.workerName}>{item.name}</Title>
+          <Title style={styles.workerName}>
+            {item.name}{isWorkerActive(item) ? '' : ' (archived)'}
+          </Title>
           <View style={styles.workerActions}>
+            <IconButton 
+              icon="cash-multiple" 
+              iconColor="#27ae60"
+              onPress={() => setRateWorker(item)} 
+            />
             <IconButton 
               icon="pencil" 
               iconColor="blue"
               onPress={() => handleEdit(item)} 
             />
+            <IconButton 
+              icon={isWorkerActive(item) ? "archive-outline" : "archive-arrow-up-outline"} 
+              iconColor="#7f8c8d"
+              onPress={() => archiveWorker(item, isWorkerActive(item))} 
+            />
             <IconButton 
               icon="delete" 
               iconColor="red"
-              onPress={() => deleteWorker(item.id)} 
+              onPress={() => setDeleteTarget({ worker: item, reassignTo: null })} 
             />
           </View>
         </View>
         {item.address ? <Paragraph>📍 {item.address}</Paragraph> : null}
-        {item.phone ? <Paragraph>📞 {item.phone}</Paragraph> : null}
+        {item.phone ? <Paragraph>📞 {formatPhone(item.phone, country)}</Paragraph> : null}
+        {item.whatsappPhone ? <Paragraph>💬 WhatsApp: {formatPhone(item.whatsappPhone, country)}</Paragraph> : null}
+        {(issuesByWorker.get(item.id) || []).map(issue => (
+          <Paragraph key={issue.field} style={styles.contactIssueText}>
+            ⚠️ {issue.field === 'whatsappPhone' ? 'WhatsApp number' : 'Phone'}: {issue.error}
+          </Paragraph>
+        ))}
+        {LANGUAGES[item.language] ? <Paragraph>🗣️ Messages in {LANGUAGES[item.language].nativeLabel}</Paragraph> : null}
         <Paragraph style={styles.balanceText}>
           💰 Opening Balance: ₹{item.openingBalance?.toFixed(2) || '0.00'}
         </Paragraph>
+        {(() => {
+          const rate = getRateInForce(item, { date: new Date() });
+          return rate ? (
+            <Paragraph style={styles.rateText}>
+              🧾 Daily Wage: ₹{rate.fullDayRate}{rate.halfDayRate ? ` (half day ₹${rate.halfDayRate})` : ''}
+              {(item.wageRates || []).length > 1 ? ` · ${item.wageRates.length} rates` : ''}
+            </Paragraph>
+          ) : null;
+        })()}
       </Card.Content>
     </Card>
   );
@@ -167,16 +260,42 @@ function WorkerMasterScreen({ goBack }) {
         Add Worker
       </Button>
       
+      {(archivedCount > 0 || contactIssues.length > 0 || showContactIssues) && (
+        <View style={styles.archivedToggle}>
+          {archivedCount > 0 && (
+            <Chip
+              icon="archive-outline"
+              selected={showArchived}
+              disabled={showContactIssues}
+              onPress={() => setShowArchived(v => !v)}
+              style={styles.toggleChip}
+            >
+              Show archived ({archivedCount})
+            </Chip>
+          )}
+          {(contactIssues.length > 0 || showContactIssues) && (
+            <Chip
+              icon="phone-alert"
+              selected={showContactIssues}
+              onPress={() => setShowContactIssues(v => !v)}
+              style={styles.toggleChip}
+            >
+              Contact issues ({contactIssues.length})
+            </Chip>
+          )}
+        </View>
+      )}
+      
       {loading ? (
         <ActivityIndicator size="large" style={{ marginTop: 32 }} />
-      ) : workers.length === 0 ? (
+      ) : listedWorkers.length === 0 ? (
         <View style={styles.emptyState}>
           <Text style={styles.emptyText}>No workers found</Text>
           <Text style={styles.emptySubtext}>Add a worker to get started</Text>
         </View>
       ) : (
         <FlatList
-          data={workers}
+          data={listedWorkers}
           keyExtractor={(item) => item.id}
           renderItem={renderWorkerItem}
           contentContainerStyle={styles.listContainer}
@@ -201,13 +320,37 @@ function WorkerMasterScreen({ goBack }) {
               onChangeText={v => setForm(f => ({ ...f, address: v }))} 
               style={styles.input} 
             />
-            <TextInput 
-              label="Phone" 
-              value={form.phone} 
-              onChangeText={v => setForm(f => ({ ...f, phone: v }))} 
-              style={styles.input} 
-              keyboardType="phone-pad" 
-            />
+            {[['phone', 'Phone'], ['whatsappPhone', 'WhatsApp number (if different)']].map(([field, label]) => {
+              const check = form[field].trim() ? normalizePhone(form[field], country) : null;
+              return (
+                <View key={field}>
+                  <TextInput 
+                    label={label} 
+                    value={form[field]} 
+                    onChangeText={v => setForm(f => ({ ...f, [field]: v }))} 
+                    style={styles.phoneInput} 
+                    keyboardType="phone-pad" 
+                    error={!!check && !check.valid}
+                  />
+                  <HelperText type={check && !check.valid ? 'error' : 'info'} visible={!!check}>
+                    {check ? (check.valid ? `Saved as ${formatPhone(check.e164)}` : check.error) : ' '}
+                  </HelperText>
+                </View>
+              );
+            })}
+            <Text style={styles.languageLabel}>Message language</Text>
+            <View style={styles.languageRow}>
+              {[[null, 'App language'], ...Object.entries(LANGUAGES).map(([code, l]) => [code, l.nativeLabel])].map(([code, label]) => (
+                <Chip
+                  key={code || 'app'}
+                  selected={form.language === code}
+                  onPress={() => setForm(f => ({ ...f, language: code }))}
+                  style={styles.languageChip}
+                >
+                  {label}
+                </Chip>
+              ))}
+            </View>
             <TextInput 
               label="Opening Balance" 
               value={form.openingBalance} 
@@ -217,6 +360,16 @@ function WorkerMasterScreen({ goBack }) {
               editable={!editingWorker}
               placeholder={editingWorker ? "Cannot be changed" : "0.00"}
             />
+            {!editingWorker && (
+              <TextInput 
+                label="Daily Wage (optional)" 
+                value={form.dailyRate} 
+                onChangeText={v => setForm(f => ({ ...f, dailyRate: v }))} 
+                style={styles.input} 
+                keyboardType="numeric"
+                placeholder="Full-day rate from today"
+              />
+            )}
             <Button 
               mode="contained" 
               style={{ marginTop: 16 }} 
@@ -239,14 +392,89 @@ function WorkerMasterScreen({ goBack }) {
       
   {/* per-worker SMS preview removed (SMS now handled from Payment flow) */}
 
+      <Modal visible={!!deleteTarget} animationType="slide" transparent>
+        <View style={styles.modalBg}>
+          {deleteTarget && (() => {
+            const counts = getWorkerRecordCounts(state, deleteTarget.worker.id);
+            const others = workers.filter(w => w.id !== deleteTarget.worker.id);
+            return (
+              <View style={styles.modalCard}>
+                <Title style={{ marginBottom: 8 }}>Delete {deleteTarget.worker.name}</Title>
+                <Paragraph>
+                  {counts.total > 0
+                    ? `${counts.entries} entries and ${counts.payments} payments belong to this worker. Archiving keeps them in history and reports.`
+                    : 'This worker has no entries or payments.'}
+                </Paragraph>
+                {counts.total > 0 && (
+                  <>
+                    <View style={styles.deleteModeRow}>
+                      <Chip
+                        selected={!deleteTarget.reassignTo}
+                        onPress={() => setDeleteTarget(t => ({ ...t, reassignTo: null }))}
+                        style={styles.deleteModeChip}
+                      >
+                        Delete records
+                      </Chip>
+                      <Chip
+                        selected={!!deleteTarget.reassignTo}
+                        disabled={others.length === 0}
+                        onPress={() => setDeleteTarget(t => ({ ...t, reassignTo: t.reassignTo || others[0]?.id || null }))}
+                        style={styles.deleteModeChip}
+                      >
+                        Move to another worker
+                      </Chip>
+                    </View>
+                    {!!deleteTarget.reassignTo && (
+                      <RNPickerSelect
+                        placeholder={{}}
+                        items={others.map(w => ({ label: w.name, value: w.id, key: w.id }))}
+                        onValueChange={value => setDeleteTarget(t => ({ ...t, reassignTo: value }))}
+                        value={deleteTarget.reassignTo}
+                        style={{ inputIOS: styles.pickerInput, inputAndroid: styles.pickerInput }}
+                        useNativeAndroidPickerStyle={false}
+                      />
+                    )}
+                  </>
+                )}
+                <Button mode="contained" buttonColor="#e74c3c" style={{ marginTop: 16 }} onPress={confirmDeleteWorker}>
+                  Delete Worker
+                </Button>
+                {isWorkerActive(deleteTarget.worker) && (
+                  <Button
+                    mode="outlined"
+                    style={{ marginTop: 8 }}
+                    onPress={() => {
+                      archiveWorker(deleteTarget.worker, true);
+                      setDeleteTarget(null);
+                    }}
+                  >
+                    Archive Instead
+                  </Button>
+                )}
+                <Button style={{ marginTop: 8 }} onPress={() => setDeleteTarget(null)}>
+                  Cancel
+                </Button>
+              </View>
+            );
+          })()}
+        </View>
+      </Modal>
+
+      <WageRatesModal
+        visible={!!rateWorker}
+        worker={rateWorker}
+        state={state}
+        onDismiss={() => setRateWorker(null)}
+        onSave={saveWageRates}
+      />
+
       <Snackbar
         visible={snackbar.visible}
         onDismiss={() => setSnackbar({ visible: false, message: '' })}
-        duration={3000}
-        action={{
-          label: 'OK',
-          onPress: () => setSnackbar({ visible: false, message: '' }),
-        }}
+        duration={snackbar.undo ? 6000 : 3000}
+        action={snackbar.undo
+          ? { label: 'Undo', onPress: handleUndo }
+          : { label: 'OK', onPress: () => setSnackbar({ visible: false, message: '' }) }}
       >
         {snackbar.message}
       </Snackbar>
@@ -309,6 +537,65 @@ const styles = StyleSheet.create({
   workerActions: {
     flexDirection: 'row',
   },
+  archivedCard: {
+    opacity: 0.6,
+  },
+  archivedToggle: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: 20,
+    marginBottom: 12,
+  },
+  toggleChip: {
+    marginRight: 8,
+    marginBottom: 4,
+  },
+  contactIssueText: {
+    fontSize: 13,
+    color: '#e65100',
+  },
+  phoneInput: {
+    marginBottom: 0,
+  },
+  deleteModeRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  languageLabel: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginBottom: 6,
+  },
+  languageRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  languageChip: {
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  deleteModeChip: {
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  pickerInput: {
+    fontSize: 16,
+    paddingVertical: 12,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: '#f7f7fa',
+    color: '#333',
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  rateText: {
+    fontSize: 14,
+    color: '#2980b9',
+    marginTop: 2,
+  },
   balanceText: {
     fontSize: 16,
     fontWeight: '600',
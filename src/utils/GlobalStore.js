@@ -1,15 +1,42 @@
 import React, { createContext, useContext, useEffect, useReducer } from 'react';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import Constants from 'expo-constants';
+import { DEFAULT_PAY_PERIOD_SETTINGS } from './payPeriods';
+import { DEFAULT_OVERTIME_SETTINGS } from './overtime';
+import { loadPersistedState, schedulePersist, flushPersist, savePersistedState, backupBeforeMigration } from './persistence';
+import { runMigrations, CURRENT_SCHEMA_VERSION } from './migrations';
+import { createAuditedReducer, trimAuditLog } from './audit';
+import { deleteWorkerRecords, repairOrphanedRecords } from './workers';
+import { upsertMessageTemplate } from './messageTemplates';
+import { applyMergeDiff } from './mergeBackup';
+import { DEFAULT_OUTBOX_SETTINGS, getExpiredMessages } from './outbox';
+import { DEFAULT_CONTACT_SETTINGS } from './phone';
 
 const initialState = {
   workers: [],
   categories: [],
   subcategories: [],
+  // Piece-work (Work B) item master
+  workItems: [],
+  // Sites / projects that entries and payments can be booked against
+  sites: [],
   entries: [],
   payments: [],
-  // Outbox / deferred SMS messages
+  // Outbox / deferred SMS messages, and how long finished ones are kept
   deferredMessages: [],
+  outboxSettings: DEFAULT_OUTBOX_SETTINGS,
+  // User's own payment / balance message templates (built-in ones live in utils/messageTemplates.js)
+  messageTemplates: [],
   openingBalances: {}, // { workerId: amount }
+  // Pay periods: frequency settings and closed-period snapshots
+  payPeriodSettings: DEFAULT_PAY_PERIOD_SETTINGS,
+  closedPeriods: [],
+  // Default overtime rate used when a worker has none
+  overtimeSettings: DEFAULT_OVERTIME_SETTINGS,
+  // Country assumed for phone numbers typed without a country code
+  contactSettings: DEFAULT_CONTACT_SETTINGS,
+  // Record of data changes since the last reset, trimmed after each backup (see utils/audit.js)
+  auditLog: [],
   isInitialized: false,
 };
 
@@ -19,9 +46,19 @@ function reducer(state, action) {
   switch (action.type) {
     case 'SET_ALL': return { ...state, ...action.payload };
     case 'REFRESH_DATA': return { ...state }; // Force re-render
+    // After a successful backup; payload: { at } (ISO time of the backup)
+    case 'TRIM_AUDIT_LOG': {
+      const auditLog = trimAuditLog(state.auditLog, new Date(action.payload.at));
+      return auditLog === state.auditLog ? state : { ...state, auditLog };
+    }
     case 'ADD_WORKER': return { ...state, workers: [...state.workers, action.payload] };
     case 'UPDATE_WORKER': return { ...state, workers: state.workers.map(w => w.id === action.payload.id ? action.payload : w) };
-    case 'DELETE_WORKER': return { ...state, workers: state.workers.filter(w => w.id !== action.payload) };
+    // Hard delete: payload is a worker ID or { id, reassignTo }; their records are deleted or moved
+    case 'DELETE_WORKER': {
+      const { id, reassignTo = null } = typeof action.payload === 'object' ? action.payload : { id: action.payload };
+      return deleteWorkerRecords(state, id, reassignTo);
+    }
+    case 'REPAIR_ORPHANS': return repairOrphanedRecords(state, action.payload);
     case 'ADD_CATEGORY': return { ...state, categories: [...state.categories, action.payload] };
     case 'UPDATE_CATEGORY': return { ...state, categories: state.categories.map(c => c.id === action.payload.id ? action.payload : c) };
     case 'DELETE_CATEGORY': {
@@ -48,140 +85,136 @@ function reducer(state, action) {
     case 'ADD_SUBCATEGORY': return { ...state, subcategories: [...state.subcategories, action.payload] };
     case 'UPDATE_SUBCATEGORY': return { ...state, subcategories: state.subcategories.map(s => s.id === action.payload.id ? action.payload : s) };
     case 'DELETE_SUBCATEGORY': return { ...state, subcategories: state.subcategories.filter(s => s.id !== action.payload) };
-    case 'ADD_ENTRY': return { ...state, entries: [...state.entries, action.payload] };
+    case 'ADD_WORK_ITEM': return { ...state, workItems: [...(state.workItems || []), action.payload] };
+    case 'UPDATE_WORK_ITEM': return { ...state, workItems: (state.workItems || []).map(i => i.id === action.payload.id ? action.payload : i) };
+    case 'DELETE_WORK_ITEM': return { ...state, workItems: (state.workItems || []).filter(i => i.id !== action.payload) };
+    case 'ADD_SITE': return { ...state, sites: [...(state.sites || []), action.payload] };
+    case 'UPDATE_SITE': return { ...state, sites: (state.sites || []).map(s => s.id === action.payload.id ? action.payload : s) };
+    case 'DELETE_SITE': return { ...state, sites: (state.sites || []).filter(s => s.id !== action.payload) };
+    // Payload may be a single entry or an array (roster batch)
+    case 'ADD_ENTRY': return { ...state, entries: [...state.entries, ...(Array.isArray(action.payload) ? action.payload : [action.payload])] };
     case 'UPDATE_ENTRY': return { ...state, entries: state.entries.map(e => e.id === action.payload.id ? action.payload : e) };
     case 'DELETE_ENTRY': return { ...state, entries: state.entries.filter(e => e.id !== action.payload) };
-    case 'ADD_PAYMENT': return { ...state, payments: [...state.payments, action.payload] };
+    // Payload may be a single payment or an array (scheduled loan instalments)
+    case 'ADD_PAYMENT': return { ...state, payments: [...state.payments, ...(Array.isArray(action.payload) ? action.payload : [action.payload])] };
     case 'UPDATE_PAYMENT': return { ...state, payments: state.payments.map(p => p.id === action.payload.id ? action.payload : p) };
     case 'DELETE_PAYMENT': return { ...state, payments: state.payments.filter(p => p.id !== action.payload) };
-  case 'ADD_DEFERRED_MESSAGE': return { ...state, deferredMessages: [...(state.deferredMessages || []), action.payload] };
+    // Merge-restore: payload { diff, resolutions } from BackupRestoreManager.mergeBackup, one Undo reverts it
+    case 'MERGE_RECORDS': return applyMergeDiff(state, action.payload.diff, action.payload.resolutions);
+    // CSV / Excel import: everything is added in one dispatch so a single Undo reverts it
+    case 'IMPORT_RECORDS': {
+      const { workers = [], categories = [], subcategories = [], entries = [], payments = [] } = action.payload;
+      return {
+        ...state,
+        workers: [...state.workers, ...workers],
+        categories: [...state.categories, ...categories],
+        subcategories: [...state.subcategories, ...subcategories],
+        entries: [...state.entries, ...entries],
+        payments: [...state.payments, ...payments],
+      };
+    }
+  // Payload may be a single message or an array (statement batch)
+  case 'ADD_DEFERRED_MESSAGE': return { ...state, deferredMessages: [...(state.deferredMessages || []), ...(Array.isArray(action.payload) ? action.payload : [action.payload])] };
   case 'UPDATE_DEFERRED_MESSAGE': return { ...state, deferredMessages: (state.deferredMessages || []).map(m => m.id === action.payload.id ? { ...m, ...action.payload } : m) };
   case 'DELETE_DEFERRED_MESSAGE': return { ...state, deferredMessages: (state.deferredMessages || []).filter(m => m.id !== action.payload) };
+    // Bulk delete and retention clean-up: payload is an array of message ids
+    case 'DELETE_DEFERRED_MESSAGES': {
+      const ids = new Set(action.payload);
+      return { ...state, deferredMessages: (state.deferredMessages || []).filter(m => !ids.has(m.id)) };
+    }
+    case 'SET_OUTBOX_SETTINGS': return { ...state, outboxSettings: { ...(state.outboxSettings || DEFAULT_OUTBOX_SETTINGS), ...action.payload } };
+    case 'ADD_MESSAGE_TEMPLATE':
+    case 'UPDATE_MESSAGE_TEMPLATE': return { ...state, messageTemplates: upsertMessageTemplate(state.messageTemplates, action.payload) };
+    case 'DELETE_MESSAGE_TEMPLATE': return { ...state, messageTemplates: (state.messageTemplates || []).filter(t => t.id !== action.payload) };
     case 'SET_OPENING_BALANCE': return { ...state, openingBalances: { ...state.openingBalances, ...action.payload } };
+    case 'SET_PAY_PERIOD_SETTINGS': return { ...state, payPeriodSettings: { ...(state.payPeriodSettings || DEFAULT_PAY_PERIOD_SETTINGS), ...action.payload } };
+    case 'SET_OVERTIME_SETTINGS': return { ...state, overtimeSettings: { ...(state.overtimeSettings || DEFAULT_OVERTIME_SETTINGS), ...action.payload } };
+    case 'SET_CONTACT_SETTINGS': return { ...state, contactSettings: { ...(state.contactSettings || DEFAULT_CONTACT_SETTINGS), ...action.payload } };
+    case 'CLOSE_PAY_PERIOD': return { ...state, closedPeriods: [...(state.closedPeriods || []), action.payload] };
+    case 'REOPEN_PAY_PERIOD': return { ...state, closedPeriods: (state.closedPeriods || []).filter(p => p.id !== action.payload) };
     default: return state;
   }
 }
 
+// Changes are logged with the device name until the app has user accounts
+const auditedReducer = createAuditedReducer(reducer, () => Constants.deviceName || 'This device');
+
 export function GlobalStoreProvider({ children }) {
-  const [state, dispatch] = useReducer(reducer, initialState);
+  const [state, dispatch] = useReducer(auditedReducer, initialState);
 
-  // Load from AsyncStorage on mount and run a safe, idempotent migration if needed
+  // Load from AsyncStorage on mount and run any pending schema migrations
   useEffect(() => {
     (async () => {
       try {
-        const data = await AsyncStorage.getItem('globalStore');
-        if (data) {
-          const parsedData = JSON.parse(data);
-
-          // If store already has a schemaVersion >= 1, assume normalized
-          const currentVersion = parsedData.schemaVersion || 0;
-          if (currentVersion >= 1) {
-            dispatch({ type: 'SET_ALL', payload: { ...parsedData, isInitialized: true } });
-            return;
-          }
-
-          // Backup original store before any changes (safe-guard)
-          try {
-            const backupKey = `globalStore_backup_${Date.now()}`;
-            await AsyncStorage.setItem(backupKey, data);
-          } catch (backupErr) {
-            console.warn('Failed to write globalStore backup', backupErr);
-            // continue even if backup fails
-          }
-
-          // Normalization helpers
-          const toNumber = (v) => {
-            const n = Number(v);
-            return Number.isFinite(n) ? n : 0;
-          };
-
-          const normalizeWorker = (w) => ({
-            id: w.id,
-            name: w.name || (w.fullName || 'Unknown'),
-            openingBalance: toNumber(w.openingBalance ?? w.opening_balance ?? 0),
-            // keep other fields untouched
-            ...Object.keys(w).reduce((acc, k) => (['id','name','openingBalance','opening_balance','fullName'].includes(k) ? acc : { ...acc, [k]: w[k] }), {}),
-          });
-
-          const normalizeEntry = (e) => ({
-            id: e.id || Date.now().toString(),
-            workerId: e.workerId || e.worker_id || null,
-            date: e.date || e.day || null,
-            status: ['P','H','A'].includes(e.status) ? e.status : (e.status === 'Half' ? 'H' : (e.status === 'Present' ? 'P' : 'A')),
-            categoryId: e.categoryId ?? e.category_id ?? null,
-            subcategoryId: e.subcategoryId ?? e.subcategory_id ?? null,
-            amount: toNumber(e.amount ?? e.amt ?? 0),
-            narration: e.narration ?? e.notes ?? '',
-            // preserve any other fields
-            ...Object.keys(e).reduce((acc, k) => (['id','workerId','worker_id','date','day','status','categoryId','category_id','subcategoryId','subcategory_id','amount','amt','narration','notes'].includes(k) ? acc : { ...acc, [k]: e[k] }), {}),
-          });
-
-          const normalizePayment = (p) => ({
-            id: p.id || Date.now().toString(),
-            workerId: p.workerId || p.worker_id || null,
-            date: p.date || p.day || null,
-            amount: toNumber(p.amount ?? p.amt ?? 0),
-            paymentType: p.paymentType || p.type || 'Cash',
-            notes: p.notes ?? p.narration ?? '',
-            ...Object.keys(p).reduce((acc, k) => (['id','workerId','worker_id','date','day','amount','amt','paymentType','type','notes','narration'].includes(k) ? acc : { ...acc, [k]: p[k] }), {}),
-          });
-
-          const normalizeSubcategory = (s) => ({
-            id: s.id,
-            subcategoryName: s.subcategoryName || s.subcategory || '',
-            // Ensure categoryIds is an array
-            categoryIds: Array.isArray(s.categoryIds) ? s.categoryIds : (s.categoryId ? [s.categoryId] : []),
-            ...Object.keys(s).reduce((acc, k) => (['id','subcategoryName','subcategory','categoryIds','categoryId'].includes(k) ? acc : { ...acc, [k]: s[k] }), {}),
-          });
+        const parsedData = await loadPersistedState();
+        if (!parsedData) {
+          // First time - just mark as initialized with empty data
+          dispatch({ type: 'SET_ALL', payload: { ...initialState, schemaVersion: CURRENT_SCHEMA_VERSION, isInitialized: true } });
+          return;
+        }
 
-          // Build normalized store with safe defaults
-          const normalized = {
-            workers: Array.isArray(parsedData.workers) ? parsedData.workers.map(normalizeWorker) : [],
-            categories: Array.isArray(parsedData.categories) ? parsedData.categories : [],
-            subcategories: Array.isArray(parsedData.subcategories) ? parsedData.subcategories.map(normalizeSubcategory) : [],
-            entries: Array.isArray(parsedData.entries) ? parsedData.entries.map(normalizeEntry) : [],
-            payments: Array.isArray(parsedData.payments) ? parsedData.payments.map(normalizePayment) : [],
-            openingBalances: parsedData.openingBalances || {},
-            schemaVersion: 1,
-            isInitialized: true,
-          };
+        const migration = await runMigrations(parsedData, { source: 'load', backup: backupBeforeMigration });
+        if (!migration.success) {
+          // Keep going with the last version that migrated cleanly; the failed step retries next launch
+          console.warn('Store migration stopped:', migration.error);
+        }
 
-          // Persist normalized store (overwrite) and load into app
-          try {
-            await AsyncStorage.setItem('globalStore', JSON.stringify(normalized));
-          } catch (writeErr) {
-            console.warn('Failed to write normalized globalStore', writeErr);
-            // If write fails, still dispatch parsedData to avoid blocking the app
-            dispatch({ type: 'SET_ALL', payload: { ...parsedData, isInitialized: true } });
-            return;
+        if (migration.applied.length > 0) {
+          const saved = await savePersistedState(migration.data);
+          if (!saved.success) {
+            console.warn('Failed to write migrated globalStore', saved.error);
           }
-
-          dispatch({ type: 'SET_ALL', payload: normalized });
-        } else {
-          // First time - just mark as initialized with empty data
-          dispatch({ type: 'SET_ALL', payload: { ...initialState, isInitialized: true } });
         }
+
+        dispatch({ type: 'SET_ALL', payload: { ...migration.data, isInitialized: true } });
       } catch (e) {
         console.log('Load error', e);
-        // If error loading, start with empty data
+        // If error loading, start with empty data; persistence refuses to save it over
+        // the stored data it couldn't read until a backup is restored
         dispatch({ type: 'SET_ALL', payload: { ...initialState, isInitialized: true } });
       }
     })();
   }, []);
 
-  // Persist to AsyncStorage on change (only after initialization)
+  // Persist changed chunks on change (only after initialization), debounced so
+  // bursts of dispatches end up as one write
   useEffect(() => {
     if (state.isInitialized) {
-      AsyncStorage.setItem('globalStore', JSON.stringify(state)).catch(e => console.log('Save error', e));
+      schedulePersist(state);
     }
   }, [state]);
 
+  // Delete finished Outbox messages past the retention period, on load and when the setting changes
+  useEffect(() => {
+    if (!state.isInitialized) return;
+    const expired = getExpiredMessages(state);
+    if (expired.length > 0) {
+      console.log(`🧹 Removing ${expired.length} outbox messages past retention`);
+      // Logged, but not something the Undo button should bring back
+      dispatch({
+        type: 'DELETE_DEFERRED_MESSAGES',
+        payload: expired.map(m => m.id),
+        meta: { actor: 'Outbox clean-up', undoable: false },
+      });
+    }
+  }, [state.isInitialized, state.outboxSettings?.retentionDays]);
+
+  // Don't leave a pending write behind when the app is backgrounded or closed
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', nextState => {
+      if (nextState !== 'active') {
+        flushPersist().catch(e => console.log('Save error', e));
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
   // Refresh function to reload data from storage
   const refreshData = async () => {
     try {
-      const data = await AsyncStorage.getItem('globalStore');
-      if (data) {
-        const parsedData = JSON.parse(data);
+      await flushPersist();
+      const parsedData = await loadPersistedState();
+      if (parsedData) {
         dispatch({ type: 'SET_ALL', payload: parsedData });
       }
     } catch (e) {
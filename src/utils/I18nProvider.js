@@ -0,0 +1,48 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_LANGUAGE, normalizeLanguage, translate, formatLocalDate, formatCurrency } from './i18n';
+
+// App language is kept per device, outside the data store and its backups
+const LANGUAGE_KEY = 'appLanguage';
+
+const fallbackContext = {
+  language: DEFAULT_LANGUAGE,
+  setLanguage: async () => {},
+  t: (key, params) => translate(DEFAULT_LANGUAGE, key, params),
+  formatDate: (date, pattern) => formatLocalDate(DEFAULT_LANGUAGE, date, pattern),
+  formatCurrency,
+};
+
+const I18nContext = createContext(fallbackContext);
+
+export function I18nProvider({ children }) {
+  const [language, setLanguageState] = useState(DEFAULT_LANGUAGE);
+
+  useEffect(() => {
+    AsyncStorage.getItem(LANGUAGE_KEY)
+      .then(saved => { if (saved) setLanguageState(normalizeLanguage(saved)); })
+      .catch(e => console.log('Language load error', e));
+  }, []);
+
+  const value = useMemo(() => ({
+    language,
+    setLanguage: async (next) => {
+      const code = normalizeLanguage(next);
+      setLanguageState(code);
+      try {
+        await AsyncStorage.setItem(LANGUAGE_KEY, code);
+      } catch (e) {
+        console.log('Language save error', e);
+      }
+    },
+    t: (key, params) => translate(language, key, params),
+    formatDate: (date, pattern) => formatLocalDate(language, date, pattern),
+    formatCurrency,
+  }), [language]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,123 @@
+import { createAuditedReducer, undoChange, redoChange, newTxId, trimAuditLog } from '../audit';
+
+const reducer = (state, action) => {
+  switch (action.type) {
+    case 'ADD_WORKER':
+      return { ...state, workers: [...state.workers, action.payload] };
+    case 'DELETE_DEFERRED_MESSAGES':
+      return { ...state, deferredMessages: state.deferredMessages.filter(m => !action.payload.includes(m.id)) };
+    default:
+      return state;
+  }
+};
+
+const auditedReducer = createAuditedReducer(reducer, () => 'Test');
+
+// Store stand-in: dispatch runs the audited reducer on `state`
+const createStore = () => {
+  const store = { state: { workers: [], deferredMessages: [{ id: 'm1', status: 'sent' }], auditLog: [] } };
+  store.dispatch = (action) => { store.state = auditedReducer(store.state, action); };
+  return store;
+};
+
+const names = (store) => store.state.workers.map(w => w.name);
+
+describe('undo and redo', () => {
+  it('undoes two changes in a row', () => {
+    const store = createStore();
+    store.dispatch({ type: 'ADD_WORKER', payload: { id: 'w1', name: 'Ravi' } });
+    store.dispatch({ type: 'ADD_WORKER', payload: { id: 'w2', name: 'Suresh' } });
+
+    expect(undoChange(store.state, store.dispatch).success).toBe(true);
+    expect(names(store)).toEqual(['Ravi']);
+
+    expect(undoChange(store.state, store.dispatch).success).toBe(true);
+    expect(names(store)).toEqual([]);
+
+    expect(undoChange(store.state, store.dispatch)).toEqual({ success: false, error: 'Nothing to undo' });
+  });
+
+  it('redoes the undone changes in reverse order of undoing', () => {
+    const store = createStore();
+    store.dispatch({ type: 'ADD_WORKER', payload: { id: 'w1', name: 'Ravi' } });
+    store.dispatch({ type: 'ADD_WORKER', payload: { id: 'w2', name: 'Suresh' } });
+    undoChange(store.state, store.dispatch);
+    undoChange(store.state, store.dispatch);
+
+    expect(redoChange(store.state, store.dispatch).success).toBe(true);
+    expect(names(store)).toEqual(['Ravi']);
+    expect(redoChange(store.state, store.dispatch).success).toBe(true);
+    expect(names(store)).toEqual(['Ravi', 'Suresh']);
+    expect(redoChange(store.state, store.dispatch).success).toBe(false);
+  });
+
+  it('undoes a redone change again', () => {
+    const store = createStore();
+    store.dispatch({ type: 'ADD_WORKER', payload: { id: 'w1', name: 'Ravi' } });
+    undoChange(store.state, store.dispatch);
+    redoChange(store.state, store.dispatch);
+
+    expect(undoChange(store.state, store.dispatch).success).toBe(true);
+    expect(names(store)).toEqual([]);
+  });
+
+  it('drops the redo once a new change is made', () => {
+    const store = createStore();
+    store.dispatch({ type: 'ADD_WORKER', payload: { id: 'w1', name: 'Ravi' } });
+    undoChange(store.state, store.dispatch);
+    store.dispatch({ type: 'ADD_WORKER', payload: { id: 'w2', name: 'Suresh' } });
+
+    expect(redoChange(store.state, store.dispatch)).toEqual({ success: false, error: 'Nothing to redo' });
+  });
+
+  it('passes over automatic clean-up', () => {
+    const store = createStore();
+    store.dispatch({ type: 'ADD_WORKER', payload: { id: 'w1', name: 'Ravi' } });
+    store.dispatch({ type: 'DELETE_DEFERRED_MESSAGES', payload: ['m1'], meta: { undoable: false } });
+
+    expect(store.state.auditLog[store.state.auditLog.length - 1]).toMatchObject({ collection: 'deferredMessages', undoable: false });
+    expect(undoChange(store.state, store.dispatch).success).toBe(true);
+    expect(names(store)).toEqual([]);
+    expect(store.state.deferredMessages).toEqual([]);
+
+    const cleanUpTx = store.state.auditLog.find(r => r.undoable === false).txId;
+    expect(undoChange(store.state, store.dispatch, cleanUpTx).success).toBe(false);
+  });
+
+  it('undoes the change a caller named with meta.txId, even after other changes', () => {
+    const store = createStore();
+    const txId = newTxId();
+    store.dispatch({ type: 'ADD_WORKER', payload: { id: 'w1', name: 'Ravi' }, meta: { txId } });
+    store.dispatch({ type: 'DELETE_DEFERRED_MESSAGES', payload: ['m1'] });
+
+    expect(store.state.auditLog[0].txId).toBe(txId);
+    expect(undoChange(store.state, store.dispatch, txId).success).toBe(true);
+    expect(names(store)).toEqual([]);
+    expect(store.state.deferredMessages).toEqual([]);
+  });
+});
+
+describe('trimAuditLog', () => {
+  const record = (txId, at) => ({ id: `${txId}_${at}`, txId, at, collection: 'workers' });
+  const now = new Date(2024, 5, 15, 12, 0);
+  const limits = { maxAgeDays: 30, maxRecords: 3 };
+
+  it('drops changes older than the age limit', () => {
+    const log = [record('t1', new Date(2024, 3, 1).toISOString()), record('t2', new Date(2024, 5, 1).toISOString())];
+
+    expect(trimAuditLog(log, now, limits).map(r => r.txId)).toEqual(['t2']);
+  });
+
+  it('keeps at most maxRecords, without splitting a transaction', () => {
+    const at = new Date(2024, 5, 10).toISOString();
+    const log = [record('t1', at), record('t2', at), record('t2', `${at}x`), record('t3', at), record('t4', at)];
+
+    expect(trimAuditLog(log, now, limits).map(r => r.txId)).toEqual(['t3', 't4']);
+  });
+
+  it('returns the same log when nothing is over the limits', () => {
+    const log = [record('t1', new Date(2024, 5, 10).toISOString())];
+
+    expect(trimAuditLog(log, now, limits)).toBe(log);
+  });
+});
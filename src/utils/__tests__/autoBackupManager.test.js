@@ -0,0 +1,60 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AutoBackupManager } from '../autoBackupManager';
+import { BackupRestoreManager } from '../backupRestore';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+jest.mock('@react-native-community/netinfo', () =>
+  require('@react-native-community/netinfo/jest/netinfo-mock.js'));
+
+const state = {
+  workers: [{ id: 'w1', name: 'Ravi', openingBalance: 0 }],
+  entries: [{ id: 'e1', workerId: 'w1', date: '2024-03-01', status: 'P', amount: 500 }],
+  payments: [],
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.spyOn(AutoBackupManager, 'isEnabled').mockResolvedValue(true);
+  jest.spyOn(AutoBackupManager, 'getConfiguredTarget').mockResolvedValue({ target: {}, settings: {} });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('auto-backup change detection', () => {
+  it('hashes the content only, not the backup time', () => {
+    const first = BackupRestoreManager.createBackupData(state);
+    const later = { ...first, timestamp: '2099-01-01T00:00:00.000Z' };
+
+    expect(AutoBackupManager.generateDataHash(later)).toBe(AutoBackupManager.generateDataHash(first));
+    expect(AutoBackupManager.generateDataHash(first)).toBe(first.integrity.checksum);
+  });
+
+  it('skips the upload until the data changes', async () => {
+    const uploaded = BackupRestoreManager.createBackupData(state);
+    await AsyncStorage.setItem(AutoBackupManager.STORAGE_KEYS.LAST_DATA_HASH, AutoBackupManager.generateDataHash(uploaded));
+
+    expect(await AutoBackupManager.shouldBackup(state)).toEqual({ should: false, reason: 'no_changes' });
+
+    const edited = { ...state, entries: [{ ...state.entries[0], amount: 550 }] };
+    expect(await AutoBackupManager.shouldBackup(edited)).toEqual({ should: true, reason: 'ready' });
+  });
+});
+
+describe('snapshot list', () => {
+  it('shows the checksum and counts of snapshots this phone uploaded', async () => {
+    const uploaded = BackupRestoreManager.createBackupData(state);
+    const name = AutoBackupManager.getSnapshotName(new Date(2024, 2, 1, 14, 30, 25));
+    await AutoBackupManager.rememberSnapshot(name, uploaded.integrity);
+    const list = jest.fn().mockResolvedValue([{ name, ref: name }, { name: 'hlm_backup_20240201_090000.json', ref: 'x' }]);
+    AutoBackupManager.getConfiguredTarget.mockResolvedValue({ target: { list }, settings: { config: {} } });
+
+    const { snapshots } = await AutoBackupManager.listRemoteBackups();
+
+    expect(snapshots.find(s => s.name === name).integrity).toEqual({
+      checksum: uploaded.integrity.checksum,
+      counts: uploaded.integrity.counts,
+    });
+    expect(snapshots.find(s => s.name !== name).integrity).toBeNull();
+  });
+});
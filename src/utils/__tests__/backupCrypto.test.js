@@ -0,0 +1,30 @@
+import { encryptBackup, decryptBackup } from '../backupCrypto';
+
+const backupData = { version: '1.0', appData: { workers: [{ id: 'w1', name: 'Ravi ₹ राम' }] } };
+
+describe('backup encryption', () => {
+  it('decrypts what it encrypted', async () => {
+    const envelope = await encryptBackup(backupData, 'correct horse');
+    const result = await decryptBackup(JSON.parse(JSON.stringify(envelope)), 'correct horse');
+
+    expect(result).toEqual({ success: true, data: backupData });
+  });
+
+  it('rejects a wrong passphrase', async () => {
+    const envelope = await encryptBackup(backupData, 'correct horse');
+    const result = await decryptBackup(envelope, 'wrong horse');
+
+    expect(result.success).toBe(false);
+    expect(result.wrongPassphrase).toBe(true);
+  });
+
+  it('refuses scrypt costs above what the app writes', async () => {
+    const envelope = await encryptBackup(backupData, 'correct horse');
+    const costly = [{ N: 2 ** 20 }, { r: 32 }, { p: 4 }, { N: '16384' }];
+
+    for (const params of costly) {
+      const result = await decryptBackup({ ...envelope, kdf: { ...envelope.kdf, ...params } }, 'correct horse');
+      expect(result).toEqual({ success: false, error: 'Encrypted backup header is damaged or unsupported' });
+    }
+  });
+});
@@ -0,0 +1,34 @@
+import { getEntryEarning, buildWorkerLedger, countAttendance } from '../ledger';
+import { validateEntry } from '../balance';
+
+const worker = { id: 'w1', name: 'Ravi', openingBalance: 0 };
+
+const halfDayLine = {
+  id: '1', workerId: 'w1', date: '2024-03-04', status: 'H', workType: 'A',
+  categoryId: 'c1', subcategoryId: 's1', amount: 500,
+};
+
+const pieceLine = {
+  id: '2', workerId: 'w1', date: '2024-03-04', status: 'H', workType: 'B',
+  workName: 'Tiles', units: 10, ratePerUnit: 30, amount: 300,
+};
+
+describe('half day + afternoon piece work', () => {
+  it('pays the piece line units × rate whatever its status', () => {
+    expect(getEntryEarning(pieceLine)).toBe(300);
+    expect(getEntryEarning({ ...pieceLine, status: 'P' })).toBe(300);
+  });
+
+  it('pays both lines of the day and counts one half day', () => {
+    const state = { workers: [worker], entries: [halfDayLine, pieceLine], payments: [] };
+    const ledger = buildWorkerLedger('w1', state);
+    expect(ledger.totalEarnings).toBe(550);
+    expect(ledger.currentBalance).toBe(550);
+    expect(countAttendance(state.entries)).toEqual({ present: 0, halfDay: 1, absent: 0, days: 1 });
+  });
+
+  it('accepts the piece line next to the half-day attendance line', () => {
+    const state = { workers: [worker], entries: [halfDayLine], payments: [], closedPeriods: [] };
+    expect(validateEntry(pieceLine, state)).toEqual(expect.objectContaining({ valid: true }));
+  });
+});
@@ -0,0 +1,165 @@
+import { buildMergeDiff, applyMergeDiff, getMergeProblems } from '../mergeBackup';
+import { createAuditedReducer, undoChange } from '../audit';
+import { BackupRestoreManager } from '../backupRestore';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+const worker = { id: 'w1', name: 'Ravi', openingBalance: 0 };
+const categories = [{ id: 'c1', category: 'Masonry' }];
+const subcategories = [{ id: 's1', subcategoryName: 'Plastering', categoryIds: ['c1'] }];
+
+const entry = (id, date, amount) => ({
+  id, workerId: 'w1', date, status: 'P', workType: 'A', categoryId: 'c1', subcategoryId: 's1', amount,
+});
+
+// Audit record as createAuditedReducer writes it
+const audit = (id, at, collection, before, after) => ({
+  id, txId: id, at, actor: 'Test', action: 'TEST', collection,
+  recordId: (after || before).id, workerId: 'w1', before, after, index: null, undoOf: null,
+});
+
+const base = {
+  workers: [worker], categories, subcategories, entries: [entry('e1', '2024-03-01', 500)], payments: [],
+};
+const shared = [audit('a1', '2024-03-01T08:00:00.000Z', 'entries', null, entry('e1', '2024-03-01', 500))];
+const backupTime = '2024-03-05T08:00:00.000Z';
+
+describe('buildMergeDiff', () => {
+  it('keeps an edit made here before the backup time that the other phone never had', () => {
+    const edited = entry('e1', '2024-03-01', 550);
+    const current = {
+      ...base,
+      entries: [edited],
+      auditLog: [...shared, audit('a2', '2024-03-02T08:00:00.000Z', 'entries', base.entries[0], edited)],
+    };
+    const backup = { ...base, auditLog: shared };
+
+    const diff = buildMergeDiff(current, backup, backupTime);
+
+    expect(diff.entries.changed).toEqual([]);
+    expect(diff.entries.conflicts).toEqual([]);
+    expect(applyMergeDiff(current, diff).entries).toEqual([edited]);
+  });
+
+  it('asks when both phones edited the record', () => {
+    const mine = entry('e1', '2024-03-01', 550);
+    const theirs = entry('e1', '2024-03-01', 600);
+    const current = {
+      ...base,
+      entries: [mine],
+      auditLog: [...shared, audit('a2', '2024-03-02T08:00:00.000Z', 'entries', base.entries[0], mine)],
+    };
+    const backup = {
+      ...base,
+      entries: [theirs],
+      auditLog: [...shared, audit('b1', '2024-03-03T08:00:00.000Z', 'entries', base.entries[0], theirs)],
+    };
+
+    const diff = buildMergeDiff(current, backup, backupTime);
+
+    expect(diff.entries.conflicts.map(i => i.id)).toEqual(['e1']);
+    expect(applyMergeDiff(current, diff).entries).toEqual([mine]);
+    expect(applyMergeDiff(current, diff, { 'entries:e1': 'backup' }).entries).toEqual([theirs]);
+  });
+
+  it('lists an update made only on the other phone, and lets this phone keep its version', () => {
+    const theirs = entry('e1', '2024-03-01', 600);
+    const current = { ...base, auditLog: shared };
+    const backup = {
+      ...base,
+      entries: [theirs],
+      auditLog: [...shared, audit('b1', '2024-03-03T08:00:00.000Z', 'entries', base.entries[0], theirs)],
+    };
+
+    const diff = buildMergeDiff(current, backup, backupTime);
+
+    expect(diff.entries.changed.map(i => i.id)).toEqual(['e1']);
+    expect(applyMergeDiff(current, diff).entries).toEqual([theirs]);
+    expect(applyMergeDiff(current, diff, { 'entries:e1': 'local' }).entries).toEqual(base.entries);
+  });
+
+  it('does not list a record added here before the backup time as deleted over there', () => {
+    const added = entry('e2', '2024-03-02', 500);
+    const current = {
+      ...base,
+      entries: [...base.entries, added],
+      auditLog: [...shared, audit('a2', '2024-03-02T08:00:00.000Z', 'entries', null, added)],
+    };
+    const backup = { ...base, auditLog: shared };
+
+    const diff = buildMergeDiff(current, backup, backupTime);
+
+    expect(diff.entries.deleted).toEqual([]);
+    expect(applyMergeDiff(current, diff).entries).toHaveLength(2);
+  });
+});
+
+describe('getMergeProblems', () => {
+  it('flags a second attendance line for the same worker and date, until it is skipped', () => {
+    const mine = entry('e2', '2024-03-04', 500);
+    const theirs = entry('e3', '2024-03-04', 500);
+    const current = {
+      ...base,
+      entries: [...base.entries, mine],
+      auditLog: [...shared, audit('a2', '2024-03-04T08:00:00.000Z', 'entries', null, mine)],
+    };
+    const backup = {
+      ...base,
+      entries: [...base.entries, theirs],
+      auditLog: [...shared, audit('b1', '2024-03-04T09:00:00.000Z', 'entries', null, theirs)],
+    };
+    const diff = buildMergeDiff(current, backup, backupTime);
+
+    const problems = getMergeProblems(current, diff);
+    expect(problems).toHaveLength(1);
+    expect(problems[0]).toMatchObject({ collection: 'entries', bucket: 'new', item: { id: 'e3' } });
+    expect(problems[0].error).toBe('Attendance already recorded for this worker and date');
+
+    expect(getMergeProblems(current, diff, { 'entries:e3': 'local' })).toEqual([]);
+  });
+
+  it('flags payments from the backup that are not valid', () => {
+    const payment = { id: 'p1', workerId: 'w1', date: '2024-03-04', amount: 0, paymentType: 'Cash' };
+    const current = { ...base, auditLog: shared };
+    const backup = { ...base, payments: [payment], auditLog: shared };
+
+    const problems = getMergeProblems(current, buildMergeDiff(current, backup, backupTime));
+
+    expect(problems.map(p => [p.collection, p.item.id])).toEqual([['payments', 'p1']]);
+  });
+});
+
+describe('BackupRestoreManager.mergeBackup', () => {
+  // Store stand-in with the MERGE_RECORDS case of GlobalStore's reducer
+  const auditedReducer = createAuditedReducer((state, action) => (action.type === 'MERGE_RECORDS'
+    ? applyMergeDiff(state, action.payload.diff, action.payload.resolutions)
+    : state));
+
+  it('logs the merged records as one change that can be undone', async () => {
+    const theirs = entry('e1', '2024-03-01', 600);
+    const added = entry('e2', '2024-03-02', 500);
+    const store = { state: { ...base, auditLog: shared } };
+    store.dispatch = jest.fn((action) => { store.state = auditedReducer(store.state, action); });
+    const backup = {
+      ...base,
+      entries: [theirs, added],
+      auditLog: [...shared, audit('b1', '2024-03-03T08:00:00.000Z', 'entries', base.entries[0], theirs)],
+    };
+    const diff = buildMergeDiff(store.state, backup, backupTime);
+
+    expect(await BackupRestoreManager.mergeBackup(store.state, diff, {}, store.dispatch)).toEqual({ success: true });
+
+    expect(store.dispatch).toHaveBeenCalledWith(expect.objectContaining({ type: 'MERGE_RECORDS' }));
+    expect(store.state.entries).toEqual([theirs, added]);
+    const merged = store.state.auditLog.slice(shared.length);
+    expect(merged.map(r => [r.recordId, r.action, r.actor])).toEqual([
+      ['e1', 'MERGE_RECORDS', 'Backup merge'],
+      ['e2', 'MERGE_RECORDS', 'Backup merge'],
+    ]);
+    expect(new Set(merged.map(r => r.txId)).size).toBe(1);
+
+    expect(undoChange(store.state, store.dispatch).success).toBe(true);
+    expect(store.state.entries).toEqual(base.entries);
+  });
+});
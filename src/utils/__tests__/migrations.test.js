@@ -0,0 +1,118 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { runMigrations, getPendingMigrations, CURRENT_SCHEMA_VERSION } from '../migrations';
+import { backupBeforeMigration } from '../persistence';
+import { getExpiredMessages } from '../outbox';
+import storeV0 from './fixtures/store-v0.json';
+import storeV3 from './fixtures/store-v3.json';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+beforeEach(() => AsyncStorage.clear());
+
+describe('runMigrations', () => {
+  it('brings a v0 store to the current version', async () => {
+    const result = await runMigrations(storeV0);
+
+    expect(result.success).toBe(true);
+    expect(result.data.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(result.applied.map(a => a.version)).toEqual([1, 2, 3, 4, 5]);
+    expect(result.data.migrationHistory).toHaveLength(CURRENT_SCHEMA_VERSION);
+    expect(getPendingMigrations(result.data)).toEqual([]);
+  });
+
+  it('normalises the legacy field names', async () => {
+    const { data } = await runMigrations(storeV0);
+
+    expect(data.workers[0]).toMatchObject({ id: 'w1', name: 'Ravi Kumar', openingBalance: 250 });
+    expect(data.entries.map(e => [e.workerId, e.date, e.status, e.amount])).toEqual([
+      ['w1', '2023-11-06', 'P', 600],
+      ['w1', '2023-11-07', 'H', 300],
+    ]);
+    expect(data.entries[0].narration).toBe('Ground floor');
+    expect(data.payments[0]).toMatchObject({ workerId: 'w1', amount: 500, paymentType: 'UPI', notes: 'Advance' });
+    expect(data.subcategories[0].categoryIds).toEqual(['c1']);
+  });
+
+  it('only runs the steps after the stored version', async () => {
+    const result = await runMigrations(storeV3, { source: 'restore' });
+
+    expect(result.applied.map(a => a.version)).toEqual([4, 5]);
+    expect(result.applied.every(a => a.source === 'restore')).toBe(true);
+    expect(result.data.migrationHistory).toHaveLength(5);
+    expect(result.data.outboxSettings).toBeDefined();
+    expect(result.data.contactSettings).toBeDefined();
+  });
+
+  it('moves old outbox statuses to the message lifecycle, with old sent messages finished', async () => {
+    const { data } = await runMigrations(storeV0);
+    const byId = Object.fromEntries(data.deferredMessages.map(m => [m.id, m]));
+
+    expect(byId.m1.status).toBe('queued');
+    expect(byId.m2).toMatchObject({ status: 'sent', sentAt: '2023-11-08T10:05:00.000Z', openedVia: 'whatsapp', attempts: 1 });
+    expect(byId.m3).toMatchObject({ status: 'sent', sentAt: '2023-11-07T09:00:00.000Z', openedAt: null });
+    expect(byId.m4.status).toBe('cancelled');
+  });
+
+  it('lets retention clear old sent messages, including those without a sent time', async () => {
+    const { data } = await runMigrations(storeV0);
+    const expired = getExpiredMessages(data, new Date('2024-01-01T00:00:00.000Z'));
+
+    expect(expired.map(m => m.id).sort()).toEqual(['m2', 'm3', 'm4']);
+  });
+
+  it('refuses data from a newer app version', async () => {
+    const result = await runMigrations({ ...storeV3, schemaVersion: CURRENT_SCHEMA_VERSION + 1 });
+
+    expect(result.success).toBe(false);
+    expect(result.applied).toEqual([]);
+  });
+
+  it('calls the backup hook before each step, with the data as it was', async () => {
+    const backup = jest.fn();
+    const { applied } = await runMigrations(storeV0, { backup });
+
+    expect(backup.mock.calls.map(([, step]) => step.version)).toEqual([1, 2, 3, 4, 5]);
+    expect(backup.mock.calls[0][0]).toBe(storeV0);
+    expect(backup.mock.calls[2][0].schemaVersion).toBe(2);
+    expect(applied).toHaveLength(5);
+  });
+
+  it('stops at the last migrated version when a backup fails', async () => {
+    const backup = jest.fn(async (data, step) => {
+      if (step.version === 3) throw new Error('Storage full');
+    });
+    const result = await runMigrations(storeV0, { backup });
+
+    expect(result.success).toBe(false);
+    expect(result.data.schemaVersion).toBe(2);
+    expect(result.applied.map(a => a.version)).toEqual([1, 2]);
+  });
+
+  it('does not call the backup hook when nothing is pending', async () => {
+    const { data } = await runMigrations(storeV0);
+    const backup = jest.fn();
+    await runMigrations(data, { backup });
+
+    expect(backup).not.toHaveBeenCalled();
+  });
+});
+
+describe('backupBeforeMigration', () => {
+  it('keeps a copy from before each step, and earlier copies', async () => {
+    await AsyncStorage.setItem('globalStore_backup_v0_1700000000000', '{}');
+    await AsyncStorage.setItem('globalStore_backup_1700000000002', '{}');
+
+    await runMigrations(storeV3, { backup: backupBeforeMigration });
+
+    const keys = await AsyncStorage.getAllKeys();
+    const migrationCopies = keys.filter(k => /^globalStore_backup_v\d+_/.test(k)).sort();
+    expect(migrationCopies).toHaveLength(3);
+    expect(migrationCopies[0]).toBe('globalStore_backup_v0_1700000000000');
+    expect(migrationCopies[1]).toMatch(/^globalStore_backup_v3_/);
+    expect(migrationCopies[2]).toMatch(/^globalStore_backup_v4_/);
+    expect(JSON.parse(await AsyncStorage.getItem(migrationCopies[1]))).toEqual(storeV3);
+    expect(JSON.parse(await AsyncStorage.getItem(migrationCopies[2])).schemaVersion).toBe(4);
+    expect(keys).toContain('globalStore_backup_1700000000002');
+  });
+});
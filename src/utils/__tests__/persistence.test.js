@@ -0,0 +1,108 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { loadPersistedState, savePersistedState, resetPersistedCache } from '../persistence';
+import { BackupRestoreManager } from '../backupRestore';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+const state = {
+  workers: [{ id: 'w1', name: 'Ravi' }],
+  entries: [
+    { id: 'e1', workerId: 'w1', date: '2024-02-10', status: 'P', amount: 500 },
+    { id: 'e2', workerId: 'w1', date: '2024-03-04', status: 'P', amount: 500 },
+  ],
+  payments: [],
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  resetPersistedCache();
+});
+
+describe('missing store chunks', () => {
+  it('fails the load and keeps the stored copy untouched', async () => {
+    await savePersistedState(state);
+    const keys = await AsyncStorage.getAllKeys();
+    const februaryKey = keys.find(k => k.includes('entries') && k.includes('2024-02'));
+    await AsyncStorage.removeItem(februaryKey);
+    const before = await AsyncStorage.multiGet(await AsyncStorage.getAllKeys());
+
+    await expect(loadPersistedState()).rejects.toThrow('2024-02');
+
+    const saved = await savePersistedState({ ...state, entries: [state.entries[1]] });
+    expect(saved.success).toBe(false);
+    expect(await AsyncStorage.multiGet(await AsyncStorage.getAllKeys())).toEqual(before);
+  });
+
+  it('saves again once a restore replaces the store', async () => {
+    await savePersistedState(state);
+    const keys = await AsyncStorage.getAllKeys();
+    await AsyncStorage.removeItem(keys.find(k => k.includes('entries') && k.includes('2024-02')));
+    await expect(loadPersistedState()).rejects.toThrow();
+
+    expect((await savePersistedState(state, { replace: true })).success).toBe(true);
+    resetPersistedCache();
+    expect((await loadPersistedState()).entries).toHaveLength(2);
+  });
+});
+
+describe('damaged store data', () => {
+  const storedCopy = async () => AsyncStorage.multiGet(await AsyncStorage.getAllKeys());
+
+  it('blocks saving when a chunk is not valid JSON', async () => {
+    await savePersistedState(state);
+    const keys = await AsyncStorage.getAllKeys();
+    await AsyncStorage.setItem(keys.find(k => k.includes('entries') && k.includes('2024-03')), '[{"id":');
+    const before = await storedCopy();
+
+    await expect(loadPersistedState()).rejects.toThrow('entries/2024-03');
+
+    // What GlobalStore does after a failed load: start empty and persist
+    expect((await savePersistedState({ workers: [], entries: [], payments: [] })).success).toBe(false);
+    expect(await storedCopy()).toEqual(before);
+  });
+
+  it('blocks saving when the manifest is not valid JSON', async () => {
+    await savePersistedState(state);
+    await AsyncStorage.setItem('hlmStore:manifest', '{"format":1,"chunks":');
+    const before = await storedCopy();
+
+    await expect(loadPersistedState()).rejects.toThrow();
+
+    expect((await savePersistedState({ workers: [], entries: [], payments: [] })).success).toBe(false);
+    expect(await storedCopy()).toEqual(before);
+  });
+
+  it('restores a backup over a blocked store, keeping a raw copy of what was there', async () => {
+    await savePersistedState(state);
+    const keys = await AsyncStorage.getAllKeys();
+    const februaryKey = keys.find(k => k.includes('entries') && k.includes('2024-02'));
+    await AsyncStorage.removeItem(februaryKey);
+    const damaged = Object.fromEntries(await storedCopy());
+    await expect(loadPersistedState()).rejects.toThrow();
+
+    const dispatch = jest.fn();
+    const result = await BackupRestoreManager.restoreBackup(BackupRestoreManager.createBackupData(state).appData, dispatch);
+
+    expect(result).toEqual({ success: true });
+    expect(dispatch).toHaveBeenCalledWith(expect.objectContaining({ type: 'SET_ALL' }));
+    const rawKey = (await AsyncStorage.getAllKeys()).find(k => k.startsWith('globalStore_raw_pre_restore_'));
+    expect(JSON.parse(await AsyncStorage.getItem(rawKey))).toEqual(damaged);
+
+    resetPersistedCache();
+    expect((await loadPersistedState()).entries).toHaveLength(2);
+    expect((await savePersistedState(state)).success).toBe(true);
+  });
+});
+
+describe('record dates', () => {
+  it('files records with an invalid date as undated instead of failing the save', async () => {
+    const saved = await savePersistedState({
+      ...state,
+      entries: [...state.entries, { id: 'e3', workerId: 'w1', date: new Date('not a date'), status: 'P' }],
+    });
+    expect(saved.success).toBe(true);
+    resetPersistedCache();
+    expect((await loadPersistedState()).entries).toHaveLength(3);
+  });
+});
@@ -0,0 +1,57 @@
+import { normalizePhone, formatPhone, getWorkerPhone } from '../phone';
+
+const e164 = (phone, country) => normalizePhone(phone, country).e164;
+
+describe('normalizePhone', () => {
+  it('reads local numbers as numbers of the default country', () => {
+    expect(e164('9845012345')).toBe('+919845012345');
+    expect(e164('098450 12345')).toBe('+919845012345');
+    expect(e164('98450-12345')).toBe('+919845012345');
+    expect(e164('050 123 4567', 'AE')).toBe('+971501234567');
+  });
+
+  it('takes the country code typed without a + or 00', () => {
+    expect(e164('919845012345')).toBe('+919845012345');
+  });
+
+  it('reads numbers starting with + or 00 as international', () => {
+    expect(e164('+91 98450-12345')).toBe('+919845012345');
+    expect(e164('0091 9845012345')).toBe('+919845012345');
+    expect(e164('+977 981 2345678')).toBe('+9779812345678');
+    expect(e164('00971 50 123 4567', 'IN')).toBe('+971501234567');
+    // Countries not in PHONE_COUNTRIES only get the E.164 length check
+    expect(e164('+49 151 23456789')).toBe('+4915123456789');
+  });
+
+  it('rejects invalid input with a code for the screens', () => {
+    expect(normalizePhone('')).toMatchObject({ valid: false, code: 'missing', e164: null });
+    expect(normalizePhone(null).code).toBe('missing');
+    expect(normalizePhone('98450abc45').code).toBe('invalid');
+    expect(normalizePhone('+91 98450+12345').code).toBe('invalid');
+    expect(normalizePhone('98450123').code).toBe('tooShort');
+    expect(normalizePhone('+91 98450123456').code).toBe('tooLong');
+    expect(normalizePhone('5845012345').code).toBe('notMobile');
+    expect(normalizePhone('+49 1512').code).toBe('tooShort');
+    expect(normalizePhone('+49 1512 3456 7890 1234').code).toBe('tooLong');
+  });
+});
+
+describe('formatPhone', () => {
+  it('puts a space after known country codes and leaves invalid numbers as typed', () => {
+    expect(formatPhone('098450 12345')).toBe('+91 9845012345');
+    expect(formatPhone('12345')).toBe('12345');
+  });
+});
+
+describe('getWorkerPhone', () => {
+  const worker = { id: 'w1', phone: '9845012345', whatsappPhone: '9900112233' };
+
+  it('uses the WhatsApp number for WhatsApp and the main phone for SMS', () => {
+    expect(getWorkerPhone(worker, 'whatsapp')).toMatchObject({ e164: '+919900112233', source: 'whatsappPhone' });
+    expect(getWorkerPhone(worker, 'sms')).toMatchObject({ e164: '+919845012345', source: 'phone' });
+  });
+
+  it('falls back to the main phone when the WhatsApp number is not usable', () => {
+    expect(getWorkerPhone({ ...worker, whatsappPhone: '123' }, 'whatsapp')).toMatchObject({ e164: '+919845012345', source: 'phone' });
+  });
+});
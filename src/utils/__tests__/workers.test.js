@@ -0,0 +1,42 @@
+import { deleteWorkerRecords } from '../workers';
+import { buildWorkerLedger } from '../ledger';
+
+const state = {
+  workers: [
+    { id: 'w1', name: 'Ravi', openingBalance: 1000 },
+    { id: 'w2', name: 'Ravi K', openingBalance: 200 },
+  ],
+  entries: [
+    { id: 'e1', workerId: 'w1', date: '2024-03-01', status: 'P', workType: 'A', amount: 500 },
+    { id: 'e2', workerId: 'w2', date: '2024-03-02', status: 'P', workType: 'A', amount: 500 },
+  ],
+  payments: [{ id: 'p1', workerId: 'w1', date: '2024-03-03', amount: 300, paymentType: 'Cash' }],
+  deferredMessages: [],
+  openingBalances: {},
+};
+
+describe('deleteWorkerRecords', () => {
+  it('moves the deleted worker\'s opening balance and records to the worker taking over', () => {
+    const before = buildWorkerLedger('w1', state).closingBalance + buildWorkerLedger('w2', state).closingBalance;
+
+    const next = deleteWorkerRecords(state, 'w1', 'w2');
+
+    expect(next.workers).toEqual([{ id: 'w2', name: 'Ravi K', openingBalance: 1200 }]);
+    expect(buildWorkerLedger('w2', next).closingBalance).toBe(before);
+    expect(buildWorkerLedger('w2', next).closingBalance).toBe(1200 + 1000 - 300);
+  });
+
+  it('merges the older opening balance map as well', () => {
+    const next = deleteWorkerRecords({ ...state, openingBalances: { w1: 50, w2: 20 } }, 'w1', 'w2');
+
+    expect(next.openingBalances).toEqual({ w2: 70 });
+  });
+
+  it('drops the opening balance with the records when nothing is reassigned', () => {
+    const next = deleteWorkerRecords(state, 'w1');
+
+    expect(next.workers).toEqual([state.workers[1]]);
+    expect(next.entries.map(e => e.id)).toEqual(['e2']);
+    expect(next.payments).toEqual([]);
+  });
+});
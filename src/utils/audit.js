@@ -0,0 +1,407 @@
+import { isDateLocked } from './payPeriods';
+
+/**
+ * Audit trail and undo.
+ * Every data-changing action is diffed against the previous state and appended
+ * to `state.auditLog` as one record per changed record:
+ *   { id, txId, at, actor, action, collection, recordId, workerId, before, after, index, undoOf, undoable }
+ * `before` is null for additions and `after` is null for deletions. All records
+ * of one dispatch share a `txId`; undo reverts a whole transaction and is
+ * itself logged (action 'UNDO' / 'REDO', `undoOf` = reverted txId).
+ * Automatic changes (e.g. Outbox retention) dispatch with `meta.undoable: false`:
+ * they are logged, but undo and redo pass over them.
+ * The log travels in every backup, so after a successful backup it is trimmed
+ * (TRIM_AUDIT_LOG) to AUDIT_LOG_LIMITS; trimmed changes can no longer be undone.
+ */
+
+export const AUDITED_COLLECTIONS = [
+  'workers', 'categories', 'subcategories', 'workItems', 'sites',
+  'entries', 'payments', 'deferredMessages', 'messageTemplates', 'openingBalances',
+  'payPeriodSettings', 'closedPeriods', 'overtimeSettings', 'outboxSettings', 'contactSettings',
+];
+
+// Collections stored as { key: value } rather than arrays of records with ids
+const KEYED_COLLECTIONS = ['openingBalances', 'payPeriodSettings', 'overtimeSettings', 'outboxSettings', 'contactSettings'];
+
+// Whole-state loads (startup, refresh, restore) are not user edits; trimming only touches the log
+const UNAUDITED_ACTIONS = ['SET_ALL', 'REFRESH_DATA', 'TRIM_AUDIT_LOG'];
+
+// What trimAuditLog keeps: changes from the last maxAgeDays, at most maxRecords of them
+export const AUDIT_LOG_LIMITS = { maxAgeDays: 180, maxRecords: 5000 };
+
+export const COLLECTION_LABELS = {
+  workers: 'Worker',
+  categories: 'Category',
+  subcategories: 'Subcategory',
+  workItems: 'Piece work item',
+  sites: 'Site',
+  entries: 'Entry',
+  payments: 'Payment',
+  deferredMessages: 'Message',
+  messageTemplates: 'Message template',
+  openingBalances: 'Opening balance',
+  payPeriodSettings: 'Pay period setting',
+  closedPeriods: 'Closed period',
+  overtimeSettings: 'Overtime setting',
+  outboxSettings: 'Outbox setting',
+  contactSettings: 'Contact setting',
+};
+
+const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+const workerIdOf = (collection, recordId, record) => {
+  if (collection === 'workers') return recordId;
+  if (collection === 'openingBalances') return recordId;
+  return record?.workerId || null;
+};
+
+/**
+ * New transaction ID. Screens that offer Undo for an action pass one in `meta.txId`
+ * so the Undo undoes that action, not whatever was dispatched last.
+ * @returns {string} Transaction ID
+ */
+export function newTxId() {
+  return `${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+}
+
+/**
+ * Record-level changes of one collection between two states
+ * @param {string} collection - State key
+ * @param {*} before - Previous value
+ * @param {*} after - Next value
+ * @returns {Array} [{ recordId, before, after, index }]
+ */
+export function diffCollection(collection, before, after) {
+  if (before === after) return [];
+
+  if (Array.isArray(before) || Array.isArray(after)) {
+    const prev = Array.isArray(before) ? before : [];
+    const next = Array.isArray(after) ? after : [];
+    const prevById = new Map(prev.map((r, index) => [r?.id, { record: r, index }]));
+    const nextById = new Map(next.map(r => [r?.id, r]));
+    const changes = [];
+    prev.forEach((record, index) => {
+      if (!nextById.has(record?.id)) {
+        changes.push({ recordId: record?.id ?? null, before: record, after: null, index });
+      }
+    });
+    next.forEach(record => {
+      const old = prevById.get(record?.id);
+      if (!old) {
+        changes.push({ recordId: record?.id ?? null, before: null, after: record, index: null });
+      } else if (old.record !== record && !same(old.record, record)) {
+        changes.push({ recordId: record?.id ?? null, before: old.record, after: record, index: old.index });
+      }
+    });
+    return changes;
+  }
+
+  // Keyed objects (opening balances, settings): one change per key
+  const prev = before || {};
+  const next = after || {};
+  return [...new Set([...Object.keys(prev), ...Object.keys(next)])]
+    .filter(key => !same(prev[key], next[key]))
+    .map(key => ({
+      recordId: key,
+      before: key in prev ? prev[key] : null,
+      after: key in next ? next[key] : null,
+      index: null
+    }));
+}
+
+/**
+ * Audit records for one dispatch
+ * @param {Object} prevState - State before the action
+ * @param {Object} nextState - State after the action
+ * @param {Object} action - Dispatched action
+ * @param {Object} context - { txId, at, actor }
+ * @returns {Array} Audit records
+ */
+export function buildAuditRecords(prevState, nextState, action, context) {
+  const records = [];
+  AUDITED_COLLECTIONS.forEach(collection => {
+    diffCollection(collection, prevState[collection], nextState[collection]).forEach(change => {
+      records.push({
+        id: `${context.txId}_${records.length}`,
+        txId: context.txId,
+        at: context.at,
+        actor: context.actor,
+        action: action.type,
+        collection,
+        recordId: change.recordId,
+        workerId: workerIdOf(collection, change.recordId, change.after || change.before),
+        before: change.before,
+        after: change.after,
+        index: change.index,
+        undoOf: action.meta?.undoOf || null,
+        undoable: action.meta?.undoable !== false,
+      });
+    });
+  });
+  return records;
+}
+
+/**
+ * Records of one transaction, in the order they were logged
+ * @param {Array} auditLog - state.auditLog
+ * @param {string} txId - Transaction ID
+ * @returns {Array} Audit records
+ */
+export function getTransactionRecords(auditLog, txId) {
+  return (auditLog || []).filter(r => r.txId === txId);
+}
+
+/**
+ * Drop the oldest audit records beyond AUDIT_LOG_LIMITS.
+ * Only whole transactions are dropped, oldest first, so an UNDO is never kept
+ * without the change it reverted. The age cutoff is a day boundary, so trimming
+ * again on the same day removes nothing new.
+ * @param {Array} auditLog - state.auditLog
+ * @param {Date} now - Current time
+ * @param {Object} limits - { maxAgeDays, maxRecords }
+ * @returns {Array} Trimmed log (the same array when nothing is dropped)
+ */
+export function trimAuditLog(auditLog, now = new Date(), limits = AUDIT_LOG_LIMITS) {
+  const log = auditLog || [];
+  const cutoff = new Date(now.getFullYear(), now.getMonth(), now.getDate() - limits.maxAgeDays).toISOString();
+  let start = Math.max(0, log.length - limits.maxRecords);
+  while (start < log.length && log[start].at < cutoff) start++;
+  // Don't keep the tail of a transaction cut in the middle
+  while (start > 0 && start < log.length && log[start].txId === log[start - 1].txId) start++;
+  return start === 0 ? log : log.slice(start);
+}
+
+// Put the `before` side of each record back, last change first
+function revertRecords(state, records) {
+  const next = { ...state };
+  [...records].reverse().forEach(({ collection, recordId, before, after, index }) => {
+    const current = next[collection];
+    if (!KEYED_COLLECTIONS.includes(collection)) {
+      const list = Array.isArray(current) ? current : [];
+      if (after && !before) {
+        next[collection] = list.filter(r => r.id !== recordId);
+      } else if (before && !after) {
+        const at = Math.min(index ?? list.length, list.length);
+        next[collection] = [...list.slice(0, at), before, ...list.slice(at)];
+      } else {
+        next[collection] = list.map(r => (r.id === recordId ? before : r));
+      }
+    } else {
+      const obj = { ...(current || {}) };
+      if (before === null) delete obj[recordId];
+      else obj[recordId] = before;
+      next[collection] = obj;
+    }
+  });
+  return next;
+}
+
+// One record per transaction, latest first
+function transactionsLatestFirst(auditLog) {
+  const seen = new Set();
+  const txs = [];
+  const log = auditLog || [];
+  for (let i = log.length - 1; i >= 0; i--) {
+    if (!seen.has(log[i].txId)) {
+      seen.add(log[i].txId);
+      txs.push(log[i]);
+    }
+  }
+  return txs;
+}
+
+/**
+ * Transaction the Undo button acts on: the latest change that is not undone.
+ * A change counts as undone when an UNDO reverted it and no REDO has reverted that UNDO since.
+ * @param {Array} auditLog - state.auditLog
+ * @returns {string|null} txId
+ */
+export function getLastUndoableTxId(auditLog) {
+  const reverted = new Set();
+  for (const tx of transactionsLatestFirst(auditLog)) {
+    if (reverted.has(tx.txId) || tx.undoable === false) continue;
+    if (tx.action === 'UNDO' || tx.action === 'REDO') {
+      reverted.add(tx.undoOf);
+    } else {
+      return tx.txId;
+    }
+  }
+  return null;
+}
+
+/**
+ * Transaction the Redo button acts on: the latest undo that is not redone yet,
+ * as long as no other change was made after it
+ * @param {Array} auditLog - state.auditLog
+ * @returns {string|null} txId of the undo to revert
+ */
+export function getRedoableTxId(auditLog) {
+  const redone = new Set();
+  for (const tx of transactionsLatestFirst(auditLog)) {
+    if (redone.has(tx.txId) || tx.undoable === false) continue;
+    if (tx.action === 'UNDO') return tx.txId;
+    if (tx.action !== 'REDO') return null;
+    redone.add(tx.undoOf);
+  }
+  return null;
+}
+
+/**
+ * Check that a transaction can still be reverted
+ * @param {Object} state - Global state
+ * @param {string} txId - Transaction ID
+ * @returns {Object} { valid: boolean, error: string }
+ */
+export function canUndo(state, txId) {
+  const records = getTransactionRecords(state.auditLog, txId);
+  if (records.length === 0) {
+    return { valid: false, error: 'Nothing to undo' };
+  }
+  if (records[0].undoable === false) {
+    return { valid: false, error: 'Automatic clean-up can\'t be undone' };
+  }
+  for (const record of records) {
+    const current = KEYED_COLLECTIONS.includes(record.collection)
+      ? (state[record.collection] || {})[record.recordId] ?? null
+      : (state[record.collection] || []).find(r => r.id === record.recordId) || null;
+    if (!same(current, record.after)) {
+      return { valid: false, error: `${COLLECTION_LABELS[record.collection] || 'Record'} was changed again later; undo the later change first` };
+    }
+    // Entries and payments in a closed pay period stay as they are
+    const dated = [record.before, record.after].filter(r => r && r.date && ['entries', 'payments'].includes(record.collection));
+    if (dated.some(r => isDateLocked(state, r.date))) {
+      return { valid: false, error: 'This change is inside a closed pay period' };
+    }
+  }
+  return { valid: true, error: null };
+}
+
+/**
+ * Wrap a reducer so data changes are logged and UNDO / REDO can revert them.
+ * UNDO takes an optional txId (default: last undoable transaction); REDO reverts the last undo
+ * that is not redone yet.
+ * Actions may pass `meta.actor` to name who made the change, `meta.txId` (from newTxId) to
+ * know the transaction for a later undo, and `meta.undoable: false` for automatic changes.
+ * @param {Function} reducer - Plain store reducer
+ * @param {Function} getActor - Returns the default actor name
+ * @returns {Function} Audited reducer
+ */
+export function createAuditedReducer(reducer, getActor = () => 'App') {
+  return (state, action) => {
+    let nextState;
+    let logged = action;
+
+    if (action.type === 'UNDO' || action.type === 'REDO') {
+      const txId = action.type === 'REDO'
+        ? getRedoableTxId(state.auditLog)
+        : (action.payload || getLastUndoableTxId(state.auditLog));
+      if (!txId) return state;
+      nextState = revertRecords(state, getTransactionRecords(state.auditLog, txId));
+      logged = { ...action, type: action.type === 'REDO' ? 'REDO' : 'UNDO', meta: { ...action.meta, undoOf: txId } };
+    } else {
+      nextState = reducer(state, action);
+    }
+
+    if (nextState === state || UNAUDITED_ACTIONS.includes(action.type)) {
+      return nextState;
+    }
+
+    const at = new Date().toISOString();
+    const records = buildAuditRecords(state, nextState, logged, {
+      txId: (action.type !== 'UNDO' && action.type !== 'REDO' && action.meta?.txId) || newTxId(),
+      at,
+      actor: action.meta?.actor || getActor(),
+    });
+    if (records.length === 0) return nextState;
+    return { ...nextState, auditLog: [...(state.auditLog || []), ...records] };
+  };
+}
+
+/**
+ * Audit records touching a worker (their own record, entries, payments, opening balance)
+ * @param {Array} auditLog - state.auditLog
+ * @param {string} workerId - Worker ID
+ * @returns {Array} Latest first
+ */
+export function getWorkerAuditHistory(auditLog, workerId) {
+  return (auditLog || []).filter(r => r.workerId === workerId).reverse();
+}
+
+/**
+ * Audit records of one record (e.g. a ledger transaction)
+ * @param {Array} auditLog - state.auditLog
+ * @param {string} collection - State key, e.g. 'entries'
+ * @param {string} recordId - Record ID
+ * @returns {Array} Latest first
+ */
+export function getRecordAuditHistory(auditLog, collection, recordId) {
+  return (auditLog || []).filter(r => r.collection === collection && r.recordId === recordId).reverse();
+}
+
+/**
+ * One-line description of an audit record
+ * @param {Object} record - Audit record
+ * @returns {string} e.g. "Deleted Entry 2024-03-01 ₹500"
+ */
+export function describeAuditRecord(record) {
+  const verb = record.action === 'UNDO' ? 'Undid change to'
+    : record.action === 'REDO' ? 'Redid change to'
+    : !record.before ? 'Added'
+    : !record.after ? 'Deleted'
+    : 'Changed';
+  const label = COLLECTION_LABELS[record.collection] || record.collection;
+  const value = record.after || record.before;
+  const detail = typeof value === 'object' && value !== null
+    ? [value.name || value.category || value.subcategoryName || value.subcategory, value.date, value.amount != null ? `₹${value.amount}` : null]
+        .filter(Boolean).join(' ')
+    : `${record.recordId}: ${record.before ?? '-'} → ${record.after ?? '-'}`;
+  return `${verb} ${label}${detail ? ` ${detail}` : ''}`;
+}
+
+/**
+ * Fields that differ between the before and after side of an update
+ * @param {Object} record - Audit record
+ * @returns {Array} [{ field, before, after }]
+ */
+export function getChangedFields(record) {
+  const { before, after } = record;
+  if (!before || !after || typeof before !== 'object' || typeof after !== 'object') return [];
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => !same(before[field], after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+}
+
+/**
+ * Undo a transaction (default: the last change) after checking it can be reverted
+ * @param {Object} state - Global state
+ * @param {Function} dispatch - Store dispatch
+ * @param {string|null} txId - Transaction to undo
+ * @returns {Object} { success: boolean, error: string }
+ */
+export function undoChange(state, dispatch, txId = null) {
+  const target = txId || getLastUndoableTxId(state.auditLog);
+  const check = canUndo(state, target);
+  if (!check.valid) {
+    return { success: false, error: check.error };
+  }
+  dispatch({ type: 'UNDO', payload: target });
+  console.log('↩️ Undid transaction', target);
+  return { success: true, error: null };
+}
+
+/**
+ * Redo the last undo that is not redone yet
+ * @param {Object} state - Global state
+ * @param {Function} dispatch - Store dispatch
+ * @returns {Object} { success: boolean, error: string }
+ */
+export function redoChange(state, dispatch) {
+  const target = getRedoableTxId(state.auditLog);
+  const check = target ? canUndo(state, target) : { valid: false, error: 'Nothing to redo' };
+  if (!check.valid) {
+    return { success: false, error: check.error };
+  }
+  dispatch({ type: 'REDO' });
+  console.log('↪️ Redid transaction', target);
+  return { success: true, error: null };
+}
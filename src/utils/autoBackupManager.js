@@ -1,28 +1,25 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import NetInfo from '@react-native-community/netinfo';
+import { format, parse, isValid } from 'date-fns';
 import { BackupRestoreManager } from './backupRestore';
-import { GITHUB_TOKEN, BACKUP_REPO_OWNER, BACKUP_REPO_NAME } from '@env';
+import { getBackupTarget, loadTargetSettings, DEFAULT_RETENTION } from './backupTargets';
+import { computeChecksum } from './backupIntegrity';
 
 /**
- * Auto-Backup Manager for GitHub integration
+ * Auto-Backup Manager
+ * Uploads dated snapshots to the target configured in Settings (GitHub, WebDAV or a
+ * folder on the phone, see backupTargets.js) and prunes old ones.
  * Completely separate from existing backup system
  * Safe - will not interfere with local storage
  */
 export class AutoBackupManager {
-  static GITHUB_CONFIG = {
-    owner: BACKUP_REPO_OWNER || 'NinjaBeameR',
-    repo: BACKUP_REPO_NAME || 'hlm_backup_private',
-    token: GITHUB_TOKEN || '', // Loaded from environment variable
-    branch: 'main',
-    backupPath: 'auto-backup.json'
-  };
-
   static STORAGE_KEYS = {
     AUTO_BACKUP_ENABLED: 'autoBackupEnabled',
     LAST_BACKUP_TIME: 'lastAutoBackupTime',
     LAST_DATA_HASH: 'lastDataHash',
     RETRY_COUNT: 'autoBackupRetryCount',
-    LAST_ERROR: 'autoBackupLastError'
+    LAST_ERROR: 'autoBackupLastError',
+    SNAPSHOT_INFO: 'autoBackupSnapshotInfo'
   };
 
   static BACKUP_INTERVAL = 3 * 60 * 1000; // 3 minutes in milliseconds
@@ -57,10 +54,13 @@ export class AutoBackupManager {
   }
 
   /**
-   * Set GitHub token (you'll call this with your token)
+   * Configured target and its settings
+   * @returns {Promise<Object|null>} { target, settings } or null when no target is set up
    */
-  static setGitHubToken(token) {
-    this.GITHUB_CONFIG.token = token;
+  static async getConfiguredTarget() {
+    const settings = await loadTargetSettings();
+    const target = settings && getBackupTarget(settings.type);
+    return target ? { target, settings } : null;
   }
 
   /**
@@ -71,8 +71,8 @@ export class AutoBackupManager {
       // Check if auto-backup is enabled
       if (!(await this.isEnabled())) return { should: false, reason: 'disabled' };
 
-      // Check if GitHub token is set
-      if (!this.GITHUB_CONFIG.token) return { should: false, reason: 'no_token' };
+      // Check if a backup target is set up
+      if (!(await this.getConfiguredTarget())) return { should: false, reason: 'no_target' };
 
       // Check network connectivity
       const networkState = await NetInfo.fetch();
@@ -94,103 +94,90 @@ export class AutoBackupManager {
   }
 
   /**
-   * Generate simple hash of data to detect changes
+   * Content checksum of backup data, to detect changes since the last upload.
+   * Only `appData` is hashed, so the backup's own timestamp doesn't count as a change.
+   * @param {Object} data - Result of BackupRestoreManager.createBackupData
+   * @returns {string} Hex SHA-256 (integrity.checksum)
    */
   static generateDataHash(data) {
-    try {
-      const str = JSON.stringify({
-        workers: data.appData?.workers?.length || 0,
-        entries: data.appData?.entries?.length || 0,
-        payments: data.appData?.payments?.length || 0,
-        categories: data.appData?.categories?.length || 0,
-        timestamp: data.timestamp
-      });
-      
-      let hash = 0;
-      for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Convert to 32-bit integer
-      }
-      return hash.toString();
-    } catch (error) {
-      console.log('Error generating hash:', error);
-      return Date.now().toString(); // Fallback to timestamp
-    }
+    return data.integrity?.checksum || computeChecksum(data.appData || {});
+  }
+
+  /**
+   * Snapshot file name for a backup time
+   * @param {Date} date - Backup time
+   * @returns {string} e.g. hlm_backup_20240301_143025.json
+   */
+  static getSnapshotName(date) {
+    return `${BackupRestoreManager.BACKUP_FILE_PREFIX}${format(date, 'yyyyMMdd_HHmmss')}${BackupRestoreManager.BACKUP_EXTENSION}`;
+  }
+
+  /**
+   * Backup snapshots from a target listing, newest first, with their time read from the name
+   * @param {Array} files - Result of target.list
+   * @returns {Array} [{ name, ref, date }]; date is null for names not made by getSnapshotName
+   */
+  static getSnapshots(files) {
+    const prefix = BackupRestoreManager.BACKUP_FILE_PREFIX;
+    return files
+      .filter(f => f.name.startsWith(prefix) && f.name.endsWith(BackupRestoreManager.BACKUP_EXTENSION))
+      .map(f => {
+        const date = parse(f.name.slice(prefix.length, prefix.length + 15), 'yyyyMMdd_HHmmss', new Date());
+        return { ...f, date: isValid(date) ? date : null };
+      })
+      .sort((a, b) => b.name.localeCompare(a.name));
   }
 
   /**
-   * Get current file SHA from GitHub (needed for updates)
+   * Delete the oldest snapshots beyond the retention count.
+   * Failures are logged only; a missed cleanup is retried after the next backup.
+   * @param {Object} target - Backup target
+   * @param {Object} settings - { config, retention }
+   * @returns {Promise<number>} Snapshots removed
    */
-  static async getCurrentFileSHA() {
+  static async applyRetention(target, settings) {
     try {
-      const apiUrl = `https://api.github.com/repos/${this.GITHUB_CONFIG.owner}/${this.GITHUB_CONFIG.repo}/contents/${this.GITHUB_CONFIG.backupPath}`;
-      
-      const response = await fetch(apiUrl, {
-        method: 'GET',
-        headers: {
-          'Authorization': `token ${this.GITHUB_CONFIG.token}`,
-          'Accept': 'application/vnd.github.v3+json'
-        }
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        return data.sha;
+      const snapshots = await target.list(settings.config);
+      if (!snapshots) return 0; // Target can't list its files
+
+      const keep = settings.retention || DEFAULT_RETENTION;
+      const old = this.getSnapshots(snapshots).slice(keep);
+      for (const snapshot of old) {
+        await target.remove(settings.config, snapshot);
       }
-      
-      return null; // File doesn't exist yet
+      if (old.length > 0) {
+        console.log(`🧹 Removed ${old.length} old auto-backup snapshots`);
+      }
+      return old.length;
     } catch (error) {
-      console.log('Error getting current file SHA:', error);
-      return null;
+      console.log('Auto-backup retention cleanup failed:', error);
+      return 0;
     }
   }
 
   /**
-   * Perform the actual backup to GitHub
+   * Upload a dated snapshot to the configured target
    */
   static async performBackup(currentState) {
     try {
-      console.log('Starting auto-backup to GitHub...');
+      const configured = await this.getConfiguredTarget();
+      if (!configured) {
+        throw new Error('No backup target set up. Choose one in Settings.');
+      }
+      const { target, settings } = configured;
+      console.log(`Starting auto-backup to ${target.label}...`);
       
       // Generate backup data using existing method (safe - doesn't modify storage)
       const backupData = BackupRestoreManager.createBackupData(currentState);
-      
-      // Create commit message with timestamp
-      const timestamp = new Date().toISOString();
-      const commitMessage = `Auto-backup ${timestamp.split('T')[0]} ${timestamp.split('T')[1].split('.')[0]}`;
+      const now = new Date();
+      const timestamp = now.toISOString();
+      const snapshotName = this.getSnapshotName(now);
 
-      // Get current file SHA (needed for GitHub API updates)
-      const currentSHA = await this.getCurrentFileSHA();
+      await target.upload(settings.config, snapshotName, JSON.stringify(backupData, null, 2));
+      console.log('Auto-backup successful:', snapshotName);
 
-      // Prepare GitHub API request
-      const apiUrl = `https://api.github.com/repos/${this.GITHUB_CONFIG.owner}/${this.GITHUB_CONFIG.repo}/contents/${this.GITHUB_CONFIG.backupPath}`;
-      
-      const requestBody = {
-        message: commitMessage,
-        content: Buffer.from(JSON.stringify(backupData, null, 2)).toString('base64'),
-        branch: this.GITHUB_CONFIG.branch,
-        ...(currentSHA && { sha: currentSHA })
-      };
-
-      // Make GitHub API call
-      const response = await fetch(apiUrl, {
-        method: 'PUT',
-        headers: {
-          'Authorization': `token ${this.GITHUB_CONFIG.token}`,
-          'Content-Type': 'application/json',
-          'Accept': 'application/vnd.github.v3+json'
-        },
-        body: JSON.stringify(requestBody)
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`GitHub API error ${response.status}: ${errorText}`);
-      }
-
-      const result = await response.json();
-      console.log('Auto-backup successful:', result.commit?.sha);
+      await this.applyRetention(target, settings);
+      await this.rememberSnapshot(snapshotName, backupData.integrity);
 
       // Update success tracking (separate from main app storage)
       const currentHash = this.generateDataHash(backupData);
@@ -204,8 +191,8 @@ export class AutoBackupManager {
       return { 
         success: true, 
         timestamp, 
-        commitSha: result.commit?.sha,
-        message: `Backup successful at ${new Date(timestamp).toLocaleTimeString()}`
+        snapshotName,
+        message: `Backup successful at ${now.toLocaleTimeString()}`
       };
 
     } catch (error) {
@@ -265,13 +252,16 @@ export class AutoBackupManager {
       const lastBackup = lastBackupTime[1];
       const retries = parseInt(retryCount[1] || '0', 10);
       const error = lastError[1];
+      const configured = await this.getConfiguredTarget();
 
       return {
         enabled: isEnabled,
         lastBackup: lastBackup ? new Date(lastBackup) : null,
         retryCount: retries,
         lastError: error || null,
-        hasToken: !!this.GITHUB_CONFIG.token
+        configured: !!configured,
+        targetLabel: configured ? configured.target.label : null,
+        retention: configured ? configured.settings.retention : null
       };
     } catch (error) {
       console.log('Error getting auto-backup status:', error);
@@ -280,7 +270,9 @@ export class AutoBackupManager {
         lastBackup: null,
         retryCount: 0,
         lastError: null,
-        hasToken: false
+        configured: false,
+        targetLabel: null,
+        retention: null
       };
     }
   }
@@ -297,29 +289,99 @@ export class AutoBackupManager {
   }
 
   /**
-   * Test GitHub connection
+   * Snapshots stored on the configured target, newest first
+   * @returns {Promise<Object>} { success, snapshots } or { success: false, error }
    */
-  static async testConnection() {
+  static async listRemoteBackups() {
     try {
-      if (!this.GITHUB_CONFIG.token) {
-        return { success: false, error: 'No GitHub token configured' };
+      const configured = await this.getConfiguredTarget();
+      if (!configured) {
+        return { success: false, error: 'No backup target set up. Choose one in Settings.' };
       }
+      const { target, settings } = configured;
+      const files = await target.list(settings.config);
+      if (!files) {
+        return { success: false, error: `${target.label} can't list its files. Download a backup from the server and use Import Backup.` };
+      }
+      const info = await this.loadSnapshotInfo();
+      const snapshots = this.getSnapshots(files).map(s => ({ ...s, integrity: info[s.name] || null }));
+      // Forget snapshots that are gone from the target
+      const kept = Object.fromEntries(snapshots.filter(s => s.integrity).map(s => [s.name, s.integrity]));
+      await AsyncStorage.setItem(this.STORAGE_KEYS.SNAPSHOT_INFO, JSON.stringify(kept));
+      return { success: true, snapshots };
+    } catch (error) {
+      console.log('Listing remote backups failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
 
-      const apiUrl = `https://api.github.com/repos/${this.GITHUB_CONFIG.owner}/${this.GITHUB_CONFIG.repo}`;
-      
-      const response = await fetch(apiUrl, {
-        method: 'GET',
-        headers: {
-          'Authorization': `token ${this.GITHUB_CONFIG.token}`,
-          'Accept': 'application/vnd.github.v3+json'
-        }
-      });
-
-      if (response.ok) {
-        return { success: true, message: 'GitHub connection successful' };
-      } else {
-        return { success: false, error: `GitHub API error: ${response.status}` };
+  /**
+   * Checksum and record counts of snapshots uploaded or opened on this phone
+   * @returns {Promise<Object>} { [snapshot name]: { checksum, counts } }
+   */
+  static async loadSnapshotInfo() {
+    try {
+      return JSON.parse(await AsyncStorage.getItem(this.STORAGE_KEYS.SNAPSHOT_INFO)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Keep a snapshot's integrity block so the snapshot list can show it without downloading
+   * @param {string} name - Snapshot file name
+   * @param {Object|null} integrity - `integrity` of the backup; older backups have none
+   */
+  static async rememberSnapshot(name, integrity) {
+    if (!integrity) return;
+    try {
+      const info = await this.loadSnapshotInfo();
+      info[name] = { checksum: integrity.checksum, counts: integrity.counts };
+      await AsyncStorage.setItem(this.STORAGE_KEYS.SNAPSHOT_INFO, JSON.stringify(info));
+    } catch (error) {
+      console.log('Failed to save snapshot info:', error);
+    }
+  }
+
+  /**
+   * Download a snapshot and check it like an imported file
+   * @param {Object} snapshot - Item of listRemoteBackups().snapshots
+   * @returns {Promise<Object>} Import result (see BackupRestoreManager.toImportResult)
+   */
+  static async downloadRemoteBackup(snapshot) {
+    try {
+      const configured = await this.getConfiguredTarget();
+      if (!configured) {
+        return { success: false, error: 'No backup target set up. Choose one in Settings.' };
+      }
+      const text = await configured.target.download(configured.settings.config, snapshot);
+      const backupData = JSON.parse(text);
+      console.log(`☁️ Downloaded ${snapshot.name} (${text.length} characters)`);
+
+      const result = BackupRestoreManager.toImportResult(backupData);
+      if (result.success) {
+        await this.rememberSnapshot(snapshot.name, result.integrity);
+      }
+      return result;
+    } catch (error) {
+      console.log('Downloading remote backup failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Test the configured target, or settings about to be saved
+   * @param {Object|null} settings - { type, config } to test instead of the saved ones
+   */
+  static async testConnection(settings = null) {
+    try {
+      const configured = settings
+        ? { target: getBackupTarget(settings.type), settings }
+        : await this.getConfiguredTarget();
+      if (!configured || !configured.target) {
+        return { success: false, error: 'No backup target set up' };
       }
+      return await configured.target.test(configured.settings.config || {});
     } catch (error) {
       return { success: false, error: error.message };
     }
@@ -0,0 +1,125 @@
+import 'react-native-get-random-values';
+import 'fast-text-encoding';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { utf8ToBytes, bytesToUtf8 } from '@noble/ciphers/utils';
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { base64 } from '@scure/base';
+
+/**
+ * Passphrase encryption for backup files.
+ * An encrypted backup is a small JSON envelope:
+ *   { format, version, kdf: { name, N, r, p, salt }, cipher: { name, nonce }, ciphertext }
+ * The key is derived from the passphrase with scrypt and the backup JSON is sealed
+ * with XChaCha20-Poly1305. The header (everything except the ciphertext) is
+ * authenticated as associated data, so changing any part of the file makes
+ * decryption fail instead of producing wrong data.
+ */
+
+export const ENCRYPTED_BACKUP_FORMAT = 'hlm-encrypted-backup';
+export const ENCRYPTED_BACKUP_VERSION = 1;
+export const MIN_PASSPHRASE_LENGTH = 6;
+
+// ~16 MB of memory and a second or two on a mid-range phone
+const SCRYPT_PARAMS = { N: 2 ** 14, r: 8, p: 1 };
+// Highest cost accepted from a file header: one step above what we write (~32 MB)
+const MAX_SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const NONCE_LENGTH = 24;
+
+const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+const deriveKey = (passphrase, salt, params) =>
+  scryptAsync(utf8ToBytes(passphrase), salt, { ...params, dkLen: KEY_LENGTH });
+
+// The header fields are bound to the ciphertext as associated data
+const headerBytes = (envelope) => utf8ToBytes(JSON.stringify({
+  format: envelope.format,
+  version: envelope.version,
+  kdf: envelope.kdf,
+  cipher: envelope.cipher,
+}));
+
+/**
+ * Whether parsed backup JSON is an encrypted envelope
+ * @param {Object} data - Parsed backup file
+ * @returns {boolean} True for encrypted backups
+ */
+export function isEncryptedBackup(data) {
+  return !!data && typeof data === 'object' && data.format === ENCRYPTED_BACKUP_FORMAT;
+}
+
+/**
+ * Check a passphrase before encrypting with it
+ * @param {string} passphrase - Passphrase
+ * @returns {Object} { valid: boolean, error: string }
+ */
+export function validatePassphrase(passphrase) {
+  if (!passphrase || passphrase.trim().length < MIN_PASSPHRASE_LENGTH) {
+    return { valid: false, error: `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters` };
+  }
+  return { valid: true, error: null };
+}
+
+/**
+ * Encrypt backup data with a passphrase
+ * @param {Object} backupData - Result of BackupRestoreManager.createBackupData
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} Encrypted envelope, ready for JSON.stringify
+ */
+export async function encryptBackup(backupData, passphrase) {
+  const salt = randomBytes(SALT_LENGTH);
+  const nonce = randomBytes(NONCE_LENGTH);
+  const envelope = {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: ENCRYPTED_BACKUP_VERSION,
+    kdf: { name: 'scrypt', ...SCRYPT_PARAMS, salt: base64.encode(salt) },
+    cipher: { name: 'xchacha20-poly1305', nonce: base64.encode(nonce) },
+  };
+  const key = await deriveKey(passphrase, salt, SCRYPT_PARAMS);
+  const sealed = xchacha20poly1305(key, nonce, headerBytes(envelope)).encrypt(utf8ToBytes(JSON.stringify(backupData)));
+  return { ...envelope, ciphertext: base64.encode(sealed) };
+}
+
+/**
+ * Decrypt an encrypted backup
+ * @param {Object} envelope - Parsed encrypted backup file
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object>} { success, data } or { success: false, error, wrongPassphrase }
+ */
+export async function decryptBackup(envelope, passphrase) {
+  if (!isEncryptedBackup(envelope)) {
+    return { success: false, error: 'Not an encrypted backup file' };
+  }
+  if (envelope.version > ENCRYPTED_BACKUP_VERSION) {
+    return { success: false, error: 'This backup was encrypted by a newer app version. Update the app to open it.' };
+  }
+  // Cost parameters are capped so a crafted header can't exhaust the phone's memory
+  const { N, r, p } = envelope.kdf || {};
+  const withinCap = [N, r, p].every(Number.isInteger)
+    && N <= MAX_SCRYPT_PARAMS.N && r <= MAX_SCRYPT_PARAMS.r && p <= MAX_SCRYPT_PARAMS.p;
+  if (envelope.kdf?.name !== 'scrypt' || !withinCap
+    || envelope.cipher?.name !== 'xchacha20-poly1305' || !envelope.ciphertext) {
+    return { success: false, error: 'Encrypted backup header is damaged or unsupported' };
+  }
+
+  let plaintext;
+  try {
+    const key = await deriveKey(passphrase || '', base64.decode(envelope.kdf.salt), { N, r, p });
+    plaintext = xchacha20poly1305(key, base64.decode(envelope.cipher.nonce), headerBytes(envelope))
+      .decrypt(base64.decode(envelope.ciphertext));
+  } catch (error) {
+    console.log('🔒 Backup decryption failed:', error.message);
+    return {
+      success: false,
+      wrongPassphrase: true,
+      error: 'Wrong passphrase, or the backup file has been changed or damaged',
+    };
+  }
+
+  try {
+    return { success: true, data: JSON.parse(bytesToUtf8(plaintext)) };
+  } catch (error) {
+    return { success: false, error: 'Decrypted backup is not valid JSON' };
+  }
+}
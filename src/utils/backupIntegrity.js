@@ -0,0 +1,179 @@
+import { sha256 } from '@noble/hashes/sha256';
+import 'fast-text-encoding';
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils';
+import { getAllWorkersBalances, checkLedgerConsistency } from './ledger';
+
+/**
+ * Backup integrity: every backup carries
+ *   integrity: { algorithm, checksum, counts }
+ * where checksum is the SHA-256 of the JSON text of `appData` and counts are the
+ * record counts per collection. verifyBackupContents re-computes both and also checks
+ * references between records and the balance totals saved at backup time.
+ *
+ * Problems have a level:
+ * - error: the file is damaged or incomplete, restoring it would lose data
+ * - warning: the data restores, but has issues worth repairing afterwards
+ * - info: nothing wrong, e.g. an older backup made before checksums existed
+ */
+
+export const CHECKSUM_ALGORITHM = 'sha256';
+
+export const COUNTED_COLLECTIONS = [
+  'workers', 'categories', 'subcategories', 'workItems', 'sites',
+  'entries', 'payments', 'deferredMessages', 'messageTemplates', 'closedPeriods',
+];
+
+// Differences below this are rounding, not a changed balance
+const BALANCE_TOLERANCE = 0.005;
+// Listing thousands of broken references helps nobody
+const MAX_LISTED = 5;
+
+/**
+ * Content hash of backup data
+ * @param {Object} appData - `appData` of a backup
+ * @returns {string} Hex SHA-256 of its JSON text
+ */
+export function computeChecksum(appData) {
+  return bytesToHex(sha256(utf8ToBytes(JSON.stringify(appData))));
+}
+
+/**
+ * Record counts per collection
+ * @param {Object} appData - `appData` of a backup
+ * @returns {Object} { workers: 12, entries: 340, ... }
+ */
+export function getCollectionCounts(appData) {
+  return Object.fromEntries(COUNTED_COLLECTIONS.map(c => [c, Array.isArray(appData?.[c]) ? appData[c].length : 0]));
+}
+
+/**
+ * Integrity block stored with a new backup
+ * @param {Object} appData - `appData` of the backup being created
+ * @returns {Object} { algorithm, checksum, counts }
+ */
+export function buildIntegrity(appData) {
+  return {
+    algorithm: CHECKSUM_ALGORITHM,
+    checksum: computeChecksum(appData),
+    counts: getCollectionCounts(appData),
+  };
+}
+
+const sumBalances = (balances) => Object.values(balances || {}).reduce((sum, b) => sum + (Number(b) || 0), 0);
+
+/**
+ * References that point at records missing from the same backup
+ * @param {Object} appData - `appData` of a backup
+ * @returns {Array} Problems
+ */
+function checkReferences(appData) {
+  const ids = (collection) => new Set((appData[collection] || []).map(r => r.id));
+  const workers = ids('workers');
+  const categories = ids('categories');
+  const subcategories = ids('subcategories');
+  const workItems = ids('workItems');
+  const sites = ids('sites');
+  const problems = [];
+
+  const report = (records, label, missing) => {
+    if (records.length === 0) return;
+    const sample = records.slice(0, MAX_LISTED).map(r => r.date || r.subcategoryName || r.subcategory || r.id).join(', ');
+    problems.push({
+      level: 'warning',
+      type: 'missing_reference',
+      count: records.length,
+      message: `${records.length} ${label} point at a missing ${missing} (${sample}${records.length > MAX_LISTED ? ', …' : ''})`,
+    });
+  };
+
+  const entries = appData.entries || [];
+  const payments = appData.payments || [];
+  report(entries.filter(e => !workers.has(e.workerId)), 'entries', 'worker');
+  report(payments.filter(p => !workers.has(p.workerId)), 'payments', 'worker');
+  report(entries.filter(e => e.categoryId && !categories.has(e.categoryId)), 'entries', 'category');
+  report(entries.filter(e => e.subcategoryId && !subcategories.has(e.subcategoryId)), 'entries', 'subcategory');
+  report(entries.filter(e => e.workItemId && !workItems.has(e.workItemId)), 'entries', 'work item');
+  report(entries.filter(e => e.siteId && !sites.has(e.siteId)), 'entries', 'site');
+  report(payments.filter(p => p.siteId && !sites.has(p.siteId)), 'payments', 'site');
+  report(
+    (appData.subcategories || []).filter(s => (s.categoryIds || (s.categoryId ? [s.categoryId] : [])).some(id => !categories.has(id))),
+    'subcategories',
+    'category'
+  );
+
+  return problems;
+}
+
+/**
+ * Verify a backup's contents before restoring it
+ * @param {Object} backupData - Parsed backup (structure already checked by validateBackupData)
+ * @returns {Object} { ok, problems, counts, checksum: 'valid' | 'mismatch' | 'missing', balances: { total, savedTotal, workers } }
+ */
+export function verifyBackupContents(backupData) {
+  const appData = backupData.appData;
+  const integrity = backupData.integrity;
+  const counts = getCollectionCounts(appData);
+  const problems = [];
+
+  let checksum = 'missing';
+  if (!integrity?.checksum) {
+    problems.push({ level: 'info', type: 'no_checksum', message: 'Backup has no checksum (made by an older app version); contents can\'t be checked for damage' });
+  } else if (integrity.algorithm !== CHECKSUM_ALGORITHM) {
+    problems.push({ level: 'warning', type: 'unknown_checksum', message: `Unknown checksum type "${integrity.algorithm}"; contents can't be checked for damage` });
+  } else if (computeChecksum(appData) === integrity.checksum) {
+    checksum = 'valid';
+  } else {
+    checksum = 'mismatch';
+    problems.push({ level: 'error', type: 'checksum_mismatch', message: 'Checksum does not match: the backup file was changed or damaged after it was made' });
+  }
+
+  Object.entries(integrity?.counts || {}).forEach(([collection, expected]) => {
+    if (COUNTED_COLLECTIONS.includes(collection) && counts[collection] !== expected) {
+      problems.push({
+        level: 'error',
+        type: 'count_mismatch',
+        message: `${collection}: ${counts[collection]} records, but ${expected} when the backup was made`,
+      });
+    }
+  });
+
+  problems.push(...checkReferences(appData));
+
+  const balances = getAllWorkersBalances(appData);
+  const saved = backupData.metadata?.calculatedBalances;
+  const changedWorkers = saved
+    ? Object.keys(saved).filter(id => id in balances && Math.abs(balances[id] - saved[id]) > BALANCE_TOLERANCE)
+    : [];
+  if (changedWorkers.length > 0) {
+    const names = changedWorkers.slice(0, MAX_LISTED)
+      .map(id => (appData.workers.find(w => w.id === id) || {}).name || id)
+      .join(', ');
+    problems.push({
+      level: 'warning',
+      type: 'balance_mismatch',
+      count: changedWorkers.length,
+      message: `${changedWorkers.length} worker balances differ from the totals saved in the backup (${names}${changedWorkers.length > MAX_LISTED ? ', …' : ''})`,
+    });
+  }
+
+  // Orphans are already reported above as missing workers
+  checkLedgerConsistency(appData).issues
+    .filter(issue => issue.type !== 'orphaned_records')
+    .forEach(issue => problems.push({
+      level: 'warning',
+      type: issue.type,
+      message: issue.workerName ? `${issue.workerName}: ${issue.message}` : issue.message,
+    }));
+
+  return {
+    ok: !problems.some(p => p.level === 'error'),
+    problems,
+    counts,
+    checksum,
+    balances: {
+      total: sumBalances(balances),
+      savedTotal: saved ? sumBalances(saved) : null,
+      workers: Object.keys(balances).length,
+    },
+  };
+}
@@ -5,7 +5,16 @@ import * as Clipboard from 'expo-clipboard';
 import * as MediaLibrary from 'expo-media-library';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { format } from 'date-fns';
-import { getAllWorkersBalances } from './balance';
+import { getAllWorkersBalances, checkLedgerConsistency } from './ledger';
+import { DEFAULT_PAY_PERIOD_SETTINGS } from './payPeriods';
+import { DEFAULT_OVERTIME_SETTINGS } from './overtime';
+import { DEFAULT_OUTBOX_SETTINGS } from './outbox';
+import { DEFAULT_CONTACT_SETTINGS } from './phone';
+import { loadPersistedState, savePersistedState, flushPersist, backupBeforeMigration, readRawStore } from './persistence';
+import { runMigrations, CURRENT_SCHEMA_VERSION } from './migrations';
+import { buildMergeDiff, applyMergeDiff, getMergeCounts, getMergeProblems } from './mergeBackup';
+import { encryptBackup, decryptBackup, isEncryptedBackup } from './backupCrypto';
+import { buildIntegrity, verifyBackupContents } from './backupIntegrity';
 
 /**
  * Backup and Restore utility for the labour management app
@@ -23,19 +32,34 @@ export class BackupRestoreManager {
   static createBackupData(state) {
     const timestamp = new Date().toISOString();
     const balances = getAllWorkersBalances(state);
+    const appData = {
+      workers: state.workers || [],
+      categories: state.categories || [],
+      subcategories: state.subcategories || [],
+      workItems: state.workItems || [],
+      sites: state.sites || [],
+      entries: state.entries || [],
+      payments: state.payments || [],
+      openingBalances: state.openingBalances || {},
+      deferredMessages: state.deferredMessages || [],
+      messageTemplates: state.messageTemplates || [],
+      payPeriodSettings: state.payPeriodSettings || null,
+      closedPeriods: state.closedPeriods || [],
+      overtimeSettings: state.overtimeSettings || null,
+      outboxSettings: state.outboxSettings || null,
+      contactSettings: state.contactSettings || null,
+      schemaVersion: state.schemaVersion || CURRENT_SCHEMA_VERSION,
+      migrationHistory: state.migrationHistory || [],
+      // Lets a merge tell which records each phone changed
+      auditLog: state.auditLog || [],
+    };
     
     return {
       version: this.BACKUP_VERSION,
       timestamp,
-      appData: {
-        workers: state.workers || [],
-        categories: state.categories || [],
-        subcategories: state.subcategories || [],
-        entries: state.entries || [],
-        payments: state.payments || [],
-        openingBalances: state.openingBalances || {},
-        deferredMessages: state.deferredMessages || [],
-      },
+      appData,
+      // Content hash and record counts, checked by verifyBackup before restoring
+      integrity: buildIntegrity(appData),
       metadata: {
         totalWorkers: (state.workers || []).length,
         totalEntries: (state.entries || []).length,
@@ -48,14 +72,27 @@ export class BackupRestoreManager {
     };
   }
 
+  /**
+   * Backup file content, encrypted when a passphrase is given
+   * @param {Object} state - Global state
+   * @param {string|null} passphrase - Optional passphrase
+   * @returns {Promise<Object>} { backupData, text }
+   */
+  static async serializeBackup(state, passphrase = null) {
+    const backupData = this.createBackupData(state);
+    const payload = passphrase ? await encryptBackup(backupData, passphrase) : backupData;
+    return { backupData, text: JSON.stringify(payload, null, 2) };
+  }
+
   /**
    * Export backup data to a file and share it
    * @param {Object} state - Global state
+   * @param {string|null} passphrase - Optional passphrase to encrypt the file with
    * @returns {Promise<boolean>} Success status
    */
-  static async exportBackup(state) {
+  static async exportBackup(state, passphrase = null) {
     try {
-      const backupData = this.createBackupData(state);
+      const { backupData, text } = await this.serializeBackup(state, passphrase);
       const timestamp = format(new Date(), 'yyyyMMdd_HHmmss');
       const fileName = `${this.BACKUP_FILE_PREFIX}${timestamp}${this.BACKUP_EXTENSION}`;
       const fileUri = FileSystem.documentDirectory + fileName;
@@ -63,7 +100,7 @@ export class BackupRestoreManager {
       // Write backup data to file
       await FileSystem.writeAsStringAsync(
         fileUri,
-        JSON.stringify(backupData, null, 2),
+        text,
         { encoding: FileSystem.EncodingType.UTF8 }
       );
 
@@ -85,11 +122,12 @@ export class BackupRestoreManager {
   /**
    * Export backup directly to Downloads folder (Alternative approach)
    * @param {Object} state - Global state
+   * @param {string|null} passphrase - Optional passphrase to encrypt the file with
    * @returns {Promise<Object>} Export result
    */
-  static async exportBackupToDownloads(state) {
+  static async exportBackupToDownloads(state, passphrase = null) {
     try {
-      const backupData = this.createBackupData(state);
+      const { backupData, text } = await this.serializeBackup(state, passphrase);
       const timestamp = format(new Date(), 'yyyyMMdd_HHmmss');
       const fileName = `${this.BACKUP_FILE_PREFIX}${timestamp}${this.BACKUP_EXTENSION}`;
       
@@ -108,7 +146,7 @@ export class BackupRestoreManager {
           
           await FileSystem.writeAsStringAsync(
             downloadPath,
-            JSON.stringify(backupData, null, 2),
+            text,
             { encoding: FileSystem.EncodingType.UTF8 }
           );
         }
@@ -123,7 +161,7 @@ export class BackupRestoreManager {
         // Write backup data to file
         await FileSystem.writeAsStringAsync(
           fileUri,
-          JSON.stringify(backupData, null, 2),
+          text,
           { encoding: FileSystem.EncodingType.UTF8 }
         );
 
@@ -159,12 +197,12 @@ export class BackupRestoreManager {
   /**
    * Copy backup data to clipboard
    * @param {Object} state - Global state
+   * @param {string|null} passphrase - Optional passphrase to encrypt the backup with
    * @returns {Promise<Object>} Copy result
    */
-  static async copyBackupToClipboard(state) {
+  static async copyBackupToClipboard(state, passphrase = null) {
     try {
-      const backupData = this.createBackupData(state);
-      const backupText = JSON.stringify(backupData, null, 2);
+      const { backupData, text: backupText } = await this.serializeBackup(state, passphrase);
       
       await Clipboard.setStringAsync(backupText);
       
@@ -242,26 +280,7 @@ export class BackupRestoreManager {
       console.log('Backup data structure:', Object.keys(backupData));
       console.log('App data structure:', backupData.appData ? Object.keys(backupData.appData) : 'No appData');
       
-      // Validate backup format
-      const validation = this.validateBackupData(backupData);
-      console.log('Validation result:', validation);
-      
-      if (!validation.valid) {
-        return { success: false, error: validation.error };
-      }
-
-      console.log('Backup validation passed, preparing return data...');
-      console.log('Workers in backup:', backupData.appData.workers?.length || 0);
-      console.log('Entries in backup:', backupData.appData.entries?.length || 0);
-      console.log('Payments in backup:', backupData.appData.payments?.length || 0);
-
-      return { 
-        success: true, 
-        data: backupData.appData, 
-        metadata: backupData.metadata,
-        version: backupData.version,
-        timestamp: backupData.timestamp
-      };
+      return this.toImportResult(backupData);
     } catch (error) {
       console.error('Import backup failed:', error);
       return { success: false, error: error.message };
@@ -280,25 +299,66 @@ export class BackupRestoreManager {
       // Parse backup data
       const backupData = JSON.parse(jsonText);
       
-      // Validate backup format
-      const validation = this.validateBackupData(backupData);
-      if (!validation.valid) {
-        return { success: false, error: validation.error };
-      }
-
-      return { 
-        success: true, 
-        data: backupData.appData, 
-        metadata: backupData.metadata,
-        version: backupData.version,
-        timestamp: backupData.timestamp
-      };
+      return this.toImportResult(backupData);
     } catch (error) {
       console.error('Import backup from text failed:', error);
       return { success: false, error: error.message };
     }
   }
 
+  /**
+   * Validate parsed backup JSON and shape it as an import result.
+   * Encrypted backups come back as { success: false, encrypted: true, envelope }
+   * so the caller can ask for the passphrase and call decryptImportedBackup.
+   * @param {Object} backupData - Parsed backup file
+   * @returns {Object} Import result with data or error
+   */
+  static toImportResult(backupData) {
+    if (isEncryptedBackup(backupData)) {
+      console.log('🔒 Backup is encrypted, passphrase needed');
+      return { success: false, encrypted: true, envelope: backupData };
+    }
+
+    // Validate backup format
+    const validation = this.validateBackupData(backupData);
+    console.log('Validation result:', validation);
+    if (!validation.valid) {
+      return { success: false, error: validation.error };
+    }
+
+    console.log('Workers in backup:', backupData.appData.workers?.length || 0);
+    console.log('Entries in backup:', backupData.appData.entries?.length || 0);
+    console.log('Payments in backup:', backupData.appData.payments?.length || 0);
+
+    const verification = verifyBackupContents(backupData);
+    console.log(`🔎 Backup verification: ${verification.ok ? 'ok' : 'problems found'} (checksum ${verification.checksum})`);
+
+    return { 
+      success: true, 
+      data: backupData.appData, 
+      metadata: backupData.metadata,
+      version: backupData.version,
+      timestamp: backupData.timestamp,
+      // Checksum and record counts written with the backup (null for older backups)
+      integrity: backupData.integrity || null,
+      verification
+    };
+  }
+
+  /**
+   * Decrypt an encrypted backup returned by importBackup / importBackupFromText
+   * @param {Object} envelope - Encrypted backup (`envelope` of the import result)
+   * @param {string} passphrase - Passphrase entered by the user
+   * @returns {Promise<Object>} Import result with data or error; `wrongPassphrase` is set when decryption failed
+   */
+  static async decryptImportedBackup(envelope, passphrase) {
+    const decrypted = await decryptBackup(envelope, passphrase);
+    if (!decrypted.success) {
+      return decrypted;
+    }
+    return this.toImportResult(decrypted.data);
+  }
+
   /**
    * Validate backup data structure
    * @param {Object} backupData - Backup data to validate
@@ -328,6 +388,38 @@ export class BackupRestoreManager {
     return { valid: true };
   }
 
+  /**
+   * Verify a parsed backup without restoring it
+   * @param {Object} backupData - Parsed (and decrypted) backup file
+   * @returns {Object} { success, report } or { success: false, error } when it isn't a backup at all
+   */
+  static verifyBackup(backupData) {
+    const validation = this.validateBackupData(backupData);
+    if (!validation.valid) {
+      return { success: false, error: validation.error };
+    }
+    return { success: true, report: verifyBackupContents(backupData) };
+  }
+
+  /**
+   * Verify a backup history item (a copy of the stored data kept on this phone)
+   * @param {string} key - AsyncStorage key from getBackupHistory
+   * @returns {Promise<Object>} { success, report } or { success: false, error }
+   */
+  static async verifyStoredBackup(key) {
+    try {
+      const data = await AsyncStorage.getItem(key);
+      if (!data) {
+        return { success: false, error: 'Backup not found' };
+      }
+      // Local copies are raw store data without a checksum; references and balances are still checked
+      return this.verifyBackup({ version: this.BACKUP_VERSION, appData: JSON.parse(data) });
+    } catch (error) {
+      console.error('Verify stored backup failed:', error);
+      return { success: false, error: `Backup copy is damaged: ${error.message}` };
+    }
+  }
+
   /**
    * Restore backup data to the app
    * @param {Object} backupData - Validated backup data
@@ -345,25 +437,25 @@ export class BackupRestoreManager {
       console.log('Subcategories count:', backupData.subcategories?.length || 0);
       
       // Create a backup of current data before restore
-      const currentState = await AsyncStorage.getItem('globalStore');
-      if (currentState) {
-        const timestamp = format(new Date(), 'yyyyMMdd_HHmmss');
-        const backupKey = `globalStore_pre_restore_${timestamp}`;
-        await AsyncStorage.setItem(backupKey, currentState);
-        console.log('Created pre-restore backup:', backupKey);
+      await this.savePreRestoreCopy();
+
+      // Bring the backup up to the current schema (backups made before versioning start at 0)
+      const migration = await runMigrations(
+        { ...backupData, schemaVersion: backupData.schemaVersion || 0 },
+        { source: 'restore', backup: backupBeforeMigration }
+      );
+      if (!migration.success) {
+        return { success: false, error: migration.error };
       }
 
       // Restore the backup data with proper structure
       const restoredState = {
-        workers: backupData.workers || [],
-        categories: backupData.categories || [],
-        subcategories: backupData.subcategories || [],
-        entries: backupData.entries || [],
-        payments: backupData.payments || [],
-        openingBalances: backupData.openingBalances || {},
-        deferredMessages: backupData.deferredMessages || [],
+        ...migration.data,
+        payPeriodSettings: migration.data.payPeriodSettings || DEFAULT_PAY_PERIOD_SETTINGS,
+        overtimeSettings: migration.data.overtimeSettings || DEFAULT_OVERTIME_SETTINGS,
+        outboxSettings: migration.data.outboxSettings || DEFAULT_OUTBOX_SETTINGS,
+        contactSettings: migration.data.contactSettings || DEFAULT_CONTACT_SETTINGS,
         isInitialized: true,
-        schemaVersion: 1,
       };
 
       console.log('Restored state structure:', Object.keys(restoredState));
@@ -378,7 +470,10 @@ export class BackupRestoreManager {
 
       // Force save to AsyncStorage immediately to ensure persistence
       console.log('Force saving to AsyncStorage...');
-      await AsyncStorage.setItem('globalStore', JSON.stringify(restoredState));
+      const saved = await savePersistedState(restoredState, { replace: true });
+      if (!saved.success) {
+        throw new Error(saved.error);
+      }
 
       console.log('Restore completed successfully');
       return { success: true };
@@ -388,6 +483,95 @@ export class BackupRestoreManager {
     }
   }
 
+  /**
+   * Keep a copy of the stored data under a `globalStore_pre_restore_*` key.
+   * Stored data that can't be loaded (the store is then blocked) is copied as it is on
+   * disk under `globalStore_raw_pre_restore_*` instead, so restoring a backup still works.
+   * @returns {Promise<string|null>} Backup key, or null when nothing is stored yet
+   */
+  static async savePreRestoreCopy() {
+    await flushPersist();
+    const timestamp = format(new Date(), 'yyyyMMdd_HHmmss');
+    let currentState;
+    try {
+      currentState = await loadPersistedState();
+    } catch (error) {
+      console.warn('Stored data could not be loaded, keeping a raw copy:', error.message);
+      const rawKey = `globalStore_raw_pre_restore_${timestamp}`;
+      await AsyncStorage.setItem(rawKey, JSON.stringify(await readRawStore()));
+      console.log('Created raw pre-restore copy:', rawKey);
+      return rawKey;
+    }
+    if (!currentState) return null;
+    const backupKey = `globalStore_pre_restore_${timestamp}`;
+    await AsyncStorage.setItem(backupKey, JSON.stringify(currentState));
+    console.log('Created pre-restore backup:', backupKey);
+    return backupKey;
+  }
+
+  /**
+   * Compare an imported backup with the current data for a merge-restore
+   * @param {Object} restoreData - Result of importBackup / importBackupFromText
+   * @param {Object} state - Current global state
+   * @returns {Promise<Object>} { success, diff, counts } or { success: false, error }
+   */
+  static async prepareMerge(restoreData, state) {
+    try {
+      // Migrate in memory only; nothing is written until the merge is applied
+      const migration = await runMigrations(
+        { ...restoreData.data, schemaVersion: restoreData.data.schemaVersion || 0 },
+        { source: 'restore' }
+      );
+      if (!migration.success) {
+        return { success: false, error: migration.error };
+      }
+      const diff = buildMergeDiff(state, migration.data, restoreData.timestamp);
+      const counts = getMergeCounts(diff);
+      console.log('Merge diff:', counts);
+      return { success: true, diff, counts };
+    } catch (error) {
+      console.error('Prepare merge failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Merge a backup into the current data
+   * @param {Object} state - Current global state
+   * @param {Object} diff - Result of prepareMerge
+   * @param {Object} resolutions - { 'collection:id': 'local' | 'backup' } for the listed records
+   * @param {Function} dispatch - Store dispatch
+   * @returns {Promise<Object>} { success, error }
+   */
+  static async mergeBackup(state, diff, resolutions, dispatch) {
+    try {
+      const problems = getMergeProblems(state, diff, resolutions);
+      if (problems.length > 0) {
+        return {
+          success: false,
+          error: `${problems.length} ${problems.length === 1 ? 'record' : 'records'} from the backup are not valid here: ${problems[0].error}`
+        };
+      }
+
+      await this.savePreRestoreCopy();
+
+      // Audited like any edit, so the merge shows in the history and can be undone
+      dispatch({ type: 'MERGE_RECORDS', payload: { diff, resolutions }, meta: { actor: 'Backup merge' } });
+
+      // The same records the reducer merged; the store's next save adds the audit records
+      const saved = await savePersistedState({ ...applyMergeDiff(state, diff, resolutions), isInitialized: true });
+      if (!saved.success) {
+        throw new Error(saved.error);
+      }
+
+      console.log('Merge restore completed successfully');
+      return { success: true };
+    } catch (error) {
+      console.error('Merge restore failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Get backup history from AsyncStorage
    * @returns {Promise<Array>} List of backup entries
@@ -492,6 +676,10 @@ export class BackupRestoreManager {
         }
       });
 
+      // Cross-check balances with the ledger engine's self-check
+      const consistency = checkLedgerConsistency(state);
+      issues.push(...consistency.issues);
+
       return {
         success: true,
         balances,
@@ -0,0 +1,301 @@
+import * as SecureStore from 'expo-secure-store';
+import * as FileSystem from 'expo-file-system';
+import 'fast-text-encoding';
+import { utf8ToBytes } from '@noble/hashes/utils';
+import { base64 } from '@scure/base';
+
+/**
+ * Auto-backup targets.
+ * Every target implements the same interface so AutoBackupManager doesn't care
+ * where snapshots go:
+ *   validate(config)              -> { valid, error }
+ *   test(config)                  -> Promise<{ success, message | error }>
+ *   upload(config, name, text)    -> Promise<void>
+ *   list(config)                  -> Promise<Array<{ name, ref }> | null>  (null: target can't list)
+ *   download(config, snapshot)    -> Promise<string>
+ *   remove(config, snapshot)      -> Promise<void>
+ * `fields` drives the settings form; fields marked `secret` are masked.
+ * The chosen target and its settings are kept in SecureStore, not in the app bundle.
+ */
+
+const TARGET_STORE_KEY = 'autoBackupTarget';
+export const DEFAULT_RETENTION = 10;
+
+const trimSlashes = (value) => String(value || '').trim().replace(/^\/+|\/+$/g, '');
+
+const httpError = async (response, label) => {
+  const text = await response.text().catch(() => '');
+  return new Error(`${label} error ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+};
+
+const githubTarget = {
+  label: 'GitHub repository',
+  fields: [
+    { key: 'owner', label: 'Owner', placeholder: 'github-user' },
+    { key: 'repo', label: 'Repository', placeholder: 'hlm-backups' },
+    { key: 'branch', label: 'Branch', placeholder: 'main', optional: true },
+    { key: 'folder', label: 'Folder', placeholder: 'auto-backups', optional: true },
+    { key: 'token', label: 'Access token', secret: true },
+  ],
+
+  validate(config) {
+    if (!config.owner || !config.repo) return { valid: false, error: 'Owner and repository are required' };
+    if (!config.token) return { valid: false, error: 'Access token is required' };
+    return { valid: true, error: null };
+  },
+
+  request(config, path, options = {}) {
+    return fetch(`https://api.github.com/repos/${config.owner}/${config.repo}${path}`, {
+      ...options,
+      headers: {
+        'Authorization': `token ${config.token}`,
+        'Accept': 'application/vnd.github.v3+json',
+        ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+        ...options.headers,
+      },
+    });
+  },
+
+  contentsPath(config, name = '') {
+    const folder = trimSlashes(config.folder || 'auto-backups');
+    return `/contents/${folder}${name ? `/${name}` : ''}`;
+  },
+
+  async test(config) {
+    const response = await this.request(config, '');
+    return response.ok
+      ? { success: true, message: 'GitHub connection successful' }
+      : { success: false, error: `GitHub API error: ${response.status}` };
+  },
+
+  async upload(config, name, text) {
+    const response = await this.request(config, this.contentsPath(config, name), {
+      method: 'PUT',
+      body: JSON.stringify({
+        message: `Auto-backup ${name}`,
+        content: base64.encode(utf8ToBytes(text)),
+        branch: config.branch || 'main',
+      }),
+    });
+    if (!response.ok) throw await httpError(response, 'GitHub API');
+  },
+
+  async list(config) {
+    const response = await this.request(config, `${this.contentsPath(config)}?ref=${config.branch || 'main'}`);
+    if (response.status === 404) return [];
+    if (!response.ok) throw await httpError(response, 'GitHub API');
+    const files = await response.json();
+    return (Array.isArray(files) ? files : []).map(f => ({ name: f.name, ref: f.sha }));
+  },
+
+  async download(config, snapshot) {
+    // Raw media type, so files over the contents API's 1 MB JSON limit still come back
+    const response = await this.request(config, `${this.contentsPath(config, snapshot.name)}?ref=${config.branch || 'main'}`, {
+      headers: { 'Accept': 'application/vnd.github.v3.raw' },
+    });
+    if (!response.ok) throw await httpError(response, 'GitHub API');
+    return response.text();
+  },
+
+  async remove(config, snapshot) {
+    const response = await this.request(config, this.contentsPath(config, snapshot.name), {
+      method: 'DELETE',
+      body: JSON.stringify({ message: `Remove old auto-backup ${snapshot.name}`, sha: snapshot.ref, branch: config.branch || 'main' }),
+    });
+    if (!response.ok) throw await httpError(response, 'GitHub API');
+  },
+};
+
+const webdavTarget = {
+  label: 'WebDAV / HTTP PUT',
+  fields: [
+    { key: 'url', label: 'Folder URL', placeholder: 'https://cloud.example.com/remote.php/dav/files/me/hlm' },
+    { key: 'username', label: 'Username', optional: true },
+    { key: 'password', label: 'Password', secret: true, optional: true },
+  ],
+
+  validate(config) {
+    if (!/^https?:\/\//i.test(config.url || '')) return { valid: false, error: 'Folder URL must start with http:// or https://' };
+    return { valid: true, error: null };
+  },
+
+  headers(config) {
+    return config.username
+      ? { 'Authorization': `Basic ${base64.encode(utf8ToBytes(`${config.username}:${config.password || ''}`))}` }
+      : {};
+  },
+
+  fileUrl(config, name = '') {
+    return `${String(config.url).trim().replace(/\/+$/, '')}/${name}`;
+  },
+
+  async test(config) {
+    const response = await fetch(this.fileUrl(config), { method: 'PROPFIND', headers: { ...this.headers(config), Depth: '0' } });
+    if (response.ok || response.status === 207) return { success: true, message: 'WebDAV folder reachable' };
+    // Plain HTTP PUT endpoints don't speak PROPFIND; anything but an auth failure means the server answered
+    if (response.status === 401 || response.status === 403) return { success: false, error: 'Login rejected by server' };
+    return { success: true, message: `Server reachable (HTTP ${response.status}); old snapshots can't be listed for cleanup` };
+  },
+
+  async upload(config, name, text) {
+    const response = await fetch(this.fileUrl(config, name), {
+      method: 'PUT',
+      headers: { ...this.headers(config), 'Content-Type': 'application/json' },
+      body: text,
+    });
+    if (!response.ok) throw await httpError(response, 'Upload');
+  },
+
+  async list(config) {
+    const response = await fetch(this.fileUrl(config), { method: 'PROPFIND', headers: { ...this.headers(config), Depth: '1' } });
+    if (response.status !== 207) return null;
+    const xml = await response.text();
+    const hrefs = [...xml.matchAll(/<(?:\w+:)?href>([^<]+)<\/(?:\w+:)?href>/gi)].map(m => decodeURIComponent(m[1]));
+    return hrefs
+      .map(href => href.replace(/\/+$/, '').split('/').pop())
+      .filter(name => name && name.endsWith('.json'))
+      .map(name => ({ name, ref: name }));
+  },
+
+  async download(config, snapshot) {
+    const response = await fetch(this.fileUrl(config, snapshot.name), { headers: this.headers(config) });
+    if (!response.ok) throw await httpError(response, 'Download');
+    return response.text();
+  },
+
+  async remove(config, snapshot) {
+    const response = await fetch(this.fileUrl(config, snapshot.name), { method: 'DELETE', headers: this.headers(config) });
+    if (!response.ok && response.status !== 404) throw await httpError(response, 'Delete');
+  },
+};
+
+// Without a picked folder, snapshots go to the app's own documents folder
+const LOCAL_FALLBACK_DIR = `${FileSystem.documentDirectory}auto-backups/`;
+
+const localTarget = {
+  label: 'Folder on this phone',
+  fields: [],
+
+  validate() {
+    return { valid: true, error: null };
+  },
+
+  // Android Storage Access Framework folder, chosen in settings
+  async pickFolder() {
+    const permissions = await FileSystem.StorageAccessFramework.requestDirectoryPermissionsAsync();
+    return permissions.granted ? permissions.directoryUri : null;
+  },
+
+  async test(config) {
+    if (config.directoryUri) {
+      await FileSystem.StorageAccessFramework.readDirectoryAsync(config.directoryUri);
+      return { success: true, message: 'Backup folder is accessible' };
+    }
+    await FileSystem.makeDirectoryAsync(LOCAL_FALLBACK_DIR, { intermediates: true });
+    return { success: true, message: 'Backups are kept in the app folder' };
+  },
+
+  async upload(config, name, text) {
+    if (config.directoryUri) {
+      const uri = await FileSystem.StorageAccessFramework.createFileAsync(config.directoryUri, name.replace(/\.json$/, ''), 'application/json');
+      await FileSystem.writeAsStringAsync(uri, text, { encoding: FileSystem.EncodingType.UTF8 });
+      return;
+    }
+    await FileSystem.makeDirectoryAsync(LOCAL_FALLBACK_DIR, { intermediates: true });
+    await FileSystem.writeAsStringAsync(LOCAL_FALLBACK_DIR + name, text, { encoding: FileSystem.EncodingType.UTF8 });
+  },
+
+  async list(config) {
+    if (config.directoryUri) {
+      const uris = await FileSystem.StorageAccessFramework.readDirectoryAsync(config.directoryUri);
+      return uris.map(uri => ({ name: decodeURIComponent(uri).split('/').pop(), ref: uri }));
+    }
+    const info = await FileSystem.getInfoAsync(LOCAL_FALLBACK_DIR);
+    if (!info.exists) return [];
+    const names = await FileSystem.readDirectoryAsync(LOCAL_FALLBACK_DIR);
+    return names.map(name => ({ name, ref: LOCAL_FALLBACK_DIR + name }));
+  },
+
+  download(config, snapshot) {
+    return FileSystem.readAsStringAsync(snapshot.ref, { encoding: FileSystem.EncodingType.UTF8 });
+  },
+
+  async remove(config, snapshot) {
+    await FileSystem.deleteAsync(snapshot.ref, { idempotent: true });
+  },
+};
+
+export const BACKUP_TARGETS = {
+  github: githubTarget,
+  webdav: webdavTarget,
+  local: localTarget,
+};
+
+/**
+ * Backup target implementation by type
+ * @param {string} type - Key of BACKUP_TARGETS
+ * @returns {Object|null} Target
+ */
+export function getBackupTarget(type) {
+  return BACKUP_TARGETS[type] || null;
+}
+
+/**
+ * Check a target configuration before saving it
+ * @param {Object} settings - { type, config, retention }
+ * @returns {Object} { valid: boolean, error: string }
+ */
+export function validateTargetSettings(settings) {
+  const target = getBackupTarget(settings?.type);
+  if (!target) return { valid: false, error: 'Choose a backup target' };
+  const retention = Number(settings.retention);
+  if (!Number.isInteger(retention) || retention < 1) {
+    return { valid: false, error: 'Keep at least 1 snapshot' };
+  }
+  return target.validate(settings.config || {});
+}
+
+/**
+ * Saved target configuration
+ * @returns {Promise<Object|null>} { type, config, retention } or null when none is set up
+ */
+export async function loadTargetSettings() {
+  try {
+    const json = await SecureStore.getItemAsync(TARGET_STORE_KEY);
+    return json ? JSON.parse(json) : null;
+  } catch (error) {
+    console.log('Failed to read backup target settings:', error);
+    return null;
+  }
+}
+
+/**
+ * Save the target configuration
+ * @param {Object} settings - { type, config, retention }
+ * @returns {Promise<Object>} { success, error }
+ */
+export async function saveTargetSettings(settings) {
+  const validation = validateTargetSettings(settings);
+  if (!validation.valid) {
+    return { success: false, error: validation.error };
+  }
+  try {
+    await SecureStore.setItemAsync(TARGET_STORE_KEY, JSON.stringify({
+      type: settings.type,
+      config: settings.config || {},
+      retention: Number(settings.retention),
+    }));
+    console.log(`🔐 Backup target saved: ${settings.type}`);
+    return { success: true, error: null };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Forget the target configuration (auto-backup stops until a new one is saved)
+ * @returns {Promise<void>}
+ */
+export async function clearTargetSettings() {
+  await SecureStore.deleteItemAsync(TARGET_STORE_KEY);
+}
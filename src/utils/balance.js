@@ -1,62 +1,15 @@
-﻿export function computeBalance(worker = {}, entries = [], payments = []) {
-  let bal = Number(worker.openingBalance || 0);
+﻿import { getEntryEarning, getPaymentDebit, isPieceLine, PAYMENT_KINDS } from './ledger';
+import { getWorkerLoans } from './loans';
+import { isDateLocked, getLockMessage } from './payPeriods';
+import { validateEntryHours } from './overtime';
 
-  // Add all entry amounts
-  for (const e of entries) {
-    const amt = Number(e.amount || 0);
-    bal += amt;
-  }
-
-  // Subtract all payment amounts
-  for (const p of payments) {
-    const amt = Number(p.amount || 0);
-    bal -= amt;
-  }
-
-  return bal;
-}
-
-export function getWorkerBalance(workerId, { workers, entries, payments }) {
-  if (!workerId || !workers) return 0;
-  
-  const worker = workers.find(w => w.id === workerId);
-  const openingBalance = Number(worker?.openingBalance ?? 0);
-
-  // Entries: status logic with validation
-  const sumEntries = (entries || [])
-    .filter(e => e.workerId === workerId)
-    .reduce((sum, e) => {
-      const amt = Number(e.amount || 0);
-      if (e.status === 'P') return sum + amt;
-      if (e.status === 'H') return sum + amt / 2;
-      // 'A' or anything else: ignore
-      return sum;
-    }, 0);
+// Balances are computed by the ledger engine; re-exported here for existing callers
+export { getWorkerBalance, getAllWorkersBalances } from './ledger';
 
-  // Payments: always subtract
-  const sumPayments = (payments || [])
-    .filter(p => p.workerId === workerId)
-    .reduce((sum, p) => sum + Number(p.amount || 0), 0);
-
-  const finalBalance = openingBalance + sumEntries - sumPayments;
-
-  return finalBalance;
-}
-
-/**
- * Get all worker balances efficiently
- * @param {Object} state - Global state containing workers, entries, payments
- * @returns {Object} Object with workerId as key and balance as value
- */
-export function getAllWorkersBalances(state) {
-  if (!state?.workers) return {};
-  
-  const balances = {};
-  state.workers.forEach(worker => {
-    balances[worker.id] = getWorkerBalance(worker.id, state);
-  });
-  
-  return balances;
+export function computeBalance(worker = {}, entries = [], payments = []) {
+  const earned = entries.reduce((sum, e) => sum + getEntryEarning(e), 0);
+  const paid = payments.reduce((sum, p) => sum + getPaymentDebit(p), 0);
+  return Number(worker.openingBalance || 0) + earned - paid;
 }
 
 /**
@@ -78,15 +31,27 @@ export function validateEntry(entry, state) {
     return { valid: false, error: "Invalid attendance status" };
   }
   
-  // Check for duplicate entries on same date
-  const existingEntry = state.entries?.find(e => 
-    e.workerId === entry.workerId && e.date === entry.date
+  if (isDateLocked(state, entry.date)) {
+    return { valid: false, error: getLockMessage(state) };
+  }
+  
+  // One attendance line per worker and date; Work B piece lines may be added alongside it
+  const sameDay = (state.entries || []).filter(e =>
+    e.workerId === entry.workerId && e.date === entry.date && e.id !== entry.id
   );
   
-  if (existingEntry && existingEntry.id !== entry.id) {
+  if (!isPieceLine(entry) && sameDay.some(e => !isPieceLine(e))) {
     return { valid: false, error: "Attendance already recorded for this worker and date" };
   }
   
+  if (isPieceLine(entry) && sameDay.some(e => e.status === 'A')) {
+    return { valid: false, error: "Worker is marked absent on this date. Change the attendance before adding piece work" };
+  }
+  
+  if (entry.status === 'A' && sameDay.some(isPieceLine)) {
+    return { valid: false, error: "Piece work is recorded on this date. Remove it before marking the worker absent" };
+  }
+  
   // Validate non-absent entries
   if (entry.status !== 'A') {
     // Work A validation (existing logic)
@@ -126,6 +91,9 @@ export function validateEntry(entry, state) {
     if (!entry.amount || Number(entry.amount) <= 0) {
       return { valid: false, error: "Valid amount is required for non-absent entries" };
     }
+
+    const hoursValidation = validateEntryHours(entry);
+    if (!hoursValidation.valid) return hoursValidation;
   }
   
   return { valid: true, error: null };
@@ -134,9 +102,10 @@ export function validateEntry(entry, state) {
 /**
  * Validate payment data before saving
  * @param {Object} payment - Payment object to validate
+ * @param {Object} state - Global state, used to reject dates inside closed pay periods
  * @returns {Object} { valid: boolean, error: string }
  */
-export function validatePayment(payment) {
+export function validatePayment(payment, state = null) {
   if (!payment.workerId) {
     return { valid: false, error: "Worker is required" };
   }
@@ -153,6 +122,28 @@ export function validatePayment(payment) {
     return { valid: false, error: "Payment type is required" };
   }
   
+  if (payment.kind && !PAYMENT_KINDS[payment.kind]) {
+    return { valid: false, error: "Invalid payment kind" };
+  }
+  
+  if (state && isDateLocked(state, payment.date)) {
+    return { valid: false, error: getLockMessage(state) };
+  }
+  
+  // A repayment cannot exceed what is still owed (ignoring this payment when editing)
+  if (state && payment.kind === 'loan_repayment') {
+    const others = { ...state, payments: (state.payments || []).filter(p => p.id !== payment.id) };
+    const loans = getWorkerLoans(payment.workerId, others)
+      .filter(l => !payment.loanId || l.id === payment.loanId);
+    const owed = loans.reduce((sum, l) => sum + Math.max(0, l.outstanding), 0);
+    if (owed <= 0) {
+      return { valid: false, error: "No outstanding loan to repay" };
+    }
+    if (Number(payment.amount) > owed + 0.005) {
+      return { valid: false, error: `Repayment exceeds outstanding loan of ₹${owed.toFixed(2)}` };
+    }
+  }
+  
   return { valid: true, error: null };
 }
 
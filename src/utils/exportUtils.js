@@ -3,7 +3,11 @@ import * as Sharing from 'expo-sharing';
 import * as Print from 'expo-print';
 import XLSX from 'xlsx';
 import { format, parseISO, startOfMonth, endOfMonth, isWithinInterval } from 'date-fns';
-import { getWorkerBalance } from './balance';
+import { buildWorkerLedger, getEntryEarning, getPaymentKind, countAttendance, PAYMENT_KINDS } from './ledger';
+import { getOutstandingLoanTotal } from './loans';
+import { groupPieceWork } from './workItems';
+import { buildSiteCostReport } from './sites';
+import { getWorkerLanguage, translate, formatLocalDate } from './i18n';
 
 // App theme colors
 const THEME_COLORS = {
@@ -49,14 +53,24 @@ export class ExportDataProcessor {
     }
   }
 
+  // Export ranges are widened to whole months; null when no range is set
+  getEffectiveRange(fromDate, toDate) {
+    if (!fromDate && !toDate) return null;
+    return {
+      fromDate: fromDate ? startOfMonth(fromDate) : new Date('2020-01-01'),
+      toDate: toDate ? endOfMonth(toDate) : new Date()
+    };
+  }
+
   // Filter data by date range
   filterByDateRange(data, fromDate, toDate) {
     try {
       if (!data || !Array.isArray(data)) return [];
-      if (!fromDate && !toDate) return data;
+      const range = this.getEffectiveRange(fromDate, toDate);
+      if (!range) return data;
       
-      const from = fromDate ? startOfMonth(fromDate) : new Date('2020-01-01');
-      const to = toDate ? endOfMonth(toDate) : new Date();
+      const from = range.fromDate;
+      const to = range.toDate;
       
       return data.filter(item => {
         if (!item || !item.date) return false;
@@ -83,42 +97,41 @@ export class ExportDataProcessor {
       }
       
       const targetWorkers = workerId ? [this.workers.find(w => w.id === workerId)] : this.workers;
-      const filteredEntries = this.filterByDateRange(this.entries || [], fromDate, toDate);
-      const filteredPayments = this.filterByDateRange(this.payments || [], fromDate, toDate);
+      const range = this.getEffectiveRange(fromDate, toDate) || {};
 
       return targetWorkers.filter(Boolean).map(worker => {
-        const workerEntries = filteredEntries.filter(e => e.workerId === worker.id);
-        const workerPayments = filteredPayments.filter(p => p.workerId === worker.id);
+        // Totals and balances come from the shared ledger engine
+        const ledger = buildWorkerLedger(worker.id, this.state, range);
+        const workerEntries = ledger.transactions.filter(t => t.type === 'entry').map(t => t.record);
+        const workerPayments = ledger.transactions.filter(t => t.type === 'payment').map(t => t.record);
         
         // Calculate attendance summary
         const attendanceSummary = this.calculateAttendanceSummary(workerEntries);
         
         // Calculate financial summary
-        const totalEarnings = workerEntries.reduce((sum, entry) => sum + (entry.amount || 0), 0);
-        const totalPayments = workerPayments.reduce((sum, payment) => sum + (payment.amount || 0), 0);
-        let currentBalance = 0;
-        
-        try {
-          currentBalance = getWorkerBalance(worker.id, this.state);
-        } catch (balanceError) {
-          console.error('Error calculating worker balance:', balanceError);
-          currentBalance = totalEarnings - totalPayments; // fallback calculation
-        }
+        const totalEarnings = ledger.totalEarnings;
+        const totalPayments = ledger.totalPayments;
+        const currentBalance = ledger.currentBalance;
 
         // NEW: Generate day-wise breakdown
-        const dayWiseData = this.generateDayWiseBreakdown(worker.id, workerEntries, workerPayments, fromDate, toDate);
+        const dayWiseData = this.generateDayWiseBreakdown(worker.id, fromDate, toDate);
 
         return {
           worker,
           entries: workerEntries.sort((a, b) => new Date(b.date) - new Date(a.date)),
           payments: workerPayments.sort((a, b) => new Date(b.date) - new Date(a.date)),
           dayWiseData, // NEW: Day-wise breakdown
+          pieceWork: groupPieceWork(workerEntries, this.state),
           summary: {
             ...attendanceSummary,
             totalEarnings,
             totalPayments,
+            paymentsByKind: ledger.paymentsByKind,
+            outstandingLoans: getOutstandingLoanTotal(worker.id, this.state),
+            periodOpeningBalance: ledger.openingBalance,
+            periodClosingBalance: ledger.closingBalance,
             currentBalance,
-            totalWorkingDays: workerEntries.length
+            totalWorkingDays: ledger.attendance.days
           }
         };
       });
@@ -128,10 +141,42 @@ export class ExportDataProcessor {
     }
   }
 
+  // Labour cost per site for the exported workers and range; empty when sites are not in use
+  getSiteCostData(data) {
+    const entries = data.flatMap(d => d.entries);
+    const payments = data.flatMap(d => d.payments);
+    const sitesInUse = (this.state.sites || []).length > 0 || [...entries, ...payments].some(r => r.siteId);
+    if (!sitesInUse) return [];
+    return buildSiteCostReport({ ...this.state, entries, payments });
+  }
+
+  // Payslip data for one worker in a closed pay period (exact period, not widened to months)
+  getPayslipData(workerId, closedPeriod) {
+    const worker = this.workers.find(w => w.id === workerId);
+    if (!worker || !closedPeriod) return null;
+
+    const ledger = buildWorkerLedger(workerId, this.state, { fromDate: closedPeriod.fromDate, toDate: closedPeriod.toDate });
+    const snapshot = (closedPeriod.snapshots || []).find(s => s.workerId === workerId) || {
+      openingBalance: ledger.openingBalance,
+      earnings: ledger.totalEarnings,
+      payments: ledger.totalPayments,
+      closingBalance: ledger.closingBalance,
+      attendance: ledger.attendance,
+    };
+
+    return {
+      worker,
+      period: closedPeriod,
+      snapshot,
+      entries: ledger.transactions.filter(t => t.type === 'entry').map(t => ({ ...t.record, earned: t.change })),
+      payments: ledger.transactions.filter(t => t.type === 'payment').map(t => t.record),
+    };
+  }
+
   // Calculate detailed attendance summary
   calculateAttendanceSummary(entries) {
     try {
-      const summary = { present: 0, halfDay: 0, absent: 0, overtime: 0 };
+      const summary = { present: 0, halfDay: 0, absent: 0, overtime: 0, hoursWorked: 0, overtimeHours: 0, overtimeAmount: 0 };
       const categoryBreakdown = {};
 
       if (!Array.isArray(entries)) {
@@ -145,12 +190,13 @@ export class ExportDataProcessor {
           return;
         }
         
-        // Attendance status
-        switch (entry.status) {
-          case 'P': summary.present++; break;
-          case 'H': summary.halfDay++; break;
-          case 'A': summary.absent++; break;
-          case 'O': summary.overtime++; break;
+        if (entry.status === 'O') summary.overtime++;
+
+        // Hours and overtime (stored on the entry, already part of its earning)
+        if (entry.status !== 'A') {
+          summary.hoursWorked += Number(entry.hoursWorked) || 0;
+          summary.overtimeHours += Number(entry.overtimeHours) || 0;
+          summary.overtimeAmount += Number(entry.overtimeAmount) || 0;
         }
 
         // Category breakdown
@@ -161,55 +207,38 @@ export class ExportDataProcessor {
           categoryBreakdown[categoryName] = { count: 0, amount: 0 };
         }
         categoryBreakdown[categoryName].count++;
-        categoryBreakdown[categoryName].amount += entry.amount || 0;
+        categoryBreakdown[categoryName].amount += getEntryEarning(entry);
       });
 
-      return { ...summary, categoryBreakdown };
+      // Present/half/absent are counted per day: piece-work lines share the day's attendance
+      return { ...summary, ...countAttendance(entries), categoryBreakdown };
     } catch (error) {
       console.error('Error calculating attendance summary:', error);
-      return { present: 0, halfDay: 0, absent: 0, overtime: 0, categoryBreakdown: {} };
+      return { present: 0, halfDay: 0, absent: 0, overtime: 0, hoursWorked: 0, overtimeHours: 0, overtimeAmount: 0, categoryBreakdown: {} };
     }
   }
 
   // NEW: Generate day-wise breakdown with running balance
-  generateDayWiseBreakdown(workerId, entries, payments, fromDate, toDate) {
+  generateDayWiseBreakdown(workerId, fromDate, toDate) {
     try {
-      // Get all dates that have entries or payments
-      const allDates = new Set();
-      entries.forEach(e => allDates.add(e.date));
-      payments.forEach(p => allDates.add(p.date));
-      
-      // Sort dates chronologically
-      const sortedDates = Array.from(allDates).sort((a, b) => new Date(a) - new Date(b));
-      
-      // Calculate opening balance (balance before the date range)
-      let runningBalance = 0;
-      try {
-        // Get worker's total balance up to the start date
-        const allWorkerEntries = this.entries.filter(e => e.workerId === workerId);
-        const allWorkerPayments = this.payments.filter(p => p.workerId === workerId);
-        
-        if (fromDate) {
-          const entriesBeforeRange = allWorkerEntries.filter(e => new Date(e.date) < new Date(fromDate));
-          const paymentsBeforeRange = allWorkerPayments.filter(p => new Date(p.date) < new Date(fromDate));
-          
-          const earningsBeforeRange = entriesBeforeRange.reduce((sum, e) => sum + (e.amount || 0), 0);
-          const paymentsBeforeRange_total = paymentsBeforeRange.reduce((sum, p) => sum + (p.amount || 0), 0);
-          
-          runningBalance = earningsBeforeRange - paymentsBeforeRange_total;
-        }
-      } catch (error) {
-        console.warn('Error calculating opening balance:', error);
-        runningBalance = 0;
-      }
+      const ledger = buildWorkerLedger(workerId, this.state, this.getEffectiveRange(fromDate, toDate) || {});
+      
+      // Group the ledger's transactions by day (already in chronological order)
+      const byDate = new Map();
+      ledger.transactions.forEach(trans => {
+        if (!byDate.has(trans.date)) byDate.set(trans.date, []);
+        byDate.get(trans.date).push(trans);
+      });
+
+      let runningBalance = ledger.openingBalance;
 
       // Build day-wise data
-      const dayWiseData = sortedDates.map(date => {
-        const dayEntries = entries.filter(e => e.date === date);
-        const dayPayments = payments.filter(p => p.date === date);
+      const dayWiseData = Array.from(byDate.entries()).map(([date, dayTransactions]) => {
+        const dayEntries = dayTransactions.filter(t => t.type === 'entry');
+        const dayPayments = dayTransactions.filter(t => t.type === 'payment');
         
-        const dayEarnings = dayEntries.reduce((sum, e) => sum + (e.amount || 0), 0);
-        const dayPaymentTotal = dayPayments.reduce((sum, p) => sum + (p.amount || 0), 0);
+        const dayEarnings = dayEntries.reduce((sum, t) => sum + t.change, 0);
+        const dayPaymentTotal = dayPayments.reduce((sum, t) => sum - t.change, 0);
         
         const openingBalance = runningBalance;
         const closingBalance = openingBalance + dayEarnings - dayPaymentTotal;
@@ -218,12 +247,12 @@ export class ExportDataProcessor {
         return {
           date,
           openingBalance,
-          entries: dayEntries.map(e => ({
+          entries: dayEntries.map(({ record: e }) => ({
             ...e,
             categoryName: this.categories.find(c => c.id === e.categoryId)?.category || 'Unknown',
             subcategoryName: this.subcategories.find(s => s.id === e.subcategoryId)?.subcategoryName || 'N/A'
           })),
-          payments: dayPayments,
+          payments: dayPayments.map(t => t.record),
           dayEarnings,
           dayPaymentTotal,
           closingBalance,
@@ -232,8 +261,8 @@ export class ExportDataProcessor {
       });
 
       return {
-        openingBalance: dayWiseData[0]?.openingBalance || 0,
-        closingBalance: dayWiseData[dayWiseData.length - 1]?.closingBalance || 0,
+        openingBalance: ledger.openingBalance,
+        closingBalance: ledger.closingBalance,
         dailyData: dayWiseData,
         totalDays: dayWiseData.length
       };
@@ -288,6 +317,12 @@ export class ExcelExporter {
       // Create summary sheet
       this.createSummarySheet(workbook, data, fromDate, toDate);
 
+      // Work B totals by item and unit, only when there is piece work in range
+      this.createPieceWorkSheet(workbook, data);
+
+      // Labour cost per site, only when sites are in use
+      this.createSiteCostSheet(workbook, data);
+
       // Create detailed sheets for each worker
       data.forEach((workerData, index) => {
         this.createWorkerDetailSheet(workbook, workerData, index);
@@ -326,7 +361,7 @@ export class ExcelExporter {
       [''], // Empty row
       
       // Headers
-      ['Worker Name', 'Phone', 'Present Days', 'Half Days', 'Absent Days', 'Total Earnings', 'Total Payments', 'Current Balance'],
+      ['Worker Name', 'Phone', 'Present Days', 'Half Days', 'Absent Days', 'Total Earnings', 'Total Payments', 'Current Balance', 'Overtime Hours', 'Overtime Amount'],
       
       // Data rows
       ...data.map(({ worker, summary }) => [
@@ -337,7 +372,9 @@ export class ExcelExporter {
         summary.absent,
         summary.totalEarnings,
         summary.totalPayments,
-        summary.currentBalance
+        summary.currentBalance,
+        summary.overtimeHours || 0,
+        summary.overtimeAmount || 0
       ])
     ];
 
@@ -352,7 +389,9 @@ export class ExcelExporter {
       { width: 12 }, // Absent
       { width: 15 }, // Earnings
       { width: 15 }, // Payments
-      { width: 15 }  // Balance
+      { width: 15 }, // Balance
+      { width: 15 }, // Overtime Hours
+      { width: 15 }  // Overtime Amount
     ];
 
     // Apply styles (Excel will format these)
@@ -372,7 +411,7 @@ export class ExcelExporter {
         }
         
         // Number formatting for currency columns
-        if ((C >= 5 && C <= 7) && R > 5) {
+        if ((C >= 5 && C <= 7 || C === 9) && R > 5) {
           cell.z = '#,##0.00';
         }
       }
@@ -381,8 +420,81 @@ export class ExcelExporter {
     XLSX.utils.book_append_sheet(workbook, ws, 'Summary');
   }
 
+  createPieceWorkSheet(workbook, data) {
+    const rows = data.flatMap(({ worker, pieceWork }) => (pieceWork || []).map(group => [
+      worker.name || 'Unknown',
+      group.name,
+      group.unit,
+      group.units,
+      group.entries,
+      group.amount
+    ]));
+    if (rows.length === 0) return;
+
+    const totals = groupPieceWork(data.flatMap(d => d.entries), this.processor.state);
+    const sheetData = [
+      ['Piece Work by Item'],
+      [''],
+      ['Worker', 'Item', 'Unit', 'Units', 'Entries', 'Amount'],
+      ...rows,
+      [''],
+      ['TOTAL BY ITEM'],
+      ['Item', 'Unit', 'Units', 'Entries', 'Amount'],
+      ...totals.map(group => [group.name, group.unit, group.units, group.entries, group.amount])
+    ];
+
+    const ws = XLSX.utils.aoa_to_sheet(sheetData);
+    ws['!cols'] = [
+      { width: 20 }, // Worker/Item
+      { width: 20 }, // Item/Unit
+      { width: 10 }, // Unit/Units
+      { width: 10 }, // Units/Entries
+      { width: 10 }, // Entries/Amount
+      { width: 15 }  // Amount
+    ];
+    XLSX.utils.book_append_sheet(workbook, ws, 'Piece Work');
+  }
+
+  createSiteCostSheet(workbook, data) {
+    const sites = this.processor.getSiteCostData(data);
+    if (sites.length === 0) return;
+
+    const sheetData = [
+      ['Labour Cost by Site'],
+      [''],
+      ['Site', 'Client', 'Address', 'Workers', 'Days', 'Entries', 'Labour Cost', 'Payments'],
+      ...sites.map(site => [
+        site.name,
+        site.client,
+        site.address,
+        site.workers,
+        site.attendance.days,
+        site.entries,
+        site.labourCost,
+        site.payments
+      ]),
+      [''],
+      ['TOTAL', '', '', '', '', '',
+        sites.reduce((sum, site) => sum + site.labourCost, 0),
+        sites.reduce((sum, site) => sum + site.payments, 0)]
+    ];
+
+    const ws = XLSX.utils.aoa_to_sheet(sheetData);
+    ws['!cols'] = [
+      { width: 20 }, // Site
+      { width: 18 }, // Client
+      { width: 25 }, // Address
+      { width: 10 }, // Workers
+      { width: 8 },  // Days
+      { width: 10 }, // Entries
+      { width: 15 }, // Labour Cost
+      { width: 15 }  // Payments
+    ];
+    XLSX.utils.book_append_sheet(workbook, ws, 'Sites');
+  }
+
   createWorkerDetailSheet(workbook, workerData, index) {
-    const { worker, entries, payments, summary, dayWiseData } = workerData;
+    const { worker, entries, payments, summary, dayWiseData, pieceWork = [] } = workerData;
     const sheetName = `${worker.name?.substring(0, 20) || 'Worker'}_${index + 1}`;
 
     const detailData = [
@@ -398,13 +510,20 @@ export class ExcelExporter {
       ['Half Days:', summary.halfDay], 
       ['Absent Days:', summary.absent],
       ['Overtime Days:', summary.overtime],
+      ['Hours Worked:', summary.hoursWorked],
+      ['Overtime Hours:', summary.overtimeHours],
       ['Total Working Days:', summary.totalWorkingDays],
       [''], // Empty row
 
       // Financial Summary
       ['FINANCIAL SUMMARY'],
       ['Total Earnings:', this.processor.formatCurrency(summary.totalEarnings)],
+      ['  Overtime:', this.processor.formatCurrency(summary.overtimeAmount || 0)],
       ['Total Payments:', this.processor.formatCurrency(summary.totalPayments)],
+      ...Object.entries(summary.paymentsByKind || {})
+        .filter(([, value]) => value > 0)
+        .map(([kind, value]) => [`  ${PAYMENT_KINDS[kind].label}:`, this.processor.formatCurrency(value)]),
+      ['Outstanding Loans:', this.processor.formatCurrency(summary.outstandingLoans || 0)],
       ['Current Balance:', this.processor.formatCurrency(summary.currentBalance)],
       [''], // Empty row
 
@@ -429,9 +548,17 @@ export class ExcelExporter {
       ['Period Closing Balance:', dayWiseData.closingBalance],
       [''], // Empty row
 
+      // Piece work by item
+      ...(pieceWork.length > 0 ? [
+        ['PIECE WORK BY ITEM'],
+        ['Item', 'Unit', 'Units', 'Entries', 'Amount'],
+        ...pieceWork.map(group => [group.name, group.unit, group.units, group.entries, group.amount]),
+        [''], // Empty row
+      ] : []),
+
       // Entries Header
       ['WORK ENTRIES'],
-      ['Date', 'Category', 'Subcategory', 'Status', 'Amount', 'Notes'],
+      ['Date', 'Category', 'Subcategory', 'Status', 'Amount', 'Hours', 'OT Hours', 'OT Amount', 'Notes'],
       
       // Entry rows
       ...entries.map(entry => {
@@ -443,18 +570,22 @@ export class ExcelExporter {
           subcategory?.subcategoryName || 'N/A',
           this.getStatusText(entry.status),
           entry.amount || 0,
+          entry.hoursWorked ?? '',
+          entry.overtimeHours || '',
+          entry.overtimeAmount || '',
           entry.notes || ''
         ];
       }),
       
       [''], // Empty row
       ['PAYMENTS'],
-      ['Date', 'Amount', 'Type', 'Notes'],
+      ['Date', 'Amount', 'Kind', 'Type', 'Notes'],
       
       // Payment rows
       ...payments.map(payment => [
         this.processor.formatDate(payment.date),
         payment.amount || 0,
+        PAYMENT_KINDS[getPaymentKind(payment)].label,
         payment.paymentType || 'Cash',
         payment.notes || ''
       ])
@@ -579,6 +710,8 @@ export class PDFExporter {
 
             ${this.generateSummaryTable(data)}
             
+            ${this.generateSiteCostTable(data)}
+            
             ${data.map(workerData => this.generateWorkerDetailSection(workerData)).join('')}
             
             <div class="footer">
@@ -919,6 +1052,7 @@ export class PDFExporter {
               <th>Total Earnings</th>
               <th>Total Payments</th>
               <th>Balance</th>
+              <th>Overtime</th>
             </tr>
           </thead>
           <tbody>
@@ -932,6 +1066,42 @@ export class PDFExporter {
                 <td class="currency">${this.processor.formatCurrency(summary.totalEarnings)}</td>
                 <td class="currency">${this.processor.formatCurrency(summary.totalPayments)}</td>
                 <td class="currency">${this.processor.formatCurrency(summary.currentBalance)}</td>
+                <td class="currency">${summary.overtimeHours ? `${summary.overtimeHours}h / ${this.processor.formatCurrency(summary.overtimeAmount)}` : '-'}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  generateSiteCostTable(data) {
+    const sites = this.processor.getSiteCostData(data);
+    if (sites.length === 0) return '';
+
+    return `
+      <div class="summary-section">
+        <h3 class="section-title">🏠 Site Labour Cost</h3>
+        <table>
+          <thead>
+            <tr>
+              <th>Site</th>
+              <th>Client</th>
+              <th>Workers</th>
+              <th>Days</th>
+              <th>Labour Cost</th>
+              <th>Payments</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${sites.map(site => `
+              <tr>
+                <td><strong>${site.name}</strong></td>
+                <td>${site.client || '-'}</td>
+                <td>${site.workers}</td>
+                <td>${site.attendance.days}</td>
+                <td class="currency">${this.processor.formatCurrency(site.labourCost)}</td>
+                <td class="currency">${this.processor.formatCurrency(site.payments)}</td>
               </tr>
             `).join('')}
           </tbody>
@@ -941,7 +1111,7 @@ export class PDFExporter {
   }
 
   generateWorkerDetailSection(workerData) {
-    const { worker, entries, payments, summary, dayWiseData } = workerData;
+    const { worker, entries, payments, summary, dayWiseData, pieceWork = [] } = workerData;
     
     return `
       <div class="worker-section">
@@ -967,6 +1137,12 @@ export class PDFExporter {
             <div class="stat-title">TOTAL PAYMENTS</div>
             <div class="stat-value currency">${this.processor.formatCurrency(summary.totalPayments)}</div>
           </div>
+          ${summary.overtimeHours > 0 ? `
+          <div class="stat-card">
+            <div class="stat-title">OVERTIME</div>
+            <div class="stat-value currency">${summary.overtimeHours}h · ${this.processor.formatCurrency(summary.overtimeAmount)}</div>
+          </div>
+          ` : ''}
         </div>
 
         ${dayWiseData && dayWiseData.dailyData.length > 0 ? `
@@ -1004,6 +1180,32 @@ export class PDFExporter {
           </div>
         ` : ''}
 
+        ${pieceWork.length > 0 ? `
+          <h4 class="section-title">🧱 Piece Work by Item</h4>
+          <table>
+            <thead>
+              <tr>
+                <th>Item</th>
+                <th>Unit</th>
+                <th>Units</th>
+                <th>Entries</th>
+                <th>Amount</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${pieceWork.map(group => `
+                <tr>
+                  <td>${group.name}</td>
+                  <td>${group.unit}</td>
+                  <td>${group.units}</td>
+                  <td>${group.entries}</td>
+                  <td class="currency">${this.processor.formatCurrency(group.amount)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : ''}
+
         ${entries.length > 0 ? `
           <h4 class="section-title">📝 Work Entries</h4>
           <table>
@@ -1014,6 +1216,7 @@ export class PDFExporter {
                 <th>Subcategory</th>
                 <th>Status</th>
                 <th>Amount</th>
+                <th>Overtime</th>
                 <th>Notes</th>
               </tr>
             </thead>
@@ -1029,11 +1232,12 @@ export class PDFExporter {
                     <td>${subcategory?.subcategoryName || 'N/A'}</td>
                     <td class="${statusClass}">${this.getStatusText(entry.status)}</td>
                     <td class="currency">${this.processor.formatCurrency(entry.amount)}</td>
+                    <td class="currency">${entry.overtimeHours ? `${entry.overtimeHours}h · ${this.processor.formatCurrency(entry.overtimeAmount)}` : '-'}</td>
                     <td>${entry.notes || ''}</td>
                   </tr>
                 `;
               }).join('')}
-              ${entries.length > 20 ? `<tr><td colspan="6" style="text-align: center; font-style: italic;">... and ${entries.length - 20} more entries</td></tr>` : ''}
+              ${entries.length > 20 ? `<tr><td colspan="7" style="text-align: center; font-style: italic;">... and ${entries.length - 20} more entries</td></tr>` : ''}
             </tbody>
           </table>
         ` : '<p>No work entries found.</p>'}
@@ -1054,7 +1258,7 @@ export class PDFExporter {
                 <tr>
                   <td>${this.processor.formatDate(payment.date)}</td>
                   <td class="currency">${this.processor.formatCurrency(payment.amount)}</td>
-                  <td>${payment.paymentType || 'Cash'}</td>
+                  <td>${PAYMENT_KINDS[getPaymentKind(payment)].label} (${payment.paymentType || 'Cash'})</td>
                   <td>${payment.notes || ''}</td>
                 </tr>
               `).join('')}
@@ -1066,6 +1270,147 @@ export class PDFExporter {
     `;
   }
 
+  async exportPayslip(workerId, closedPeriod, filename = null, defaultLanguage = undefined) {
+    try {
+      console.log('🧾 Starting payslip export...');
+
+      if (!Print || !Print.printToFileAsync) {
+        return { success: false, error: 'PDF export is not available in Expo Go. Please use a development build.' };
+      }
+
+      const data = this.processor.getPayslipData(workerId, closedPeriod);
+      if (!data) {
+        return { success: false, error: 'Worker or pay period not found' };
+      }
+
+      const htmlContent = this.generatePayslipHTML(data, getWorkerLanguage(data.worker, defaultLanguage));
+      if (!filename) {
+        filename = `HLM_Payslip_${data.worker.name.replace(/\s+/g, '_')}_${closedPeriod.fromDate}_${closedPeriod.toDate}.pdf`;
+      }
+
+      const printResult = await Print.printToFileAsync({ html: htmlContent, base64: false });
+      if (!printResult || !printResult.uri) {
+        throw new Error('Failed to generate PDF file');
+      }
+
+      console.log('✅ Payslip created:', printResult.uri);
+      return { success: true, uri: printResult.uri, filename };
+    } catch (error) {
+      console.error('❌ Payslip export failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Payslip labels follow the worker's language; figures and dates stay numeric
+  generatePayslipHTML(data, language = 'en') {
+    const { worker, period, snapshot, entries, payments } = data;
+    const fmt = (v) => this.processor.formatCurrency(v);
+    const t = (key, params) => translate(language, key, params);
+    const attendance = snapshot.attendance || { present: 0, halfDay: 0, absent: 0 };
+
+    return `
+      <!DOCTYPE html>
+      <html lang="${language}">
+        <head>
+          <meta charset="utf-8">
+          <title>${t('payslip.title')} - ${worker.name}</title>
+          <style>
+            ${this.getPDFStyles()}
+          </style>
+        </head>
+        <body>
+          <div class="header">
+            <h1>🏠 House Labour Management</h1>
+            <h2>${t('payslip.title')}</h2>
+            <div class="report-info">
+              <p><strong>${t('common.worker')}:</strong> ${worker.name}${worker.phone ? ` | 📱 ${worker.phone}` : ''}</p>
+              <p><strong>${t('payslip.period')}:</strong> ${this.processor.formatDate(period.fromDate)} - ${this.processor.formatDate(period.toDate)}</p>
+              <p><strong>${t('payslip.closed')}:</strong> ${formatLocalDate(language, new Date(period.closedAt), 'dd MMM yyyy, HH:mm')}</p>
+            </div>
+          </div>
+
+          <div class="worker-section">
+            <div class="stats-grid">
+              <div class="stat-card">
+                <div class="stat-title">${t('payslip.openingBalance')}</div>
+                <div class="stat-value currency">${fmt(snapshot.openingBalance)}</div>
+              </div>
+              <div class="stat-card">
+                <div class="stat-title">${t('payslip.earnings')}</div>
+                <div class="stat-value currency positive">${fmt(snapshot.earnings)}</div>
+              </div>
+              <div class="stat-card">
+                <div class="stat-title">${t('payslip.payments')}</div>
+                <div class="stat-value currency negative">${fmt(snapshot.payments)}</div>
+              </div>
+              <div class="stat-card">
+                <div class="stat-title">${t('payslip.closingBalance')}</div>
+                <div class="stat-value currency">${fmt(snapshot.closingBalance)}</div>
+              </div>
+            </div>
+
+            <p>
+              <span class="status-present">${t('status.P')}: ${attendance.present}</span> |
+              <span class="status-half">${t('status.H')}: ${attendance.halfDay}</span> |
+              <span class="status-absent">${t('status.A')}: ${attendance.absent}</span>
+            </p>
+
+            <h4 class="section-title">📝 ${t('payslip.earningsSection')}</h4>
+            ${entries.length > 0 ? `
+              <table>
+                <thead>
+                  <tr><th>${t('common.date')}</th><th>${t('payslip.work')}</th><th>${t('payslip.status')}</th><th>${t('common.amount')}</th><th>${t('payslip.overtime')}</th><th>${t('payslip.earned')}</th></tr>
+                </thead>
+                <tbody>
+                  ${entries.map(entry => {
+                    const category = this.processor.categories.find(c => c.id === entry.categoryId);
+                    const subcategory = this.processor.subcategories.find(s => s.id === entry.subcategoryId);
+                    const work = entry.workType === 'B'
+                      ? `${entry.workName || 'Work B'} (${entry.units}${entry.unit ? ` ${entry.unit}` : ''} × ${fmt(entry.ratePerUnit)})`
+                      : [category?.category, subcategory?.subcategoryName || subcategory?.subcategory].filter(Boolean).join(' / ') || '-';
+                    return `
+                      <tr>
+                        <td>${this.processor.formatDate(entry.date)}</td>
+                        <td>${work}</td>
+                        <td class="${this.getStatusClass(entry.status)}">${this.getStatusText(entry.status, language)}</td>
+                        <td class="currency">${fmt(entry.amount)}</td>
+                        <td class="currency">${entry.overtimeHours ? `${entry.overtimeHours}h · ${fmt(entry.overtimeAmount)}` : '-'}</td>
+                        <td class="currency">${fmt(entry.earned)}</td>
+                      </tr>
+                    `;
+                  }).join('')}
+                </tbody>
+              </table>
+            ` : `<p>${t('payslip.noEntries')}</p>`}
+
+            <h4 class="section-title">💰 ${t('payslip.paymentsSection')}</h4>
+            ${payments.length > 0 ? `
+              <table>
+                <thead>
+                  <tr><th>${t('common.date')}</th><th>${t('payslip.type')}</th><th>${t('common.notes')}</th><th>${t('common.amount')}</th></tr>
+                </thead>
+                <tbody>
+                  ${payments.map(payment => `
+                    <tr>
+                      <td>${this.processor.formatDate(payment.date)}</td>
+                      <td>${t(`paymentKind.${getPaymentKind(payment)}`)} (${payment.paymentType || 'Cash'})</td>
+                      <td>${payment.notes || ''}</td>
+                      <td class="currency">${fmt(payment.amount)}</td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            ` : `<p>${t('payslip.noPayments')}</p>`}
+          </div>
+
+          <div class="footer">
+            <p>${t('payslip.footer')} | ${formatLocalDate(language, new Date(), 'dd MMM yyyy')}</p>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+
   getStatusClass(status) {
     switch (status) {
       case 'P': return 'status-present';
@@ -1076,13 +1421,13 @@ export class PDFExporter {
     }
   }
 
-  getStatusText(status) {
+  getStatusText(status, language = 'en') {
     switch (status) {
-      case 'P': return '✅ Present';
-      case 'H': return '⏰ Half Day';
-      case 'A': return '❌ Absent';
-      case 'O': return '⚡ Overtime';
-      default: return status || 'Unknown';
+      case 'P': return `✅ ${translate(language, 'status.P')}`;
+      case 'H': return `⏰ ${translate(language, 'status.H')}`;
+      case 'A': return `❌ ${translate(language, 'status.A')}`;
+      case 'O': return `⚡ ${translate(language, 'status.O')}`;
+      default: return status || translate(language, 'common.unknown');
     }
   }
 }
@@ -1150,6 +1495,17 @@ export class ExportManager {
     };
   }
 
+  async exportPayslip(options = {}) {
+    const { workerId, period, filename, defaultLanguage } = options;
+    const result = await this.pdfExporter.exportPayslip(workerId, period, filename, defaultLanguage);
+
+    if (result.success && await Sharing.isAvailableAsync()) {
+      await Sharing.shareAsync(result.uri, { mimeType: 'application/pdf', dialogTitle: 'Share Payslip' });
+    }
+
+    return result;
+  }
+
   // Get preview data for export options
   getExportPreview(workerId = null, fromDate = null, toDate = null) {
     try {
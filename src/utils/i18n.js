@@ -0,0 +1,96 @@
+import { format, parseISO } from 'date-fns';
+import { enIN, kn as knLocale, hi as hiLocale } from 'date-fns/locale';
+import en from '../locales/en';
+import kn from '../locales/kn';
+import hi from '../locales/hi';
+
+/**
+ * Translations for the app UI and for messages sent to workers.
+ * The app language is a device preference (see I18nProvider), separate from the data;
+ * a worker's own `language` decides the language of their SMS/WhatsApp messages and payslips.
+ * Strings are flat `area.name` keys with {param} placeholders; missing keys fall back to English.
+ */
+
+export const LANGUAGES = {
+  en: { label: 'English', nativeLabel: 'English', dateLocale: enIN, strings: en },
+  kn: { label: 'Kannada', nativeLabel: 'ಕನ್ನಡ', dateLocale: knLocale, strings: kn },
+  hi: { label: 'Hindi', nativeLabel: 'हिन्दी', dateLocale: hiLocale, strings: hi },
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+const PARAM_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Supported language code, else the default
+ * @param {string} language - Language code
+ * @returns {string} Key of LANGUAGES
+ */
+export function normalizeLanguage(language) {
+  return LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Language a worker's messages and payslips are written in
+ * @param {Object} worker - Worker record
+ * @param {string} defaultLanguage - Used when the worker has no language set (usually the app language)
+ * @returns {string} Key of LANGUAGES
+ */
+export function getWorkerLanguage(worker, defaultLanguage = DEFAULT_LANGUAGE) {
+  return normalizeLanguage(LANGUAGES[worker?.language] ? worker.language : defaultLanguage);
+}
+
+/**
+ * Translated string
+ * @param {string} language - Language code
+ * @param {string} key - String key, e.g. 'payment.save'
+ * @param {Object} params - Values for {param} placeholders
+ * @returns {string} Text in the language, else English, else the key itself
+ */
+export function translate(language, key, params = {}) {
+  const text = LANGUAGES[normalizeLanguage(language)].strings[key] ?? en[key] ?? key;
+  return text.replace(PARAM_PATTERN, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Date with month and day names in the language
+ * @param {string} language - Language code
+ * @param {Date|string} date - Date or yyyy-MM-dd key
+ * @param {string} pattern - date-fns pattern
+ * @returns {string} Formatted date, '' when missing
+ */
+export function formatLocalDate(language, date, pattern = 'dd/MM/yyyy') {
+  if (!date) return '';
+  try {
+    const value = typeof date === 'string' ? parseISO(date) : date;
+    return format(value, pattern, { locale: LANGUAGES[normalizeLanguage(language)].dateLocale });
+  } catch {
+    return String(date);
+  }
+}
+
+// All supported languages write amounts with Indian digit grouping (1,23,456.00)
+const groupIndian = (digits) => {
+  if (digits.length <= 3) return digits;
+  return `${digits.slice(0, -3).replace(/\B(?=(\d{2})+(?!\d))/g, ',')},${digits.slice(-3)}`;
+};
+
+/**
+ * Amount without the currency sign
+ * @param {number} amount - Amount
+ * @returns {string} e.g. 1,23,456.00
+ */
+export function formatAmount(amount) {
+  const value = Number(amount) || 0;
+  const [whole, fraction] = Math.abs(value).toFixed(2).split('.');
+  return `${value < 0 ? '-' : ''}${groupIndian(whole)}.${fraction}`;
+}
+
+/**
+ * Amount in rupees
+ * @param {number} amount - Amount
+ * @returns {string} e.g. ₹1,23,456.00 or -₹250.00
+ */
+export function formatCurrency(amount) {
+  const text = formatAmount(amount);
+  return text.startsWith('-') ? `-₹${text.slice(1)}` : `₹${text}`;
+}
@@ -0,0 +1,369 @@
+import * as FileSystem from 'expo-file-system';
+import * as DocumentPicker from 'expo-document-picker';
+import Papa from 'papaparse';
+import XLSX from 'xlsx';
+import { format, isValid, parse } from 'date-fns';
+import { validateEntry, validatePayment } from './balance';
+import { PAYMENT_KINDS } from './ledger';
+import { getDefaultCountry, normalizePhone } from './phone';
+
+/**
+ * CSV / Excel import of workers, entries and payments.
+ * The flow is: read the file into rows keyed by column header, map columns to
+ * fields (guessed from the headers), then build an import plan that resolves
+ * names to IDs and validates every row. Only the valid rows of a plan are
+ * imported, in a single IMPORT_RECORDS dispatch so one Undo reverts the batch.
+ */
+
+export const IMPORT_TYPES = {
+  entries: { label: 'Attendance Entries' },
+  payments: { label: 'Payments' },
+  workers: { label: 'Workers' },
+};
+
+// Fields per import type; `aliases` are header names recognised when guessing the mapping
+export const IMPORT_FIELDS = {
+  entries: [
+    { key: 'worker', label: 'Worker', required: true, aliases: ['worker', 'worker name', 'name', 'labour'] },
+    { key: 'date', label: 'Date', required: true, aliases: ['date', 'day'] },
+    { key: 'status', label: 'Status', required: true, aliases: ['status', 'attendance', 'p/a/h'] },
+    { key: 'amount', label: 'Amount', required: false, aliases: ['amount', 'wage', 'amt'] },
+    { key: 'category', label: 'Category', required: false, aliases: ['category', 'work', 'work type'] },
+    { key: 'subcategory', label: 'Subcategory', required: false, aliases: ['subcategory', 'sub category', 'task'] },
+    { key: 'narration', label: 'Narration', required: false, aliases: ['narration', 'notes', 'remarks', 'description'] },
+  ],
+  payments: [
+    { key: 'worker', label: 'Worker', required: true, aliases: ['worker', 'worker name', 'name', 'labour'] },
+    { key: 'date', label: 'Date', required: true, aliases: ['date', 'day', 'paid on'] },
+    { key: 'amount', label: 'Amount', required: true, aliases: ['amount', 'paid', 'amt'] },
+    { key: 'paymentType', label: 'Payment Type', required: false, aliases: ['payment type', 'mode', 'type', 'method'] },
+    { key: 'kind', label: 'Kind', required: false, aliases: ['kind', 'purpose'] },
+    { key: 'notes', label: 'Notes', required: false, aliases: ['notes', 'narration', 'remarks', 'description'] },
+  ],
+  workers: [
+    { key: 'name', label: 'Name', required: true, aliases: ['name', 'worker', 'worker name'] },
+    { key: 'phone', label: 'Phone', required: false, aliases: ['phone', 'mobile', 'phone number', 'contact'] },
+    { key: 'address', label: 'Address', required: false, aliases: ['address', 'village', 'place'] },
+    { key: 'openingBalance', label: 'Opening Balance', required: false, aliases: ['opening balance', 'opening', 'balance'] },
+  ],
+};
+
+const DATE_FORMATS = ['yyyy-MM-dd', 'dd/MM/yyyy', 'dd-MM-yyyy', 'dd.MM.yyyy', 'd/M/yyyy', 'd-M-yyyy', 'dd/MM/yy'];
+
+const STATUS_ALIASES = {
+  p: 'P', present: 'P', full: 'P', 'full day': 'P', '1': 'P',
+  h: 'H', half: 'H', 'half day': 'H', '0.5': 'H',
+  a: 'A', absent: 'A', '0': 'A',
+};
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const cell = (row, mapping, key) => (mapping[key] ? String(row[mapping[key]] ?? '').trim() : '');
+
+/**
+ * Pick a CSV or Excel file and read its first sheet
+ * @returns {Promise<Object>} { success, fileName, headers, rows } or { success: false, canceled | error }
+ */
+export async function pickImportFile() {
+  try {
+    const result = await DocumentPicker.getDocumentAsync({
+      type: ['text/csv', 'text/comma-separated-values', 'application/vnd.ms-excel',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', '*/*'],
+      copyToCacheDirectory: true,
+    });
+    if (result.type === 'cancel') {
+      return { success: false, canceled: true };
+    }
+
+    const isExcel = /\.xlsx?$/i.test(result.name || result.uri);
+    const parsed = isExcel
+      ? parseExcel(await FileSystem.readAsStringAsync(result.uri, { encoding: FileSystem.EncodingType.Base64 }))
+      : parseCsv(await FileSystem.readAsStringAsync(result.uri, { encoding: FileSystem.EncodingType.UTF8 }));
+
+    if (parsed.rows.length === 0) {
+      return { success: false, error: 'The file has no data rows' };
+    }
+    console.log(`📥 Read ${parsed.rows.length} rows from ${result.name}`);
+    return { success: true, fileName: result.name, ...parsed };
+  } catch (error) {
+    console.error('Import file read failed:', error);
+    return { success: false, error: `Unable to read file: ${error.message}` };
+  }
+}
+
+/**
+ * Rows of a CSV text, keyed by header
+ * @param {string} text - CSV content
+ * @returns {Object} { headers, rows }
+ */
+export function parseCsv(text) {
+  const result = Papa.parse(text, { header: true, skipEmptyLines: 'greedy', transformHeader: h => h.trim() });
+  return { headers: (result.meta.fields || []).filter(Boolean), rows: result.data };
+}
+
+/**
+ * Rows of the first sheet of an Excel file, keyed by header
+ * @param {string} base64 - File content as base64
+ * @returns {Object} { headers, rows }
+ */
+export function parseExcel(base64) {
+  const workbook = XLSX.read(base64, { type: 'base64', cellDates: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false, dateNF: 'yyyy-mm-dd' });
+  const headers = rows.length > 0 ? Object.keys(rows[0]).map(h => h.trim()) : [];
+  return {
+    headers,
+    rows: rows.map(row => Object.fromEntries(Object.entries(row).map(([k, v]) => [k.trim(), v]))),
+  };
+}
+
+/**
+ * Column mapping guessed from the file headers
+ * @param {Array} headers - Column headers
+ * @param {string} type - Key of IMPORT_TYPES
+ * @returns {Object} { [fieldKey]: header | null }
+ */
+export function guessMapping(headers, type) {
+  const used = new Set();
+  return Object.fromEntries(IMPORT_FIELDS[type].map(field => {
+    const header = headers.find(h => !used.has(h) && field.aliases.includes(normalize(h)));
+    if (header) used.add(header);
+    return [field.key, header || null];
+  }));
+}
+
+/**
+ * Date cell as yyyy-MM-dd
+ * @param {string} value - Date text (ISO, dd/MM/yyyy, ...)
+ * @returns {string|null} Date string, or null when it can't be read
+ */
+export function parseImportDate(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  for (const pattern of DATE_FORMATS) {
+    const date = parse(text, pattern, new Date());
+    if (isValid(date) && date.getFullYear() > 1900) {
+      return format(date, 'yyyy-MM-dd');
+    }
+  }
+  return null;
+}
+
+/**
+ * Attendance cell as P / H / A
+ * @param {string} value - Status text (P, Present, Half day, ...)
+ * @returns {string|null} Status, or null when unknown
+ */
+export function parseImportStatus(value) {
+  return STATUS_ALIASES[normalize(value)] || null;
+}
+
+const parseAmount = (value) => {
+  const text = String(value ?? '').replace(/[₹,\s]/g, '');
+  if (text === '') return 0;
+  const n = Number(text);
+  return Number.isFinite(n) ? n : NaN;
+};
+
+const findByName = (list, name, field) => list.find(item => normalize(item[field]) === normalize(name));
+
+/**
+ * Resolve names to IDs and validate every row
+ * @param {Object} state - Global state
+ * @param {Array} rows - Rows keyed by header
+ * @param {Object} options - { type, mapping, createMissing }
+ * @returns {Object} { rows: [{ index, record, error }], workers, categories, subcategories, entries, payments, validCount }
+ *   where workers/categories/subcategories are the new records to create
+ */
+export function buildImportPlan(state, rows, { type, mapping, createMissing = false }) {
+  const missing = IMPORT_FIELDS[type].filter(f => f.required && !mapping[f.key]);
+  if (missing.length > 0) {
+    return {
+      rows: [], workers: [], categories: [], subcategories: [], entries: [], payments: [], validCount: 0,
+      error: `Map a column for ${missing.map(f => f.label).join(', ')}`,
+    };
+  }
+
+  const baseId = Date.now();
+  let seq = 0;
+  const nextId = (prefix) => `${prefix}_${baseId}_${seq++}`;
+
+  const plan = { rows: [], workers: [], categories: [], subcategories: [], entries: [], payments: [] };
+  const allWorkers = () => [...(state.workers || []), ...plan.workers];
+  const allCategories = () => [...(state.categories || []), ...plan.categories];
+  const allSubcategories = () => [...(state.subcategories || []), ...plan.subcategories];
+
+  const resolveWorker = (name) => {
+    const existing = findByName(allWorkers(), name, 'name');
+    if (existing) return { id: existing.id };
+    if (!createMissing) return { error: `Worker "${name}" not found` };
+    const worker = { id: nextId('worker'), name, address: '', phone: '', openingBalance: 0, wageRates: [], locked: true };
+    plan.workers.push(worker);
+    return { id: worker.id };
+  };
+
+  const resolveCategory = (name) => {
+    const existing = findByName(allCategories(), name, 'category');
+    if (existing) return { id: existing.id };
+    if (!createMissing) return { error: `Category "${name}" not found` };
+    const category = { id: nextId('category'), category: name };
+    plan.categories.push(category);
+    return { id: category.id };
+  };
+
+  const resolveSubcategory = (name, categoryId) => {
+    const existing = findByName(allSubcategories(), name, 'subcategoryName')
+      || findByName(allSubcategories(), name, 'subcategory');
+    if (existing) return { id: existing.id };
+    if (!createMissing) return { error: `Subcategory "${name}" not found` };
+    const subcategory = { id: nextId('subcategory'), subcategory: name, subcategoryName: name, categoryIds: [categoryId] };
+    plan.subcategories.push(subcategory);
+    return { id: subcategory.id };
+  };
+
+  // Rows are validated against existing data plus the rows accepted so far
+  const validationState = () => ({
+    ...state,
+    workers: allWorkers(),
+    categories: allCategories(),
+    subcategories: allSubcategories(),
+    entries: [...(state.entries || []), ...plan.entries],
+    payments: [...(state.payments || []), ...plan.payments],
+  });
+
+  const buildRecord = (row) => {
+    if (type === 'workers') {
+      const name = cell(row, mapping, 'name');
+      if (!name) return { record: null, error: 'Name is required' };
+      if (findByName(allWorkers(), name, 'name')) return { record: null, error: `Worker "${name}" already exists` };
+      const openingBalance = parseAmount(cell(row, mapping, 'openingBalance'));
+      if (Number.isNaN(openingBalance)) return { record: null, error: 'Invalid opening balance' };
+      // Usable numbers are stored in E.164; others are kept as typed and show up under contact issues
+      const phone = normalizePhone(cell(row, mapping, 'phone'), getDefaultCountry(state));
+      const worker = {
+        id: nextId('worker'),
+        name,
+        address: cell(row, mapping, 'address'),
+        phone: phone.valid ? phone.e164 : cell(row, mapping, 'phone'),
+        openingBalance,
+        wageRates: [],
+        locked: true,
+      };
+      plan.workers.push(worker);
+      return { record: worker, error: null };
+    }
+
+    const workerName = cell(row, mapping, 'worker');
+    if (!workerName) return { record: null, error: 'Worker is required' };
+    const date = parseImportDate(cell(row, mapping, 'date'));
+    if (!date) return { record: null, error: `Invalid date "${cell(row, mapping, 'date')}"` };
+    const amount = parseAmount(cell(row, mapping, 'amount'));
+    if (Number.isNaN(amount)) return { record: null, error: `Invalid amount "${cell(row, mapping, 'amount')}"` };
+
+    // Names are only created once the rest of the row has checked out
+    const before = { workers: plan.workers.length, categories: plan.categories.length, subcategories: plan.subcategories.length };
+    const rollback = () => {
+      plan.workers.length = before.workers;
+      plan.categories.length = before.categories;
+      plan.subcategories.length = before.subcategories;
+    };
+
+    if (type === 'payments') {
+      const kindText = normalize(cell(row, mapping, 'kind'));
+      const matchedKind = Object.keys(PAYMENT_KINDS)
+        .find(k => k === kindText.replace(/ /g, '_') || normalize(PAYMENT_KINDS[k].label) === kindText);
+      if (kindText && !matchedKind) return { record: null, error: `Unknown payment kind "${kindText}"` };
+      const kind = matchedKind || 'wage';
+      const worker = resolveWorker(workerName);
+      if (worker.error) return { record: null, error: worker.error };
+      const withheld = kind === 'deduction' || kind === 'loan_repayment';
+      const payment = {
+        id: nextId('payment'),
+        workerId: worker.id,
+        date,
+        amount,
+        paymentType: withheld ? 'Deduction' : (cell(row, mapping, 'paymentType') || 'Cash'),
+        kind,
+        siteId: null,
+        notes: cell(row, mapping, 'notes'),
+      };
+      const validation = validatePayment(payment, validationState());
+      if (!validation.valid) {
+        rollback();
+        return { record: null, error: validation.error };
+      }
+      plan.payments.push(payment);
+      return { record: payment, error: null };
+    }
+
+    const status = parseImportStatus(cell(row, mapping, 'status'));
+    if (!status) return { record: null, error: `Invalid status "${cell(row, mapping, 'status')}" (use P, H or A)` };
+    const worker = resolveWorker(workerName);
+    if (worker.error) return { record: null, error: worker.error };
+
+    let categoryId = null;
+    let subcategoryId = null;
+    if (status !== 'A') {
+      const categoryName = cell(row, mapping, 'category');
+      const subcategoryName = cell(row, mapping, 'subcategory');
+      if (!categoryName) { rollback(); return { record: null, error: 'Category is required for present and half-day rows' }; }
+      if (!subcategoryName) { rollback(); return { record: null, error: 'Subcategory is required for present and half-day rows' }; }
+      const category = resolveCategory(categoryName);
+      if (category.error) { rollback(); return { record: null, error: category.error }; }
+      const subcategory = resolveSubcategory(subcategoryName, category.id);
+      if (subcategory.error) { rollback(); return { record: null, error: subcategory.error }; }
+      categoryId = category.id;
+      subcategoryId = subcategory.id;
+    }
+
+    const entry = {
+      id: nextId('entry'),
+      workerId: worker.id,
+      date,
+      status,
+      workType: 'A',
+      categoryId,
+      subcategoryId,
+      workName: null,
+      units: null,
+      ratePerUnit: null,
+      workItemId: null,
+      siteId: null,
+      unit: null,
+      amount: status === 'A' ? 0 : amount,
+      narration: status === 'A' ? '' : cell(row, mapping, 'narration'),
+      amountSource: status === 'A' ? null : 'manual',
+      wageRateId: null,
+      rateAmount: null,
+      halfDayAmount: null,
+    };
+    const validation = validateEntry(entry, validationState());
+    if (!validation.valid) {
+      rollback();
+      return { record: null, error: validation.error };
+    }
+    plan.entries.push(entry);
+    return { record: entry, error: null };
+  };
+
+  rows.forEach((row, index) => {
+    plan.rows.push({ index, ...buildRecord(row) });
+  });
+
+  return { ...plan, validCount: plan.rows.filter(r => !r.error).length, error: null };
+}
+
+/**
+ * IMPORT_RECORDS payload for the valid rows of a plan
+ * @param {Object} plan - Result of buildImportPlan
+ * @returns {Object} { workers, categories, subcategories, entries, payments }
+ */
+export function getImportPayload(plan) {
+  return {
+    workers: plan.workers,
+    categories: plan.categories,
+    subcategories: plan.subcategories,
+    entries: plan.entries,
+    payments: plan.payments,
+  };
+}
@@ -0,0 +1,310 @@
+import { format } from 'date-fns';
+
+/**
+ * Ledger engine - the single source of truth for worker balances.
+ * Every screen, export and backup path should read balances from here
+ * so the same worker never shows two different numbers.
+ */
+
+const toNumber = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+/**
+ * Normalise a Date or 'yyyy-MM-dd' string to a comparable 'yyyy-MM-dd' key
+ * @param {Date|string|null} value - Date to normalise
+ * @returns {string|null} Date key or null when not set
+ */
+export function toDateKey(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : format(value, 'yyyy-MM-dd');
+  }
+  return String(value).slice(0, 10);
+}
+
+/**
+ * Amount a single entry adds to the worker's balance.
+ * Present earns the full amount, Half day earns half (or the half-day rate
+ * captured from the worker's wage rate), Absent earns nothing.
+ * A piece line always earns units × rate in full, whatever the day's status
+ * (half day plus afternoon piece work is paid as both).
+ * Overtime is stored separately as `overtimeAmount` and added on top.
+ * @param {Object} entry - Entry record
+ * @returns {number} Earned amount
+ */
+export function getEntryEarning(entry) {
+  if (!entry) return 0;
+  const amount = toNumber(entry.amount);
+  const overtime = toNumber(entry.overtimeAmount);
+  if (entry.status === 'P' || isPieceLine(entry)) return amount + overtime;
+  if (entry.status === 'H') {
+    return (entry.halfDayAmount != null ? toNumber(entry.halfDayAmount) : amount / 2) + overtime;
+  }
+  return 0;
+}
+
+/**
+ * Whether an entry is a piece-work line rather than the day's attendance line.
+ * A worker has at most one attendance line per day (Work A or absent) plus
+ * any number of Work B piece lines.
+ * @param {Object} entry - Entry record
+ * @returns {boolean} True for a non-absent Work B entry
+ */
+export function isPieceLine(entry) {
+  return !!entry && entry.workType === 'B' && entry.status !== 'A';
+}
+
+/**
+ * Attendance status of one worker-day from all of its lines.
+ * The attendance line decides; a day with only piece work counts as worked.
+ * @param {Array} lines - Entries of one worker on one date
+ * @returns {string|null} 'P' | 'H' | 'A' or null when there are no lines
+ */
+export function getDayStatus(lines) {
+  if (!lines || lines.length === 0) return null;
+  const attendance = lines.find(e => !isPieceLine(e));
+  if (attendance) return attendance.status;
+  if (lines.some(e => e.status === 'P')) return 'P';
+  if (lines.some(e => e.status === 'H')) return 'H';
+  return lines[0].status;
+}
+
+/**
+ * Attendance counts per worker-day, so piece lines never count a day twice
+ * @param {Array} entries - Entry records (one or many workers)
+ * @returns {Object} { present, halfDay, absent, days }
+ */
+export function countAttendance(entries) {
+  const byDay = {};
+  (entries || []).forEach(entry => {
+    if (!entry) return;
+    const key = `${entry.workerId}|${toDateKey(entry.date)}`;
+    (byDay[key] = byDay[key] || []).push(entry);
+  });
+
+  const attendance = { present: 0, halfDay: 0, absent: 0, days: 0 };
+  Object.values(byDay).forEach(lines => {
+    const status = getDayStatus(lines);
+    if (status === 'P') attendance.present++;
+    else if (status === 'H') attendance.halfDay++;
+    else if (status === 'A') attendance.absent++;
+    else return;
+    attendance.days++;
+  });
+  return attendance;
+}
+
+/**
+ * Payment kinds and their effect on the wage balance.
+ * `sign` 1 settles against wages, -1 credits the worker, 0 leaves the balance
+ * alone (loan disbursements are tracked as outstanding loans instead).
+ */
+export const PAYMENT_KINDS = {
+  wage: { label: 'Wage', sign: 1 },
+  advance: { label: 'Advance', sign: 1 },
+  loan_disbursement: { label: 'Loan Given', sign: 0 },
+  loan_repayment: { label: 'Loan Repayment', sign: 1 },
+  deduction: { label: 'Deduction', sign: 1 },
+  bonus: { label: 'Bonus', sign: -1 },
+};
+
+/**
+ * Kind of a payment; records saved before kinds existed are wage payments
+ * @param {Object} payment - Payment record
+ * @returns {string} Key of PAYMENT_KINDS
+ */
+export function getPaymentKind(payment) {
+  return PAYMENT_KINDS[payment?.kind] ? payment.kind : 'wage';
+}
+
+/**
+ * Amount a single payment removes from the worker's balance
+ * @param {Object} payment - Payment record
+ * @returns {number} Debited amount (negative for bonuses, 0 for loan disbursements)
+ */
+export function getPaymentDebit(payment) {
+  if (!payment) return 0;
+  return toNumber(payment.amount) * PAYMENT_KINDS[getPaymentKind(payment)].sign;
+}
+
+// Entries before payments on the same day, then by id (ids are creation timestamps)
+const compareTransactions = (a, b) => {
+  if (a.date !== b.date) return (a.date || '').localeCompare(b.date || '');
+  if (a.type !== b.type) return a.type === 'entry' ? -1 : 1;
+  return String(a.id).localeCompare(String(b.id));
+};
+
+/**
+ * Build a worker's ledger with running balance and period opening/closing
+ * @param {string} workerId - Worker ID
+ * @param {Object} state - Global state containing workers, entries, payments
+ * @param {Object} options - { fromDate, toDate } as Date or 'yyyy-MM-dd' (both optional)
+ * @returns {Object} Ledger with transactions, totals and balances
+ */
+export function buildWorkerLedger(workerId, state, options = {}) {
+  const fromKey = toDateKey(options.fromDate);
+  const toKey = toDateKey(options.toDate);
+  const worker = (state?.workers || []).find(w => w.id === workerId) || null;
+  const startingBalance = toNumber(worker?.openingBalance);
+
+  const transactions = [];
+  (state?.entries || [])
+    .filter(e => e.workerId === workerId)
+    .forEach(entry => {
+      const earned = getEntryEarning(entry);
+      transactions.push({ id: entry.id, type: 'entry', date: toDateKey(entry.date), change: earned, record: entry });
+    });
+  (state?.payments || [])
+    .filter(p => p.workerId === workerId)
+    .forEach(payment => {
+      const debit = getPaymentDebit(payment);
+      transactions.push({ id: payment.id, type: 'payment', date: toDateKey(payment.date), change: -debit, record: payment });
+    });
+  transactions.sort(compareTransactions);
+
+  let runningBalance = startingBalance;
+  let openingBalance = startingBalance;
+  const periodTransactions = [];
+  const totals = { earnings: 0, payments: 0 };
+  const paymentsByKind = Object.keys(PAYMENT_KINDS).reduce((acc, kind) => ({ ...acc, [kind]: 0 }), {});
+  const periodEntries = [];
+
+  for (const trans of transactions) {
+    runningBalance += trans.change;
+    trans.balanceAfter = runningBalance;
+
+    // Undated records count towards the balance but belong to no period
+    if ((fromKey || toKey) && !trans.date) continue;
+    if (fromKey && trans.date && trans.date < fromKey) {
+      openingBalance = runningBalance;
+      continue;
+    }
+    if (toKey && trans.date && trans.date > toKey) continue;
+
+    periodTransactions.push(trans);
+    if (trans.type === 'entry') {
+      totals.earnings += trans.change;
+      periodEntries.push(trans.record);
+    } else {
+      totals.payments -= trans.change;
+      paymentsByKind[getPaymentKind(trans.record)] += toNumber(trans.record.amount);
+    }
+  }
+
+  return {
+    worker,
+    startingBalance,
+    openingBalance,
+    closingBalance: openingBalance + totals.earnings - totals.payments,
+    currentBalance: runningBalance,
+    totalEarnings: totals.earnings,
+    totalPayments: totals.payments,
+    paymentsByKind,
+    attendance: countAttendance(periodEntries),
+    transactions: periodTransactions,
+  };
+}
+
+/**
+ * Current balance of a worker (opening balance + earnings - payments)
+ * @param {string} workerId - Worker ID
+ * @param {Object} state - Global state containing workers, entries, payments
+ * @returns {number} Current balance
+ */
+export function getWorkerBalance(workerId, state) {
+  if (!workerId || !state?.workers) return 0;
+  return buildWorkerLedger(workerId, state).currentBalance;
+}
+
+/**
+ * Get all worker balances efficiently
+ * @param {Object} state - Global state containing workers, entries, payments
+ * @returns {Object} Object with workerId as key and balance as value
+ */
+export function getAllWorkersBalances(state) {
+  if (!state?.workers) return {};
+
+  const balances = {};
+  state.workers.forEach(worker => {
+    balances[worker.id] = getWorkerBalance(worker.id, state);
+  });
+
+  return balances;
+}
+
+/**
+ * Self-check of the ledger data. Every screen and export reads balances through
+ * buildWorkerLedger, so recomputing them here the same way would prove nothing;
+ * instead this compares the engine against the totals that were handed out
+ * (closed pay period snapshots, which payslips and period reports were issued
+ * from) and flags records the engine cannot account for.
+ * @param {Object} state - Global state containing workers, entries, payments, closedPeriods
+ * @returns {Object} { consistent: boolean, issues: Array }
+ */
+export function checkLedgerConsistency(state) {
+  const issues = [];
+  const workers = state?.workers || [];
+  const workerIds = new Set(workers.map(w => w.id));
+  const tolerance = 0.005;
+
+  // A record changed after its period was closed makes the issued snapshot wrong
+  (state?.closedPeriods || []).forEach(period => {
+    (period.snapshots || []).forEach(snapshot => {
+      const worker = workers.find(w => w.id === snapshot.workerId);
+      if (!worker) return;
+      const ledger = buildWorkerLedger(worker.id, state, { fromDate: period.fromDate, toDate: period.toDate });
+      if (Math.abs(toNumber(snapshot.closingBalance) - ledger.closingBalance) > tolerance) {
+        issues.push({
+          type: 'snapshot_mismatch',
+          workerId: worker.id,
+          workerName: worker.name,
+          period: `${period.fromDate} - ${period.toDate}`,
+          expected: toNumber(snapshot.closingBalance),
+          actual: ledger.closingBalance,
+          message: `Closing balance for ${period.fromDate} - ${period.toDate} is now ${ledger.closingBalance.toFixed(2)}, but ${toNumber(snapshot.closingBalance).toFixed(2)} was issued when the period was closed`
+        });
+      }
+    });
+  });
+
+  workers.forEach(worker => {
+    const ledger = buildWorkerLedger(worker.id, state);
+    const entries = (state.entries || []).filter(e => e.workerId === worker.id);
+
+    const undated = ledger.transactions.filter(t => !t.date);
+    if (undated.length > 0) {
+      issues.push({
+        type: 'undated_records',
+        workerId: worker.id,
+        workerName: worker.name,
+        count: undated.length,
+        message: `${undated.length} records have no date and cannot be placed in a period`
+      });
+    }
+
+    const badStatus = entries.filter(e => !['P', 'H', 'A'].includes(e.status));
+    if (badStatus.length > 0) {
+      issues.push({
+        type: 'unknown_status',
+        workerId: worker.id,
+        workerName: worker.name,
+        count: badStatus.length,
+        message: `${badStatus.length} entries have an unknown attendance status and earn nothing`
+      });
+    }
+  });
+
+  const orphanEntries = (state?.entries || []).filter(e => !workerIds.has(e.workerId));
+  const orphanPayments = (state?.payments || []).filter(p => !workerIds.has(p.workerId));
+  if (orphanEntries.length > 0 || orphanPayments.length > 0) {
+    issues.push({
+      type: 'orphaned_records',
+      count: orphanEntries.length + orphanPayments.length,
+      message: `${orphanEntries.length} entries and ${orphanPayments.length} payments belong to no worker (use Repair Orphaned Records in Settings)`
+    });
+  }
+
+  return { consistent: issues.length === 0, issues };
+}
@@ -0,0 +1,115 @@
+import { toDateKey, getPaymentKind } from './ledger';
+
+/**
+ * Loan tracking.
+ * A loan is a payment of kind 'loan_disbursement' carrying an optional
+ * `instalmentAmount`; repayments are payments of kind 'loan_repayment',
+ * linked by `loanId` or, when unlinked, applied to the oldest open loan.
+ */
+
+const toNumber = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+const byDateThenId = (a, b) => (toDateKey(a.date) || '').localeCompare(toDateKey(b.date) || '') || String(a.id).localeCompare(String(b.id));
+
+/**
+ * Loans of a worker with repaid and outstanding amounts
+ * @param {string} workerId - Worker ID
+ * @param {Object} state - Global state containing payments
+ * @param {Object} options - { asOf } to ignore records dated after this date
+ * @returns {Array} [{ id, loan, principal, instalmentAmount, repaid, outstanding, repayments }]
+ */
+export function getWorkerLoans(workerId, state, options = {}) {
+  const asOf = toDateKey(options.asOf);
+  const payments = (state?.payments || [])
+    .filter(p => p.workerId === workerId && (!asOf || (toDateKey(p.date) || '') <= asOf))
+    .sort(byDateThenId);
+
+  const loans = payments
+    .filter(p => getPaymentKind(p) === 'loan_disbursement')
+    .map(loan => ({
+      id: loan.id,
+      loan,
+      principal: toNumber(loan.amount),
+      instalmentAmount: toNumber(loan.instalmentAmount),
+      repaid: 0,
+      outstanding: toNumber(loan.amount),
+      repayments: [],
+    }));
+
+  payments
+    .filter(p => getPaymentKind(p) === 'loan_repayment')
+    .forEach(repayment => {
+      let remaining = toNumber(repayment.amount);
+      const linked = loans.find(l => l.id === repayment.loanId);
+      const targets = linked ? [linked] : loans;
+      for (const target of targets) {
+        if (remaining <= 0) break;
+        const applied = linked ? remaining : Math.min(remaining, target.outstanding);
+        if (applied <= 0) continue;
+        target.repaid += applied;
+        target.outstanding -= applied;
+        target.repayments.push(repayment);
+        remaining -= applied;
+      }
+    });
+
+  return loans;
+}
+
+/**
+ * Total loan amount a worker still owes
+ * @param {string} workerId - Worker ID
+ * @param {Object} state - Global state containing payments
+ * @returns {number} Outstanding amount (never negative)
+ */
+export function getOutstandingLoanTotal(workerId, state) {
+  return getWorkerLoans(workerId, state)
+    .reduce((sum, l) => sum + Math.max(0, l.outstanding), 0);
+}
+
+/**
+ * Instalment repayments due for a pay period, one per open loan with a schedule.
+ * Repayments already recorded against the loan inside the period count towards the instalment.
+ * @param {Object} state - Global state containing workers and payments
+ * @param {Object} period - { fromDate, toDate } as 'yyyy-MM-dd'
+ * @returns {Array} Payment records of kind 'loan_repayment' dated on the period's last day
+ */
+export function buildScheduledRepayments(state, period) {
+  const repayments = [];
+  const baseId = Date.now();
+
+  (state?.workers || []).forEach(worker => {
+    getWorkerLoans(worker.id, state, { asOf: period.toDate }).forEach(loan => {
+      if (loan.instalmentAmount <= 0 || loan.outstanding <= 0) return;
+      if ((toDateKey(loan.loan.date) || '') > period.toDate) return;
+
+      const paidInPeriod = loan.repayments
+        .filter(r => r.loanId === loan.id)
+        .filter(r => {
+          const d = toDateKey(r.date) || '';
+          return d >= period.fromDate && d <= period.toDate;
+        })
+        .reduce((sum, r) => sum + toNumber(r.amount), 0);
+
+      const due = Math.min(loan.instalmentAmount - paidInPeriod, loan.outstanding);
+      if (due <= 0) return;
+
+      repayments.push({
+        id: `${baseId + repayments.length}`,
+        workerId: worker.id,
+        date: period.toDate,
+        amount: due,
+        kind: 'loan_repayment',
+        paymentType: 'Deduction',
+        loanId: loan.id,
+        notes: 'Scheduled loan instalment',
+        scheduled: true,
+      });
+    });
+  });
+
+  return repayments;
+}
@@ -0,0 +1,239 @@
+import { COLLECTION_LABELS } from './audit';
+import { validateEntry, validatePayment } from './balance';
+
+/**
+ * Merge-restore: combine a backup with the data on this phone instead of replacing it.
+ * Records are matched by ID. Audit records present in only one of the two audit logs
+ * are the changes that side has not shared with the other, which separates an update
+ * made only on the other phone ('changed') from an edit on both sides ('conflict').
+ * Backups without an audit log fall back to this phone's changes after the backup time.
+ *
+ * Per collection the diff lists:
+ * - new: only in the backup, added unless skipped
+ * - changed: differs, edited only on the other phone; backup version taken unless the user keeps this one
+ * - conflicts: differs and edited here too (or on neither side as far as the logs tell); user picks
+ * - deleted: here but not in the backup, and not added here; user picks
+ *   (keep it, or delete it as the other phone did)
+ * Records edited or added only on this phone are kept without being listed.
+ * Entries and payments taken from the backup are validated against the merged data
+ * (getMergeProblems) before the merge is applied.
+ */
+
+export const MERGE_COLLECTIONS = [
+  'workers', 'categories', 'subcategories', 'workItems', 'sites',
+  'entries', 'payments', 'deferredMessages', 'messageTemplates', 'closedPeriods', 'openingBalances',
+];
+
+// Stored as { key: value } rather than arrays of records with ids
+const KEYED_COLLECTIONS = ['openingBalances'];
+
+const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+const keyOf = (collection, id) => `${collection}:${id}`;
+
+// Side used for each list until the user picks one
+export const MERGE_DEFAULT_SIDES = { new: 'backup', changed: 'backup', conflicts: 'local', deleted: 'local' };
+
+const toMap = (collection, value) => (KEYED_COLLECTIONS.includes(collection)
+  ? new Map(Object.entries(value || {}))
+  : new Map((Array.isArray(value) ? value : []).map(r => [r?.id, r])));
+
+/**
+ * Records touched by some audit records
+ * @param {Array} records - Audit records
+ * @returns {Object} { changed: Set, added: Set } of 'collection:id' keys
+ */
+function getChangedKeys(records) {
+  const changed = new Set();
+  const added = new Set();
+  records.forEach(r => {
+    changed.add(keyOf(r.collection, r.recordId));
+    if (!r.before) added.add(keyOf(r.collection, r.recordId));
+  });
+  return { changed, added };
+}
+
+/**
+ * Changes each side has that the other does not
+ * @param {Array} localLog - This phone's audit log
+ * @param {Array|undefined} backupLog - The backup's audit log, when it has one
+ * @param {string} since - Backup timestamp, used when the backup has no audit log
+ * @returns {Object} { local, remote } - remote is null when the backup has no audit log
+ */
+function getUnsharedChanges(localLog, backupLog, since) {
+  const mine = localLog || [];
+  if (!Array.isArray(backupLog)) {
+    return { local: getChangedKeys(mine.filter(r => !since || r.at > since)), remote: null };
+  }
+  const backupIds = new Set(backupLog.map(r => r.id));
+  const localIds = new Set(mine.map(r => r.id));
+  return {
+    local: getChangedKeys(mine.filter(r => !backupIds.has(r.id))),
+    remote: getChangedKeys(backupLog.filter(r => !localIds.has(r.id))),
+  };
+}
+
+/**
+ * Diff this phone's data against a backup
+ * @param {Object} current - Current state
+ * @param {Object} backup - Backup data, already migrated to the current schema
+ * @param {string} since - Backup timestamp (ISO)
+ * @returns {Object} { [collection]: { new, changed, conflicts, deleted } } with items { id, local, backup }
+ */
+export function buildMergeDiff(current, backup, since) {
+  const { local, remote } = getUnsharedChanges(current.auditLog, backup.auditLog, since);
+
+  return Object.fromEntries(MERGE_COLLECTIONS.map(collection => {
+    const mine = toMap(collection, current[collection]);
+    const theirs = toMap(collection, backup[collection]);
+    const diff = { new: [], changed: [], conflicts: [], deleted: [] };
+
+    theirs.forEach((record, id) => {
+      if (!mine.has(id)) {
+        diff.new.push({ id, local: null, backup: record });
+      } else if (!same(mine.get(id), record)) {
+        const key = keyOf(collection, id);
+        const changedHere = local.changed.has(key);
+        // Without the backup's log every difference is taken as an edit over there
+        const changedThere = !remote || remote.changed.has(key);
+        const item = { id, local: mine.get(id), backup: record };
+        if (changedThere && !changedHere) diff.changed.push(item);
+        else if (changedHere && !changedThere) return;
+        else diff.conflicts.push(item);
+      }
+    });
+    mine.forEach((record, id) => {
+      if (!theirs.has(id) && !local.added.has(keyOf(collection, id))) {
+        diff.deleted.push({ id, local: record, backup: null });
+      }
+    });
+
+    return [collection, diff];
+  }));
+}
+
+/**
+ * Totals of a diff, for the summary line
+ * @param {Object} diff - Result of buildMergeDiff
+ * @returns {Object} { new, changed, conflicts, deleted }
+ */
+export function getMergeCounts(diff) {
+  return Object.values(diff).reduce((acc, d) => ({
+    new: acc.new + d.new.length,
+    changed: acc.changed + d.changed.length,
+    conflicts: acc.conflicts + d.conflicts.length,
+    deleted: acc.deleted + d.deleted.length,
+  }), { new: 0, changed: 0, conflicts: 0, deleted: 0 });
+}
+
+/**
+ * Side taken for a listed record
+ * @param {Object} resolutions - { 'collection:id': 'local' | 'backup' }
+ * @param {string} collection - State key
+ * @param {string} id - Record ID
+ * @param {string} fallback - Side when the user has not picked one (see MERGE_DEFAULT_SIDES)
+ * @returns {string} 'local' or 'backup'
+ */
+export function getMergeSide(resolutions, collection, id, fallback = 'local') {
+  return (resolutions || {})[keyOf(collection, id)] || fallback;
+}
+
+/**
+ * Resolution key of a record, for building the resolutions object
+ * @param {string} collection - State key
+ * @param {string} id - Record ID
+ * @returns {string} 'collection:id'
+ */
+export function getMergeKey(collection, id) {
+  return keyOf(collection, id);
+}
+
+/**
+ * Merged state from a diff and the chosen sides
+ * @param {Object} current - Current state
+ * @param {Object} diff - Result of buildMergeDiff
+ * @param {Object} resolutions - { 'collection:id': 'local' | 'backup' }
+ * @returns {Object} Merged state
+ */
+export function applyMergeDiff(current, diff, resolutions = {}) {
+  const next = { ...current };
+
+  MERGE_COLLECTIONS.forEach(collection => {
+    const d = diff[collection];
+    if (!d) return;
+    const fromBackup = (bucket) => d[bucket].filter(item =>
+      getMergeSide(resolutions, collection, item.id, MERGE_DEFAULT_SIDES[bucket]) === 'backup');
+    const added = fromBackup('new');
+    const take = new Map([...fromBackup('changed'), ...fromBackup('conflicts')].map(item => [item.id, item.backup]));
+    const drop = new Set(fromBackup('deleted').map(item => item.id));
+
+    if (KEYED_COLLECTIONS.includes(collection)) {
+      const obj = { ...(current[collection] || {}) };
+      added.forEach(item => { obj[item.id] = item.backup; });
+      take.forEach((value, id) => { obj[id] = value; });
+      drop.forEach(id => { delete obj[id]; });
+      next[collection] = obj;
+      return;
+    }
+
+    next[collection] = [
+      ...(current[collection] || [])
+        .filter(r => !drop.has(r.id))
+        .map(r => (take.has(r.id) ? take.get(r.id) : r)),
+      ...added.map(item => item.backup),
+    ];
+  });
+
+  return next;
+}
+
+const MERGE_VALIDATORS = { entries: validateEntry, payments: validatePayment };
+
+/**
+ * Entries and payments taken from the backup that would not be valid in the merged data,
+ * e.g. a second attendance line for a worker and date. Closed pay periods are this phone's.
+ * @param {Object} current - Current state
+ * @param {Object} diff - Result of buildMergeDiff
+ * @param {Object} resolutions - { 'collection:id': 'local' | 'backup' }
+ * @returns {Array} [{ collection, bucket, item, error }]
+ */
+export function getMergeProblems(current, diff, resolutions = {}) {
+  const merged = { ...applyMergeDiff(current, diff, resolutions), closedPeriods: current.closedPeriods || [] };
+  const problems = [];
+  Object.entries(MERGE_VALIDATORS).forEach(([collection, validate]) => {
+    const d = diff[collection];
+    if (!d) return;
+    ['new', 'changed', 'conflicts'].forEach(bucket => {
+      d[bucket]
+        .filter(item => getMergeSide(resolutions, collection, item.id, MERGE_DEFAULT_SIDES[bucket]) === 'backup')
+        .forEach(item => {
+          const result = validate(item.backup, merged);
+          if (!result.valid) problems.push({ collection, bucket, item, error: result.error });
+        });
+    });
+  });
+  return problems;
+}
+
+/**
+ * Short description of a merge item for the conflict list
+ * @param {string} collection - State key
+ * @param {Object} item - { id, local, backup }
+ * @param {Object} state - State used to look up worker names
+ * @returns {string} e.g. "Entry · Ravi · 2024-03-01 · ₹500"
+ */
+export function describeMergeItem(collection, item, state) {
+  const value = item.local ?? item.backup;
+  const label = COLLECTION_LABELS[collection] || collection;
+  if (value === null || typeof value !== 'object') {
+    const worker = (state.workers || []).find(w => w.id === item.id);
+    return `${label} · ${worker ? worker.name : item.id}`;
+  }
+  const worker = value.workerId ? (state.workers || []).find(w => w.id === value.workerId) : null;
+  return [
+    label,
+    value.name || value.category || value.subcategoryName || value.subcategory || (worker && worker.name),
+    value.date,
+    value.amount != null ? `₹${value.amount}` : null,
+  ].filter(Boolean).join(' · ');
+}
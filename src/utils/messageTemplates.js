@@ -0,0 +1,247 @@
+import { format, parseISO, startOfMonth } from 'date-fns';
+import { getWorkerBalance, countAttendance, getEntryEarning, getPaymentDebit, getPaymentKind, toDateKey } from './ledger';
+import { getSiteName } from './sites';
+import { LANGUAGES, getWorkerLanguage, translate, formatLocalDate, formatAmount } from './i18n';
+
+/**
+ * Message templates for payment and balance notifications.
+ * `state.messageTemplates` holds the user's own templates:
+ *   { id, name, purpose, body, translations, isDefault, createdAt, updatedAt }
+ * Built-in templates are always available and can't be edited, only copied.
+ * A body is plain text with {placeholders} (see MESSAGE_PLACEHOLDERS); unknown
+ * placeholders are left as typed so mistakes show up in the preview.
+ * `body` is the English text and `translations` holds the same message per language code
+ * ({ kn: '...', hi: '...' }). A worker's message uses their `language`, falling back to English text.
+ */
+
+export const MESSAGE_PURPOSES = {
+  payment_receipt: { label: 'Payment receipt', description: 'Sent after saving a payment' },
+  balance_reminder: { label: 'Balance reminder', description: 'Current balance and this month\'s work' },
+  monthly_statement: { label: 'Monthly statement', description: 'Attendance, earnings and payments for a period' },
+};
+
+export const MESSAGE_PLACEHOLDERS = [
+  { key: 'workerName', label: 'Worker name' },
+  { key: 'workerPhone', label: 'Worker phone' },
+  { key: 'today', label: 'Today\'s date' },
+  { key: 'paymentDate', label: 'Payment date' },
+  { key: 'paymentAmount', label: 'Payment amount' },
+  { key: 'paymentKind', label: 'Payment kind' },
+  { key: 'paymentMode', label: 'Cash / UPI / ...' },
+  { key: 'balance', label: 'Balance' },
+  { key: 'month', label: 'Month name' },
+  { key: 'periodFrom', label: 'Period start' },
+  { key: 'periodTo', label: 'Period end' },
+  { key: 'present', label: 'Present days' },
+  { key: 'halfDay', label: 'Half days' },
+  { key: 'absent', label: 'Absent days' },
+  { key: 'earnings', label: 'Earnings in period' },
+  { key: 'paid', label: 'Paid in period' },
+  { key: 'site', label: 'Site' },
+];
+
+// The payment receipt matches the message the app always sent
+export const BUILTIN_TEMPLATES = [
+  {
+    id: 'builtin_payment_receipt',
+    name: 'Detailed receipt',
+    purpose: 'payment_receipt',
+    builtin: true,
+    body: 'Date: {paymentDate}\nPayment: ₹{paymentAmount}\nRemaining Balance: ₹{balance}\nFor the month {month}:\nPresent: {present}\nHalfday: {halfDay}\nAbsent: {absent}',
+    translations: {
+      kn: 'ದಿನಾಂಕ: {paymentDate}\nಪಾವತಿ: ₹{paymentAmount}\nಉಳಿದ ಬಾಕಿ: ₹{balance}\n{month} ತಿಂಗಳಿಗೆ:\nಹಾಜರು: {present}\nಅರ್ಧ ದಿನ: {halfDay}\nಗೈರು: {absent}',
+      hi: 'दिनांक: {paymentDate}\nभुगतान: ₹{paymentAmount}\nशेष बकाया: ₹{balance}\n{month} महीने के लिए:\nउपस्थित: {present}\nआधा दिन: {halfDay}\nअनुपस्थित: {absent}',
+    },
+  },
+  {
+    id: 'builtin_balance_reminder',
+    name: 'Balance reminder',
+    purpose: 'balance_reminder',
+    builtin: true,
+    body: 'Hello {workerName},\nYour balance as of {today} is ₹{balance}.\n{month}: {present} present, {halfDay} half days, earned ₹{earnings}, paid ₹{paid}.',
+    translations: {
+      kn: 'ನಮಸ್ಕಾರ {workerName},\n{today} ರಂತೆ ನಿಮ್ಮ ಬಾಕಿ ₹{balance}.\n{month}: {present} ದಿನ ಹಾಜರು, {halfDay} ಅರ್ಧ ದಿನ, ಗಳಿಕೆ ₹{earnings}, ಪಾವತಿ ₹{paid}.',
+      hi: 'नमस्ते {workerName},\n{today} तक आपका बकाया ₹{balance} है।\n{month}: {present} दिन उपस्थित, {halfDay} आधे दिन, कमाई ₹{earnings}, भुगतान ₹{paid}।',
+    },
+  },
+  {
+    id: 'builtin_monthly_statement',
+    name: 'Monthly statement',
+    purpose: 'monthly_statement',
+    builtin: true,
+    body: '{workerName} - statement {periodFrom} to {periodTo}\nPresent: {present}\nHalfday: {halfDay}\nAbsent: {absent}\nEarned: ₹{earnings}\nPaid: ₹{paid}\nBalance: ₹{balance}',
+    translations: {
+      kn: '{workerName} - {periodFrom} ರಿಂದ {periodTo} ವರೆಗಿನ ವಿವರ\nಹಾಜರು: {present}\nಅರ್ಧ ದಿನ: {halfDay}\nಗೈರು: {absent}\nಗಳಿಕೆ: ₹{earnings}\nಪಾವತಿ: ₹{paid}\nಬಾಕಿ: ₹{balance}',
+      hi: '{workerName} - {periodFrom} से {periodTo} तक का विवरण\nउपस्थित: {present}\nआधा दिन: {halfDay}\nअनुपस्थित: {absent}\nकमाई: ₹{earnings}\nभुगतान: ₹{paid}\nबकाया: ₹{balance}',
+    },
+  },
+];
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+const displayDate = (key) => (key ? format(parseISO(key), 'dd/MM/yyyy') : '');
+
+/**
+ * Language of messages for a worker
+ * @param {Object} state - Global state containing workers
+ * @param {string} workerId - Worker ID
+ * @param {Object} options - { language } forces a language, { defaultLanguage } is used when the worker has none
+ * @returns {string} Key of LANGUAGES
+ */
+export function getMessageLanguage(state, workerId, options = {}) {
+  if (LANGUAGES[options.language]) return options.language;
+  return getWorkerLanguage((state?.workers || []).find(w => w.id === workerId), options.defaultLanguage);
+}
+
+/**
+ * Template text in a language, the English body when it has no translation
+ * @param {Object} template - Template record
+ * @param {string} language - Language code
+ * @returns {string} Template text
+ */
+export function getTemplateBody(template, language) {
+  return template?.translations?.[language] || template?.body || '';
+}
+
+// Payment types are stored in English ('Cash', 'UPI'); types without a translation stay as stored
+const paymentModeLabel = (language, paymentType) => {
+  const key = `paymentMode.${paymentType}`;
+  const label = translate(language, key);
+  return label === key ? paymentType : label;
+};
+
+/**
+ * Templates for a purpose, the user's own first
+ * @param {Object} state - Global state containing messageTemplates
+ * @param {string|null} purpose - Key of MESSAGE_PURPOSES, or null for all
+ * @returns {Array} Templates
+ */
+export function getMessageTemplates(state, purpose = null) {
+  return [...(state?.messageTemplates || []), ...BUILTIN_TEMPLATES]
+    .filter(t => !purpose || t.purpose === purpose);
+}
+
+/**
+ * Template used when none is picked: the user's default for the purpose, else the built-in one
+ * @param {Object} state - Global state containing messageTemplates
+ * @param {string} purpose - Key of MESSAGE_PURPOSES
+ * @returns {Object} Template
+ */
+export function getDefaultTemplate(state, purpose) {
+  const templates = getMessageTemplates(state, purpose);
+  return templates.find(t => t.isDefault) || templates.find(t => t.builtin) || templates[0];
+}
+
+/**
+ * Template by ID, falling back to the purpose's default when it was deleted
+ * @param {Object} state - Global state containing messageTemplates
+ * @param {string|null} templateId - Template ID
+ * @param {string} purpose - Fallback purpose
+ * @returns {Object} Template
+ */
+export function getMessageTemplate(state, templateId, purpose = 'payment_receipt') {
+  return getMessageTemplates(state).find(t => t.id === templateId) || getDefaultTemplate(state, purpose);
+}
+
+/**
+ * Placeholder values for one worker, with month names and labels in the worker's language
+ * @param {Object} state - Global state
+ * @param {string} workerId - Worker ID
+ * @param {Object} options - { payment, fromDate, toDate, today, language, defaultLanguage } (period defaults to this month up to today)
+ * @returns {Object} { placeholderKey: text }
+ */
+export function buildMessageContext(state, workerId, options = {}) {
+  const { payment = null, today = new Date() } = options;
+  const language = getMessageLanguage(state, workerId, options);
+  const fromDate = toDateKey(options.fromDate) || format(startOfMonth(today), 'yyyy-MM-dd');
+  const toDate = toDateKey(options.toDate) || format(today, 'yyyy-MM-dd');
+  const worker = (state.workers || []).find(w => w.id === workerId) || {};
+  const inPeriod = (r) => r.workerId === workerId && toDateKey(r.date) >= fromDate && toDateKey(r.date) <= toDate;
+
+  const entries = (state.entries || []).filter(inPeriod);
+  const payments = (state.payments || []).filter(inPeriod);
+  // Counted per day so piece-work lines do not add extra days
+  const { present, halfDay, absent } = countAttendance(entries);
+  const lastSiteEntry = [...entries].reverse().find(e => e.siteId);
+
+  return {
+    workerName: worker.name || translate(language, 'common.unknown'),
+    workerPhone: worker.phone || '',
+    today: format(today, 'dd/MM/yyyy'),
+    paymentDate: payment?.date || format(today, 'yyyy-MM-dd'),
+    paymentAmount: formatAmount(payment?.amount),
+    paymentKind: payment ? translate(language, `paymentKind.${getPaymentKind(payment)}`) : '',
+    paymentMode: payment?.paymentType ? paymentModeLabel(language, payment.paymentType) : '',
+    balance: formatAmount(getWorkerBalance(workerId, state)),
+    month: formatLocalDate(language, fromDate, 'MMMM'),
+    periodFrom: displayDate(fromDate),
+    periodTo: displayDate(toDate),
+    present: String(present),
+    halfDay: String(halfDay),
+    absent: String(absent),
+    earnings: formatAmount(entries.reduce((sum, e) => sum + getEntryEarning(e), 0)),
+    paid: formatAmount(payments.reduce((sum, p) => sum + getPaymentDebit(p), 0)),
+    site: getSiteName(state, payment?.siteId || lastSiteEntry?.siteId || null),
+  };
+}
+
+/**
+ * Fill a template body
+ * @param {string} body - Template text
+ * @param {Object} context - Result of buildMessageContext
+ * @returns {string} Message text
+ */
+export function renderTemplate(body, context) {
+  return String(body || '').replace(PLACEHOLDER_PATTERN, (match, key) => (key in context ? context[key] : match));
+}
+
+/**
+ * Message for a worker from a template, in the worker's language
+ * @param {Object} state - Global state
+ * @param {Object} template - Template record
+ * @param {string} workerId - Worker ID
+ * @param {Object} options - See buildMessageContext
+ * @returns {string} Message text
+ */
+export function buildTemplateMessage(state, template, workerId, options = {}) {
+  const language = getMessageLanguage(state, workerId, options);
+  return renderTemplate(getTemplateBody(template, language), buildMessageContext(state, workerId, { ...options, language }));
+}
+
+/**
+ * Validate a template before saving
+ * @param {Object} template - Template being saved
+ * @param {Array} existing - state.messageTemplates
+ * @returns {Object} { valid: boolean, error: string }
+ */
+export function validateMessageTemplate(template, existing = []) {
+  const name = (template.name || '').trim();
+  if (!name) return { valid: false, error: 'Template name is required' };
+  if (!MESSAGE_PURPOSES[template.purpose]) return { valid: false, error: 'Choose what the template is for' };
+  if (!(template.body || '').trim()) return { valid: false, error: 'Message text is required' };
+
+  const duplicate = existing.some(t => t.id !== template.id && t.purpose === template.purpose
+    && t.name.trim().toLowerCase() === name.toLowerCase());
+  if (duplicate) return { valid: false, error: `A ${MESSAGE_PURPOSES[template.purpose].label.toLowerCase()} template named "${name}" already exists` };
+
+  const known = new Set(MESSAGE_PLACEHOLDERS.map(p => p.key));
+  const texts = [template.body, ...Object.values(template.translations || {})];
+  const unknown = texts.flatMap(text => [...(text || '').matchAll(PLACEHOLDER_PATTERN)].map(m => m[1])).filter(key => !known.has(key));
+  if (unknown.length > 0) return { valid: false, error: `Unknown placeholder {${unknown[0]}}` };
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Templates after adding or updating one; only one template per purpose stays the default
+ * @param {Array} templates - state.messageTemplates
+ * @param {Object} template - Template to save
+ * @returns {Array} Next templates
+ */
+export function upsertMessageTemplate(templates, template) {
+  const others = (templates || [])
+    .filter(t => t.id !== template.id)
+    .map(t => (template.isDefault && t.purpose === template.purpose && t.isDefault ? { ...t, isDefault: false } : t));
+  const index = (templates || []).findIndex(t => t.id === template.id);
+  if (index === -1) return [...others, template];
+  return [...others.slice(0, index), template, ...others.slice(index)];
+}
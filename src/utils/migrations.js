@@ -0,0 +1,208 @@
+import { DEFAULT_PAY_PERIOD_SETTINGS } from './payPeriods';
+import { DEFAULT_OVERTIME_SETTINGS } from './overtime';
+import { DEFAULT_OUTBOX_SETTINGS } from './outbox';
+import { DEFAULT_CONTACT_SETTINGS } from './phone';
+
+/**
+ * Schema migrations for the stored data and for restored backups.
+ * Each step takes data at `version - 1` and returns it at `version`. Steps are
+ * pure (no storage, no React) so they can be run against fixture JSON; the
+ * caller supplies the backup hook that runs before each pending step.
+ * Add new steps at the end of MIGRATIONS and never reorder existing ones.
+ */
+
+const toNumber = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+// Copy every field except the listed ones
+const omit = (record, keys) =>
+  Object.keys(record).reduce((acc, k) => (keys.includes(k) ? acc : { ...acc, [k]: record[k] }), {});
+
+const normalizeWorker = (w) => ({
+  id: w.id,
+  name: w.name || (w.fullName || 'Unknown'),
+  openingBalance: toNumber(w.openingBalance ?? w.opening_balance ?? 0),
+  ...omit(w, ['id', 'name', 'openingBalance', 'opening_balance', 'fullName']),
+});
+
+const normalizeEntry = (e) => ({
+  id: e.id || Date.now().toString(),
+  workerId: e.workerId || e.worker_id || null,
+  date: e.date || e.day || null,
+  status: ['P', 'H', 'A'].includes(e.status) ? e.status : (e.status === 'Half' ? 'H' : (e.status === 'Present' ? 'P' : 'A')),
+  categoryId: e.categoryId ?? e.category_id ?? null,
+  subcategoryId: e.subcategoryId ?? e.subcategory_id ?? null,
+  amount: toNumber(e.amount ?? e.amt ?? 0),
+  narration: e.narration ?? e.notes ?? '',
+  ...omit(e, ['id', 'workerId', 'worker_id', 'date', 'day', 'status', 'categoryId', 'category_id', 'subcategoryId', 'subcategory_id', 'amount', 'amt', 'narration', 'notes']),
+});
+
+const normalizePayment = (p) => ({
+  id: p.id || Date.now().toString(),
+  workerId: p.workerId || p.worker_id || null,
+  date: p.date || p.day || null,
+  amount: toNumber(p.amount ?? p.amt ?? 0),
+  paymentType: p.paymentType || p.type || 'Cash',
+  notes: p.notes ?? p.narration ?? '',
+  ...omit(p, ['id', 'workerId', 'worker_id', 'date', 'day', 'amount', 'amt', 'paymentType', 'type', 'notes', 'narration']),
+});
+
+const normalizeSubcategory = (s) => ({
+  id: s.id,
+  subcategoryName: s.subcategoryName || s.subcategory || '',
+  // Ensure categoryIds is an array
+  categoryIds: Array.isArray(s.categoryIds) ? s.categoryIds : (s.categoryId ? [s.categoryId] : []),
+  ...omit(s, ['id', 'subcategoryName', 'subcategory', 'categoryIds', 'categoryId']),
+});
+
+const asArray = (value) => (Array.isArray(value) ? value : []);
+
+// Outbox statuses before the message lifecycle. The old 'sent' only meant the composer
+// was opened, but the user was done with the message: it becomes a finished 'sent' so it
+// leaves the Outbox queue and retention clears it
+const LEGACY_MESSAGE_STATUSES = { pending: 'queued', sent: 'sent', skipped: 'cancelled' };
+
+const migrateMessageStatus = (m) => {
+  if (!LEGACY_MESSAGE_STATUSES[m.status]) return m;
+  if (m.status !== 'sent') return { ...m, status: LEGACY_MESSAGE_STATUSES[m.status] };
+  return {
+    ...omit(m, ['sentVia']),
+    status: 'sent',
+    sentAt: m.sentAt || m.createdAt || null,
+    openedAt: m.sentAt || null,
+    openedVia: m.sentVia || m.channel || null,
+    attempts: m.attempts || 1,
+  };
+};
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'normalize-legacy-records',
+    // Field aliases from the first app versions (worker_id, amt, day, 'Present', ...)
+    migrate: (data) => ({
+      ...data,
+      workers: asArray(data.workers).map(normalizeWorker),
+      categories: asArray(data.categories),
+      subcategories: asArray(data.subcategories).map(normalizeSubcategory),
+      entries: asArray(data.entries).map(normalizeEntry),
+      payments: asArray(data.payments).map(normalizePayment),
+      openingBalances: data.openingBalances || {},
+    }),
+  },
+  {
+    version: 2,
+    name: 'add-collection-defaults',
+    // Collections added after v1 (outbox, pay periods, overtime, piece items, sites)
+    migrate: (data) => ({
+      ...data,
+      workItems: asArray(data.workItems),
+      sites: asArray(data.sites),
+      deferredMessages: asArray(data.deferredMessages),
+      closedPeriods: asArray(data.closedPeriods),
+      payPeriodSettings: data.payPeriodSettings || DEFAULT_PAY_PERIOD_SETTINGS,
+      overtimeSettings: data.overtimeSettings || DEFAULT_OVERTIME_SETTINGS,
+    }),
+  },
+  {
+    version: 3,
+    name: 'add-message-templates',
+    migrate: (data) => ({
+      ...data,
+      messageTemplates: asArray(data.messageTemplates),
+    }),
+  },
+  {
+    version: 4,
+    name: 'outbox-message-lifecycle',
+    // pending/skipped become queued/cancelled, sent stays finished; finished messages get a retention setting
+    migrate: (data) => ({
+      ...data,
+      deferredMessages: asArray(data.deferredMessages).map(migrateMessageStatus),
+      outboxSettings: data.outboxSettings || DEFAULT_OUTBOX_SETTINGS,
+    }),
+  },
+  {
+    version: 5,
+    name: 'add-contact-settings',
+    // Numbers already saved stay as typed; they are normalised with this country when used
+    migrate: (data) => ({
+      ...data,
+      contactSettings: data.contactSettings || DEFAULT_CONTACT_SETTINGS,
+    }),
+  },
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Schema version of stored or backed-up data (0 when it was never stamped)
+ * @param {Object} data - Store data
+ * @returns {number} Schema version
+ */
+export function getSchemaVersion(data) {
+  return toNumber(data?.schemaVersion);
+}
+
+/**
+ * Migrations that still have to run for some data
+ * @param {Object} data - Store data
+ * @returns {Array} Migration steps in order
+ */
+export function getPendingMigrations(data) {
+  const version = getSchemaVersion(data);
+  return MIGRATIONS.filter(m => m.version > version);
+}
+
+/**
+ * Bring data up to CURRENT_SCHEMA_VERSION, one step at a time.
+ * Each step that runs is stamped into `schemaVersion` and appended to `migrationHistory`.
+ * @param {Object} data - Store data at any version
+ * @param {Object} options - { source: 'load' | 'restore', backup: async (data, step) => void }
+ *   `backup` runs before each step with the data as it was and the step about to run;
+ *   if it throws, migration stops there and `data` is the last migrated version
+ * @returns {Promise<Object>} { success, data, applied, error } - on failure `data` is the last good version
+ */
+export async function runMigrations(data, options = {}) {
+  const { source = 'load', backup } = options;
+  let current = data || {};
+  const applied = [];
+
+  const fromVersion = getSchemaVersion(current);
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    return {
+      success: false,
+      data: current,
+      applied,
+      error: `Data is from a newer app version (schema ${fromVersion}, this app supports ${CURRENT_SCHEMA_VERSION})`
+    };
+  }
+
+  for (const step of getPendingMigrations(current)) {
+    if (backup) {
+      try {
+        await backup(current, step);
+      } catch (error) {
+        console.error(`❌ Backup before migration v${step.version} failed:`, error);
+        return { success: false, data: current, applied, error: `Backup before migration failed: ${error.message}` };
+      }
+    }
+    try {
+      const record = { version: step.version, name: step.name, source, ranAt: new Date().toISOString() };
+      current = {
+        ...step.migrate(current),
+        schemaVersion: step.version,
+        migrationHistory: [...asArray(current.migrationHistory), record],
+      };
+      applied.push(record);
+      console.log(`🔄 Migration v${step.version} (${step.name}) applied on ${source}`);
+    } catch (error) {
+      console.error(`❌ Migration v${step.version} (${step.name}) failed:`, error);
+      return { success: false, data: current, applied, error: `Migration ${step.name} failed: ${error.message}` };
+    }
+  }
+
+  return { success: true, data: current, applied, error: null };
+}
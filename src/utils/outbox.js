@@ -0,0 +1,341 @@
+import { format, startOfMonth, endOfMonth, subMonths, subDays } from 'date-fns';
+import { toDateKey } from './ledger';
+import { matchesSite } from './sites';
+import { getActiveWorkers } from './workers';
+import { getMessageTemplate, buildTemplateMessage } from './messageTemplates';
+import { getDefaultCountry, getWorkerPhone, normalizePhone } from './phone';
+
+/**
+ * Outbox (state.deferredMessages) lifecycle, filtering, clean-up and statement batches.
+ *
+ * A message moves through MESSAGE_STATUSES:
+ *   queued → opened (SMS / WhatsApp composer opened) → sent (user confirmed it went out)
+ * with failed (the composer could not be opened, or the user says it did not go) and
+ * cancelled on the side. Failed and opened messages can be sent again; every attempt is
+ * counted in `attempts`. Cancelled messages can be queued again.
+ * Finished messages (sent, cancelled) are deleted after `outboxSettings.retentionDays`.
+ *
+ * A batch is one "queue statements" action: every message in it carries the same
+ *   { batchId, batchLabel, periodFrom, periodTo }
+ * and is sent one at a time with "send next". Messages whose phone number is unusable are
+ * queued anyway: once the number is fixed in the worker master, checkMessagePhone picks it up.
+ */
+
+export const MESSAGE_STATUSES = {
+  queued: { label: 'Queued', color: '#6200ee', icon: 'clock-outline' },
+  opened: { label: 'Opened in app', color: '#ff9800', icon: 'open-in-app' },
+  sent: { label: 'Sent', color: '#4caf50', icon: 'check-circle-outline' },
+  failed: { label: 'Failed', color: '#f44336', icon: 'alert-circle-outline' },
+  cancelled: { label: 'Cancelled', color: '#9e9e9e', icon: 'cancel' },
+};
+
+// Older names of the same statuses (data from before the v4 migration)
+const STATUS_ALIASES = { pending: 'queued', skipped: 'cancelled' };
+
+// Statuses a message can still be sent from, and statuses that are done with
+const SENDABLE = ['queued', 'opened', 'failed'];
+const FINISHED = ['sent', 'cancelled'];
+
+export const DEFAULT_OUTBOX_SETTINGS = { retentionDays: 30 };
+
+// 0 keeps finished messages until they are deleted by hand
+export const RETENTION_OPTIONS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 0, label: 'Keep' },
+];
+
+export const STATEMENT_PERIODS = {
+  last_month: { label: 'Last month' },
+  this_month: { label: 'This month' },
+};
+
+const newMessageId = (index) => `${Date.now()}_${index}_${Math.random().toString(36).substr(2, 6)}`;
+
+/**
+ * Number to send a message to: the worker's current number for the message's channel,
+ * else the one saved with the message
+ * @param {Object} state - Global state containing workers and contactSettings
+ * @param {Object} message - Deferred message
+ * @returns {Object} normalizePhone result { valid, error, code, e164 }
+ */
+export function checkMessagePhone(state, message) {
+  const country = getDefaultCountry(state);
+  const worker = (state.workers || []).find(w => w.id === message.workerId);
+  const current = getWorkerPhone(worker, message.channel, country);
+  if (current.valid) return current;
+  const saved = normalizePhone(message.phone, country);
+  return saved.valid ? saved : current;
+}
+
+/**
+ * Date range of a statement period
+ * @param {string} period - Key of STATEMENT_PERIODS
+ * @param {Date} today - Reference date
+ * @returns {Object} { fromDate, toDate } as yyyy-MM-dd; this month ends today
+ */
+export function getStatementPeriod(period, today = new Date()) {
+  if (period === 'this_month') {
+    return { fromDate: format(startOfMonth(today), 'yyyy-MM-dd'), toDate: format(today, 'yyyy-MM-dd') };
+  }
+  const month = subMonths(today, 1);
+  return { fromDate: format(startOfMonth(month), 'yyyy-MM-dd'), toDate: format(endOfMonth(month), 'yyyy-MM-dd') };
+}
+
+/**
+ * Workers a statement batch can go to
+ * @param {Object} state - Global state
+ * @param {Object} filters - { fromDate, toDate, siteFilter ('all' | UNASSIGNED_SITE_ID | site ID), onlyWithActivity }
+ * @returns {Array} Active workers sorted by name
+ */
+export function getStatementWorkers(state, filters = {}) {
+  const { fromDate, toDate, siteFilter = 'all', onlyWithActivity = false } = filters;
+  const needsRecords = onlyWithActivity || (siteFilter && siteFilter !== 'all');
+  const withRecords = new Set(
+    [...(state.entries || []), ...(state.payments || [])]
+      .filter(r => (!fromDate || toDateKey(r.date) >= fromDate) && (!toDate || toDateKey(r.date) <= toDate))
+      .filter(r => matchesSite(r, siteFilter))
+      .map(r => r.workerId)
+  );
+  return getActiveWorkers(state.workers)
+    .filter(w => !needsRecords || withRecords.has(w.id))
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+}
+
+/**
+ * Outbox messages for a statement batch, one per worker with their own figures and language
+ * @param {Object} state - Global state
+ * @param {Array} workerIds - Workers to include
+ * @param {Object} options - { fromDate, toDate, templateId, channel, defaultLanguage, today }
+ * @returns {Array} Deferred messages for ADD_DEFERRED_MESSAGE
+ */
+export function buildStatementBatch(state, workerIds, options = {}) {
+  const { fromDate, toDate, templateId = null, channel = 'sms', defaultLanguage, today = new Date() } = options;
+  const template = getMessageTemplate(state, templateId, 'monthly_statement');
+  const batchId = `batch_${Date.now()}`;
+  const batchLabel = `Statements ${format(new Date(`${fromDate}T00:00:00`), 'dd/MM')} - ${format(new Date(`${toDate}T00:00:00`), 'dd/MM/yyyy')}`;
+  const createdAt = new Date().toISOString();
+
+  return workerIds
+    .map(id => (state.workers || []).find(w => w.id === id))
+    .filter(Boolean)
+    .map((worker, index) => {
+      const phone = getWorkerPhone(worker, channel, getDefaultCountry(state));
+      return {
+        id: newMessageId(index),
+        workerId: worker.id,
+        workerName: worker.name || 'Unknown',
+        phone: phone.valid ? phone.e164 : (worker.phone || null),
+        channel,
+        mode: 'snapshot',
+        template: template.id,
+        snapshotBody: buildTemplateMessage(state, template, worker.id, { fromDate, toDate, today, defaultLanguage }),
+        createdAt,
+        status: 'queued',
+        attempts: 0,
+        batchId,
+        batchLabel,
+        periodFrom: fromDate,
+        periodTo: toDate,
+      };
+    });
+}
+
+/**
+ * Progress of a batch
+ * @param {Object} state - Global state containing deferredMessages and workers
+ * @param {string} batchId - Batch ID
+ * @returns {Object} { total, done, invalidPhone, queued, opened, sent, failed, cancelled } - done counts sent, failed and cancelled; invalidPhone counts queued messages that cannot be sent
+ */
+export function getBatchProgress(state, batchId) {
+  const batch = (state.deferredMessages || []).filter(m => m.batchId === batchId);
+  const counts = getStatusCounts(batch);
+  return {
+    total: batch.length,
+    done: counts.sent + counts.failed + counts.cancelled,
+    invalidPhone: batch.filter(m => getMessageStatus(m) === 'queued' && !checkMessagePhone(state, m).valid).length,
+    ...counts,
+  };
+}
+
+/**
+ * Batches in the Outbox, newest first
+ * @param {Object} state - Global state containing deferredMessages and workers
+ * @returns {Array} [{ batchId, batchLabel, createdAt, ...getBatchProgress }]
+ */
+export function getBatches(state) {
+  const firsts = new Map();
+  (state.deferredMessages || []).forEach(m => {
+    if (m.batchId && !firsts.has(m.batchId)) firsts.set(m.batchId, m);
+  });
+  return [...firsts.values()]
+    .map(m => ({ batchId: m.batchId, batchLabel: m.batchLabel, createdAt: m.createdAt, ...getBatchProgress(state, m.batchId) }))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Next message of a batch to send: queued, with a usable phone number, in queue order
+ * @param {Object} state - Global state containing deferredMessages and workers
+ * @param {string} batchId - Batch ID
+ * @returns {Object|null} Message, or null when nothing is left to send
+ */
+export function getNextBatchMessage(state, batchId) {
+  return (state.deferredMessages || [])
+    .find(m => m.batchId === batchId && getMessageStatus(m) === 'queued' && checkMessagePhone(state, m).valid) || null;
+}
+
+/**
+ * Lifecycle status of a message
+ * @param {Object} message - Deferred message
+ * @returns {string} Key of MESSAGE_STATUSES
+ */
+export function getMessageStatus(message) {
+  const status = STATUS_ALIASES[message?.status] || message?.status;
+  return MESSAGE_STATUSES[status] ? status : 'queued';
+}
+
+/**
+ * Number of messages per status
+ * @param {Array} messages - Deferred messages
+ * @returns {Object} { queued: 3, opened: 0, ... } with every status present
+ */
+export function getStatusCounts(messages) {
+  const counts = Object.keys(MESSAGE_STATUSES).reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+  (messages || []).forEach(m => { counts[getMessageStatus(m)] += 1; });
+  return counts;
+}
+
+/**
+ * What can be done with a message in its current status
+ * @param {Object} message - Deferred message
+ * @returns {Object} { send, confirm, fail, cancel, requeue, regenerate }
+ */
+export function getMessageActions(message) {
+  const status = getMessageStatus(message);
+  return {
+    send: SENDABLE.includes(status),
+    confirm: status === 'opened',
+    fail: status === 'opened',
+    cancel: SENDABLE.includes(status),
+    requeue: status === 'cancelled',
+    regenerate: status !== 'sent',
+  };
+}
+
+/**
+ * Changes for UPDATE_DEFERRED_MESSAGE when a message moves to another status
+ * @param {Object} message - Deferred message
+ * @param {string} status - Key of MESSAGE_STATUSES
+ * @param {Object} details - { via } when opened, { error } when failed
+ * @returns {Object} Payload with id, status and the matching timestamp
+ */
+export function transitionMessage(message, status, details = {}) {
+  const at = new Date().toISOString();
+  const payload = { id: message.id, status };
+  if (status === 'opened') {
+    Object.assign(payload, { openedAt: at, openedVia: details.via || message.channel || 'sms', attempts: (message.attempts || 0) + 1, error: null });
+  } else if (status === 'sent') {
+    Object.assign(payload, { sentAt: at, error: null });
+  } else if (status === 'failed') {
+    // A composer that never opened is an attempt too; failing an opened message is not a new one
+    const attempts = getMessageStatus(message) === 'opened' ? (message.attempts || 0) : (message.attempts || 0) + 1;
+    Object.assign(payload, { failedAt: at, error: details.error || 'Not sent', attempts });
+  } else if (status === 'cancelled') {
+    payload.cancelledAt = at;
+  } else if (status === 'queued') {
+    Object.assign(payload, { cancelledAt: null, error: null });
+  }
+  return payload;
+}
+
+/**
+ * Message body rendered again from a template with the worker's current figures
+ * @param {Object} state - Global state
+ * @param {Object} message - Deferred message
+ * @param {Object} options - { templateId (defaults to the message's), defaultLanguage }
+ * @returns {string} Message text
+ */
+export function renderMessage(state, message, options = {}) {
+  const template = getMessageTemplate(state, options.templateId || message.template, message.batchId ? 'monthly_statement' : 'payment_receipt');
+  const payment = (state.payments || []).find(p => p.id === message.paymentId) || null;
+  return buildTemplateMessage(state, template, message.workerId, {
+    payment,
+    fromDate: message.periodFrom,
+    toDate: message.periodTo,
+    defaultLanguage: options.defaultLanguage,
+  });
+}
+
+/**
+ * Whether a message not yet sent no longer matches the worker's current figures
+ * (a later payment or entry changed the balance, or the template was edited)
+ * @param {Object} state - Global state
+ * @param {Object} message - Deferred message
+ * @param {string} defaultLanguage - App language
+ * @returns {boolean} True when regenerating would change the text
+ */
+export function isMessageStale(state, message, defaultLanguage) {
+  if (!getMessageActions(message).regenerate || !message.snapshotBody) return false;
+  return renderMessage(state, message, { defaultLanguage }) !== message.snapshotBody;
+}
+
+/**
+ * Messages matching the Outbox filters
+ * @param {Array} messages - state.deferredMessages
+ * @param {Object} filters - { workerId, channel, status, fromDate, toDate }; empty values match everything, dates are yyyy-MM-dd of creation
+ * @returns {Array} Matching messages
+ */
+export function filterMessages(messages, filters = {}) {
+  const { workerId, channel, status, fromDate, toDate } = filters;
+  return (messages || []).filter(m => {
+    if (workerId && m.workerId !== workerId) return false;
+    if (channel && (m.channel || 'sms') !== channel) return false;
+    if (status && getMessageStatus(m) !== status) return false;
+    const created = toDateKey(m.createdAt);
+    if (fromDate && (!created || created < fromDate)) return false;
+    if (toDate && (!created || created > toDate)) return false;
+    return true;
+  });
+}
+
+/**
+ * Outbox order: messages still to deal with first (queued, opened, failed), then newest first
+ * @param {Array} messages - Deferred messages
+ * @returns {Array} Sorted copy
+ */
+export function sortMessages(messages) {
+  const rank = (m) => (FINISHED.includes(getMessageStatus(m)) ? 1 : 0);
+  return [...(messages || [])].sort((a, b) => rank(a) - rank(b) || new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Finished (sent or cancelled) messages older than a number of days
+ * @param {Array} messages - state.deferredMessages
+ * @param {number} days - Age in days; 0 or less matches nothing
+ * @param {Object} options - { statuses (defaults to sent and cancelled), now }
+ * @returns {Array} Messages to delete
+ */
+export function getFinishedMessagesOlderThan(messages, days, options = {}) {
+  const { statuses = FINISHED, now = new Date() } = options;
+  if (!(days > 0)) return [];
+  const cutoff = subDays(now, days).toISOString();
+  return (messages || []).filter(m => {
+    const status = getMessageStatus(m);
+    if (!statuses.includes(status)) return false;
+    // Finished time, falling back to when it was queued
+    const finishedAt = (status === 'sent' ? m.sentAt : m.cancelledAt) || m.openedAt || m.createdAt;
+    return !!finishedAt && finishedAt < cutoff;
+  });
+}
+
+/**
+ * Messages removed by the automatic clean-up
+ * @param {Object} state - Global state containing deferredMessages and outboxSettings
+ * @param {Date} now - Reference time
+ * @returns {Array} Expired messages
+ */
+export function getExpiredMessages(state, now = new Date()) {
+  const { retentionDays } = { ...DEFAULT_OUTBOX_SETTINGS, ...(state?.outboxSettings || {}) };
+  return getFinishedMessagesOlderThan(state?.deferredMessages, retentionDays, { now });
+}
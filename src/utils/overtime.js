@@ -0,0 +1,70 @@
+/**
+ * Hours and overtime.
+ * An entry may carry `hoursWorked` and `overtimeHours`; overtime is paid at the
+ * worker's `overtimeRate` per hour, falling back to `state.overtimeSettings.ratePerHour`.
+ * The rate and the computed `overtimeAmount` are stored on the entry so later
+ * rate changes never rewrite past earnings.
+ */
+
+export const DEFAULT_OVERTIME_SETTINGS = { ratePerHour: 0 };
+
+const toNumber = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+};
+
+/**
+ * Overtime rate per hour for a worker
+ * @param {Object} worker - Worker with optional overtimeRate
+ * @param {Object} state - Global state with optional overtimeSettings
+ * @returns {number} Rate per hour (0 when none is set)
+ */
+export function getOvertimeRate(worker, state) {
+  const workerRate = toNumber(worker?.overtimeRate);
+  if (workerRate > 0) return workerRate;
+  return toNumber(state?.overtimeSettings?.ratePerHour);
+}
+
+/**
+ * Hours fields to store on an entry
+ * @param {Object} input - { status, hoursWorked, overtimeHours, overtimeRate } (strings or numbers)
+ * @returns {Object} { hoursWorked, overtimeHours, overtimeRate, overtimeAmount }; all null when unused
+ */
+export function getOvertimeFields({ status, hoursWorked, overtimeHours, overtimeRate }) {
+  const hasHours = hoursWorked !== '' && hoursWorked != null;
+  const hours = status === 'A' || !hasHours ? null : toNumber(hoursWorked);
+  const otHours = status === 'A' ? 0 : toNumber(overtimeHours);
+  if (otHours <= 0) {
+    return { hoursWorked: hours, overtimeHours: null, overtimeRate: null, overtimeAmount: null };
+  }
+  const rate = toNumber(overtimeRate);
+  return {
+    hoursWorked: hours,
+    overtimeHours: otHours,
+    overtimeRate: rate,
+    overtimeAmount: Math.round(otHours * rate * 100) / 100,
+  };
+}
+
+/**
+ * Validate the hours fields of an entry
+ * @param {Object} entry - Entry record
+ * @returns {Object} { valid: boolean, error: string }
+ */
+export function validateEntryHours(entry) {
+  const hours = entry.hoursWorked;
+  const otHours = entry.overtimeHours;
+  if (hours != null && (toNumber(hours) < 0 || toNumber(hours) > 24)) {
+    return { valid: false, error: 'Hours worked must be between 0 and 24' };
+  }
+  if (otHours != null && (toNumber(otHours) < 0 || toNumber(otHours) > 24)) {
+    return { valid: false, error: 'Overtime hours must be between 0 and 24' };
+  }
+  if (hours != null && otHours != null && toNumber(hours) + toNumber(otHours) > 24) {
+    return { valid: false, error: 'Hours worked and overtime cannot exceed 24 hours in a day' };
+  }
+  if (toNumber(otHours) > 0 && toNumber(entry.overtimeRate) <= 0) {
+    return { valid: false, error: 'Set an overtime rate for this worker or in Pay Periods settings' };
+  }
+  return { valid: true, error: null };
+}
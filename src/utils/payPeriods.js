@@ -0,0 +1,178 @@
+import { format, parseISO, startOfMonth, endOfMonth, addDays, differenceInCalendarDays } from 'date-fns';
+import { buildWorkerLedger, toDateKey } from './ledger';
+import { buildScheduledRepayments } from './loans';
+
+/**
+ * Pay periods.
+ * `state.payPeriodSettings` holds { frequency, anchorDate } and `state.closedPeriods`
+ * holds one record per closed period with a balance snapshot of every worker.
+ * Everything dated on or before the end of the last closed period is locked,
+ * so the snapshots can never drift from the ledger.
+ */
+
+export const PAY_FREQUENCIES = {
+  weekly: { label: 'Weekly', days: 7 },
+  fortnightly: { label: 'Fortnightly', days: 14 },
+  monthly: { label: 'Monthly', days: null },
+};
+
+// A Monday, so weekly periods run Monday-Sunday unless another anchor is chosen
+export const DEFAULT_PAY_PERIOD_SETTINGS = { frequency: 'monthly', anchorDate: '2024-01-01' };
+
+const getSettings = (state) => ({ ...DEFAULT_PAY_PERIOD_SETTINGS, ...(state?.payPeriodSettings || {}) });
+
+/**
+ * Pay period containing a date
+ * @param {Date|string} date - Any date inside the period
+ * @param {Object} settings - { frequency, anchorDate }
+ * @returns {Object} { fromDate, toDate } as 'yyyy-MM-dd'
+ */
+export function getPeriodForDate(date, settings = DEFAULT_PAY_PERIOD_SETTINGS) {
+  const day = parseISO(toDateKey(date));
+  const frequency = PAY_FREQUENCIES[settings.frequency] ? settings.frequency : 'monthly';
+
+  if (frequency === 'monthly') {
+    return { fromDate: format(startOfMonth(day), 'yyyy-MM-dd'), toDate: format(endOfMonth(day), 'yyyy-MM-dd') };
+  }
+
+  const length = PAY_FREQUENCIES[frequency].days;
+  const anchor = parseISO(settings.anchorDate || DEFAULT_PAY_PERIOD_SETTINGS.anchorDate);
+  const offset = Math.floor(differenceInCalendarDays(day, anchor) / length) * length;
+  const start = addDays(anchor, offset);
+  return { fromDate: format(start, 'yyyy-MM-dd'), toDate: format(addDays(start, length - 1), 'yyyy-MM-dd') };
+}
+
+/**
+ * Closed periods sorted oldest first
+ * @param {Object} state - Global state
+ * @returns {Array} Closed period records
+ */
+export function getClosedPeriods(state) {
+  return [...(state?.closedPeriods || [])].sort((a, b) => a.fromDate.localeCompare(b.fromDate));
+}
+
+/**
+ * Last date that can no longer be changed (end of the latest closed period)
+ * @param {Object} state - Global state
+ * @returns {string|null} 'yyyy-MM-dd' or null when nothing is closed
+ */
+export function getLockDate(state) {
+  const closed = getClosedPeriods(state);
+  return closed.length ? closed[closed.length - 1].toDate : null;
+}
+
+/**
+ * Whether records dated on this day are locked by a closed period
+ * @param {Object} state - Global state
+ * @param {Date|string} date - Record date
+ * @returns {boolean} True when the date falls in or before a closed period
+ */
+export function isDateLocked(state, date) {
+  const lockDate = getLockDate(state);
+  const key = toDateKey(date);
+  return !!lockDate && !!key && key <= lockDate;
+}
+
+/**
+ * Human readable reason for a locked date, for validation errors
+ * @param {Object} state - Global state
+ * @returns {string} Message naming the lock date
+ */
+export function getLockMessage(state) {
+  const lockDate = getLockDate(state);
+  return `Pay period closed up to ${format(parseISO(lockDate), 'dd/MM/yyyy')}. Reopen it to make changes.`;
+}
+
+/**
+ * Next period waiting to be closed: the one after the last closed period,
+ * or the period holding the earliest record when nothing is closed yet.
+ * @param {Object} state - Global state
+ * @param {Date} today - Reference date (defaults to now)
+ * @returns {Object} { fromDate, toDate, canClose }
+ */
+export function getNextPeriodToClose(state, today = new Date()) {
+  const settings = getSettings(state);
+  const lockDate = getLockDate(state);
+  let period;
+
+  if (lockDate) {
+    const nextDay = format(addDays(parseISO(lockDate), 1), 'yyyy-MM-dd');
+    period = getPeriodForDate(nextDay, settings);
+    // Frequency may have changed since the last close; never overlap a closed period
+    if (period.fromDate < nextDay) period = { ...period, fromDate: nextDay };
+  } else {
+    const dates = [...(state?.entries || []), ...(state?.payments || [])]
+      .map(r => toDateKey(r.date))
+      .filter(Boolean)
+      .sort();
+    period = getPeriodForDate(dates[0] || today, settings);
+  }
+
+  return { ...period, canClose: period.toDate < toDateKey(today) };
+}
+
+/**
+ * Snapshot every worker's balances for a period
+ * @param {Object} state - Global state
+ * @param {Object} period - { fromDate, toDate }
+ * @returns {Array} [{ workerId, workerName, openingBalance, earnings, payments, paymentsByKind, closingBalance, attendance }]
+ */
+export function buildPeriodSnapshot(state, period) {
+  return (state?.workers || []).map(worker => {
+    const ledger = buildWorkerLedger(worker.id, state, period);
+    return {
+      workerId: worker.id,
+      workerName: worker.name,
+      openingBalance: ledger.openingBalance,
+      earnings: ledger.totalEarnings,
+      payments: ledger.totalPayments,
+      paymentsByKind: ledger.paymentsByKind,
+      closingBalance: ledger.closingBalance,
+      attendance: ledger.attendance,
+    };
+  });
+}
+
+/**
+ * State as it will be once the period's scheduled loan instalments are deducted
+ * @param {Object} state - Global state
+ * @param {Object} period - { fromDate, toDate }
+ * @returns {Object} { state, repayments }
+ */
+export function withScheduledRepayments(state, period) {
+  const repayments = buildScheduledRepayments(state, period);
+  return { state: { ...state, payments: [...(state?.payments || []), ...repayments] }, repayments };
+}
+
+/**
+ * Build the closed-period record to dispatch with CLOSE_PAY_PERIOD.
+ * Scheduled loan instalments are returned as `repayments`; dispatch them with
+ * ADD_PAYMENT first, the snapshot already includes them.
+ * @param {Object} state - Global state
+ * @param {Object} period - { fromDate, toDate }
+ * @returns {Object} { success, period, repayments } or { success: false, error }
+ */
+export function closePayPeriod(state, period) {
+  const lockDate = getLockDate(state);
+  if (lockDate && period.fromDate <= lockDate) {
+    return { success: false, error: 'This period overlaps one that is already closed' };
+  }
+  if (period.toDate >= toDateKey(new Date())) {
+    return { success: false, error: 'A period can only be closed after it has ended' };
+  }
+
+  const settings = getSettings(state);
+  const { state: closingState, repayments } = withScheduledRepayments(state, period);
+  return {
+    success: true,
+    repayments,
+    period: {
+      id: Date.now().toString(),
+      frequency: settings.frequency,
+      fromDate: period.fromDate,
+      toDate: period.toDate,
+      closedAt: new Date().toISOString(),
+      snapshots: buildPeriodSnapshot(closingState, period),
+    }
+  };
+}
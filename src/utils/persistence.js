@@ -0,0 +1,345 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Chunked persistence for the global store.
+ *
+ * Every top-level state key is a collection. Entries, payments, outbox
+ * messages and the audit log are split into one chunk per month; everything
+ * else is one chunk.
+ * Chunks are written under fresh keys (`hlmStore:<chunk>#<rev>`) and only become
+ * live once the manifest pointing at them is written, so a crash mid-write
+ * leaves the previous manifest and its chunks untouched. Keys from an
+ * interrupted write are cleaned up on the next load.
+ *
+ * The old single-blob `globalStore` key is still read when no manifest exists
+ * and is moved to a `globalStore_backup_*` key after the first chunked save.
+ *
+ * A load that can't read everything (a chunk that is gone, a manifest or chunk that
+ * is not valid JSON) fails, and saving stays blocked until a full restore (or reset)
+ * replaces the store: a save from what could be read would write a manifest without
+ * the rest, and the next load would clean the unread chunks up for good.
+ */
+
+export const LEGACY_STORE_KEY = 'globalStore';
+export const PERSIST_DEBOUNCE_MS = 400;
+
+const KEY_PREFIX = 'hlmStore:';
+const MANIFEST_KEY = `${KEY_PREFIX}manifest`;
+const MANIFEST_FORMAT = 1;
+
+// Collections split by month, with the field holding the record's date
+const PARTITIONED = {
+  entries: 'date',
+  payments: 'date',
+  deferredMessages: 'createdAt',
+  auditLog: 'at',
+};
+
+// Runtime-only keys that never go to storage
+const TRANSIENT_KEYS = ['isInitialized'];
+
+// What is known to be on disk: manifest, chunk JSON by chunk id, and the collection
+// references last written (unchanged references are skipped without serialising).
+// `blocked` is set when the last load found chunks missing.
+let persisted = { manifest: null, chunkJson: {}, refs: {}, legacyPending: false, blocked: false };
+let writeQueue = Promise.resolve();
+let pendingState = null;
+let pendingTimer = null;
+
+const monthOf = (value) => {
+  if (!value) return 'undated';
+  let text = value;
+  if (typeof value !== 'string') {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return 'undated';
+    text = date.toISOString();
+  }
+  return /^\d{4}-\d{2}/.test(text) ? text.slice(0, 7) : 'undated';
+};
+
+/**
+ * Split one collection into chunks
+ * @param {string} name - State key
+ * @param {*} value - Collection value
+ * @returns {Object} { [chunkId]: json }
+ */
+function chunkCollection(name, value) {
+  const dateField = PARTITIONED[name];
+  // An empty collection still gets a chunk so it loads back as []
+  if (!dateField || !Array.isArray(value) || value.length === 0) {
+    return { [name]: JSON.stringify(value === undefined ? null : value) };
+  }
+  const buckets = {};
+  value.forEach(record => {
+    const bucket = `${name}/${monthOf(record?.[dateField])}`;
+    (buckets[bucket] = buckets[bucket] || []).push(record);
+  });
+  return Object.fromEntries(Object.entries(buckets).map(([id, records]) => [id, JSON.stringify(records)]));
+}
+
+const collectionOf = (chunkId) => chunkId.split('/')[0];
+
+/**
+ * Write the changed chunks of a state, then commit them with a new manifest
+ * @param {Object} state - Full store state
+ * @param {Object} options - { replace: true } for a state that replaces the whole store (restore)
+ * @returns {Promise<Object>} { success, written, removed } or { success: false, error }
+ */
+async function writeState(state, options = {}) {
+  if (persisted.blocked && !options.replace) {
+    console.warn('⛔ Store save skipped: the stored copy has missing chunks. Restore a backup to recover.');
+    return { success: false, error: 'Saving is paused because part of the stored data could not be read' };
+  }
+  const manifest = persisted.manifest || { format: MANIFEST_FORMAT, rev: 0, chunks: {} };
+  const rev = manifest.rev + 1;
+  const chunks = { ...manifest.chunks };
+  const toWrite = [];
+  const nextJson = { ...persisted.chunkJson };
+  const nextRefs = { ...persisted.refs };
+  const staleKeys = [];
+
+  Object.keys(state)
+    .filter(name => !TRANSIENT_KEYS.includes(name))
+    .forEach(name => {
+      if (persisted.manifest && persisted.refs[name] === state[name]) return;
+      nextRefs[name] = state[name];
+
+      const fresh = chunkCollection(name, state[name]);
+      // Months that no longer have records drop out of the manifest
+      Object.keys(chunks)
+        .filter(id => collectionOf(id) === name && !(id in fresh))
+        .forEach(id => {
+          staleKeys.push(chunks[id]);
+          delete chunks[id];
+          delete nextJson[id];
+        });
+      Object.entries(fresh).forEach(([id, json]) => {
+        if (chunks[id] && persisted.chunkJson[id] === json) return;
+        const key = `${KEY_PREFIX}${id}#${rev}`;
+        if (chunks[id]) staleKeys.push(chunks[id]);
+        chunks[id] = key;
+        nextJson[id] = json;
+        toWrite.push([key, json]);
+      });
+    });
+
+  if (toWrite.length === 0 && staleKeys.length === 0 && persisted.manifest) {
+    persisted.refs = nextRefs;
+    return { success: true, written: 0, removed: 0 };
+  }
+
+  try {
+    if (toWrite.length > 0) {
+      await AsyncStorage.multiSet(toWrite);
+    }
+    // Commit point: until this lands the previous manifest and chunks stay live
+    const nextManifest = { format: MANIFEST_FORMAT, rev, savedAt: new Date().toISOString(), chunks };
+    await AsyncStorage.setItem(MANIFEST_KEY, JSON.stringify(nextManifest));
+    persisted = { ...persisted, manifest: nextManifest, chunkJson: nextJson, refs: nextRefs, blocked: false };
+  } catch (error) {
+    console.log('❌ Store save failed, previous copy kept:', error);
+    // Leave `persisted` alone so the next save retries the same chunks
+    AsyncStorage.multiRemove(toWrite.map(([key]) => key)).catch(() => {});
+    return { success: false, error: error.message };
+  }
+
+  if (staleKeys.length > 0) {
+    await AsyncStorage.multiRemove(staleKeys).catch(e => console.log('Stale chunk cleanup failed', e));
+  }
+  if (persisted.legacyPending) {
+    await retireLegacyStore();
+  }
+  console.log(`💾 Store saved: ${toWrite.length} chunks written, ${staleKeys.length} removed (rev ${rev})`);
+  return { success: true, written: toWrite.length, removed: staleKeys.length };
+}
+
+// The old blob is kept as a local backup rather than deleted outright
+async function retireLegacyStore() {
+  try {
+    const legacy = await AsyncStorage.getItem(LEGACY_STORE_KEY);
+    if (legacy) {
+      await AsyncStorage.setItem(`globalStore_backup_${Date.now()}`, legacy);
+      await AsyncStorage.removeItem(LEGACY_STORE_KEY);
+      console.log('📦 Single-blob store moved to a local backup');
+    }
+    persisted.legacyPending = false;
+  } catch (error) {
+    console.warn('Failed to retire single-blob store', error);
+  }
+}
+
+/**
+ * Keep a full local copy of some store data under a `globalStore_backup_*` key
+ * (listed in the backup history)
+ * @param {Object} data - Store data
+ * @param {string} tag - Short label added to the key, e.g. 'v1'
+ * @returns {Promise<string>} Backup key
+ */
+export async function saveLocalBackup(data, tag = '') {
+  const key = `globalStore_backup_${tag ? `${tag}_` : ''}${Date.now()}`;
+  await AsyncStorage.setItem(key, JSON.stringify(data));
+  return key;
+}
+
+/**
+ * Backup hook for runMigrations: a full copy of the data before each step, keyed
+ * by the version it is at (e.g. globalStore_backup_v0_1700000000000). Earlier
+ * copies are kept; they are cleared with the other local backups.
+ * A failed backup is logged and does not block the migration.
+ * @param {Object} data - Data about to be migrated
+ * @param {Object} step - Migration step about to run
+ */
+export async function backupBeforeMigration(data, step) {
+  try {
+    const key = await saveLocalBackup(data, `v${step.version - 1}`);
+    console.log(`📦 Backed up store before migration v${step.version}:`, key);
+  } catch (backupErr) {
+    console.warn('Failed to write globalStore backup', backupErr);
+  }
+}
+
+/**
+ * Load the persisted state
+ * @returns {Promise<Object|null>} Stored state, or null when nothing is stored
+ * @throws {Error} When the stored data can't be read in full: chunks missing, or a manifest
+ *   or chunk that is not valid JSON (saving is then blocked)
+ */
+export async function loadPersistedState() {
+  await writeQueue;
+  try {
+    return await readPersistedState();
+  } catch (error) {
+    // Whatever is on disk stays as it is until a full restore replaces it
+    persisted = { ...persisted, chunkJson: {}, refs: {}, legacyPending: false, blocked: true };
+    console.warn('⛔ Stored data could not be loaded, saving is paused:', error.message);
+    throw error;
+  }
+}
+
+async function readPersistedState() {
+  persisted = { manifest: null, chunkJson: {}, refs: {}, legacyPending: false, blocked: false };
+  const manifestJson = await AsyncStorage.getItem(MANIFEST_KEY);
+
+  if (!manifestJson) {
+    const legacy = await AsyncStorage.getItem(LEGACY_STORE_KEY);
+    if (!legacy) return null;
+    persisted.legacyPending = true;
+    return JSON.parse(legacy);
+  }
+
+  const manifest = JSON.parse(manifestJson);
+  persisted.manifest = manifest;
+  const pairs = await AsyncStorage.multiGet(Object.values(manifest.chunks));
+  const jsonByKey = Object.fromEntries(pairs);
+  const state = {};
+  const chunkJson = {};
+
+  const missing = Object.entries(manifest.chunks).filter(([, key]) => jsonByKey[key] == null).map(([id]) => id);
+  if (missing.length > 0) {
+    console.warn(`⚠️ Missing store chunks: ${missing.join(', ')}`);
+    throw new Error(`Stored data is incomplete (missing ${missing.join(', ')})`);
+  }
+
+  Object.entries(manifest.chunks).forEach(([id, key]) => {
+    const json = jsonByKey[key];
+    chunkJson[id] = json;
+    let value;
+    try {
+      value = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Stored data is damaged (chunk ${id}: ${error.message})`);
+    }
+    const name = collectionOf(id);
+    if (PARTITIONED[name] && id !== name) {
+      state[name] = [...(state[name] || []), ...value];
+    } else {
+      state[name] = value;
+    }
+  });
+
+  // Manifest order follows when each month was first saved; bring months back in date order
+  Object.keys(PARTITIONED).forEach(name => {
+    if (Array.isArray(state[name])) {
+      state[name] = [...state[name]].sort((a, b) =>
+        monthOf(a?.[PARTITIONED[name]]).localeCompare(monthOf(b?.[PARTITIONED[name]])));
+    }
+  });
+
+  persisted = { manifest, chunkJson, refs: {}, legacyPending: false, blocked: false };
+  await removeOrphanChunks(manifest);
+  return state;
+}
+
+/**
+ * Everything the store has on disk, as stored: manifest, chunks and the old single blob.
+ * Used to keep a copy of a store that can't be loaded before it is replaced.
+ * @returns {Promise<Object>} { [storage key]: raw value }
+ */
+export async function readRawStore() {
+  await writeQueue;
+  const keys = (await AsyncStorage.getAllKeys()).filter(key => key.startsWith(KEY_PREFIX) || key === LEGACY_STORE_KEY);
+  return Object.fromEntries(await AsyncStorage.multiGet(keys));
+}
+
+// Chunks written by a save that never reached its manifest
+async function removeOrphanChunks(manifest) {
+  try {
+    const live = new Set([MANIFEST_KEY, ...Object.values(manifest.chunks)]);
+    const orphans = (await AsyncStorage.getAllKeys()).filter(key => key.startsWith(KEY_PREFIX) && !live.has(key));
+    if (orphans.length > 0) {
+      await AsyncStorage.multiRemove(orphans);
+      console.log(`🧹 Removed ${orphans.length} store chunks from an interrupted save`);
+    }
+  } catch (error) {
+    console.warn('Orphan chunk cleanup failed', error);
+  }
+}
+
+/**
+ * Save a state now (queued behind any save in progress)
+ * @param {Object} state - Full store state
+ * @param {Object} options - { replace: true } when the state replaces the whole store (restore)
+ * @returns {Promise<Object>} { success, written, removed } or { success: false, error }
+ */
+export function savePersistedState(state, options = {}) {
+  const run = writeQueue.then(() => writeState(state, options));
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Save a state after PERSIST_DEBOUNCE_MS; later calls replace the pending state
+ * @param {Object} state - Full store state
+ */
+export function schedulePersist(state) {
+  pendingState = state;
+  if (pendingTimer) clearTimeout(pendingTimer);
+  pendingTimer = setTimeout(() => {
+    flushPersist();
+  }, PERSIST_DEBOUNCE_MS);
+}
+
+/**
+ * Write any pending debounced state immediately
+ * @returns {Promise<void>}
+ */
+export async function flushPersist() {
+  if (pendingTimer) {
+    clearTimeout(pendingTimer);
+    pendingTimer = null;
+  }
+  const state = pendingState;
+  pendingState = null;
+  if (state) {
+    await savePersistedState(state);
+  }
+  await writeQueue;
+}
+
+/**
+ * Forget what is known to be on disk, e.g. after storage was cleared,
+ * so the next save writes every chunk again
+ */
+export function resetPersistedCache() {
+  persisted = { manifest: null, chunkJson: {}, refs: {}, legacyPending: false, blocked: false };
+}
@@ -0,0 +1,179 @@
+import { isWorkerActive } from './workers';
+
+/**
+ * Phone numbers: validation and normalisation to E.164 (+<country code><number>).
+ *
+ * Numbers are typed the way people say them ("098450 12345", "+91 98450-12345",
+ * "0091 9845012345"). Numbers without a country code are read as numbers of
+ * `contactSettings.defaultCountry`. Workers have a main `phone` and an optional
+ * `whatsappPhone` used for WhatsApp messages instead of the main one.
+ *
+ * Results use { valid, error, code, e164 }: `error` is English for logs and screens
+ * that are not translated, `code` is the key under `phone.*` in the locale files.
+ */
+
+// nationalLength: digits after the country code; mobile: what a mobile number starts with
+export const PHONE_COUNTRIES = {
+  IN: { label: 'India', dialCode: '91', nationalLength: 10, trunkPrefix: '0', mobile: /^[6-9]/ },
+  NP: { label: 'Nepal', dialCode: '977', nationalLength: 10, trunkPrefix: '', mobile: /^9/ },
+  BD: { label: 'Bangladesh', dialCode: '880', nationalLength: 10, trunkPrefix: '0', mobile: /^1/ },
+  LK: { label: 'Sri Lanka', dialCode: '94', nationalLength: 9, trunkPrefix: '0', mobile: /^7/ },
+  AE: { label: 'United Arab Emirates', dialCode: '971', nationalLength: 9, trunkPrefix: '0', mobile: /^5/ },
+  SA: { label: 'Saudi Arabia', dialCode: '966', nationalLength: 9, trunkPrefix: '0', mobile: /^5/ },
+};
+
+export const DEFAULT_CONTACT_SETTINGS = { defaultCountry: 'IN' };
+
+const PHONE_ERRORS = {
+  missing: 'No phone number',
+  invalid: 'Phone number can only have digits, spaces, dashes and a leading +',
+  tooShort: 'Phone number too short',
+  tooLong: 'Phone number too long',
+  notMobile: 'Not a mobile number',
+};
+
+const fail = (code) => ({ valid: false, error: PHONE_ERRORS[code], code, e164: null });
+
+// Country whose dial code starts an international number (longest code first: 977 before 97…)
+const findCountryByNumber = (digits) => Object.values(PHONE_COUNTRIES)
+  .sort((a, b) => b.dialCode.length - a.dialCode.length)
+  .find(c => digits.startsWith(c.dialCode));
+
+const checkNational = (country, national) => {
+  if (national.length < country.nationalLength) return fail('tooShort');
+  if (national.length > country.nationalLength) return fail('tooLong');
+  if (country.mobile && !country.mobile.test(national)) return fail('notMobile');
+  return { valid: true, error: null, code: null, e164: `+${country.dialCode}${national}` };
+};
+
+/**
+ * Default country for numbers typed without a country code
+ * @param {Object} state - Global state containing contactSettings
+ * @returns {string} Key of PHONE_COUNTRIES
+ */
+export function getDefaultCountry(state) {
+  const { defaultCountry } = { ...DEFAULT_CONTACT_SETTINGS, ...(state?.contactSettings || {}) };
+  return PHONE_COUNTRIES[defaultCountry] ? defaultCountry : DEFAULT_CONTACT_SETTINGS.defaultCountry;
+}
+
+/**
+ * Validate a phone number and convert it to E.164
+ * @param {string} phone - Number as typed
+ * @param {string} defaultCountry - Key of PHONE_COUNTRIES, used when the number has no country code
+ * @returns {Object} { valid, error, code, e164 } - e164 like "+919845012345" when valid
+ */
+export function normalizePhone(phone, defaultCountry = DEFAULT_CONTACT_SETTINGS.defaultCountry) {
+  const raw = (phone == null ? '' : String(phone)).trim();
+  if (!raw) return fail('missing');
+  if (!/^\+?[\d\s\-().]+$/.test(raw)) return fail('invalid');
+
+  let digits = raw.replace(/\D/g, '');
+  let international = raw.startsWith('+');
+  if (!international && digits.startsWith('00')) {
+    digits = digits.slice(2);
+    international = true;
+  }
+
+  const country = PHONE_COUNTRIES[defaultCountry] || PHONE_COUNTRIES[DEFAULT_CONTACT_SETTINGS.defaultCountry];
+  if (!international) {
+    // "098450 12345" → drop the trunk 0; "919845012345" → country code typed without the +
+    const national = country.trunkPrefix && digits.startsWith(country.trunkPrefix) && digits.length === country.nationalLength + 1
+      ? digits.slice(country.trunkPrefix.length)
+      : digits;
+    if (national.length === country.dialCode.length + country.nationalLength && national.startsWith(country.dialCode)) {
+      return checkNational(country, national.slice(country.dialCode.length));
+    }
+    return checkNational(country, national);
+  }
+
+  // E.164 allows up to 15 digits; countries we know get their length checked too
+  const known = findCountryByNumber(digits);
+  if (known) return checkNational(known, digits.slice(known.dialCode.length));
+  if (digits.length < 8) return fail('tooShort');
+  if (digits.length > 15) return fail('tooLong');
+  return { valid: true, error: null, code: null, e164: `+${digits}` };
+}
+
+/**
+ * E.164 number for display, with a space after the country code
+ * @param {string} phone - Number as typed or E.164
+ * @param {string} defaultCountry - Key of PHONE_COUNTRIES
+ * @returns {string} e.g. "+91 9845012345", or the number as typed when it is not valid
+ */
+export function formatPhone(phone, defaultCountry) {
+  const result = normalizePhone(phone, defaultCountry);
+  if (!result.valid) return phone || '';
+  const digits = result.e164.slice(1);
+  const country = findCountryByNumber(digits);
+  return country ? `+${country.dialCode} ${digits.slice(country.dialCode.length)}` : result.e164;
+}
+
+/**
+ * Number in the form WhatsApp links take (digits only, country code first)
+ * @param {string} e164 - Normalised number
+ * @returns {string} e.g. "919845012345"
+ */
+export function toWhatsAppNumber(e164) {
+  return (e164 || '').replace(/\D/g, '');
+}
+
+/**
+ * Number to reach a worker on a channel: the WhatsApp number for WhatsApp when it is usable,
+ * otherwise the main phone
+ * @param {Object} worker - Worker record
+ * @param {string} channel - 'sms' | 'whatsapp'
+ * @param {string} defaultCountry - Key of PHONE_COUNTRIES
+ * @returns {Object} normalizePhone result plus source ('phone' | 'whatsappPhone')
+ */
+export function getWorkerPhone(worker, channel, defaultCountry) {
+  if (channel === 'whatsapp' && worker?.whatsappPhone) {
+    const whatsapp = normalizePhone(worker.whatsappPhone, defaultCountry);
+    if (whatsapp.valid) return { ...whatsapp, source: 'whatsappPhone' };
+  }
+  return { ...normalizePhone(worker?.phone, defaultCountry), source: 'phone' };
+}
+
+/**
+ * Check the numbers on the worker form before saving
+ * @param {Object} form - { phone, whatsappPhone } as typed; both optional
+ * @param {string} defaultCountry - Key of PHONE_COUNTRIES
+ * @returns {Object} { valid, error, phone, whatsappPhone } - numbers in E.164, '' / null when left empty
+ */
+export function validateContactForm(form, defaultCountry) {
+  const phone = (form.phone || '').trim();
+  const whatsappPhone = (form.whatsappPhone || '').trim();
+  const main = phone ? normalizePhone(phone, defaultCountry) : null;
+  if (main && !main.valid) return { valid: false, error: `Phone: ${main.error}` };
+  const whatsapp = whatsappPhone ? normalizePhone(whatsappPhone, defaultCountry) : null;
+  if (whatsapp && !whatsapp.valid) return { valid: false, error: `WhatsApp number: ${whatsapp.error}` };
+  return {
+    valid: true,
+    error: null,
+    phone: main ? main.e164 : '',
+    // Same as the main phone is the same as not having one
+    whatsappPhone: whatsapp && whatsapp.e164 !== main?.e164 ? whatsapp.e164 : null,
+  };
+}
+
+/**
+ * Active workers whose numbers can't be used for messages
+ * @param {Object} state - Global state containing workers and contactSettings
+ * @returns {Array} [{ worker, issues: [{ field, code, error }] }] sorted by worker name
+ */
+export function getContactIssues(state) {
+  const country = getDefaultCountry(state);
+  return (state.workers || [])
+    .filter(isWorkerActive)
+    .map(worker => {
+      const issues = [];
+      const main = normalizePhone(worker.phone, country);
+      if (!main.valid) issues.push({ field: 'phone', code: main.code, error: main.error });
+      if (worker.whatsappPhone) {
+        const whatsapp = normalizePhone(worker.whatsappPhone, country);
+        if (!whatsapp.valid) issues.push({ field: 'whatsappPhone', code: whatsapp.code, error: whatsapp.error });
+      }
+      return { worker, issues };
+    })
+    .filter(w => w.issues.length > 0)
+    .sort((a, b) => (a.worker.name || '').localeCompare(b.worker.name || ''));
+}
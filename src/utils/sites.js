@@ -0,0 +1,146 @@
+import { buildWorkerLedger, getEntryEarning, getPaymentDebit, countAttendance, toDateKey } from './ledger';
+
+/**
+ * Sites / projects.
+ * `state.sites` holds `{ id, name, address, client, active }`; entries and payments
+ * carry an optional `siteId`. Records without one belong to no site and are
+ * reported under "Unassigned".
+ */
+
+export const UNASSIGNED_SITE_ID = 'unassigned';
+
+/**
+ * Sites that can be picked for new records (the record's current site stays pickable)
+ * @param {Object} state - Global state containing sites
+ * @param {string|null} includeId - Site to keep even if inactive
+ * @returns {Array} Sites sorted by name
+ */
+export function getSelectableSites(state, includeId = null) {
+  return (state?.sites || [])
+    .filter(s => s.active !== false || s.id === includeId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Display name of a site
+ * @param {Object} state - Global state containing sites
+ * @param {string|null} siteId - Site ID
+ * @returns {string} Site name, or '' when not set
+ */
+export function getSiteName(state, siteId) {
+  if (!siteId) return '';
+  return (state?.sites || []).find(s => s.id === siteId)?.name || 'Unknown site';
+}
+
+/**
+ * Whether a record belongs to a site filter value
+ * @param {Object} record - Entry or payment
+ * @param {string} siteFilter - 'all', UNASSIGNED_SITE_ID or a site ID
+ * @returns {boolean} True when the record passes the filter
+ */
+export function matchesSite(record, siteFilter) {
+  if (!siteFilter || siteFilter === 'all') return true;
+  if (siteFilter === UNASSIGNED_SITE_ID) return !record.siteId;
+  return record.siteId === siteFilter;
+}
+
+/**
+ * State restricted to the records of one site, for period figures per site.
+ * Balances should still be read from the full state.
+ * @param {Object} state - Global state
+ * @param {string} siteFilter - 'all', UNASSIGNED_SITE_ID or a site ID
+ * @returns {Object} State with filtered entries and payments
+ */
+export function filterStateBySite(state, siteFilter) {
+  if (!siteFilter || siteFilter === 'all') return state;
+  return {
+    ...state,
+    entries: (state?.entries || []).filter(e => matchesSite(e, siteFilter)),
+    payments: (state?.payments || []).filter(p => matchesSite(p, siteFilter)),
+  };
+}
+
+/**
+ * Validate a site before saving
+ * @param {Object} site - Site record
+ * @param {Array} existing - Sites already in the master
+ * @returns {Object} { valid: boolean, error: string }
+ */
+export function validateSite(site, existing = []) {
+  if (!site.name || !site.name.trim()) {
+    return { valid: false, error: 'Site name is required' };
+  }
+  const name = site.name.toLowerCase().trim();
+  if (existing.some(s => s.id !== site.id && s.name.toLowerCase().trim() === name)) {
+    return { valid: false, error: 'Site name already exists' };
+  }
+  return { valid: true, error: null };
+}
+
+/**
+ * Labour cost per site for a date range
+ * @param {Object} state - Global state
+ * @param {Object} options - { fromDate, toDate, workerId } (all optional)
+ * @returns {Array} [{ siteId, name, client, address, labourCost, payments, workers, attendance, entries }]
+ */
+export function buildSiteCostReport(state, options = {}) {
+  const fromKey = toDateKey(options.fromDate);
+  const toKey = toDateKey(options.toDate);
+  const inRange = (r) => {
+    const key = toDateKey(r.date);
+    return !!key && (!fromKey || key >= fromKey) && (!toKey || key <= toKey);
+  };
+  const forWorker = (r) => !options.workerId || r.workerId === options.workerId;
+
+  const rows = {};
+  const rowFor = (siteId) => {
+    const key = siteId || UNASSIGNED_SITE_ID;
+    if (!rows[key]) {
+      const site = (state?.sites || []).find(s => s.id === siteId);
+      rows[key] = {
+        siteId: key,
+        name: site?.name || (siteId ? 'Unknown site' : 'Unassigned'),
+        client: site?.client || '',
+        address: site?.address || '',
+        labourCost: 0,
+        payments: 0,
+        workerIds: new Set(),
+        lines: [],
+      };
+    }
+    return rows[key];
+  };
+
+  (state?.entries || []).filter(e => inRange(e) && forWorker(e)).forEach(entry => {
+    const row = rowFor(entry.siteId);
+    row.labourCost += getEntryEarning(entry);
+    row.workerIds.add(entry.workerId);
+    row.lines.push(entry);
+  });
+  (state?.payments || []).filter(p => inRange(p) && forWorker(p)).forEach(payment => {
+    rowFor(payment.siteId).payments += getPaymentDebit(payment);
+  });
+
+  return Object.values(rows)
+    .map(({ workerIds, lines, ...row }) => ({
+      ...row,
+      workers: workerIds.size,
+      attendance: countAttendance(lines),
+      entries: lines.length,
+    }))
+    .sort((a, b) => b.labourCost - a.labourCost);
+}
+
+/**
+ * Period figures of one worker at one site, with the balance still taken from all sites
+ * @param {string} workerId - Worker ID
+ * @param {Object} state - Global state
+ * @param {string} siteFilter - 'all', UNASSIGNED_SITE_ID or a site ID
+ * @param {Object} range - { fromDate, toDate }
+ * @returns {Object} Ledger of the site's records plus `overall` (the unfiltered ledger)
+ */
+export function buildWorkerSiteLedger(workerId, state, siteFilter, range = {}) {
+  const overall = buildWorkerLedger(workerId, state, range);
+  if (!siteFilter || siteFilter === 'all') return { ...overall, overall };
+  return { ...buildWorkerLedger(workerId, filterStateBySite(state, siteFilter), range), overall };
+}
@@ -0,0 +1,89 @@
+import { toDateKey } from './ledger';
+
+/**
+ * Wage rate history helpers.
+ * A worker carries `wageRates: [{ id, fullDayRate, halfDayRate, effectiveFrom, categoryId, subcategoryId }]`;
+ * the rate in force for an entry is the latest one effective on or before the entry
+ * date, preferring a subcategory match over a category match over a general rate.
+ */
+
+const rateSpecificity = (rate, categoryId, subcategoryId) => {
+  if (rate.subcategoryId) {
+    return rate.subcategoryId === subcategoryId && (!rate.categoryId || rate.categoryId === categoryId) ? 2 : -1;
+  }
+  if (rate.categoryId) return rate.categoryId === categoryId ? 1 : -1;
+  return 0;
+};
+
+/**
+ * Find the wage rate in force for a worker on a date
+ * @param {Object} worker - Worker with optional wageRates array
+ * @param {Object} options - { date, categoryId, subcategoryId }
+ * @returns {Object|null} Matching rate or null when none applies
+ */
+export function getRateInForce(worker, { date, categoryId = null, subcategoryId = null } = {}) {
+  const dateKey = toDateKey(date);
+  if (!worker || !dateKey || !Array.isArray(worker.wageRates)) return null;
+
+  let best = null;
+  let bestScore = -1;
+  for (const rate of worker.wageRates) {
+    if (!rate.effectiveFrom || rate.effectiveFrom > dateKey) continue;
+    const score = rateSpecificity(rate, categoryId, subcategoryId);
+    if (score < 0) continue;
+    if (score > bestScore || (score === bestScore && rate.effectiveFrom > best.effectiveFrom)) {
+      best = rate;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Amount fields to store on an entry priced from a wage rate.
+ * `amount` is always the full-day rate (the ledger halves it for half days)
+ * unless the rate defines its own half-day rate, which is kept as `halfDayAmount`.
+ * @param {Object} rate - Wage rate
+ * @param {string} status - Attendance status 'P' | 'H' | 'A'
+ * @returns {Object|null} { amount, halfDayAmount } or null for absent / no rate
+ */
+export function getRateAmounts(rate, status) {
+  if (!rate || status === 'A') return null;
+  const fullDayRate = Number(rate.fullDayRate) || 0;
+  const halfDayRate = Number(rate.halfDayRate) || 0;
+  return {
+    amount: fullDayRate,
+    halfDayAmount: status === 'H' && halfDayRate > 0 ? halfDayRate : null,
+  };
+}
+
+/**
+ * Validate a wage rate before adding it to a worker
+ * @param {Object} rate - Wage rate to validate
+ * @param {Array} existingRates - Worker's current rates
+ * @returns {Object} { valid: boolean, error: string }
+ */
+export function validateWageRate(rate, existingRates = []) {
+  if (!rate.fullDayRate || Number(rate.fullDayRate) <= 0) {
+    return { valid: false, error: 'Valid full-day rate is required' };
+  }
+  if (rate.halfDayRate && (isNaN(Number(rate.halfDayRate)) || Number(rate.halfDayRate) <= 0)) {
+    return { valid: false, error: 'Half-day rate must be a positive number' };
+  }
+  if (!rate.effectiveFrom) {
+    return { valid: false, error: 'Effective-from date is required' };
+  }
+  if (rate.subcategoryId && !rate.categoryId) {
+    return { valid: false, error: 'Select a category for the subcategory rate' };
+  }
+  const clash = existingRates.some(r =>
+    r.id !== rate.id &&
+    r.effectiveFrom === rate.effectiveFrom &&
+    (r.categoryId || null) === (rate.categoryId || null) &&
+    (r.subcategoryId || null) === (rate.subcategoryId || null)
+  );
+  if (clash) {
+    return { valid: false, error: 'A rate for this scope already starts on that date' };
+  }
+  return { valid: true, error: null };
+}
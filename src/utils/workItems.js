@@ -0,0 +1,99 @@
+import { toDateKey, getEntryEarning } from './ledger';
+
+/**
+ * Piece-work (Work B) item master.
+ * `state.workItems` holds `{ id, name, unit, defaultRate, rateHistory: [{ rate, effectiveFrom }] }`.
+ * `defaultRate` is the current rate; `rateHistory` keeps every rate with the date it took
+ * effect so entries on older dates prefill the rate that applied then.
+ * Work B entries store `workItemId` and `unit` next to the existing `workName`.
+ */
+
+export const WORK_UNITS = ['pcs', 'sq ft', 'sq m', 'rft', 'm', 'kg', 'bags', 'trips', 'loads', 'days'];
+
+/**
+ * Rate of an item on a date
+ * @param {Object} item - Work item
+ * @param {Date|string} date - Entry date (defaults to the current rate)
+ * @returns {number} Rate per unit
+ */
+export function getItemRate(item, date = null) {
+  if (!item) return 0;
+  const dateKey = toDateKey(date);
+  const history = [...(item.rateHistory || [])].sort((a, b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || ''));
+  if (!dateKey || history.length === 0) return Number(item.defaultRate) || 0;
+
+  const applicable = history.filter(h => !h.effectiveFrom || h.effectiveFrom <= dateKey);
+  // Dates before the first recorded rate use the earliest one
+  const rate = applicable.length ? applicable[applicable.length - 1] : history[0];
+  return Number(rate.rate) || 0;
+}
+
+/**
+ * Validate a work item before saving
+ * @param {Object} item - Work item
+ * @param {Array} existing - Items already in the master
+ * @returns {Object} { valid: boolean, error: string }
+ */
+export function validateWorkItem(item, existing = []) {
+  if (!item.name || !item.name.trim()) {
+    return { valid: false, error: 'Item name is required' };
+  }
+  if (!item.unit || !item.unit.trim()) {
+    return { valid: false, error: 'Unit of measure is required' };
+  }
+  if (!(Number(item.defaultRate) > 0)) {
+    return { valid: false, error: 'Rate must be greater than zero' };
+  }
+  const name = item.name.toLowerCase().trim();
+  const unit = item.unit.toLowerCase().trim();
+  const duplicate = existing.some(i =>
+    i.id !== item.id && i.name.toLowerCase().trim() === name && (i.unit || '').toLowerCase().trim() === unit
+  );
+  if (duplicate) {
+    return { valid: false, error: 'An item with this name and unit already exists' };
+  }
+  return { valid: true, error: null };
+}
+
+/**
+ * Item record with its rate changed from a date, keeping the old rate in the history
+ * @param {Object} item - Existing work item
+ * @param {number} rate - New rate per unit
+ * @param {string} effectiveFrom - 'yyyy-MM-dd'
+ * @returns {Object} Updated item
+ */
+export function withItemRate(item, rate, effectiveFrom) {
+  const history = (item.rateHistory || []).filter(h => h.effectiveFrom !== effectiveFrom);
+  const rateHistory = [...history, { rate: Number(rate), effectiveFrom }]
+    .sort((a, b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || ''));
+  return { ...item, rateHistory, defaultRate: Number(rateHistory[rateHistory.length - 1].rate) };
+}
+
+/**
+ * Work B totals grouped by item and unit.
+ * Entries without a `workItemId` (typed before the master existed) group by their work name.
+ * @param {Array} entries - Entry records (any workers)
+ * @param {Object} state - Global state containing workItems
+ * @returns {Array} [{ key, itemId, name, unit, units, amount, entries }] sorted by amount
+ */
+export function groupPieceWork(entries, state) {
+  const items = state?.workItems || [];
+  const groups = {};
+
+  (entries || [])
+    .filter(e => e && e.workType === 'B' && e.status !== 'A')
+    .forEach(entry => {
+      const item = items.find(i => i.id === entry.workItemId);
+      const name = item?.name || (entry.workName || 'Work B').trim();
+      const unit = item?.unit || entry.unit || 'units';
+      const key = item ? item.id : `${name.toLowerCase()}|${unit.toLowerCase()}`;
+      if (!groups[key]) {
+        groups[key] = { key, itemId: item?.id || null, name, unit, units: 0, amount: 0, entries: 0 };
+      }
+      groups[key].units += Number(entry.units) || 0;
+      groups[key].amount += getEntryEarning(entry);
+      groups[key].entries++;
+    });
+
+  return Object.values(groups).sort((a, b) => b.amount - a.amount);
+}
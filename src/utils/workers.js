@@ -0,0 +1,194 @@
+import { isDateLocked } from './payPeriods';
+
+/**
+ * Worker lifecycle: archive (soft delete), guarded hard delete and orphan repair.
+ * Archived workers carry `active: false` and `archivedAt`; they are hidden from
+ * entry/payment pickers but stay in the ledger, summaries and exports.
+ */
+
+/**
+ * Whether a worker is active (not archived)
+ * @param {Object} worker - Worker record
+ * @returns {boolean} True unless archived
+ */
+export function isWorkerActive(worker) {
+  return !!worker && worker.active !== false;
+}
+
+/**
+ * Workers that can be picked for new entries and payments
+ * @param {Array} workers - state.workers
+ * @param {string|null} includeId - Worker to keep even if archived (e.g. the one being edited)
+ * @returns {Array} Active workers
+ */
+export function getActiveWorkers(workers, includeId = null) {
+  return (workers || []).filter(w => isWorkerActive(w) || w.id === includeId);
+}
+
+/**
+ * Worker name as shown in reports, marking archived workers
+ * @param {Object} worker - Worker record
+ * @returns {string} e.g. "Ravi (archived)"
+ */
+export function getWorkerLabel(worker) {
+  if (!worker) return 'Unknown';
+  return isWorkerActive(worker) ? worker.name : `${worker.name} (archived)`;
+}
+
+/**
+ * Archived copy of a worker (or the active copy when restoring)
+ * @param {Object} worker - Worker record
+ * @param {boolean} archived - Archive (true) or restore (false)
+ * @returns {Object} Updated worker for UPDATE_WORKER
+ */
+export function withArchived(worker, archived) {
+  return archived
+    ? { ...worker, active: false, archivedAt: new Date().toISOString() }
+    : { ...worker, active: true, archivedAt: null };
+}
+
+/**
+ * Records that belong to a worker
+ * @param {Object} state - Global state
+ * @param {string} workerId - Worker ID
+ * @returns {Object} { entries, payments, messages, total }
+ */
+export function getWorkerRecordCounts(state, workerId) {
+  const entries = (state.entries || []).filter(e => e.workerId === workerId).length;
+  const payments = (state.payments || []).filter(p => p.workerId === workerId).length;
+  const messages = (state.deferredMessages || []).filter(m => m.workerId === workerId).length;
+  return { entries, payments, messages, total: entries + payments };
+}
+
+/**
+ * Check a hard delete before running it
+ * @param {Object} state - Global state
+ * @param {string} workerId - Worker to delete
+ * @param {string|null} reassignTo - Worker that takes over the records, or null to delete them
+ * @returns {Object} { valid: boolean, error: string }
+ */
+export function validateWorkerDelete(state, workerId, reassignTo = null) {
+  if (!(state.workers || []).some(w => w.id === workerId)) {
+    return { valid: false, error: 'Worker not found' };
+  }
+  if (reassignTo) {
+    if (reassignTo === workerId) {
+      return { valid: false, error: 'Choose a different worker to take over the records' };
+    }
+    if (!(state.workers || []).some(w => w.id === reassignTo)) {
+      return { valid: false, error: 'Worker to reassign to not found' };
+    }
+  }
+  // Closed periods keep their snapshots, so their records can't move or disappear
+  const records = [...(state.entries || []), ...(state.payments || [])].filter(r => r.workerId === workerId);
+  if (records.some(r => isDateLocked(state, r.date))) {
+    return { valid: false, error: 'This worker has records in a closed pay period. Archive the worker instead.' };
+  }
+  return { valid: true, error: null };
+}
+
+const omitKey = (obj, key) => {
+  const { [key]: _removed, ...rest } = obj || {};
+  return rest;
+};
+
+/**
+ * State after hard-deleting a worker, deleting or reassigning everything that points at them.
+ * A reassigned worker's opening balance is added to the new worker's, both on the worker
+ * record (what the ledger reads) and in the older `openingBalances` map.
+ * @param {Object} state - Global state
+ * @param {string} workerId - Worker to delete
+ * @param {string|null} reassignTo - Worker that takes over the records, or null to delete them
+ * @returns {Object} Next state
+ */
+export function deleteWorkerRecords(state, workerId, reassignTo = null) {
+  const move = (list) => reassignTo
+    ? (list || []).map(r => (r.workerId === workerId ? { ...r, workerId: reassignTo } : r))
+    : (list || []).filter(r => r.workerId !== workerId);
+  const deleted = (state.workers || []).find(w => w.id === workerId);
+  const carried = reassignTo ? Number(deleted?.openingBalance) || 0 : 0;
+  return {
+    ...state,
+    workers: (state.workers || [])
+      .filter(w => w.id !== workerId)
+      .map(w => (carried && w.id === reassignTo ? { ...w, openingBalance: (Number(w.openingBalance) || 0) + carried } : w)),
+    entries: move(state.entries),
+    payments: move(state.payments),
+    deferredMessages: (state.deferredMessages || []).filter(m => m.workerId !== workerId),
+    openingBalances: reassignTo && state.openingBalances?.[workerId]
+      ? {
+          ...omitKey(state.openingBalances, workerId),
+          [reassignTo]: (Number(state.openingBalances[reassignTo]) || 0) + (Number(state.openingBalances[workerId]) || 0),
+        }
+      : omitKey(state.openingBalances, workerId),
+  };
+}
+
+/**
+ * Entries, payments and messages whose worker no longer exists
+ * @param {Object} state - Global state
+ * @returns {Object} { entries, payments, messages, workerIds, total }
+ */
+export function findOrphanedRecords(state) {
+  const known = new Set((state.workers || []).map(w => w.id));
+  const orphan = (r) => !known.has(r.workerId);
+  const entries = (state.entries || []).filter(orphan);
+  const payments = (state.payments || []).filter(orphan);
+  const messages = (state.deferredMessages || []).filter(orphan);
+  const workerIds = [...new Set([...entries, ...payments].map(r => r.workerId || null))];
+  return { entries, payments, messages, workerIds, total: entries.length + payments.length };
+}
+
+/**
+ * State with orphaned records repaired
+ * - 'recover': an archived "Recovered worker" is created for each missing worker ID
+ * - 'reassign': records move to `workerId`
+ * - 'delete': records are removed
+ * Orphaned outbox messages are always removed.
+ * @param {Object} state - Global state
+ * @param {Object} options - { mode: 'recover' | 'reassign' | 'delete', workerId }
+ * @returns {Object} Next state
+ */
+export function repairOrphanedRecords(state, options = {}) {
+  const { mode = 'recover', workerId = null } = options;
+  const orphans = findOrphanedRecords(state);
+  const isOrphan = (r) => orphans.workerIds.includes(r.workerId || null);
+  const next = {
+    ...state,
+    deferredMessages: (state.deferredMessages || []).filter(m => !orphans.messages.includes(m)),
+  };
+
+  if (mode === 'delete') {
+    return {
+      ...next,
+      entries: (state.entries || []).filter(r => !isOrphan(r)),
+      payments: (state.payments || []).filter(r => !isOrphan(r)),
+    };
+  }
+
+  if (mode === 'reassign') {
+    if (!(state.workers || []).some(w => w.id === workerId)) return state;
+    const move = (r) => (isOrphan(r) ? { ...r, workerId } : r);
+    return { ...next, entries: (state.entries || []).map(move), payments: (state.payments || []).map(move) };
+  }
+
+  // Records without any worker ID get a recovered worker of their own
+  const recoveredId = (id) => id || `recovered_${Date.now()}`;
+  const ids = Object.fromEntries(orphans.workerIds.map(id => [String(id), recoveredId(id)]));
+  const recovered = orphans.workerIds.map((id, index) => withArchived({
+    id: ids[String(id)],
+    name: `Recovered worker ${index + 1}`,
+    address: '',
+    phone: '',
+    openingBalance: 0,
+    wageRates: [],
+    locked: true,
+  }, true));
+  const relink = (r) => (isOrphan(r) && !r.workerId ? { ...r, workerId: ids['null'] } : r);
+  return {
+    ...next,
+    workers: [...(state.workers || []), ...recovered],
+    entries: (state.entries || []).map(relink),
+    payments: (state.payments || []).map(relink),
+  };
+}